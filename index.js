@@ -7,6 +7,7 @@ import cors from 'cors'
 import morgan from 'morgan'
 import mongoose from 'mongoose'
 import { auth } from './src/middleware/auth.js'
+import { idempotency } from './src/middleware/idempotency.js'
 import rateLimit from 'express-rate-limit'
 import compression from 'compression'
 import { fileURLToPath } from 'url'
@@ -18,6 +19,7 @@ import adminAuthRoutes from './src/routes/adminAuth.js'
 import prescriptionRoutes from './src/routes/prescriptions.js'
 import cartRoutes from './src/routes/cart.js'
 import orderRoutes from './src/routes/orders.js'
+import wishlistRoutes from './src/routes/wishlist.js'
 import productRoutes from './routes/products.js'
 import allMedicineRoutes from './routes/allmedecine.js'
 import searchRoutes from './routes/search.js'
@@ -39,10 +41,19 @@ import adminDeliveryBoyRoutes from './src/routes/admin/delivery-boys.js'
 import deliveryBoyAuthRoutes from './src/routes/delivery-boy/auth.js'
 import deliveryBoyOrderRoutes from './src/routes/delivery-boy/orders.js'
 import claimsRoutes from './routes/claims.js'
+import reviewRoutes from './routes/reviews.js'
 import bannerRoutes from './src/routes/banners.js'
 import adminBannerRoutes from './src/routes/admin/banners.js'
 import homepageBannerRoutes from './src/routes/homepage-banner.js'
 import adminHomepageBannerRoutes from './src/routes/admin/homepage-banner.js'
+import adminSupplierRoutes from './src/routes/admin/suppliers.js'
+import adminPurchaseOrderRoutes from './src/routes/admin/purchase-orders.js'
+import adminInteractionRuleRoutes from './src/routes/admin/interaction-rules.js'
+import adminSearchRoutes from './src/routes/admin/search.js'
+import adminReviewRoutes from './src/routes/admin/reviews.js'
+import adminCouponRoutes from './src/routes/admin/coupons.js'
+import adminPromotionRoutes from './src/routes/admin/promotions.js'
+import { startBackgroundJobs } from './src/jobs/index.js'
 
 const mongoUrl = process.env.MONGO_URL || process.env.MONGODB_URI || 'mongodb://localhost:27017/medical-shop'
 // Global error handlers to prevent Vercel crashes
@@ -121,8 +132,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Accept"],
-  exposedHeaders: ["Content-Range", "X-Content-Range"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "Accept", "X-Anonymous-Id", "Idempotency-Key"],
+  exposedHeaders: ["Content-Range", "X-Content-Range", "Idempotent-Replayed"],
   maxAge: 86400, // 24 hours preflight cache
   optionsSuccessStatus: 200
 }));
@@ -338,6 +349,19 @@ app.use('/api/auth', authLimiter, authRoutes)
 console.log('✅ Auth routes registered at /api/auth')
 app.use('/api/admin/auth', adminAuthLimiter, adminAuthRoutes)
 console.log('✅ Admin auth routes registered at /api/admin/auth')
+// Retried customer writes sent with the same Idempotency-Key get the first response back
+app.use([
+  '/api/cart',
+  '/api/orders',
+  '/api/wishlist',
+  '/api/returns',
+  '/api/claims',
+  '/api/reviews',
+  '/api/prescriptions',
+  '/api/appointments',
+  '/api/profile',
+  '/api/addresses'
+], idempotency)
 app.use('/api/products', productRoutes)
 app.use('/api/allmedecine', allMedicineRoutes)
 app.use('/api/search', searchRoutes)
@@ -346,6 +370,7 @@ app.use('/api/appointments', appointmentRoutes)
 app.use('/api/prescriptions', prescriptionRoutes)
 app.use('/api/cart', auth, cartRoutes)
 app.use('/api/orders', auth, orderRoutes)
+app.use('/api/wishlist', auth, wishlistRoutes)
 app.use('/api/returns', returnRoutes)
 app.use('/api/contact', contactRoutes)
 app.use('/api/profile', auth, profileRoutes)
@@ -362,10 +387,18 @@ app.use('/api/admin/delivery-boys', adminDeliveryBoyRoutes)
 app.use('/api/delivery-boy/auth', deliveryBoyAuthRoutes)
 app.use('/api/delivery-boy/orders', deliveryBoyOrderRoutes)
 app.use('/api/claims', claimsRoutes)
+app.use('/api/reviews', reviewRoutes)
 app.use('/api/banners', bannerRoutes)
 app.use('/api/admin/banners', adminBannerRoutes)
 app.use('/api/home-banner', homepageBannerRoutes)
 app.use('/api/admin/home-banner', adminHomepageBannerRoutes)
+app.use('/api/admin/suppliers', adminSupplierRoutes)
+app.use('/api/admin/purchase-orders', adminPurchaseOrderRoutes)
+app.use('/api/admin/interaction-rules', adminInteractionRuleRoutes)
+app.use('/api/admin/search', adminSearchRoutes)
+app.use('/api/admin/reviews', adminReviewRoutes)
+app.use('/api/admin/coupons', adminCouponRoutes)
+app.use('/api/admin/promotions', adminPromotionRoutes)
 
 // Default route
 app.get('/', (req, res) => {
@@ -467,6 +500,9 @@ if (isMainModule && process.env.NODE_ENV !== 'test') {
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`)
     console.log(`📋 API Base URL: http://localhost:${PORT}/api`)
   })
+
+  // Periodic maintenance (expiry sweep etc.) only runs in long-lived processes
+  startBackgroundJobs()
 }
 
 
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose'
+import { addCompositionFields } from './composition.js'
+import { addSearchFields } from './searchable.js'
+import { addRatingFields } from './rating.js'
 
 const { Schema } = mongoose
 
@@ -57,5 +60,9 @@ const AllMedicineSchema = new Schema({
   collection: 'all_medicine'
 })
 
+addCompositionFields(AllMedicineSchema)
+addSearchFields(AllMedicineSchema)
+addRatingFields(AllMedicineSchema)
+
 export default mongoose.models.AllMedicine || mongoose.model('AllMedicine', AllMedicineSchema)
 
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose'
+
+// Guest histories not added to for this long are removed
+const GUEST_RETENTION_DAYS = 30
+
+const viewedItemSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    default: 'product'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AllMedicine'
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false })
+
+// Recently viewed items of a customer, or of a guest until they log in; newest first and capped
+const browsingHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Guest owner, from the X-Anonymous-Id header
+  anonymousId: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [viewedItemSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  collection: 'browsing_histories'
+})
+
+browsingHistorySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } })
+browsingHistorySchema.index({ anonymousId: 1 }, { unique: true, partialFilterExpression: { anonymousId: { $exists: true } } })
+browsingHistorySchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_RETENTION_DAYS * 24 * 60 * 60, partialFilterExpression: { anonymousId: { $exists: true } } }
+)
+
+export default mongoose.model('BrowsingHistory', browsingHistorySchema)
@@ -1,5 +1,28 @@
 import mongoose from 'mongoose'
 
+// The pack size chosen for a product sold in variants
+const cartItemVariantSchema = new mongoose.Schema({
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sku: String,
+  label: String,
+  packSize: Number,
+  unit: String,
+  mrp: Number
+}, { _id: false })
+
+// What one promotion saves on a cart line
+const lineSavingSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: String,
+  amount: Number
+}, { _id: false })
+
 const cartItemSchema = new mongoose.Schema({
   itemType: {
     type: String,
@@ -20,12 +43,31 @@ const cartItemSchema = new mongoose.Schema({
     min: 1,
     default: 1
   },
+  // Current unit price; refreshed from the catalog whenever the cart is read
   price: {
     type: Number,
     required: true
   },
+  // Unit price when the item was first added, kept to explain later price changes
+  priceWhenAdded: Number,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
   name: String,
-  image: String
+  image: String,
+  // Catalog category, for promotions and coupons limited to categories
+  category: String,
+  variant: {
+    type: cartItemVariantSchema,
+    default: undefined
+  },
+  // Promotion savings on this line, off price × quantity
+  promotions: [lineSavingSchema],
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  }
 })
 
 const cartSchema = new mongoose.Schema({
@@ -36,10 +78,44 @@ const cartSchema = new mongoose.Schema({
     unique: true
   },
   items: [cartItemSchema],
+  // Coupon the customer applied; kept while it doesn't apply so it can apply again later
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    description: String
+  },
   subtotal: {
     type: Number,
     default: 0
   },
+  // Promotions applied automatically, with what each saves
+  promotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: { type: String },
+    amount: Number
+  }],
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Coupon discount, worked out by the coupon service whenever the cart changes
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Promotion and coupon discounts together
+  discount: {
+    type: Number,
+    default: 0
+  },
   deliveryFee: {
     type: Number,
     default: 50
@@ -56,70 +132,99 @@ const cartSchema = new mongoose.Schema({
   timestamps: true
 })
 
+// Same catalog item: type, id and, when a variant is given, the same variant
+const matchesItem = (item, { itemType = 'product', productId, medicineId, variantId }) => {
+  const ref = itemType === 'medicine' ? item.medicine : item.product
+  const id = itemType === 'medicine' ? medicineId : productId
+  return item.itemType === itemType &&
+    (ref?._id ?? ref)?.toString() === id?.toString() &&
+    (!variantId || item.variant?.id?.toString() === variantId.toString())
+}
+
+const toPromotionLine = (item) => {
+  const ref = item.itemType === 'medicine' ? item.medicine : item.product
+  return {
+    itemType: item.itemType,
+    id: ref?._id ?? ref,
+    category: item.category,
+    price: item.price,
+    quantity: item.quantity
+  }
+}
+
 // Method to calculate totals
 cartSchema.methods.calculateTotals = function() {
   this.subtotal = this.items.reduce((total, item) => {
     return total + (item.price * item.quantity)
   }, 0)
   
+  // Live promotions are loaded onto the cart by the promotion service; without them none apply
+  const lines = this.items.map(toPromotionLine)
+  const { amount, lineSavings, applied, hints } = this.$locals.applyPromotions
+    ? this.$locals.applyPromotions(lines)
+    : { amount: 0, lineSavings: lines.map(() => []), applied: [], hints: [] }
+  this.items.forEach((item, index) => {
+    item.promotions = lineSavings[index]
+    item.promotionDiscount = lineSavings[index].reduce((total, saving) => total + saving.amount, 0)
+  })
+  this.promotions = applied
+  this.promotionDiscount = amount
+  this.$locals.promotionHints = hints
+  
+  // A coupon can't take the cart below zero, e.g. after items were removed
+  this.couponDiscount = Math.min(this.couponDiscount || 0, this.subtotal - this.promotionDiscount)
+  this.discount = this.promotionDiscount + this.couponDiscount
+  
   // Free delivery above ₹499
   this.deliveryFee = this.subtotal >= 499 ? 0 : 50
   
-  // Calculate taxes (18% GST)
-  this.taxes = Math.round(this.subtotal * 0.18)
+  // Calculate taxes (18% GST) on the discounted value
+  this.taxes = Math.round((this.subtotal - this.discount) * 0.18)
   
-  this.total = this.subtotal + this.deliveryFee + this.taxes
+  this.total = this.subtotal - this.discount + this.deliveryFee + this.taxes
   
   return this
 }
 
 // Method to add item to cart
-cartSchema.methods.addItem = function({ itemType = 'product', productId, medicineId, quantity, price, name, image }) {
-  const matcher = (item) => {
-    if (itemType === 'medicine') {
-      return item.itemType === 'medicine' && item.medicine?.toString() === medicineId?.toString()
-    }
-    return item.itemType === 'product' && item.product?.toString() === productId?.toString()
-  }
-
-  const existingItem = this.items.find(matcher)
+cartSchema.methods.addItem = function({ itemType = 'product', productId, medicineId, variant, quantity, price, name, image, category }) {
+  const existingItem = this.items.find((item) => matchesItem(item, { itemType, productId, medicineId, variantId: variant?.id }))
   
   if (existingItem) {
     existingItem.quantity += quantity
-  } else {
-    if (itemType === 'medicine') {
-      this.items.push({
-        itemType: 'medicine',
-        medicine: medicineId,
-        quantity,
-        price,
-        name,
-        image
-      })
-    } else {
-      this.items.push({
-        itemType: 'product',
-        product: productId,
-        quantity,
-        price,
-        name,
-        image
-      })
+    if (existingItem.priceWhenAdded === undefined || existingItem.priceWhenAdded === null) {
+      existingItem.priceWhenAdded = existingItem.price
     }
+    existingItem.price = price
+    existingItem.category = category ?? existingItem.category
+  } else {
+    this.items.push({
+      itemType,
+      product: itemType === 'product' ? productId : undefined,
+      medicine: itemType === 'medicine' ? medicineId : undefined,
+      quantity,
+      price,
+      priceWhenAdded: price,
+      name,
+      image,
+      category,
+      variant
+    })
   }
   
   this.calculateTotals()
   return this
 }
 
+// Method to get how many of an item (and variant) the cart holds
+cartSchema.methods.getItemQuantity = function({ itemType = 'product', productId, medicineId, variant }) {
+  const item = this.items.find((entry) => matchesItem(entry, { itemType, productId, medicineId, variantId: variant?.id }))
+  return item?.quantity || 0
+}
+
 // Method to update item quantity
-cartSchema.methods.updateItemQuantity = function({ itemType = 'product', productId, medicineId, quantity }) {
-  const item = this.items.find((i) => {
-    if (itemType === 'medicine') {
-      return i.itemType === 'medicine' && i.medicine?.toString() === medicineId?.toString()
-    }
-    return i.itemType === 'product' && i.product?.toString() === productId?.toString()
-  })
+cartSchema.methods.updateItemQuantity = function({ itemType = 'product', productId, medicineId, variantId, quantity }) {
+  const item = this.items.find((i) => matchesItem(i, { itemType, productId, medicineId, variantId }))
   
   if (item) {
     if (quantity <= 0) {
@@ -135,13 +240,8 @@ cartSchema.methods.updateItemQuantity = function({ itemType = 'product', product
 }
 
 // Method to remove item from cart
-cartSchema.methods.removeItem = function({ itemType = 'product', productId, medicineId }) {
-  this.items = this.items.filter((i) => {
-    if (itemType === 'medicine') {
-      return !(i.itemType === 'medicine' && i.medicine?.toString() === medicineId?.toString())
-    }
-    return !(i.itemType === 'product' && i.product?.toString() === productId?.toString())
-  })
+cartSchema.methods.removeItem = function({ itemType = 'product', productId, medicineId, variantId }) {
+  this.items = this.items.filter((i) => !matchesItem(i, { itemType, productId, medicineId, variantId }))
   this.calculateTotals()
   return this
 }
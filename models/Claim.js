@@ -1,6 +1,10 @@
 import mongoose from 'mongoose'
+import { nextDocumentNumber } from './Counter.js'
 
 const claimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -15,6 +19,11 @@ const claimSchema = new mongoose.Schema({
   },
   items: [{
     orderItemId: String,
+    itemType: {
+      type: String,
+      enum: ['product', 'medicine'],
+      default: 'product'
+    },
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product'
@@ -64,7 +73,20 @@ const claimSchema = new mongoose.Schema({
   collection: 'claims'
 })
 
+// Generate claim number before saving
+claimSchema.pre('save', async function(next) {
+  if (!this.claimNumber) {
+    try {
+      this.claimNumber = await nextDocumentNumber('claim', { session: this.$session() })
+    } catch (error) {
+      return next(error)
+    }
+  }
+  next()
+})
+
 // Indexes for better query performance
+claimSchema.index({ claimNumber: 1 }, { unique: true, sparse: true }) // Claims raised before numbering have none until migrated
 claimSchema.index({ user: 1, createdAt: -1 })
 claimSchema.index({ order: 1 })
 claimSchema.index({ status: 1, createdAt: -1 })
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose'
+
+// Document number prefixes; numbers restart each financial year, e.g. ORD/2026-27/000123
+export const documentSeries = {
+  order: 'ORD',
+  return: 'RET',
+  claim: 'CLM',
+  invoice: 'INV',
+  purchaseOrder: 'PO'
+}
+
+const SEQUENCE_DIGITS = 6
+
+// One sequence per series and financial year, incremented atomically
+const counterSchema = new mongoose.Schema({
+  // `${series}/${financialYear}`, e.g. order/2026-27
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'counters'
+})
+
+const Counter = mongoose.model('Counter', counterSchema)
+
+// India Standard Time is UTC+05:30 all year round
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. 2026-27.
+ * Decided in India Standard Time whatever the server's timezone, so 31 March 20:00 UTC is already April.
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS)
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`
+}
+
+export const formatDocumentNumber = (series, financialYear, seq) => {
+  return `${documentSeries[series]}/${financialYear}/${String(seq).padStart(SEQUENCE_DIGITS, '0')}`
+}
+
+/**
+ * Parse a number in the current format
+ * @returns {Object|null} { prefix, financialYear, seq }
+ */
+export const parseDocumentNumber = (number = '') => {
+  const match = /^([A-Z]+)\/(\d{4}-\d{2})\/(\d+)$/.exec(number)
+  return match ? { prefix: match[1], financialYear: match[2], seq: Number(match[3]) } : null
+}
+
+/**
+ * Take the next number in a series. Numbers are never handed out twice, even to concurrent
+ * saves; inside a transaction the increment rolls back with it.
+ * @param {string} series - Key of documentSeries
+ * @param {Object} options - { date, session }
+ * @returns {Promise<string>}
+ */
+export const nextDocumentNumber = async (series, { date = new Date(), session } = {}) => {
+  if (!documentSeries[series]) {
+    throw new Error(`Unknown document series: ${series}`)
+  }
+
+  const financialYear = getFinancialYear(date)
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${series}/${financialYear}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session: session || undefined }
+  )
+
+  return formatDocumentNumber(series, financialYear, counter.seq)
+}
+
+export default Counter
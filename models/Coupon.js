@@ -0,0 +1,96 @@
+import mongoose from 'mongoose'
+import { addEligibilityFields } from './eligibility.js'
+
+export const couponDiscountTypes = ['percentage', 'flat']
+
+const couponSchema = new mongoose.Schema({
+  // Entered by customers; matched case-insensitively
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: couponDiscountTypes,
+    required: true
+  },
+  // Percent off for percentage coupons, rupees off for flat ones
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Largest discount a percentage coupon can give; unlimited when not set
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Cart value needed before the coupon applies, counting only eligible items
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Orders that can use the coupon across all customers; unlimited when not set
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Orders currently using the coupon; cancelled orders give their use back
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  collection: 'coupons'
+})
+
+// Items the discount applies to; with none set it applies to the whole cart
+addEligibilityFields(couponSchema)
+
+couponSchema.index({ code: 1 }, { unique: true })
+couponSchema.index({ isActive: 1, endsAt: 1 }) // For listing live coupons
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'A percentage discount cannot exceed 100')
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The coupon must end after it starts')
+  }
+  next()
+})
+
+export default mongoose.model('Coupon', couponSchema)
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose'
+
+// One use of a coupon by a customer, held while the order using it stands
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Which of the customer's allowed uses this is, 1 to the coupon's perUserLimit
+  slot: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, {
+  timestamps: true,
+  collection: 'coupon_redemptions'
+})
+
+// Each use can be taken once, so concurrent checkouts can't go past the per-customer limit
+couponRedemptionSchema.index({ coupon: 1, user: 1, slot: 1 }, { unique: true })
+couponRedemptionSchema.index({ order: 1 })
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema)
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose'
+
+// First response to a customer write sent with an Idempotency-Key header, replayed on retries
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Fingerprint of method, path and body; a retry must send the same request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // When the request holding the key started; a stale lock can be taken over
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'idempotency_keys'
+})
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true })
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema)
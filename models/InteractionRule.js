@@ -0,0 +1,64 @@
+import mongoose from 'mongoose'
+
+export const interactionSeverities = ['minor', 'moderate', 'severe']
+
+const interactionRuleSchema = new mongoose.Schema({
+  // Stored in alphabetical order so each pair has a single rule
+  ingredientA: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  ingredientB: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  severity: {
+    type: String,
+    enum: interactionSeverities,
+    required: true
+  },
+  advisory: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  collection: 'interaction_rules'
+})
+
+interactionRuleSchema.index({ ingredientA: 1, ingredientB: 1 }, { unique: true })
+interactionRuleSchema.index({ ingredientB: 1 }) // For lookups from either side of the pair
+
+interactionRuleSchema.pre('validate', function(next) {
+  if (this.ingredientA && this.ingredientB && this.ingredientA.localeCompare(this.ingredientB) > 0) {
+    const first = this.ingredientB
+    this.ingredientB = this.ingredientA
+    this.ingredientA = first
+  }
+
+  if (this.ingredientA && this.ingredientA === this.ingredientB) {
+    this.invalidate('ingredientB', 'An interaction needs two different ingredients')
+  }
+
+  next()
+})
+
+export default mongoose.model('InteractionRule', interactionRuleSchema)
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose'
+
+const recommendedItemSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    required: true
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Orders or viewers the two items share
+  count: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false })
+
+// Items related to one product or medicine, recomputed by the recommendations job
+const itemRecommendationSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  boughtTogether: {
+    type: [recommendedItemSchema],
+    default: []
+  },
+  alsoViewed: {
+    type: [recommendedItemSchema],
+    default: []
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'item_recommendations'
+})
+
+itemRecommendationSchema.index({ item: 1, itemType: 1 }, { unique: true })
+itemRecommendationSchema.index({ computedAt: 1 }) // For removing entries left over from earlier runs
+
+export default mongoose.model('ItemRecommendation', itemRecommendationSchema)
@@ -1,4 +1,36 @@
 import mongoose from 'mongoose'
+import { nextDocumentNumber } from './Counter.js'
+
+// Snapshot of the stock batch an order item was fulfilled from
+const orderItemBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true
+  },
+  manufactureDate: Date,
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false })
+
+// Snapshot of the pack size chosen for a product sold in variants
+const orderItemVariantSchema = new mongoose.Schema({
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sku: String,
+  label: String,
+  packSize: Number,
+  unit: String,
+  mrp: Number
+}, { _id: false })
 
 const orderItemSchema = new mongoose.Schema({
   orderItemId: {
@@ -11,6 +43,7 @@ const orderItemSchema = new mongoose.Schema({
     enum: ['product', 'medicine'],
     default: 'product'
   },
+  // On medicine lines, the product holding the medicine's stock (if linked)
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
@@ -29,15 +62,110 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Unit price when the item was added to the cart, if it differed at checkout
+  priceWhenAdded: {
+    type: Number,
+    min: 0
+  },
   name: {
     type: String,
     required: true
   },
   image: {
     type: String
+  },
+  variant: {
+    type: orderItemVariantSchema,
+    default: undefined
+  },
+  batches: {
+    type: [orderItemBatchSchema],
+    default: undefined
+  },
+  drugSchedule: {
+    type: String,
+    enum: ['none', 'H', 'H1', 'X']
+  },
+  // This line's share of the order's discounts, off price × quantity
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Promotions that discounted this line and what each saved, part of discount
+  promotions: {
+    type: [{
+      _id: false,
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+      },
+      name: String,
+      amount: Number
+    }],
+    default: undefined
+  }
+}, { _id: false })
+
+// One discount taken off the order: a coupon or an automatic promotion
+const orderDiscountSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['coupon', 'promotion'],
+    required: true
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  code: String,
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  promotionType: String,
+  // Coupon description or promotion name
+  description: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
   }
 }, { _id: false })
 
+// Drug interaction flagged at checkout, kept for the pharmacist reviewing the order
+const interactionWarningSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InteractionRule'
+  },
+  ingredients: [String],
+  severity: {
+    type: String,
+    enum: ['minor', 'moderate', 'severe'],
+    required: true
+  },
+  advisory: String,
+  items: [{
+    _id: false,
+    itemType: String,
+    id: mongoose.Schema.Types.ObjectId,
+    name: String
+  }],
+  // Set when the customer confirmed a severe interaction before ordering
+  acknowledgedAt: Date
+}, { _id: false })
+
+export class OrderStatusError extends Error {
+  constructor(message, code = 'ORDER_STATUS_INVALID', meta = {}) {
+    super(message)
+    this.name = 'OrderStatusError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
 const orderStatuses = [
   'processing',
   'out for delivery',
@@ -45,6 +173,9 @@ const orderStatuses = [
   'cancelled'
 ]
 
+// Statuses at which goods have left the shop and need a tax invoice
+const invoicedStatuses = ['out for delivery', 'delivered']
+
 const statusHistorySchema = new mongoose.Schema({
   status: {
     type: String,
@@ -75,6 +206,16 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Total of discounts, taken off the subtotal before taxes
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discounts: {
+    type: [orderDiscountSchema],
+    default: undefined
+  },
   deliveryFee: {
     type: Number,
     default: 0,
@@ -112,6 +253,10 @@ const orderSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Tax invoice number, issued when the order is dispatched
+  invoiceNumber: {
+    type: String
+  },
   prescriptionUrl: {
     type: String
   },
@@ -157,27 +302,66 @@ const orderSchema = new mongoose.Schema({
   statusHistory: {
     type: [statusHistorySchema],
     default: []
+  },
+  interactionWarnings: {
+    type: [interactionWarningSchema],
+    default: undefined
+  },
+  // Schedule X orders can't be dispatched until a pharmacist signs them off
+  pharmacistSignOff: {
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'approved', 'rejected'],
+      default: 'not_required',
+      index: true
+    },
+    signedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    signedAt: Date,
+    note: String
+  },
+  // Stock taken for an online payment that hasn't arrived yet; released if it doesn't arrive in time
+  stockReservation: {
+    status: {
+      type: String,
+      enum: ['held', 'confirmed', 'released']
+    },
+    expiresAt: Date,
+    releasedAt: Date
   }
 }, {
   timestamps: true,
   collection: 'orders'
 })
 
-// Generate order number before saving
+// Generate order number before saving, and the invoice number once the order is dispatched
 orderSchema.pre('save', async function(next) {
-  if (!this.orderNumber) {
-    const count = await this.constructor.countDocuments()
-    this.orderNumber = `ORD${String(count + 1).padStart(6, '0')}`
+  try {
+    if (!this.orderNumber) {
+      this.orderNumber = await nextDocumentNumber('order', { session: this.$session() })
+    }
+    if (!this.invoiceNumber && invoicedStatuses.includes(this.status)) {
+      this.invoiceNumber = await nextDocumentNumber('invoice', { session: this.$session() })
+    }
+    next()
+  } catch (error) {
+    next(error)
   }
-  next()
 })
 
 // Indexes for better query performance
 orderSchema.index({ user: 1, createdAt: -1 }) // For user's orders
 orderSchema.index({ status: 1, createdAt: -1 }) // For orders by status
+orderSchema.index({ 'interactionWarnings.severity': 1 }) // For pharmacist review of flagged orders
 orderSchema.index({ orderNumber: 1 }, { unique: true }) // Unique index on order number
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true }) // Only dispatched orders are invoiced
 orderSchema.index({ user: 1, status: 1 }) // Compound index for user orders by status
 orderSchema.index({ createdAt: -1 }) // For recent orders
+orderSchema.index({ 'stockReservation.status': 1, 'stockReservation.expiresAt': 1 }) // For releasing unpaid reservations
+orderSchema.index({ user: 1, 'discounts.coupon': 1 }) // For coupon usage per customer
+orderSchema.index({ 'discounts.promotion': 1, createdAt: -1 }) // For promotion reports
 
 // Method to calculate total items
 orderSchema.methods.getTotalItems = function() {
@@ -194,6 +378,29 @@ orderSchema.methods.updateStatus = async function(status, { changedBy, note } =
     throw new Error(`Invalid order status: ${status}`)
   }
 
+  // Its stock and coupon uses went back when it was cancelled, so a cancelled order stays cancelled
+  if (this.status === 'cancelled' && normalized !== 'cancelled') {
+    throw new OrderStatusError('A cancelled order cannot be reopened; place a new order instead', 'ORDER_CANCELLED', {
+      orderNumber: this.orderNumber
+    })
+  }
+
+  // Cancelling goes through cancelOrder (see orderCancellationService), which records why
+  if (normalized === 'cancelled' && !this.cancellation?.cancelledAt) {
+    throw new OrderStatusError('Cancel the order instead, so its stock is put back', 'CANCEL_REQUIRED', {
+      orderNumber: this.orderNumber
+    })
+  }
+
+  // Every route that dispatches an order comes through here, so none can skip the sign-off
+  if (invoicedStatuses.includes(normalized) && ['pending', 'rejected'].includes(this.pharmacistSignOff?.status)) {
+    throw new OrderStatusError(
+      'This order contains Schedule X items and needs a pharmacist sign-off before dispatch',
+      'PHARMACIST_SIGNOFF_REQUIRED',
+      { orderNumber: this.orderNumber }
+    )
+  }
+
   this.status = normalized
 
   const historyEntry = {
@@ -220,6 +427,12 @@ orderSchema.methods.cancelOrder = async function(reason, userId) {
     cancelledBy: userId || undefined
   }
 
+  // Stock held for payment goes back with the rest of the order
+  if (this.stockReservation?.status === 'held') {
+    this.stockReservation.status = 'released'
+    this.stockReservation.releasedAt = this.cancellation.cancelledAt
+  }
+
   await this.updateStatus('cancelled', {
     changedBy: userId,
     note: this.cancellation.reason
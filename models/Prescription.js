@@ -120,6 +120,30 @@ const prescriptionSchema = new mongoose.Schema({
     duration: String,
     quantity: Number
   }],
+  // Catalog items the pharmacist confirmed this prescription covers
+  approvedItems: [{
+    _id: false,
+    itemType: {
+      type: String,
+      enum: ['product', 'medicine'],
+      default: 'product'
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    medicine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AllMedicine'
+    },
+    name: String,
+    // Maximum quantity that may be dispensed; unset means no limit
+    quantity: Number
+  }],
+  // Last day the prescription can be used; defaults to the validity period from prescriptionDate
+  validUntil: {
+    type: Date
+  },
   shippingAddressSnapshot: {
     name: String,
     phoneNumber: String,
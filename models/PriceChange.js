@@ -0,0 +1,70 @@
+import mongoose from 'mongoose'
+
+export const priceChangeStatuses = ['scheduled', 'applied', 'cancelled']
+export const priceChangeSources = ['admin_update', 'scheduled', 'import']
+
+// One entry per price/MRP change of a product or one of its variants.
+// Applied entries form the price history; scheduled ones are applied by a background job.
+const priceChangeSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  // Set when the change is for a single variant rather than the product itself
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantSku: String,
+  oldPrice: Number,
+  newPrice: Number,
+  oldMrp: Number,
+  newMrp: Number,
+  effectiveAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: priceChangeStatuses,
+    default: 'applied',
+    index: true
+  },
+  source: {
+    type: String,
+    enum: priceChangeSources,
+    default: 'admin_update'
+  },
+  actor: {
+    kind: {
+      type: String,
+      enum: ['Admin', 'System'],
+      default: 'System'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  appliedAt: Date,
+  cancelledAt: Date,
+  note: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  collection: 'price_changes'
+})
+
+priceChangeSchema.index({ product: 1, effectiveAt: -1 }) // For a product's price history
+priceChangeSchema.index({ status: 1, effectiveAt: 1 }) // For the job picking up due changes
+
+priceChangeSchema.pre('validate', function(next) {
+  if (this.newPrice === undefined && this.newMrp === undefined) {
+    this.invalidate('newPrice', 'A price change needs a new price or MRP')
+  }
+  next()
+})
+
+export default mongoose.model('PriceChange', priceChangeSchema)
@@ -1,4 +1,109 @@
 import mongoose from 'mongoose'
+import { addCompositionFields } from './composition.js'
+import { addSearchFields } from './searchable.js'
+import { addRatingFields } from './rating.js'
+
+const batchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  manufactureDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  purchaseCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Units pulled out of sellable stock by the expiry sweep
+  expiredQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  expiredAt: {
+    type: Date
+  }
+})
+
+// A pack size of the same product, e.g. a 10-tablet strip and a 30-tablet bottle
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  packSize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // What the pack size counts: tablets, capsules, ml, g...
+  unit: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Display name, e.g. "Strip of 10 tablets"; defaults to pack size and unit
+  label: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mrp: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  stock: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Price of one tablet/ml/etc. for comparing pack sizes
+variantSchema.virtual('pricePerUnit').get(function() {
+  return this.packSize > 0 ? Math.round((this.price / this.packSize) * 100) / 100 : null
+})
+
+variantSchema.virtual('displayLabel').get(function() {
+  return this.label || `${this.packSize} ${this.unit}`
+})
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -35,6 +140,38 @@ const productSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Stock at or below this level is reported as low stock
+  reorderLevel: {
+    type: Number,
+    min: 0,
+    default: 10
+  },
+  // Minimum quantity to reorder; 0 lets the suggestion follow recent sales
+  reorderQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  // Units ordered over the product's lifetime, used to rank search results
+  salesCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // When batches exist, stock is derived from them (see pre-save hook below)
+  batches: {
+    type: [batchSchema],
+    default: []
+  },
+  // When variants exist, stock is the sum of variant stock; a product has either variants or batches
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
   description: {
     type: String,
     required: true,
@@ -49,6 +186,12 @@ const productSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+  // Set while any batch holds written-off expired units awaiting disposal
+  hasExpiredStock: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
   category: {
     type: String,
     enum: [
@@ -67,6 +210,10 @@ const productSchema = new mongoose.Schema({
   collection: 'products'
 })
 
+addCompositionFields(productSchema)
+addSearchFields(productSchema)
+addRatingFields(productSchema)
+
 // Indexes for better query performance
 // Text index for search (compound index for better performance)
 productSchema.index({ name: 'text', brand: 'text', description: 'text' })
@@ -78,6 +225,12 @@ productSchema.index({ isActive: 1, price: 1 }) // For price sorting
 productSchema.index({ sku: 1 }, { unique: true }) // Unique index on SKU (already exists but explicit)
 productSchema.index({ category: 1 }) // Single field index for category
 productSchema.index({ price: 1 }) // Single field index for price
+productSchema.index({ 'batches.expiryDate': 1 }) // For expiry lookups across batches
+productSchema.index({ isActive: 1, stock: 1 }) // For low-stock reports
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+) // Variant SKUs are unique across products
 
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
@@ -87,23 +240,229 @@ productSchema.virtual('discountPercentage').get(function() {
   return 0
 })
 
-// Method to check if product is in stock
-productSchema.methods.isInStock = function() {
-  return this.stock > 0 && this.isActive
+productSchema.pre('validate', function(next) {
+  if (this.hasVariants() && this.isBatchTracked()) {
+    this.invalidate('variants', 'A product can have variants or batches, not both')
+  }
+
+  const skus = new Set()
+  for (const variant of this.variants) {
+    if (variant.sku === this.sku || skus.has(variant.sku)) {
+      this.invalidate('variants', `Variant SKU ${variant.sku} is used more than once`)
+    }
+    skus.add(variant.sku)
+  }
+
+  next()
+})
+
+// Keep the stock total in sync with batch or variant quantities
+productSchema.pre('save', function(next) {
+  if (this.isBatchTracked()) {
+    this.syncStockFromBatches()
+  } else if (this.hasVariants()) {
+    this.syncStockFromVariants()
+  }
+  this.hasExpiredStock = this.batches.some((batch) => batch.expiredQuantity > 0)
+  next()
+})
+
+// Method to check whether stock is tracked per batch
+productSchema.methods.isBatchTracked = function() {
+  return Array.isArray(this.batches) && this.batches.length > 0
+}
+
+// Method to recompute stock from batch quantities
+productSchema.methods.syncStockFromBatches = function() {
+  this.stock = this.batches.reduce((total, batch) => total + (batch.quantity || 0), 0)
+  return this.stock
+}
+
+// Method to check whether the product is sold in variants
+productSchema.methods.hasVariants = function() {
+  return Array.isArray(this.variants) && this.variants.length > 0
+}
+
+// Method to recompute stock from variant quantities
+productSchema.methods.syncStockFromVariants = function() {
+  this.stock = this.variants.reduce((total, variant) => total + (variant.stock || 0), 0)
+  return this.stock
 }
 
-// Method to reduce stock
-productSchema.methods.reduceStock = function(quantity) {
-  if (this.stock >= quantity) {
-    this.stock -= quantity
-    return true
+// Method to find a variant by id or SKU
+productSchema.methods.getVariant = function(variantIdOrSku) {
+  if (!variantIdOrSku) {
+    return null
   }
-  return false
+  const key = variantIdOrSku.toString()
+  return this.variants.find((variant) => variant._id.toString() === key || variant.sku === key.toUpperCase()) || null
+}
+
+// Method to get the variant shown first: the flagged default, else the first active one
+productSchema.methods.getDefaultVariant = function() {
+  const active = this.variants.filter((variant) => variant.isActive)
+  return active.find((variant) => variant.isDefault) || active[0] || null
+}
+
+// Method to list batches still sellable after a date, earliest expiry first
+productSchema.methods.getSellableBatches = function(notExpiringBefore = new Date()) {
+  return this.batches
+    .filter((batch) => batch.quantity > 0 && batch.expiryDate > notExpiringBefore)
+    .sort((a, b) => a.expiryDate - b.expiryDate)
+}
+
+// Method to get the quantity that can be sold without expiring before a date
+productSchema.methods.getSellableStock = function(notExpiringBefore = new Date()) {
+  if (!this.isBatchTracked()) {
+    return this.stock
+  }
+
+  return this.getSellableBatches(notExpiringBefore)
+    .reduce((total, batch) => total + batch.quantity, 0)
 }
 
-// Method to add stock
-productSchema.methods.addStock = function(quantity) {
-  this.stock += quantity
+// Method to check if stock has fallen to the reorder level
+productSchema.methods.isLowStock = function() {
+  return this.stock <= (this.reorderLevel || 0)
+}
+
+// Method to check if product (or one of its variants) is in stock
+productSchema.methods.isInStock = function(variantId) {
+  if (!this.isActive) {
+    return false
+  }
+  if (this.hasVariants()) {
+    const variants = variantId ? [this.getVariant(variantId)] : this.variants
+    return variants.some((variant) => variant?.isActive && variant.stock > 0)
+  }
+  return this.getSellableStock() > 0
+}
+
+// Method to move expired batch quantities out of sellable stock
+// Returns the batches written off by this call
+productSchema.methods.writeOffExpiredBatches = function(asOf = new Date()) {
+  const writtenOff = []
+
+  for (const batch of this.batches) {
+    if (batch.quantity > 0 && batch.expiryDate <= asOf) {
+      writtenOff.push({
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity: batch.quantity
+      })
+      batch.expiredQuantity = (batch.expiredQuantity || 0) + batch.quantity
+      batch.quantity = 0
+      batch.expiredAt = asOf
+    }
+  }
+
+  if (writtenOff.length) {
+    this.syncStockFromBatches()
+    this.hasExpiredStock = true
+  }
+
+  return writtenOff
+}
+
+// Method to plan a first-expiry-first-out allocation without changing stock.
+// Returns null when sellable batches cannot cover the quantity.
+productSchema.methods.allocateBatches = function(quantity, notExpiringBefore = new Date()) {
+  const allocations = []
+  let remaining = quantity
+
+  for (const batch of this.getSellableBatches(notExpiringBefore)) {
+    if (remaining <= 0) break
+    const taken = Math.min(batch.quantity, remaining)
+    allocations.push({
+      batchId: batch._id,
+      batchNumber: batch.batchNumber,
+      manufactureDate: batch.manufactureDate,
+      expiryDate: batch.expiryDate,
+      quantity: taken
+    })
+    remaining -= taken
+  }
+
+  return remaining > 0 ? null : allocations
+}
+
+// Method to reduce stock.
+// Returns the batch allocations used (empty for untracked or variant stock) or false if stock is insufficient.
+productSchema.methods.reduceStock = function(quantity, { notExpiringBefore, variantId } = {}) {
+  if (this.hasVariants()) {
+    const variant = this.getVariant(variantId)
+    if (!variant || variant.stock < quantity) {
+      return false
+    }
+    variant.stock -= quantity
+    this.syncStockFromVariants()
+    return []
+  }
+
+  if (!this.isBatchTracked()) {
+    if (this.stock >= quantity) {
+      this.stock -= quantity
+      return []
+    }
+    return false
+  }
+
+  const allocations = this.allocateBatches(quantity, notExpiringBefore)
+  if (!allocations) {
+    return false
+  }
+
+  for (const allocation of allocations) {
+    this.batches.id(allocation.batchId).quantity -= allocation.quantity
+  }
+  this.syncStockFromBatches()
+
+  return allocations
+}
+
+// Method to add stock.
+// Batch-tracked products need batch details; an existing batch number is topped up.
+// Products with variants need the variant to add to.
+productSchema.methods.addStock = function(quantity, batchDetails, { variantId } = {}) {
+  if (this.hasVariants()) {
+    const variant = this.getVariant(variantId)
+    if (!variant) {
+      throw new Error('A variant is required to add stock to a product with variants')
+    }
+    variant.stock += quantity
+    this.syncStockFromVariants()
+    return null
+  }
+
+  if (!batchDetails) {
+    if (this.isBatchTracked()) {
+      throw new Error('Batch details are required to add stock to a batch-tracked product')
+    }
+    this.stock += quantity
+    return null
+  }
+
+  const batchNumber = String(batchDetails.batchNumber || '').trim().toUpperCase()
+  let batch = this.batches.find((entry) => entry.batchNumber === batchNumber)
+
+  if (batch) {
+    batch.quantity += quantity
+  } else {
+    if (!this.isBatchTracked() && this.stock > 0) {
+      throw new Error('Existing untracked stock must be assigned to a batch before adding batches')
+    }
+    this.batches.push({
+      batchNumber,
+      manufactureDate: batchDetails.manufactureDate,
+      expiryDate: batchDetails.expiryDate,
+      purchaseCost: batchDetails.purchaseCost,
+      quantity
+    })
+    batch = this.batches[this.batches.length - 1]
+  }
+
+  this.syncStockFromBatches()
+  return batch
 }
 
 export default mongoose.model('Product', productSchema)
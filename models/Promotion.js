@@ -0,0 +1,142 @@
+import mongoose from 'mongoose'
+import { addEligibilityFields } from './eligibility.js'
+
+// buy_x_get_y: every buyQuantity + getQuantity eligible units, the cheapest getQuantity are free
+// free_item: freeItem is free once the rest of the cart is worth minCartValue
+// bundle: bundleItems bought together cost bundlePrice per complete set
+// category_sale: percentOff eligible items
+export const promotionTypes = ['buy_x_get_y', 'free_item', 'bundle', 'category_sale']
+
+// A catalog item a promotion gives away or bundles
+const offerItemSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    default: 'product'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AllMedicine'
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Shown to customers, e.g. "Add Vitamin C 500mg to get it free"
+  name: String
+}, { _id: false })
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: promotionTypes,
+    required: true
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  percentOff: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  minCartValue: {
+    type: Number,
+    min: 0
+  },
+  freeItem: {
+    type: offerItemSchema,
+    default: undefined
+  },
+  bundleItems: {
+    type: [offerItemSchema],
+    default: undefined
+  },
+  bundlePrice: {
+    type: Number,
+    min: 0
+  },
+  // Among promotions of the same type, higher priority ones are applied first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  collection: 'promotions'
+})
+
+// Items buy X get Y and category sales apply to; with none set, every item
+addEligibilityFields(promotionSchema)
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 }) // For loading live promotions
+
+promotionSchema.pre('validate', function(next) {
+  const requireField = (field, message) => {
+    if (this[field] === undefined || this[field] === null) {
+      this.invalidate(field, message)
+    }
+  }
+
+  if (this.type === 'buy_x_get_y') {
+    requireField('buyQuantity', 'Buy X get Y promotions need a buy quantity')
+    requireField('getQuantity', 'Buy X get Y promotions need a free quantity')
+  } else if (this.type === 'free_item') {
+    requireField('minCartValue', 'Free item promotions need a minimum cart value')
+    requireField('freeItem', 'Free item promotions need the item to give away')
+  } else if (this.type === 'bundle') {
+    requireField('bundlePrice', 'Bundles need a bundle price')
+    if (!this.bundleItems || this.bundleItems.length < 2) {
+      this.invalidate('bundleItems', 'A bundle needs at least two items')
+    }
+  } else if (this.type === 'category_sale') {
+    requireField('percentOff', 'Sales need a percentage off')
+  }
+
+  for (const item of [this.freeItem, ...(this.bundleItems || [])].filter(Boolean)) {
+    if (!(item.itemType === 'medicine' ? item.medicine : item.product)) {
+      this.invalidate(this.type === 'bundle' ? 'bundleItems' : 'freeItem', `A ${item.itemType} id is required`)
+    }
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The promotion must end after it starts')
+  }
+  next()
+})
+
+export default mongoose.model('Promotion', promotionSchema)
@@ -0,0 +1,180 @@
+import mongoose from 'mongoose'
+import { nextDocumentNumber } from './Counter.js'
+
+export const purchaseOrderStatuses = [
+  'ordered',
+  'partially_received',
+  'received',
+  'cancelled'
+]
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String,
+    required: true
+  },
+  orderedQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false })
+
+const receiptItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  variantSku: String,
+  batchNumber: String,
+  manufactureDate: Date,
+  expiryDate: Date
+}, { _id: false })
+
+const receiptSchema = new mongoose.Schema({
+  supplierInvoiceNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  supplierInvoiceDate: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  items: [receiptItemSchema],
+  note: String
+})
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: {
+      validator: (items) => Array.isArray(items) && items.length > 0,
+      message: 'A purchase order needs at least one item'
+    }
+  },
+  status: {
+    type: String,
+    enum: purchaseOrderStatuses,
+    default: 'ordered',
+    index: true
+  },
+  expectedDeliveryDate: Date,
+  receipts: {
+    type: [receiptSchema],
+    default: []
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true,
+  collection: 'purchase_orders'
+})
+
+// Generate PO number before saving, e.g. PO/2026-27/000012
+purchaseOrderSchema.pre('save', async function(next) {
+  if (!this.poNumber) {
+    try {
+      this.poNumber = await nextDocumentNumber('purchaseOrder', { session: this.$session() })
+    } catch (error) {
+      return next(error)
+    }
+  }
+  next()
+})
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 })
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 })
+purchaseOrderSchema.index({ 'receipts.supplierInvoiceNumber': 1 })
+
+// Ordered value at agreed unit costs
+purchaseOrderSchema.virtual('orderedValue').get(function() {
+  return this.items.reduce((total, item) => total + item.orderedQuantity * item.unitCost, 0)
+})
+
+// Value of everything received so far
+purchaseOrderSchema.virtual('receivedValue').get(function() {
+  return this.receipts.reduce((total, receipt) => {
+    return total + receipt.items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0)
+  }, 0)
+})
+
+purchaseOrderSchema.virtual('supplierInvoiceNumbers').get(function() {
+  return this.receipts.map((receipt) => receipt.supplierInvoiceNumber)
+})
+
+purchaseOrderSchema.set('toJSON', { virtuals: true })
+purchaseOrderSchema.set('toObject', { virtuals: true })
+
+// Method to get the quantity still to be delivered for a product
+purchaseOrderSchema.methods.getOutstandingQuantity = function(productId) {
+  const item = this.items.find((entry) => entry.product.toString() === productId.toString())
+  return item ? item.orderedQuantity - item.receivedQuantity : 0
+}
+
+// Method to move status forward based on received quantities
+purchaseOrderSchema.methods.refreshReceiptStatus = function() {
+  const fullyReceived = this.items.every((item) => item.receivedQuantity >= item.orderedQuantity)
+  const anyReceived = this.items.some((item) => item.receivedQuantity > 0)
+
+  if (fullyReceived) {
+    this.status = 'received'
+  } else if (anyReceived) {
+    this.status = 'partially_received'
+  }
+
+  return this.status
+}
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema)
@@ -1,14 +1,24 @@
 import mongoose from 'mongoose'
+import { nextDocumentNumber } from './Counter.js'
 
 const returnItemSchema = new mongoose.Schema({
   orderItem: {
     type: mongoose.Schema.Types.ObjectId,
     required: true
   },
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    default: 'product'
+  },
+  // Product holding the item's stock; medicines not linked to a product have none
   product: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Product',
-    required: true
+    ref: 'Product'
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AllMedicine'
   },
   quantity: {
     type: Number,
@@ -130,7 +140,8 @@ const returnSchema = new mongoose.Schema({
   adminNotes: String,
   images: [String], // Images of damaged/defective items
   refundTransactionId: String,
-  refundedAt: Date
+  refundedAt: Date,
+  stockRestoredAt: Date
 }, {
   timestamps: true,
   collection: 'returns'
@@ -139,8 +150,11 @@ const returnSchema = new mongoose.Schema({
 // Generate return number before saving
 returnSchema.pre('save', async function(next) {
   if (!this.returnNumber) {
-    const count = await this.constructor.countDocuments()
-    this.returnNumber = `RET${String(count + 1).padStart(6, '0')}`
+    try {
+      this.returnNumber = await nextDocumentNumber('return', { session: this.$session() })
+    } catch (error) {
+      return next(error)
+    }
   }
   
   // Initialize status history if new
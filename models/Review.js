@@ -0,0 +1,98 @@
+import mongoose from 'mongoose'
+
+export const reviewStatuses = ['pending', 'approved', 'rejected']
+
+const reviewPhotoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String,
+  filename: String
+})
+
+// A customer's rating of a product or medicine; only approved reviews are shown and counted
+const reviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    default: 'product'
+  },
+  // Set for product reviews
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Set for medicine reviews
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AllMedicine'
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  photos: {
+    type: [reviewPhotoSchema],
+    default: []
+  },
+  // The user has a delivered order containing the item
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  verifiedOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  status: {
+    type: String,
+    enum: reviewStatuses,
+    default: 'pending'
+  },
+  moderationNote: {
+    type: String,
+    trim: true
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  moderatedAt: Date
+}, {
+  timestamps: true,
+  collection: 'reviews'
+})
+
+// One review per user per item; the unused reference is null on every review of that type
+reviewSchema.index({ user: 1, itemType: 1, product: 1, medicine: 1 }, { unique: true })
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 }) // For a product's reviews
+reviewSchema.index({ medicine: 1, status: 1, createdAt: -1 }) // For a medicine's reviews
+reviewSchema.index({ status: 1, createdAt: -1 }) // For the moderation queue
+
+reviewSchema.pre('validate', function(next) {
+  const reference = this.itemType === 'medicine' ? this.medicine : this.product
+  if (!reference) {
+    this.invalidate(this.itemType === 'medicine' ? 'medicine' : 'product', 'Reviewed item is required')
+  }
+  next()
+})
+
+export default mongoose.model('Review', reviewSchema)
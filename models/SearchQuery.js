@@ -0,0 +1,38 @@
+import mongoose from 'mongoose'
+
+// Search log entries are kept this long
+const RETENTION_DAYS = 90
+
+// One entry per query sent to /api/search, for popular searches and the zero-result report
+const searchQuerySchema = new mongoose.Schema({
+  // Normalized (lowercase, single-spaced) so variants of the same search group together
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // As typed by the customer
+  rawQuery: {
+    type: String,
+    trim: true
+  },
+  resultCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'search_queries'
+})
+
+searchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 })
+searchQuerySchema.index({ query: 1, createdAt: -1 }) // For popular and trending queries
+searchQuerySchema.index({ resultCount: 1, createdAt: -1 }) // For the zero-result report
+
+export default mongoose.model('SearchQuery', searchQuerySchema)
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose'
+import { tokenizeSearchText } from './searchable.js'
+
+// synonym: all terms mean the same thing, e.g. "bp machine" and "blood pressure monitor"
+// brand_alias: the term also finds its synonyms but not the other way round, e.g. "crocin" finds paracetamol
+export const synonymKinds = ['synonym', 'brand_alias']
+
+const normalize = (value) => tokenizeSearchText(value).join(' ')
+
+const searchSynonymSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  synonyms: {
+    type: [String],
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: synonymKinds,
+    default: 'synonym'
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  collection: 'search_synonyms'
+})
+
+searchSynonymSchema.index({ term: 1 }, { unique: true })
+
+// Stored the way queries are tokenized so lookups are plain comparisons
+searchSynonymSchema.pre('validate', function(next) {
+  this.term = normalize(this.term)
+  this.synonyms = [...new Set((this.synonyms || []).map(normalize).filter((synonym) => synonym && synonym !== this.term))]
+
+  if (!this.term) {
+    this.invalidate('term', 'Term must contain letters or digits')
+  }
+  if (this.synonyms.length === 0) {
+    this.invalidate('synonyms', 'At least one synonym different from the term is required')
+  }
+
+  next()
+})
+
+export default mongoose.model('SearchSynonym', searchSynonymSchema)
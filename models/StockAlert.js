@@ -0,0 +1,51 @@
+import mongoose from 'mongoose'
+
+export const stockAlertStatuses = ['active', 'notified', 'cancelled']
+
+// A customer's request to be told when an out-of-stock item can be bought again
+const stockAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    default: 'product'
+  },
+  // The product whose stock is watched; for medicines, the product holding their stock
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AllMedicine'
+  },
+  status: {
+    type: String,
+    enum: stockAlertStatuses,
+    default: 'active'
+  },
+  notifiedAt: Date,
+  // Channels the back-in-stock message went out on
+  notifiedVia: {
+    type: [String],
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  collection: 'stock_alerts'
+})
+
+// One active alert per user per item
+stockAlertSchema.index(
+  { user: 1, itemType: 1, product: 1, medicine: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+)
+stockAlertSchema.index({ product: 1, status: 1 }) // For alerts to send when a product is restocked
+stockAlertSchema.index({ user: 1, createdAt: -1 })
+
+export default mongoose.model('StockAlert', stockAlertSchema)
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose'
+
+export const stockMovementReasons = [
+  'opening_balance',
+  'sale',
+  'cancellation',
+  'return_restock',
+  'manual_adjustment',
+  'purchase_receipt',
+  'expiry_writeoff'
+]
+
+const movementBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true
+  },
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true
+  }
+}, { _id: false })
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    enum: stockMovementReasons,
+    required: true,
+    index: true
+  },
+  // Signed change: positive adds stock, negative removes it
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (value) => Number.isInteger(value) && value !== 0,
+      message: 'Stock movement quantity must be a non-zero integer'
+    }
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  batches: {
+    type: [movementBatchSchema],
+    default: undefined
+  },
+  // Pack size moved, for products sold in variants
+  variantSku: {
+    type: String
+  },
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Order', 'Return', 'PurchaseOrder', 'Product']
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'reference.kind'
+    },
+    number: String
+  },
+  actor: {
+    kind: {
+      type: String,
+      enum: ['User', 'Admin', 'DeliveryBoy', 'System'],
+      default: 'System'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  // Set when an admin should check the change, e.g. units put back into a batch they may not have come from
+  needsReview: {
+    type: Boolean,
+    default: undefined
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'stock_movements'
+})
+
+stockMovementSchema.index({ product: 1, createdAt: -1 })
+stockMovementSchema.index({ 'reference.kind': 1, 'reference.id': 1 })
+stockMovementSchema.index({ needsReview: 1, createdAt: -1 }, { partialFilterExpression: { needsReview: true } })
+
+// The ledger is append-only: entries can be created but never changed or removed
+const rejectMutation = function(next) {
+  next(new Error('Stock movements are append-only'))
+}
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next)
+  }
+  next()
+})
+
+stockMovementSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectMutation)
+
+stockMovementSchema.pre('deleteOne', { document: true, query: true }, rejectMutation)
+
+export default mongoose.model('StockMovement', stockMovementSchema)
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose'
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  drugLicenseNumber: {
+    type: String,
+    trim: true
+  },
+  address: {
+    address: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    pincode: { type: String, trim: true }
+  },
+  paymentTermsDays: {
+    type: Number,
+    min: 0,
+    default: 30
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'suppliers'
+})
+
+supplierSchema.index({ name: 1 })
+
+export default mongoose.model('Supplier', supplierSchema)
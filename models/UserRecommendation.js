@@ -0,0 +1,43 @@
+import mongoose from 'mongoose'
+
+const regularItemSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    required: true
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Separate orders the item was bought in
+  orders: Number,
+  lastOrderedAt: Date,
+  // Average days between orders, and when the next one would be due at that pace
+  intervalDays: Number,
+  dueAt: Date
+}, { _id: false })
+
+// A customer's repeat purchases, recomputed by the recommendations job
+const userRecommendationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  regulars: {
+    type: [regularItemSchema],
+    default: []
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'user_recommendations'
+})
+
+userRecommendationSchema.index({ computedAt: 1 }) // For removing entries left over from earlier runs
+
+export default mongoose.model('UserRecommendation', userRecommendationSchema)
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose'
+
+// View events are kept this long
+const RETENTION_DAYS = 90
+
+// One product or medicine page view, for "customers also viewed"
+const viewEventSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    default: 'product'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AllMedicine'
+  },
+  // Logged-in viewer
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Guest viewer, from the X-Anonymous-Id header
+  anonymousId: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'view_events'
+})
+
+viewEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 })
+viewEventSchema.index({ user: 1, createdAt: -1 })
+viewEventSchema.index({ anonymousId: 1, createdAt: -1 }, { partialFilterExpression: { anonymousId: { $exists: true } } })
+
+export default mongoose.model('ViewEvent', viewEventSchema)
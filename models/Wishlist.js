@@ -0,0 +1,64 @@
+import mongoose from 'mongoose'
+
+const wishlistItemSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['product', 'medicine'],
+    default: 'product'
+  },
+  // Set for products
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Set for medicines
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AllMedicine'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [wishlistItemSchema]
+}, {
+  timestamps: true,
+  collection: 'wishlists'
+})
+
+const toIdString = (value) => (value?._id ?? value)?.toString()
+
+wishlistSchema.methods.findItem = function({ itemType, id }) {
+  const field = itemType === 'medicine' ? 'medicine' : 'product'
+  return this.items.find((item) => item.itemType === itemType && toIdString(item[field]) === String(id))
+}
+
+// Returns false when the item is already saved
+wishlistSchema.methods.addItem = function({ itemType, id }) {
+  if (this.findItem({ itemType, id })) {
+    return false
+  }
+  this.items.push(itemType === 'medicine' ? { itemType, medicine: id } : { itemType, product: id })
+  return true
+}
+
+// Returns false when the item was not saved
+wishlistSchema.methods.removeItem = function({ itemType, id }) {
+  const item = this.findItem({ itemType, id })
+  if (!item) {
+    return false
+  }
+  this.items.pull(item._id)
+  return true
+}
+
+export default mongoose.model('Wishlist', wishlistSchema)
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose'
+
+export const dosageForms = [
+  'tablet',
+  'capsule',
+  'syrup',
+  'suspension',
+  'drops',
+  'injection',
+  'cream',
+  'ointment',
+  'gel',
+  'lotion',
+  'inhaler',
+  'spray',
+  'powder',
+  'sachet',
+  'solution',
+  'other'
+]
+
+// Drugs and Cosmetics Rules schedules; H, H1 and X need a prescription, X also a pharmacist sign-off
+export const drugSchedules = ['none', 'H', 'H1', 'X']
+export const restrictedDrugSchedules = ['H', 'H1', 'X']
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  strength: {
+    type: Number,
+    min: 0
+  },
+  // e.g. mg, mcg, g, ml, iu, %
+  unit: {
+    type: String,
+    trim: true,
+    lowercase: true
+  }
+}, { _id: false })
+
+// Active ingredients, their strengths and the dosage form, shared by Product and AllMedicine
+export const compositionSchema = new mongoose.Schema({
+  ingredients: {
+    type: [ingredientSchema],
+    default: undefined
+  },
+  dosageForm: {
+    type: String,
+    enum: dosageForms,
+    lowercase: true,
+    trim: true
+  }
+}, { _id: false })
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ')
+
+/**
+ * Build a key that is identical for items with the same composition,
+ * regardless of ingredient order or casing, e.g. "caffeine 30mg+paracetamol 500mg|tablet".
+ * Returns undefined when there are no ingredients to compare.
+ */
+export const buildCompositionKey = (composition) => {
+  const ingredients = composition?.ingredients
+  if (!Array.isArray(ingredients) || ingredients.length === 0) {
+    return undefined
+  }
+
+  const parts = ingredients
+    .filter((ingredient) => ingredient?.name)
+    .map((ingredient) => {
+      const strength = ingredient.strength !== undefined && ingredient.strength !== null
+        ? ` ${Number(ingredient.strength)}${normalize(ingredient.unit)}`
+        : ''
+      return `${normalize(ingredient.name)}${strength}`
+    })
+    .sort()
+
+  if (parts.length === 0) {
+    return undefined
+  }
+
+  return `${parts.join('+')}|${normalize(composition.dosageForm)}`
+}
+
+/**
+ * Add composition, compositionKey, drugSchedule and unitsPerPack to a schema,
+ * keeping the key in sync on save and on findOneAndUpdate
+ */
+export const addCompositionFields = (schema) => {
+  schema.add({
+    composition: {
+      type: compositionSchema,
+      default: undefined
+    },
+    // Derived from composition; substitutes share the same key
+    compositionKey: {
+      type: String,
+      index: true
+    },
+    // Unset falls back to the category (see getDrugSchedule in prescriptionRuleService)
+    drugSchedule: {
+      type: String,
+      enum: drugSchedules
+    },
+    // Tablets, capsules, ml etc. in one pack, used for price-per-unit comparisons
+    unitsPerPack: {
+      type: Number,
+      min: 1,
+      default: 1
+    }
+  })
+
+  schema.pre('save', function(next) {
+    if (this.isModified('composition')) {
+      this.compositionKey = buildCompositionKey(this.composition)
+    }
+    next()
+  })
+
+  schema.pre('findOneAndUpdate', function(next) {
+    const update = this.getUpdate() || {}
+    const composition = update.composition ?? update.$set?.composition
+    if (composition !== undefined) {
+      this.set('compositionKey', buildCompositionKey(composition) ?? null)
+    }
+    next()
+  })
+}
+
+// Price of a single tablet/capsule/ml for comparing pack sizes
+export const getPricePerUnit = (item) => {
+  const units = Number(item?.unitsPerPack) || 1
+  return Math.round((Number(item?.price) || 0) / units * 100) / 100
+}
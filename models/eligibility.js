@@ -0,0 +1,31 @@
+import mongoose from 'mongoose'
+
+/**
+ * Add the items an offer applies to (categories, products and medicines) to a coupon or promotion schema.
+ * With none of them set, the offer applies to every item.
+ */
+export const addEligibilityFields = (schema) => {
+  schema.add({
+    eligibility: {
+      categories: [{ type: String, trim: true }],
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+      medicines: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AllMedicine' }]
+    }
+  })
+}
+
+/**
+ * Whether an offer applies to a cart or order line
+ * @param {Object} eligibility - { categories, products, medicines }
+ * @param {Object} line - { itemType, id, category }
+ */
+export const matchesEligibility = (eligibility, line) => {
+  const { categories = [], products = [], medicines = [] } = eligibility || {}
+  if (!categories.length && !products.length && !medicines.length) {
+    return true
+  }
+
+  const ids = line.itemType === 'medicine' ? medicines : products
+  return ids.some((id) => id.toString() === line.id?.toString()) ||
+    (Boolean(line.category) && categories.some((category) => category.toLowerCase() === line.category.toLowerCase()))
+}
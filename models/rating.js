@@ -0,0 +1,23 @@
+/**
+ * Add rating (average and count of approved reviews) to a listing schema.
+ * Kept up to date by reviewService so listings can show and sort by it without a lookup.
+ */
+export const addRatingFields = (schema) => {
+  schema.add({
+    rating: {
+      average: {
+        type: Number,
+        min: 0,
+        max: 5,
+        default: 0
+      },
+      count: {
+        type: Number,
+        min: 0,
+        default: 0
+      }
+    }
+  })
+
+  schema.index({ 'rating.average': -1, 'rating.count': -1 }) // For sorting by rating
+}
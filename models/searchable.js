@@ -0,0 +1,111 @@
+// Text fields that catalog search matches against
+const SEARCH_SOURCE_FIELDS = ['name', 'brand', 'manufacturer', 'composition']
+// Fields whose changes affect what search lists (e.g. the suggest index)
+const LISTING_FIELDS = [...SEARCH_SOURCE_FIELDS, 'category', 'isActive']
+
+const changeListeners = new Set()
+
+/**
+ * Be told when a searchable document is created, deleted or has a listed field changed
+ * @param {Function} listener - Called with the model name
+ * @returns {Function} Unsubscribe
+ */
+export const onSearchableChange = (listener) => {
+  changeListeners.add(listener)
+  return () => changeListeners.delete(listener)
+}
+
+const notifyChange = (modelName) => {
+  for (const listener of changeListeners) {
+    listener(modelName)
+  }
+}
+
+const touchesFields = (update = {}, fields) => {
+  return fields.some((field) => update[field] !== undefined || update.$set?.[field] !== undefined)
+}
+
+export const normalizeSearchText = (value) => {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+}
+
+// "Paracetamol 500mg Tablets" -> ['paracetamol', '500mg', 'tablets']
+export const tokenizeSearchText = (value) => {
+  return normalizeSearchText(value).split(/[^a-z0-9]+/).filter(Boolean)
+}
+
+/**
+ * Trigrams of every token, padded with a space on each side so word starts and ends count,
+ * e.g. "para" -> [' pa', 'par', 'ara', 'ra ']
+ */
+export const buildTrigrams = (value) => {
+  const grams = new Set()
+  for (const token of tokenizeSearchText(value)) {
+    const padded = ` ${token} `
+    for (let i = 0; i <= padded.length - 3; i++) {
+      grams.add(padded.slice(i, i + 3))
+    }
+  }
+  return [...grams]
+}
+
+export const getSearchableText = (doc) => {
+  return [
+    doc?.name,
+    doc?.brand,
+    doc?.manufacturer,
+    ...(doc?.composition?.ingredients || []).map((ingredient) => ingredient?.name)
+  ].filter(Boolean).join(' ')
+}
+
+/**
+ * Add searchGrams, the trigram index used for typo-tolerant search, to a schema.
+ * Kept in sync on save and on findOneAndUpdate; existing documents are backfilled
+ * by scripts/build-search-index.js.
+ */
+export const addSearchFields = (schema) => {
+  schema.add({
+    searchGrams: {
+      type: [String],
+      select: false,
+      default: undefined
+    }
+  })
+
+  schema.index({ searchGrams: 1 })
+
+  schema.pre('save', function(next) {
+    if (this.isNew || SEARCH_SOURCE_FIELDS.some((field) => this.isModified(field))) {
+      this.searchGrams = buildTrigrams(getSearchableText(this))
+    }
+    this.$locals.listingChanged = this.isNew || LISTING_FIELDS.some((field) => this.isModified(field))
+    next()
+  })
+
+  schema.post('save', function(doc) {
+    if (doc.$locals.listingChanged) {
+      notifyChange(doc.constructor.modelName)
+    }
+  })
+
+  schema.post('findOneAndUpdate', async function() {
+    const update = this.getUpdate() || {}
+    if (touchesFields(update, LISTING_FIELDS)) {
+      notifyChange(this.model.modelName)
+    }
+    if (!touchesFields(update, SEARCH_SOURCE_FIELDS)) {
+      return
+    }
+    const doc = await this.model.findOne(this.getQuery()).lean()
+    if (doc) {
+      await this.model.updateOne({ _id: doc._id }, { $set: { searchGrams: buildTrigrams(getSearchableText(doc)) } })
+    }
+  })
+
+  schema.post(['findOneAndDelete', 'deleteOne', 'insertMany'], function() {
+    notifyChange(this.modelName || this.model?.modelName)
+  })
+}
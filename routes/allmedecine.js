@@ -4,6 +4,11 @@ import { query, validationResult } from 'express-validator'
 import AllMedicine from '../models/AllMedicine.js'
 import { connectDB } from '../src/db.js'
 import { cache } from '../src/middleware/cache.js'
+import { optionalAuth } from '../src/middleware/auth.js'
+import { trackView } from '../src/middleware/viewTracking.js'
+import { getRelatedItems } from '../src/services/recommendationService.js'
+import { findSubstitutes } from '../src/services/substituteService.js'
+import { findWithFacets, parseFacetFilters } from '../src/services/facetService.js'
 
 const router = express.Router()
 
@@ -35,6 +40,12 @@ router.get(
   [
     query('search').optional().isString().trim(),
     query('category').optional().isString().trim(),
+    query('brand').optional().isString().trim(),
+    query('price').optional().isString(),
+    query('discount').optional().isString(),
+    query('dosageForm').optional().isString(),
+    query('rx').optional().isString(),
+    query('inStock').optional().isString(),
     query('page').optional().toInt().isInt({ min: 1 }),
     query('limit').optional().toInt().isInt({ min: 1, max: 100 })
   ],
@@ -53,17 +64,14 @@ router.get(
 
       const {
         search = '',
-        category,
         page = 1,
         limit = 30
       } = req.query
+      // Facet selections; category, brand, etc. may each hold several values
+      const facetFilters = parseFacetFilters(req.query)
 
       const filter = { isActive: { $ne: false } }
 
-      if (category) {
-        filter.category = category
-      }
-
       if (search) {
         filter.$or = [
           { name: { $regex: search, $options: 'i' } },
@@ -75,15 +83,15 @@ router.get(
 
       const skip = (page - 1) * limit
 
-      const [medicines, total] = await Promise.all([
-        AllMedicine.find(filter)
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit)
-          .select('-__v')
-          .lean(),
-        AllMedicine.countDocuments(filter)
-      ])
+      const { items: medicines, total, facets } = await findWithFacets(AllMedicine, {
+        itemType: 'medicine',
+        match: filter,
+        filters: facetFilters,
+        sort: { createdAt: -1 },
+        skip,
+        limit,
+        project: { __v: 0 }
+      })
 
       res.json({
         success: true,
@@ -93,7 +101,8 @@ router.get(
           limit,
           total,
           pages: Math.ceil(total / limit)
-        }
+        },
+        facets
       })
     } catch (error) {
       console.error('Failed to fetch all medicines:', error)
@@ -105,7 +114,103 @@ router.get(
   }
 )
 
-router.get('/:id', cache(300), async (req, res) => {
+router.get(
+  '/:id/substitutes',
+  cache(60),
+  [
+    query('quantity').optional().toInt().isInt({ min: 1 }),
+    query('limit').optional().toInt().isInt({ min: 1, max: 50 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: errors.array()
+        })
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medicine not found'
+        })
+      }
+
+      await ensureDatabaseConnection()
+      const medicine = await AllMedicine.findById(req.params.id)
+        .select('name composition compositionKey productRef')
+        .lean()
+
+      if (!medicine) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medicine not found'
+        })
+      }
+
+      const substitutes = await findSubstitutes(
+        { itemType: 'medicine', id: medicine._id },
+        { quantity: req.query.quantity || 1, limit: req.query.limit || 10 }
+      )
+
+      res.json({
+        success: true,
+        medicine: {
+          _id: medicine._id,
+          name: medicine.name,
+          composition: medicine.composition
+        },
+        substitutes
+      })
+    } catch (error) {
+      console.error('Failed to fetch substitutes:', error)
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch substitutes'
+      })
+    }
+  }
+)
+
+router.get(
+  '/:id/related',
+  [query('limit').optional().isInt({ min: 1, max: 20 }).toInt()],
+  cache(300),
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty() || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      })
+    }
+
+    try {
+      await ensureDatabaseConnection()
+      const related = await getRelatedItems(
+        { itemType: 'medicine', id: req.params.id },
+        { limit: req.query.limit || 8 }
+      )
+
+      res.json({
+        success: true,
+        data: related
+      })
+    } catch (error) {
+      console.error('Failed to fetch related medicines:', error)
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch related medicines'
+      })
+    }
+  }
+)
+
+router.get('/:id', optionalAuth, trackView('medicine', (body) => body.medicine), cache(300), async (req, res) => {
   try {
     await ensureDatabaseConnection()
     const medicine = await AllMedicine.findById(req.params.id)
@@ -7,6 +7,7 @@ import { verifyAdminToken } from '../middleware/adminAuth.js'
 import Claim from '../models/Claim.js'
 import Order from '../models/Order.js'
 import { storeClaimImage } from '../src/utils/claimStorage.js'
+import { getLineRefs, toCatalogRef } from '../src/services/catalogService.js'
 
 const router = express.Router()
 
@@ -241,17 +242,8 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
             const oiId = safeToString(oi._id) || ''
             const oiOrderItemId = safeToString(oi.orderItemId) || ''
             
-            // Try to match by product ID if available
-            let oiProductId = null
-            if (oi.product) {
-              if (typeof oi.product === 'object' && oi.product._id) {
-                oiProductId = safeToString(oi.product._id)
-              } else if (typeof oi.product === 'string') {
-                oiProductId = oi.product
-              } else {
-                oiProductId = safeToString(oi.product)
-              }
-            }
+            // Try to match by product or medicine ID if available
+            const oiProductId = safeToString(toCatalogRef(oi).id)
             
             if ((oiId && oiId === itemOrderItemId) || 
                 (oiOrderItemId && oiOrderItemId === itemOrderItemId) || 
@@ -282,29 +274,9 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
           })
         }
 
-        // Safely extract product/medicine IDs
-        let productId = null
-        if (orderItem.product) {
-          if (typeof orderItem.product === 'object' && orderItem.product._id) {
-            productId = orderItem.product._id
-          } else if (typeof orderItem.product === 'string') {
-            productId = orderItem.product
-          }
-        }
-
-        let medicineId = null
-        if (orderItem.medicine) {
-          if (typeof orderItem.medicine === 'object' && orderItem.medicine._id) {
-            medicineId = orderItem.medicine._id
-          } else if (typeof orderItem.medicine === 'string') {
-            medicineId = orderItem.medicine
-          }
-        }
-
         claimItems.push({
           orderItemId: orderItemId,
-          product: productId,
-          medicine: medicineId,
+          ...getLineRefs(orderItem),
           name: orderItem.name || 'Unknown Item',
           quantity: Number(item.quantity) || Number(orderItem.quantity) || 1,
           price: Number(orderItem.price) || 0
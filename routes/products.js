@@ -5,12 +5,22 @@ import Product from '../models/Product.js'
 import { auth, adminAuth } from '../middleware/auth.js'
 import { connectDB } from '../src/db.js'
 import { cache, clearCache } from '../src/middleware/cache.js'
+import { findWithFacets, parseFacetFilters } from '../src/services/facetService.js'
+import { expandSearchTerm } from '../src/services/synonymService.js'
+import { escapeRegex } from '../src/utils/escapeRegex.js'
+import { optionalAuth } from '../src/middleware/auth.js'
+import { trackView } from '../src/middleware/viewTracking.js'
+import { getRelatedItems } from '../src/services/recommendationService.js'
 
 const router = express.Router()
 
+// Batch purchase costs are internal; customers only see batch numbers and expiry dates
+const PUBLIC_PRODUCT_PROJECTION = '-__v -batches.purchaseCost'
+
 /**
  * Controller: getAllProducts
- * Fetches all products from MongoDB with optional filtering and pagination
+ * Fetches all products from MongoDB with optional filtering and pagination,
+ * along with facet counts for the filter sidebar (see facetService)
  * Route: GET /api/products
  */
 const getAllProducts = async (req, res) => {
@@ -27,19 +37,13 @@ const getAllProducts = async (req, res) => {
     const page = parseInt(req.query.page) || 1
     const limit = parseInt(req.query.limit) || 20
     const skip = (page - 1) * limit
-    const { category, search, sort, brand } = req.query
+    const { search, sort } = req.query
+    // category, brand, price, discount, dosageForm, rx and inStock; each may hold several values
+    const facetFilters = parseFacetFilters(req.query)
 
     // Build filter - only show active products
     const filter = { isActive: true }
     
-    if (category) {
-      filter.category = category
-    }
-    
-    if (brand) {
-      filter.brand = { $regex: brand, $options: 'i' }
-    }
-    
     if (search) {
       // Use regex for search instead of text index (more reliable)
       filter.$or = [
@@ -64,8 +68,7 @@ const getAllProducts = async (req, res) => {
           sortBy = { price: -1 }
           break
         case 'rating':
-          // Rating field doesn't exist in Product model, fallback to createdAt
-          sortBy = { createdAt: -1 }
+          sortBy = { 'rating.average': -1, 'rating.count': -1 }
           break
         case 'created':
           sortBy = { createdAt: -1 }
@@ -115,15 +118,32 @@ const getAllProducts = async (req, res) => {
       }
     }
 
-    // Fetch products from MongoDB
-    const products = await Product.find(filter)
-      .sort(sortBy)
-      .skip(skip)
-      .limit(limit)
-      .select('-__v')
-      .lean() // Use lean() for better performance on Vercel
+    // Also match synonyms and brand aliases of the search, e.g. "bp machine" -> "blood pressure monitor".
+    // Aliases usually name a generic, so ingredients are matched too.
+    if (search) {
+      const { alternatives } = await expandSearchTerm(search)
+      for (const alternative of alternatives) {
+        const pattern = escapeRegex(alternative)
+        filter.$or.push(
+          { name: { $regex: pattern, $options: 'i' } },
+          { brand: { $regex: pattern, $options: 'i' } },
+          { description: { $regex: pattern, $options: 'i' } },
+          { category: { $regex: pattern, $options: 'i' } },
+          { 'composition.ingredients.name': { $regex: pattern, $options: 'i' } }
+        )
+      }
+    }
 
-    const total = await Product.countDocuments(filter)
+    // Fetch products from MongoDB
+    const { items: products, total, facets } = await findWithFacets(Product, {
+      itemType: 'product',
+      match: filter,
+      filters: facetFilters,
+      sort: sortBy,
+      skip,
+      limit,
+      project: { __v: 0, 'batches.purchaseCost': 0 }
+    })
 
     // Log successful response (only in development)
     if (process.env.NODE_ENV === 'development') {
@@ -138,7 +158,8 @@ const getAllProducts = async (req, res) => {
         limit,
         total,
         pages: Math.ceil(total / limit)
-      }
+      },
+      facets
     })
   } catch (error) {
     console.error('Get products error:', error)
@@ -169,12 +190,17 @@ router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('category').optional().isString(),
   query('brand').optional().isString(),
+  query('price').optional().isString(),
+  query('discount').optional().isString(),
+  query('dosageForm').optional().isString(),
+  query('rx').optional().isString(),
+  query('inStock').optional().isString(),
   query('search').optional().isString(),
   query('sort').optional().isIn(['name', 'price_asc', 'price_desc', 'rating', 'created'])
 ], cache(60), getAllProducts)
 
 // Get single product - Cache for 5 minutes
-router.get('/:id', cache(300), async (req, res) => {
+router.get('/:id', optionalAuth, trackView('product', (body) => body), cache(300), async (req, res) => {
   try {
     const { id } = req.params
     let product = null
@@ -185,14 +211,14 @@ router.get('/:id', cache(300), async (req, res) => {
     if (isValidObjectId) {
       // Try to find by ObjectId first
       product = await Product.findById(id)
-        .select('-__v')
+        .select(PUBLIC_PRODUCT_PROJECTION)
         .lean()
     }
     
     // If not found by ObjectId or not a valid ObjectId, try to find by SKU
     if (!product) {
       product = await Product.findOne({ sku: id.toUpperCase() })
-        .select('-__v')
+        .select(PUBLIC_PRODUCT_PROJECTION)
         .lean()
     }
     
@@ -207,7 +233,7 @@ router.get('/:id', cache(300), async (req, res) => {
         ],
         isActive: true
       })
-        .select('-__v')
+        .select(PUBLIC_PRODUCT_PROJECTION)
         .lean()
     }
     
@@ -222,6 +248,42 @@ router.get('/:id', cache(300), async (req, res) => {
   }
 })
 
+/**
+ * GET /products/:id/related
+ * Frequently bought together and customers-also-viewed items, from the last recommendations run
+ * Status codes: 200 (success), 400 (validation error), 500 (error)
+ */
+router.get('/:id/related', [
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+], cache(300), async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty() || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    })
+  }
+
+  try {
+    const related = await getRelatedItems(
+      { itemType: 'product', id: req.params.id },
+      { limit: req.query.limit || 8 }
+    )
+
+    res.json({
+      success: true,
+      data: related
+    })
+  } catch (error) {
+    console.error('Get related products error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch related products'
+    })
+  }
+})
+
 // Create product (Admin only)
 router.post('/', adminAuth, [
   body('name').notEmpty().withMessage('Product name is required'),
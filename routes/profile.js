@@ -4,6 +4,8 @@ import multer from 'multer'
 import User from '../models/User.js'
 import { auth } from '../middleware/auth.js'
 import { storeAvatarFile } from '../src/utils/avatarStorage.js'
+import { getUserRecommendations } from '../src/services/recommendationService.js'
+import { clearHistory, getRecentlyViewed, HISTORY_LIMIT } from '../src/services/browsingHistoryService.js'
 
 const router = express.Router()
 
@@ -194,6 +196,75 @@ router.get('/stats', auth, async (req, res) => {
   }
 })
 
+/**
+ * GET /profile/recently-viewed
+ * Products and medicines the user viewed, most recent first
+ * Status codes: 200 (success), 401 (not logged in), 500 (error)
+ */
+router.get('/recently-viewed', auth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), HISTORY_LIMIT)
+    const items = await getRecentlyViewed(req.user._id, { limit })
+
+    res.json({
+      success: true,
+      data: items
+    })
+  } catch (error) {
+    console.error('Get recently viewed error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recently viewed items'
+    })
+  }
+})
+
+/**
+ * DELETE /profile/recently-viewed
+ * Clear the user's browsing history
+ * Status codes: 200 (success), 401 (not logged in), 500 (error)
+ */
+router.delete('/recently-viewed', auth, async (req, res) => {
+  try {
+    await clearHistory(req.user._id)
+
+    res.json({
+      success: true,
+      message: 'Browsing history cleared',
+      data: []
+    })
+  } catch (error) {
+    console.error('Clear recently viewed error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear browsing history'
+    })
+  }
+})
+
+/**
+ * GET /profile/recommendations
+ * Regulars due for reordering, plus items that go with recent orders and views
+ * Status codes: 200 (success), 401 (not logged in), 500 (error)
+ */
+router.get('/recommendations', auth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 30)
+    const recommendations = await getUserRecommendations(req.user._id, { limit })
+
+    res.json({
+      success: true,
+      data: recommendations
+    })
+  } catch (error) {
+    console.error('Get recommendations error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recommendations'
+    })
+  }
+})
+
 export default router
 
 
@@ -2,9 +2,10 @@ import express from 'express'
 import { body, validationResult } from 'express-validator'
 import Return from '../models/Return.js'
 import Order from '../models/Order.js'
-import Product from '../models/Product.js'
 import { auth } from '../middleware/auth.js'
 import { verifyAdminToken } from '../middleware/adminAuth.js'
+import { restockLine } from '../src/services/inventoryService.js'
+import { getCatalogImage, getLineRefs, loadCatalogItem, toCatalogRef } from '../src/services/catalogService.js'
 
 const router = express.Router()
 
@@ -121,8 +122,8 @@ router.post('/', auth, [
         })
       }
 
-      const product = await Product.findById(orderItem.product)
-      if (!product) {
+      const catalogItem = await loadCatalogItem(toCatalogRef(orderItem))
+      if (!catalogItem) {
         return res.status(400).json({
           success: false,
           message: `Product ${orderItem.name} not found`
@@ -131,14 +132,16 @@ router.post('/', auth, [
 
       returnItems.push({
         orderItem: orderItem._id || orderItem.orderItemId || orderItem.product,
-        product: orderItem.product,
+        ...getLineRefs(orderItem),
         quantity: returnItem.quantity,
         price: orderItem.price,
         name: orderItem.name,
-        image: orderItem.image || product.images?.[0] || ''
+        image: orderItem.image || getCatalogImage(catalogItem)
       })
 
-      totalRefund += orderItem.price * returnItem.quantity
+      // Refund what was paid: the price less this line's share of any discount
+      const lineDiscount = orderItem.discount ? orderItem.discount * returnItem.quantity / orderItem.quantity : 0
+      totalRefund += Math.round((orderItem.price * returnItem.quantity - lineDiscount) * 100) / 100
     }
 
     if (returnItems.length === 0) {
@@ -374,15 +377,34 @@ router.put('/admin/:id/status', verifyAdminToken, [
 
     if (status === 'refund_processed' || status === 'completed') {
       returnRequest.refundedAt = new Date()
-      
-      // Restore product stock
+    }
+
+    // Restore product stock once, whichever of these statuses is reached first
+    if ((status === 'refund_processed' || status === 'completed') && !returnRequest.stockRestoredAt) {
+      const orderItems = returnRequest.order?.items || []
+
       for (const item of returnRequest.items) {
-        const product = await Product.findById(item.product)
-        if (product) {
-          product.stock += item.quantity
-          await product.save()
-        }
+        // Medicines not linked to a product had no stock taken when sold
+        const productId = item.product?._id || item.product
+        if (!productId) continue
+
+        const orderItem = orderItems.find((candidate) =>
+          String(candidate.orderItemId) === String(item.orderItem) ||
+          String(candidate.product?._id || candidate.product) === String(productId)
+        ) || {}
+
+        await restockLine(productId, {
+          quantity: item.quantity,
+          variant: orderItem.variant,
+          batches: orderItem.batches
+        }, {
+          reason: 'return_restock',
+          reference: { kind: 'Return', id: returnRequest._id, number: returnRequest.returnNumber },
+          actor: { kind: 'Admin', id: req.admin?._id }
+        })
       }
+
+      returnRequest.stockRestoredAt = new Date()
     }
 
     if (req.body.adminNotes) {
@@ -0,0 +1,342 @@
+import express from 'express'
+import multer from 'multer'
+import { body, query, validationResult } from 'express-validator'
+import { auth } from '../middleware/auth.js'
+import Review from '../models/Review.js'
+import { storeReviewPhoto, removeReviewPhoto } from '../src/utils/reviewStorage.js'
+import { catalogItemTypes, loadCatalogItem } from '../src/services/catalogService.js'
+import {
+  findDeliveredPurchase,
+  getRatingSummary,
+  getReviewItem,
+  refreshItemRating,
+  toReviewTarget
+} from '../src/services/reviewService.js'
+
+const router = express.Router()
+
+const MAX_PHOTOS = 5
+
+// Configure multer for review photo uploads
+const storage = multer.memoryStorage()
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB per file
+    files: MAX_PHOTOS
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp']
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG, JPG, and WEBP images are allowed.'))
+    }
+  }
+})
+
+const reviewSortOptions = {
+  recent: { createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 }
+}
+
+const storePhotos = async (files = []) => {
+  const photos = []
+  for (const file of files) {
+    try {
+      const photo = await storeReviewPhoto(file)
+      photos.push({ url: photo.url, publicId: photo.publicId || null, filename: photo.filename })
+    } catch (photoError) {
+      console.error('Failed to store review photo:', photoError)
+      // Continue with other photos even if one fails
+    }
+  }
+  return photos
+}
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    })
+    return true
+  }
+  return false
+}
+
+/**
+ * GET /reviews
+ * Approved reviews of a product or medicine, with its rating summary
+ * Status codes: 200 (success), 400 (validation error), 500 (error)
+ */
+router.get('/', [
+  query('itemType').optional().isIn(catalogItemTypes).withMessage('Item type must be product or medicine'),
+  query('itemId').isMongoId().withMessage('Valid item ID is required'),
+  query('rating').optional().isInt({ min: 1, max: 5 }).toInt(),
+  query('verified').optional().isBoolean(),
+  query('sort').optional().isIn(Object.keys(reviewSortOptions)),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return
+
+  try {
+    const item = { itemType: req.query.itemType || 'product', id: req.query.itemId }
+    const page = req.query.page || 1
+    const limit = req.query.limit || 10
+
+    const filter = { ...toReviewTarget(item), status: 'approved' }
+    if (req.query.rating) {
+      filter.rating = req.query.rating
+    }
+    if (req.query.verified !== undefined) {
+      filter.verifiedPurchase = req.query.verified === 'true'
+    }
+
+    const [reviews, total, summary] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name avatar')
+        .sort(reviewSortOptions[req.query.sort] || reviewSortOptions.recent)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v -moderationNote -moderatedBy -verifiedOrder')
+        .lean(),
+      Review.countDocuments(filter),
+      getRatingSummary(item)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        reviews,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get reviews error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews'
+    })
+  }
+})
+
+/**
+ * GET /reviews/mine
+ * The current user's reviews in any status
+ * Status codes: 200 (success), 401 (not logged in), 500 (error)
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const reviews = await Review.find({ user: req.user._id })
+      .populate('product', 'name images')
+      .populate('medicine', 'name image images')
+      .sort({ createdAt: -1 })
+      .select('-__v -moderatedBy -verifiedOrder')
+      .lean()
+
+    res.json({
+      success: true,
+      data: reviews
+    })
+  } catch (error) {
+    console.error('Get my reviews error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews'
+    })
+  }
+})
+
+/**
+ * POST /reviews
+ * Review a product or medicine (multipart, up to 5 photos in `photos`).
+ * Reviews are published once approved by an admin.
+ * Status codes: 201 (success), 400 (validation error or already reviewed), 401 (not logged in), 404 (item not found), 500 (error)
+ */
+router.post('/', auth, upload.array('photos', MAX_PHOTOS), [
+  body('itemType').optional().isIn(catalogItemTypes).withMessage('Item type must be product or medicine'),
+  body('itemId').isMongoId().withMessage('Valid item ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt(),
+  body('title').optional().isString().trim().isLength({ max: 120 }).withMessage('Title must be at most 120 characters'),
+  body('text').optional().isString().trim().isLength({ max: 2000 }).withMessage('Review must be at most 2000 characters')
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return
+
+  try {
+    const item = await loadCatalogItem({ itemType: req.body.itemType || 'product', id: req.body.itemId })
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    const target = toReviewTarget(item)
+    if (await Review.exists({ user: req.user._id, ...target })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this item',
+        code: 'ALREADY_REVIEWED'
+      })
+    }
+
+    const purchase = await findDeliveredPurchase(req.user._id, item)
+    const review = await Review.create({
+      user: req.user._id,
+      ...target,
+      rating: req.body.rating,
+      title: req.body.title,
+      text: req.body.text,
+      photos: await storePhotos(req.files),
+      verifiedPurchase: Boolean(purchase),
+      verifiedOrder: purchase?._id
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted and awaiting approval',
+      data: review
+    })
+  } catch (error) {
+    console.error('Create review error:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this item',
+        code: 'ALREADY_REVIEWED'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit review'
+    })
+  }
+})
+
+/**
+ * PUT /reviews/:id
+ * Edit your review; new photos are added and `removePhotos` (photo IDs) are deleted.
+ * An edited review goes back for approval.
+ * Status codes: 200 (success), 400 (validation error), 401 (not logged in), 404 (not found), 500 (error)
+ */
+router.put('/:id', auth, upload.array('photos', MAX_PHOTOS), [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt(),
+  body('title').optional().isString().trim().isLength({ max: 120 }).withMessage('Title must be at most 120 characters'),
+  body('text').optional().isString().trim().isLength({ max: 2000 }).withMessage('Review must be at most 2000 characters'),
+  body('removePhotos').optional()
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return
+
+  try {
+    const review = await Review.findOne({ _id: req.params.id, user: req.user._id })
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      })
+    }
+
+    // Sent as a JSON string or repeated field when using FormData
+    let removePhotos = req.body.removePhotos || []
+    if (typeof removePhotos === 'string') {
+      try {
+        removePhotos = JSON.parse(removePhotos)
+      } catch (parseError) {
+        removePhotos = [removePhotos]
+      }
+    }
+    removePhotos = [].concat(removePhotos).map(String)
+
+    const removed = review.photos.filter((photo) => removePhotos.includes(photo._id.toString()))
+    const kept = review.photos.filter((photo) => !removePhotos.includes(photo._id.toString()))
+    if (kept.length + (req.files?.length || 0) > MAX_PHOTOS) {
+      return res.status(400).json({
+        success: false,
+        message: `A review can have at most ${MAX_PHOTOS} photos`
+      })
+    }
+
+    const wasApproved = review.status === 'approved'
+    for (const field of ['rating', 'title', 'text']) {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field]
+      }
+    }
+    review.photos = [...kept, ...await storePhotos(req.files)]
+    review.status = 'pending'
+
+    // The order may have been delivered since the review was written
+    if (!review.verifiedPurchase) {
+      const purchase = await findDeliveredPurchase(req.user._id, getReviewItem(review))
+      review.verifiedPurchase = Boolean(purchase)
+      review.verifiedOrder = purchase?._id
+    }
+
+    await review.save()
+    await Promise.all(removed.map(removeReviewPhoto))
+
+    if (wasApproved) {
+      await refreshItemRating(getReviewItem(review))
+    }
+
+    res.json({
+      success: true,
+      message: 'Review updated and awaiting approval',
+      data: review
+    })
+  } catch (error) {
+    console.error('Update review error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update review'
+    })
+  }
+})
+
+/**
+ * DELETE /reviews/:id
+ * Delete your review
+ * Status codes: 200 (success), 401 (not logged in), 404 (not found), 500 (error)
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const review = await Review.findOneAndDelete({ _id: req.params.id, user: req.user._id })
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      })
+    }
+
+    await Promise.all(review.photos.map(removeReviewPhoto))
+    if (review.status === 'approved') {
+      await refreshItemRating(getReviewItem(review))
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete review error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete review'
+    })
+  }
+})
+
+export default router
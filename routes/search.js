@@ -1,26 +1,95 @@
 import express from 'express'
 import { query, validationResult } from 'express-validator'
+import { optionalAuth } from '../src/middleware/auth.js'
 import { searchCombined } from '../src/controllers/searchController.js'
+import { getSuggestions, getSearchHighlights, suggestionTypes } from '../src/services/suggestService.js'
 
 const router = express.Router()
 
-router.get('/', [
-  // Accept either 'search' or 'q'
-  query('search').optional().isString().trim(),
-  query('q').optional().isString().trim(),
-  query('limit').optional().isInt({ min: 1, max: 50 })
-], async (req, res) => {
+const sendValidationErrors = (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
-    return res.status(400).json({
+    res.status(400).json({
       success: false,
       message: 'Invalid query parameters',
       errors: errors.array()
     })
+    return true
   }
+  return false
+}
+
+router.get('/', optionalAuth, [
+  // Accept either 'search' or 'q'
+  query('search').optional().isString().trim(),
+  query('q').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return
 
   return searchCombined(req, res)
 })
 
-export default router
+/**
+ * GET /search/suggest
+ * Completions for a partly typed search across names, brands, categories, ingredients and popular searches.
+ * Without q, returns popular and trending searches to show in an empty search box.
+ * Status codes: 200 (success), 400 (validation error), 500 (error)
+ */
+router.get('/suggest', [
+  query('q').optional().isString().trim().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
+  query('types').optional().isString()
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return
+
+  try {
+    const prefix = req.query.q || ''
+    const types = req.query.types
+      ? req.query.types.split(',').map((type) => type.trim()).filter((type) => suggestionTypes.includes(type))
+      : undefined
+
+    if (!prefix) {
+      const { popular, trending } = await getSearchHighlights()
+      return res.json({
+        success: true,
+        data: { query: '', suggestions: [], popular, trending }
+      })
+    }
 
+    const suggestions = await getSuggestions(prefix, { limit: req.query.limit || 8, types })
+
+    res.json({
+      success: true,
+      data: { query: prefix, suggestions }
+    })
+  } catch (error) {
+    console.error('Search suggest error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suggestions'
+    })
+  }
+})
+
+/**
+ * GET /search/popular
+ * Popular searches over the last month and searches trending today
+ * Status codes: 200 (success), 500 (error)
+ */
+router.get('/popular', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSearchHighlights()
+    })
+  } catch (error) {
+    console.error('Popular searches error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch popular searches'
+    })
+  }
+})
+
+export default router
@@ -1,6 +1,6 @@
 /**
  * Add Wellness Packages Script
- * Adds the three wellness packages shown in the UI
+ * Adds the three wellness packages shown in the UI, and a bundle price for buying all three
  * Usage: node scripts/add-wellness-packages.js
  */
 
@@ -8,6 +8,7 @@ import mongoose from 'mongoose'
 import { connectDB, disconnectDB } from '../src/db.js'
 import dotenv from 'dotenv'
 import Product from '../models/Product.js'
+import Promotion from '../models/Promotion.js'
 
 dotenv.config()
 
@@ -50,6 +51,34 @@ const wellnessPackages = [
   }
 ]
 
+// Bought together, the three packs cost less than separately (₹5,797)
+const wellnessBundle = {
+  name: 'Complete Wellness Bundle',
+  description: 'Immunity Booster Pack, Diabetes Care Package and Senior Wellness Kit together',
+  type: 'bundle',
+  bundlePrice: 4999
+}
+
+const addWellnessBundle = async () => {
+  const packs = await Product.find({ sku: { $in: wellnessPackages.map((pkg) => pkg.sku) } }).select('name sku')
+  if (packs.length !== wellnessPackages.length) {
+    console.log('   ⚠️  Skipped bundle: not all wellness packages exist')
+    return
+  }
+
+  const promotion = await Promotion.findOne({ name: wellnessBundle.name, type: 'bundle' }) ||
+    new Promotion(wellnessBundle)
+  promotion.set({
+    ...wellnessBundle,
+    bundleItems: wellnessPackages.map((pkg) => {
+      const pack = packs.find((product) => product.sku === pkg.sku)
+      return { itemType: 'product', product: pack._id, quantity: 1, name: pack.name }
+    })
+  })
+  await promotion.save()
+  console.log(`   ✅ Bundle: ${wellnessBundle.name} - ₹${wellnessBundle.bundlePrice}`)
+}
+
 const addWellnessPackages = async () => {
   try {
     console.log('\n📦 Adding Wellness Packages to Database\n')
@@ -94,6 +123,8 @@ const addWellnessPackages = async () => {
       }
     }
 
+    await addWellnessBundle()
+
     console.log('\n' + '='.repeat(50))
     console.log('📊 Summary:')
     console.log(`   ✅ Added: ${added} products`)
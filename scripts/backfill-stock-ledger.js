@@ -0,0 +1,60 @@
+/**
+ * Backfill opening balances in the stock movement ledger
+ * Products created before the ledger existed get one opening_balance entry
+ * equal to their current stock, so later reconciliation starts from zero difference.
+ *
+ * Run with: node scripts/backfill-stock-ledger.js
+ */
+
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Product from '../models/Product.js'
+import StockMovement from '../models/StockMovement.js'
+import { recordStockMovement } from '../src/services/inventoryService.js'
+
+dotenv.config()
+
+const mongoUrl = process.env.MONGO_URL || process.env.MONGODB_URI || 'mongodb://localhost:27017/medical-shop'
+
+async function backfillStockLedger() {
+  try {
+    console.log('🔄 Connecting to MongoDB...')
+    await mongoose.connect(mongoUrl)
+    console.log('✅ Connected to MongoDB')
+
+    const productIdsWithLedger = new Set(
+      (await StockMovement.distinct('product')).map((id) => id.toString())
+    )
+
+    let created = 0
+    let skipped = 0
+
+    const cursor = Product.find({ stock: { $gt: 0 } }).cursor()
+    for await (const product of cursor) {
+      if (productIdsWithLedger.has(product._id.toString())) {
+        skipped++
+        continue
+      }
+
+      await recordStockMovement(product, {
+        reason: 'opening_balance',
+        quantity: product.stock,
+        batches: product.batches,
+        reference: { kind: 'Product', id: product._id, number: product.sku },
+        note: 'Opening balance backfilled from existing stock'
+      })
+      created++
+      console.log(`   ✅ ${product.sku}: opening balance ${product.stock}`)
+    }
+
+    console.log(`\n📊 Opening balances created: ${created}, products already in ledger: ${skipped}`)
+
+    await mongoose.disconnect()
+    console.log('✅ Disconnected from MongoDB')
+  } catch (error) {
+    console.error('❌ Error:', error.message)
+    process.exit(1)
+  }
+}
+
+backfillStockLedger()
@@ -0,0 +1,83 @@
+/**
+ * Build the search index for existing catalog documents
+ * Fills searchGrams on products and medicines saved before typo-tolerant search existed,
+ * and recomputes Product.salesCount from past orders so popular items rank first.
+ * New and edited documents keep their index up to date on save.
+ *
+ * Run with: node scripts/build-search-index.js
+ */
+
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Product from '../models/Product.js'
+import AllMedicine from '../models/AllMedicine.js'
+import Order from '../models/Order.js'
+import { buildTrigrams, getSearchableText } from '../models/searchable.js'
+
+dotenv.config()
+
+const mongoUrl = process.env.MONGO_URL || process.env.MONGODB_URI || 'mongodb://localhost:27017/medical-shop'
+const BATCH_SIZE = 500
+
+const indexCollection = async (Model, label) => {
+  let updated = 0
+  let operations = []
+
+  const flush = async () => {
+    if (operations.length) {
+      await Model.bulkWrite(operations, { ordered: false })
+      updated += operations.length
+      operations = []
+    }
+  }
+
+  const cursor = Model.find({}).select('name brand manufacturer composition').lean().cursor()
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { searchGrams: buildTrigrams(getSearchableText(doc)) } }
+      }
+    })
+    if (operations.length >= BATCH_SIZE) {
+      await flush()
+    }
+  }
+  await flush()
+
+  console.log(`   ✅ ${label}: ${updated} indexed`)
+}
+
+async function buildSearchIndex() {
+  try {
+    console.log('🔄 Connecting to MongoDB...')
+    await mongoose.connect(mongoUrl)
+    console.log('✅ Connected to MongoDB')
+
+    await indexCollection(Product, 'Products')
+    await indexCollection(AllMedicine, 'Medicines')
+
+    const sales = await Order.aggregate([
+      { $match: { status: { $ne: 'cancelled' } } },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $ne: null } } },
+      { $group: { _id: '$items.product', units: { $sum: '$items.quantity' } } }
+    ])
+
+    await Product.updateMany({}, { $set: { salesCount: 0 } })
+    if (sales.length) {
+      await Product.bulkWrite(sales.map(({ _id, units }) => ({
+        updateOne: { filter: { _id }, update: { $set: { salesCount: units } } }
+      })), { ordered: false })
+    }
+    console.log(`   ✅ Sales counts: ${sales.length} products with orders`)
+
+    await mongoose.disconnect()
+    console.log('✅ Disconnected from MongoDB')
+  } catch (error) {
+    console.error('❌ Error:', error.message)
+    process.exit(1)
+  }
+}
+
+buildSearchIndex()
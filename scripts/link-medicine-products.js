@@ -0,0 +1,140 @@
+/**
+ * Link medicines to the products that hold their stock
+ * Sets AllMedicine.productRef for every medicine that has none, matching a product
+ * by SKU (the medicine slug) or by exact name. Checkout, cancellations and returns
+ * then take and put back stock on the linked product.
+ *
+ * With --create-missing, a product is created for medicines without a match,
+ * starting at zero stock until stock is received for it.
+ * With --dry-run, nothing is written.
+ *
+ * Run with: node scripts/link-medicine-products.js [--dry-run] [--create-missing]
+ */
+
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Product from '../models/Product.js'
+import AllMedicine from '../models/AllMedicine.js'
+import { escapeRegex } from '../src/utils/escapeRegex.js'
+import { parseCatalogPrice } from '../src/services/catalogService.js'
+import { getDrugSchedule, isRestrictedSchedule } from '../src/services/prescriptionRuleService.js'
+
+dotenv.config()
+
+const mongoUrl = process.env.MONGO_URL || process.env.MONGODB_URI || 'mongodb://localhost:27017/medical-shop'
+const dryRun = process.argv.includes('--dry-run')
+const createMissing = process.argv.includes('--create-missing')
+
+const productCategories = Product.schema.path('category').enumValues
+
+const toSku = (medicine) => {
+  const base = String(medicine.slug || medicine.name || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+  return `MED-${base || medicine._id.toString().slice(-8).toUpperCase()}`
+}
+
+const findMatchingProducts = async (medicine) => {
+  const conditions = [{ name: new RegExp(`^${escapeRegex(medicine.name.trim())}$`, 'i') }]
+  if (medicine.slug) {
+    conditions.push({ sku: medicine.slug.toUpperCase() })
+  }
+  return Product.find({ $or: conditions }).select('_id sku name').lean()
+}
+
+const buildProduct = async (medicine) => {
+  const drugSchedule = getDrugSchedule(medicine)
+  const category = productCategories.includes(medicine.category)
+    ? medicine.category
+    : (isRestrictedSchedule(drugSchedule) ? 'Prescription Medicines' : 'OTC Medicines')
+  const price = parseCatalogPrice(medicine)
+
+  let sku = toSku(medicine)
+  if (await Product.exists({ sku })) {
+    sku = `${sku}-${medicine._id.toString().slice(-6).toUpperCase()}`
+  }
+
+  return new Product({
+    name: medicine.name,
+    brand: medicine.brand || medicine.manufacturer || 'Generic',
+    sku,
+    price,
+    mrp: medicine.mrp ?? price,
+    stock: 0,
+    description: medicine.description || medicine.name,
+    images: [...(medicine.images || []), medicine.image].filter(Boolean).slice(0, 5),
+    category,
+    composition: medicine.composition,
+    drugSchedule: medicine.drugSchedule,
+    unitsPerPack: medicine.unitsPerPack,
+    isActive: medicine.isActive !== false
+  })
+}
+
+async function linkMedicineProducts() {
+  try {
+    console.log('🔄 Connecting to MongoDB...')
+    await mongoose.connect(mongoUrl)
+    console.log('✅ Connected to MongoDB')
+    if (dryRun) {
+      console.log('ℹ️  Dry run: nothing will be written')
+    }
+
+    const counts = { linked: 0, created: 0, ambiguous: 0, unmatched: 0 }
+
+    const cursor = AllMedicine.find({ productRef: null }).lean().cursor()
+    for await (const medicine of cursor) {
+      if (!medicine.name) {
+        counts.unmatched++
+        continue
+      }
+
+      const matches = await findMatchingProducts(medicine)
+
+      if (matches.length > 1) {
+        counts.ambiguous++
+        console.log(`   ⚠️  ${medicine.name}: matches ${matches.map((product) => product.sku).join(', ')}; link it by hand`)
+        continue
+      }
+
+      let productId = matches[0]?._id
+
+      if (!productId && createMissing) {
+        const product = await buildProduct(medicine)
+        if (!dryRun) {
+          await product.save()
+        }
+        productId = product._id
+        counts.created++
+        console.log(`   🆕 ${medicine.name}: created product ${product.sku} with zero stock`)
+      }
+
+      if (!productId) {
+        counts.unmatched++
+        console.log(`   ❔ ${medicine.name}: no matching product`)
+        continue
+      }
+
+      if (!dryRun) {
+        await AllMedicine.updateOne({ _id: medicine._id }, { $set: { productRef: productId } })
+      }
+      counts.linked++
+      console.log(`   ✅ ${medicine.name} → ${productId}`)
+    }
+
+    console.log(`\n📊 Linked: ${counts.linked} (products created: ${counts.created}), ambiguous: ${counts.ambiguous}, unmatched: ${counts.unmatched}`)
+    if (counts.unmatched > 0 && !createMissing) {
+      console.log('ℹ️  Unmatched medicines show as out of stock and can\'t be ordered. Re-run with --create-missing to give them a product.')
+    }
+
+    await mongoose.disconnect()
+    console.log('✅ Disconnected from MongoDB')
+  } catch (error) {
+    console.error('❌ Error:', error.message)
+    process.exit(1)
+  }
+}
+
+linkMedicineProducts()
@@ -0,0 +1,121 @@
+/**
+ * Move order, return, claim, invoice and purchase order numbering onto the counters collection
+ * Existing order, return and purchase order numbers are kept as they are. Counters are seeded past every number
+ * already issued, so new numbers never collide with old ones: the current financial year also
+ * continues after the highest old-style number (ORD000123, RET000045, PO000012).
+ * Claims raised before numbering, and orders already dispatched, get numbers in the order they
+ * were created or dispatched.
+ * Safe to run more than once.
+ *
+ * Run with: node scripts/migrate-document-numbers.js
+ */
+
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Order from '../models/Order.js'
+import Return from '../models/Return.js'
+import Claim from '../models/Claim.js'
+import PurchaseOrder from '../models/PurchaseOrder.js'
+import Counter, { documentSeries, getFinancialYear, nextDocumentNumber, parseDocumentNumber } from '../models/Counter.js'
+
+dotenv.config()
+
+const mongoUrl = process.env.MONGO_URL || process.env.MONGODB_URI || 'mongodb://localhost:27017/medical-shop'
+
+const DISPATCH_STATUSES = ['out for delivery', 'delivered']
+
+/**
+ * Highest sequence issued per financial year, from the numbers stored in one field
+ */
+const collectIssued = async (Model, field, series) => {
+  const issued = new Map()
+  const legacyPattern = new RegExp(`^${documentSeries[series]}(\\d+)$`)
+  let legacyMax = 0
+
+  const cursor = Model.find({ [field]: { $exists: true, $ne: null } }).select(field).lean().cursor()
+  for await (const doc of cursor) {
+    const number = doc[field]
+    const parsed = parseDocumentNumber(number)
+    if (parsed && parsed.prefix === documentSeries[series]) {
+      issued.set(parsed.financialYear, Math.max(issued.get(parsed.financialYear) || 0, parsed.seq))
+      continue
+    }
+    const legacy = legacyPattern.exec(number)
+    if (legacy) {
+      legacyMax = Math.max(legacyMax, Number(legacy[1]))
+    }
+  }
+
+  // Carry on from the old numbering in the current year rather than restarting at 1
+  if (legacyMax) {
+    const currentYear = getFinancialYear()
+    issued.set(currentYear, Math.max(issued.get(currentYear) || 0, legacyMax))
+  }
+
+  return issued
+}
+
+const seedCounters = async (series, issued) => {
+  for (const [financialYear, seq] of issued) {
+    // $max never moves a counter backwards, so re-running is harmless
+    await Counter.updateOne(
+      { _id: `${series}/${financialYear}` },
+      { $max: { seq } },
+      { upsert: true }
+    )
+    console.log(`   ✅ ${series}/${financialYear}: next number after ${seq}`)
+  }
+}
+
+const dispatchedAt = (order) => {
+  const entry = (order.statusHistory || []).find((history) => DISPATCH_STATUSES.includes(history.status))
+  return entry?.changedAt || order.updatedAt || order.createdAt
+}
+
+async function migrateDocumentNumbers() {
+  try {
+    console.log('🔄 Connecting to MongoDB...')
+    await mongoose.connect(mongoUrl)
+    console.log('✅ Connected to MongoDB')
+
+    console.log('\n🔢 Seeding counters from issued numbers...')
+    await seedCounters('order', await collectIssued(Order, 'orderNumber', 'order'))
+    await seedCounters('return', await collectIssued(Return, 'returnNumber', 'return'))
+    await seedCounters('claim', await collectIssued(Claim, 'claimNumber', 'claim'))
+    await seedCounters('invoice', await collectIssued(Order, 'invoiceNumber', 'invoice'))
+    await seedCounters('purchaseOrder', await collectIssued(PurchaseOrder, 'poNumber', 'purchaseOrder'))
+
+    console.log('\n🧾 Numbering claims raised before claim numbers...')
+    let claimsNumbered = 0
+    const claims = Claim.find({ claimNumber: { $exists: false } }).sort({ createdAt: 1 }).select('createdAt').lean().cursor()
+    for await (const claim of claims) {
+      const claimNumber = await nextDocumentNumber('claim', { date: claim.createdAt })
+      await Claim.updateOne({ _id: claim._id, claimNumber: { $exists: false } }, { $set: { claimNumber } })
+      claimsNumbered++
+    }
+
+    console.log('🧾 Issuing invoice numbers for orders already dispatched...')
+    const dispatched = await Order.find({
+      status: { $in: DISPATCH_STATUSES },
+      invoiceNumber: { $exists: false }
+    }).select('statusHistory createdAt updatedAt').lean()
+    dispatched.sort((a, b) => dispatchedAt(a) - dispatchedAt(b))
+
+    let invoicesIssued = 0
+    for (const order of dispatched) {
+      const invoiceNumber = await nextDocumentNumber('invoice', { date: dispatchedAt(order) })
+      await Order.updateOne({ _id: order._id, invoiceNumber: { $exists: false } }, { $set: { invoiceNumber } })
+      invoicesIssued++
+    }
+
+    console.log(`\n📊 Claims numbered: ${claimsNumbered}, invoices issued: ${invoicesIssued}`)
+
+    await mongoose.disconnect()
+    console.log('✅ Disconnected from MongoDB')
+  } catch (error) {
+    console.error('❌ Error:', error.message)
+    process.exit(1)
+  }
+}
+
+migrateDocumentNumbers()
@@ -1,12 +1,39 @@
 import { validationResult } from 'express-validator'
 import Cart from '../../models/Cart.js'
+import Coupon from '../../models/Coupon.js'
 import Order from '../../models/Order.js'
-import Product from '../../models/Product.js'
 import Prescription from '../../models/Prescription.js'
+import { restockLine } from '../services/inventoryService.js'
+import { cancelOrder as cancelAndRestockOrder } from '../services/orderCancellationService.js'
+import { findSubstitutes } from '../services/substituteService.js'
+import { checkInteractions, getUnacknowledgedSevereWarnings } from '../services/interactionService.js'
+import { checkPrescriptionRequirements, classifyCheckoutItems } from '../services/prescriptionRuleService.js'
+import { describePriceChange } from '../services/priceService.js'
+import { createReservation } from '../services/stockReservationService.js'
+import { CouponError, redeemCoupon, releaseCoupon, removeCouponFromCart, validateCoupon } from '../services/couponService.js'
+import { evaluateCheckoutPromotions, loadCartPromotions } from '../services/promotionService.js'
+import { withTransaction } from '../utils/transaction.js'
+import {
+  allocateStock,
+  getAvailableStock,
+  getCatalogImage,
+  getCatalogName,
+  getCatalogPrice,
+  isCatalogItemActive,
+  loadCatalogItem,
+  recordSale,
+  requiresVariant,
+  selectVariant,
+  toCatalogRef,
+  toLineRefs,
+  toVariantSnapshot
+} from '../services/catalogService.js'
 
 const DELIVERY_FEE = 50
 const FREE_DELIVERY_THRESHOLD = 499
 const TAX_RATE = 0.18
+// Batches must stay in date for at least this long so nothing is delivered expired
+const DELIVERY_WINDOW_DAYS = 7
 
 class CheckoutError extends Error {
   constructor(message, code = 'CHECKOUT_VALIDATION', meta = {}) {
@@ -23,18 +50,43 @@ const projectOrder = (orderDoc) => {
     return orderDoc
   }
 
+  // Explain items charged at a different price than when they were added to the cart
+  const withPriceChanges = (items = []) => items.map((item) => ({
+    ...item,
+    priceChange: describePriceChange(item)
+  }))
+
   if (typeof orderDoc.toObject === 'function') {
     const order = orderDoc.toObject({ virtuals: true })
     order.totalAmount = order.total
+    order.items = withPriceChanges(order.items)
     return order
   }
 
   return {
     ...orderDoc,
+    items: withPriceChanges(orderDoc.items),
     totalAmount: orderDoc.total
   }
 }
 
+const getDeliveryCutoff = (from = new Date()) => {
+  return new Date(from.getTime() + DELIVERY_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+}
+
+const toBatchSnapshot = (allocations = []) => {
+  if (!allocations.length) {
+    return undefined
+  }
+
+  return allocations.map(({ batchNumber, manufactureDate, expiryDate, quantity }) => ({
+    batchNumber,
+    manufactureDate,
+    expiryDate,
+    quantity
+  }))
+}
+
 const normalizeShippingAddress = (rawAddress = {}) => {
   const {
     name = '',
@@ -59,7 +111,7 @@ const normalizeShippingAddress = (rawAddress = {}) => {
   }
 }
 
-const resolveSelectedCartItems = async (cart, selectedItems = []) => {
+const resolveSelectedCartItems = async (cart, selectedItems = [], deliveryCutoff = getDeliveryCutoff()) => {
   if (!Array.isArray(selectedItems) || selectedItems.length === 0) {
     throw new CheckoutError('No items selected for checkout', 'ITEMS_REQUIRED')
   }
@@ -88,11 +140,10 @@ const resolveSelectedCartItems = async (cart, selectedItems = []) => {
     }
 
     if (!cartItem && (productId || medicineId)) {
+      const wanted = medicineId ? { itemType: 'medicine', id: medicineId } : { itemType: 'product', id: productId }
       cartItem = cart.items.find((item) => {
-        if (medicineId) {
-          return item.itemType === 'medicine' && item.medicine?.toString() === medicineId
-        }
-        return item.itemType === 'product' && item.product?.toString() === productId
+        const ref = toCatalogRef(item)
+        return ref.itemType === wanted.itemType && ref.id?.toString() === wanted.id
       })
     }
 
@@ -131,52 +182,70 @@ const resolveSelectedCartItems = async (cart, selectedItems = []) => {
       )
     }
 
-    if (cartItem.itemType === 'product') {
-      const resolvedProductId = cartItem.product?._id?.toString() ?? cartItem.product.toString()
-      let product = productCache.get(resolvedProductId)
+    const ref = toCatalogRef(cartItem)
+    const idMeta = ref.itemType === 'medicine' ? { medicineId: ref.id } : { productId: ref.id }
+    const catalogItem = await loadCatalogItem(ref, { products: productCache })
 
-      if (!product) {
-        product = await Product.findById(resolvedProductId)
-        productCache.set(resolvedProductId, product)
-      }
+    if (!isCatalogItemActive(catalogItem)) {
+      throw new CheckoutError(
+        `${cartItem.name || 'Selected item'} is no longer available`,
+        ref.itemType === 'medicine' ? 'MEDICINE_UNAVAILABLE' : 'PRODUCT_UNAVAILABLE',
+        {
+          ...idMeta,
+          substitutes: await findSubstitutes(ref, { quantity, limit: 3 })
+        }
+      )
+    }
 
-      if (!product || !product.isActive) {
-        throw new CheckoutError(
-          'Selected product is no longer available',
-          'PRODUCT_UNAVAILABLE',
-          { productId: resolvedProductId }
-        )
-      }
+    const name = getCatalogName(catalogItem)
+    const variant = selectVariant(catalogItem, cartItem.variant?.id)
+    if (requiresVariant(catalogItem) && !variant) {
+      throw new CheckoutError(
+        `The selected pack size of ${name} is no longer available`,
+        'VARIANT_UNAVAILABLE',
+        { ...idMeta, variantId: cartItem.variant?.id }
+      )
+    }
 
-      if (product.stock < quantity) {
-        throw new CheckoutError(
-          `Insufficient stock for ${product.name}`,
-          'INSUFFICIENT_STOCK',
-          { productId: resolvedProductId, requested: quantity, stock: product.stock }
-        )
-      }
+    // Only batches that outlast delivery count as sellable stock; variants hold their own stock
+    const allocations = allocateStock(catalogItem, quantity, { variant, notExpiringBefore: deliveryCutoff })
+    if (!allocations) {
+      throw new CheckoutError(
+        `Insufficient stock for ${name}`,
+        'INSUFFICIENT_STOCK',
+        {
+          ...idMeta,
+          variantId: variant?._id,
+          requested: quantity,
+          stock: getAvailableStock(catalogItem, variant, deliveryCutoff),
+          substitutes: await findSubstitutes(ref, { quantity, limit: 3 })
+        }
+      )
+    }
 
-      resolved.push({
-        cartItem,
-        product,
-        quantity
-      })
-    } else {
-      // Medicine items: no Product lookup or stock enforcement here
-      resolved.push({
-        cartItem,
-        product: null,
-        quantity
-      })
+    // Charge the catalog price at checkout, not the one stored when the item was added
+    const unitPrice = getCatalogPrice(catalogItem, variant)
+    if (!unitPrice) {
+      throw new CheckoutError(`${name} has no valid price set`, 'INVALID_AMOUNT', idMeta)
     }
+
+    resolved.push({
+      cartItem,
+      catalogItem,
+      product: ref.itemType === 'product' ? catalogItem.listing : null,
+      variant,
+      quantity,
+      allocations,
+      unitPrice
+    })
   }
 
   return resolved
 }
 
-const calculateTotals = (selectedItems = []) => {
+const calculateTotals = (selectedItems = [], discount = 0) => {
   const subtotal = selectedItems.reduce((sum, item) => {
-    return sum + (item.cartItem.price * item.quantity)
+    return sum + (item.unitPrice * item.quantity)
   }, 0)
 
   if (subtotal <= 0) {
@@ -184,17 +253,66 @@ const calculateTotals = (selectedItems = []) => {
   }
 
   const deliveryFee = subtotal >= FREE_DELIVERY_THRESHOLD ? 0 : DELIVERY_FEE
-  const taxes = Math.round(subtotal * TAX_RATE)
-  const total = subtotal + deliveryFee + taxes
+  const taxes = Math.round((subtotal - discount) * TAX_RATE)
+  const total = subtotal - discount + deliveryFee + taxes
 
   return {
     subtotal,
+    discount,
     deliveryFee,
     taxes,
     total
   }
 }
 
+/**
+ * Check the cart's coupon again against the items being bought, at their checkout prices and
+ * after promotions
+ * @param {Array} promotionDiscounts - Promotion savings per resolved item
+ * @returns {Promise<Object|null>} { coupon, amount, lineDiscounts }, or null without a coupon
+ */
+const resolveCartCoupon = async (cart, resolvedItems, promotionDiscounts, userId) => {
+  if (!cart.coupon?.coupon) {
+    return null
+  }
+
+  const coupon = await Coupon.findById(cart.coupon.coupon)
+  if (!coupon) {
+    throw new CheckoutError('The coupon on your cart is no longer available', 'COUPON_NOT_FOUND', { code: cart.coupon.code })
+  }
+
+  try {
+    const { amount, lineDiscounts } = await validateCoupon(coupon, {
+      userId,
+      lines: resolvedItems.map(({ catalogItem, quantity, unitPrice }, index) => ({
+        itemType: catalogItem.itemType,
+        id: catalogItem.id,
+        category: catalogItem.listing.category,
+        amount: unitPrice * quantity - promotionDiscounts[index]
+      }))
+    })
+    return { coupon, amount, lineDiscounts }
+  } catch (error) {
+    if (error instanceof CouponError) {
+      throw new CheckoutError(error.message, error.code, error.meta)
+    }
+    throw error
+  }
+}
+
+// Mark an order whose checkout failed part way as cancelled, when there was no transaction to abort
+const abandonOrder = async (order, reason) => {
+  const cancelledAt = new Date()
+  await Order.updateOne({ _id: order._id }, {
+    $set: {
+      status: 'cancelled',
+      cancellation: { reason, cancelledAt },
+      ...(order.stockReservation?.status ? { 'stockReservation.status': 'released', 'stockReservation.releasedAt': cancelledAt } : {})
+    },
+    $push: { statusHistory: { status: 'cancelled', note: reason, changedAt: cancelledAt } }
+  })
+}
+
 const updateCartAfterCheckout = async (cart, selectedItems = []) => {
   for (const { cartItem, quantity } of selectedItems) {
     const currentItem = cart.items.id(cartItem._id)
@@ -211,7 +329,11 @@ const updateCartAfterCheckout = async (cart, selectedItems = []) => {
     }
   }
 
-  cart.calculateTotals()
+  // A coupon is used up by the order it was applied to
+  await loadCartPromotions(cart)
+  if (cart.coupon?.coupon) {
+    removeCouponFromCart(cart)
+  }
   await cart.save()
 }
 
@@ -236,7 +358,13 @@ export const checkoutSelectedItems = async (req, res) => {
       })
     }
 
-    const { shippingAddress, paymentMethod, selectedItems, prescriptionId } = req.body
+    const {
+      shippingAddress,
+      paymentMethod,
+      selectedItems,
+      prescriptionId,
+      acknowledgedInteractions = []
+    } = req.body
     const normalizedAddress = normalizeShippingAddress(shippingAddress)
 
     const cart = await Cart.findOne({ user: req.user._id }).populate('items.product')
@@ -246,8 +374,9 @@ export const checkoutSelectedItems = async (req, res) => {
     }
 
     // Validate prescription if provided
+    let prescription = null
     if (prescriptionId) {
-      const prescription = await Prescription.findById(prescriptionId)
+      prescription = await Prescription.findById(prescriptionId)
       if (!prescription) {
         throw new CheckoutError('Prescription not found', 'PRESCRIPTION_NOT_FOUND')
       }
@@ -256,46 +385,157 @@ export const checkoutSelectedItems = async (req, res) => {
       }
     }
 
-    const resolvedItems = await resolveSelectedCartItems(cart, selectedItems)
-    const totals = calculateTotals(resolvedItems)
-
-    const orderItems = resolvedItems.map(({ cartItem, product, quantity }) => {
-      if (cartItem.itemType === 'medicine') {
-        return {
-          itemType: 'medicine',
-          medicine: cartItem.medicine,
-          quantity,
-          price: cartItem.price,
-          name: cartItem.name,
-          image: cartItem.image
+    const deliveryCutoff = getDeliveryCutoff()
+    const resolvedItems = await resolveSelectedCartItems(cart, selectedItems, deliveryCutoff)
+    // Promotions apply first and the coupon to what's left, as in the cart
+    const promotionResult = await evaluateCheckoutPromotions(resolvedItems)
+    const promotionDiscounts = promotionResult.lineSavings.map((savings) => savings.reduce((sum, saving) => sum + saving.amount, 0))
+    const appliedCoupon = await resolveCartCoupon(cart, resolvedItems, promotionDiscounts, req.user._id)
+    const totals = calculateTotals(resolvedItems, promotionResult.amount + (appliedCoupon?.amount || 0))
+    const orderDiscounts = [
+      ...promotionResult.applied.map(({ promotion, name, type, amount }) => ({
+        kind: 'promotion',
+        promotion,
+        promotionType: type,
+        description: name,
+        amount
+      })),
+      ...(appliedCoupon
+        ? [{
+            kind: 'coupon',
+            coupon: appliedCoupon.coupon._id,
+            code: appliedCoupon.coupon.code,
+            description: appliedCoupon.coupon.description,
+            amount: appliedCoupon.amount
+          }]
+        : [])
+    ]
+
+    // Schedule H/H1/X items need an approved, unexpired prescription covering each of them
+    const classifiedItems = classifyCheckoutItems(resolvedItems)
+    const prescriptionProblem = checkPrescriptionRequirements({
+      items: classifiedItems,
+      prescription,
+      userId: req.user._id
+    })
+    if (prescriptionProblem) {
+      throw new CheckoutError(prescriptionProblem.message, prescriptionProblem.code, prescriptionProblem.meta)
+    }
+    const needsPharmacistSignOff = classifiedItems.some((item) => item.drugSchedule === 'X')
+
+    // Severe interactions between the ordered items must be acknowledged by rule id
+    const interactionWarnings = await checkInteractions(resolvedItems.map(({ cartItem }) => cartItem))
+    const unacknowledged = getUnacknowledgedSevereWarnings(interactionWarnings, acknowledgedInteractions)
+    if (unacknowledged.length > 0) {
+      throw new CheckoutError(
+        'Some items in your order interact severely. Please review and acknowledge the warnings to continue.',
+        'INTERACTION_ACKNOWLEDGEMENT_REQUIRED',
+        { interactionWarnings: unacknowledged }
+      )
+    }
+
+    const orderItems = classifiedItems.map(({ cartItem, catalogItem, variant, quantity, allocations, drugSchedule, unitPrice }, index) => ({
+      ...toLineRefs(catalogItem),
+      quantity,
+      price: unitPrice,
+      priceWhenAdded: cartItem.priceWhenAdded ?? cartItem.price,
+      name: getCatalogName(catalogItem),
+      image: getCatalogImage(catalogItem),
+      variant: toVariantSnapshot(variant),
+      batches: toBatchSnapshot(allocations),
+      drugSchedule,
+      discount: promotionDiscounts[index] + (appliedCoupon?.lineDiscounts[index] || 0),
+      promotions: promotionResult.lineSavings[index].length ? promotionResult.lineSavings[index] : undefined
+    }))
+
+    const normalizedPaymentMethod = paymentMethod?.toUpperCase?.() || 'COD'
+
+    // The order, the coupon use and every stock decrement commit together or not at all.
+    // Without transaction support each step registers how to undo it if a later one fails.
+    const order = await withTransaction(async (session, { onRollback }) => {
+      const order = new Order({
+        user: req.user._id,
+        items: orderItems,
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        discounts: orderDiscounts.length ? orderDiscounts : undefined,
+        deliveryFee: totals.deliveryFee,
+        taxes: totals.taxes,
+        total: totals.total,
+        shippingAddress: normalizedAddress,
+        paymentMethod: normalizedPaymentMethod,
+        paymentStatus: 'pending',
+        status: 'processing',
+        prescription: prescriptionId || undefined,
+        interactionWarnings: interactionWarnings.length
+          ? interactionWarnings.map((warning) => ({
+              ...warning,
+              acknowledgedAt: warning.severity === 'severe' ? new Date() : undefined
+            }))
+          : undefined,
+        pharmacistSignOff: { status: needsPharmacistSignOff ? 'pending' : 'not_required' },
+        stockReservation: createReservation(normalizedPaymentMethod)
+      })
+
+      await order.save({ session })
+      onRollback(() => abandonOrder(order, 'Checkout failed'))
+      const reference = { kind: 'Order', id: order._id, number: order.orderNumber }
+      const actor = { kind: 'User', id: req.user._id }
+
+      if (appliedCoupon) {
+        try {
+          await redeemCoupon(appliedCoupon.coupon, { userId: req.user._id, orderId: order._id, session })
+          onRollback(() => releaseCoupon(appliedCoupon.coupon._id, order._id))
+        } catch (couponError) {
+          if (!(couponError instanceof CouponError)) {
+            throw couponError
+          }
+          // The last use, or the customer's last use, went to another order after the checks above
+          throw new CheckoutError(couponError.message, couponError.code, couponError.meta)
         }
       }
-      return {
-        itemType: 'product',
-        product: product?._id ?? cartItem.product,
-        quantity,
-        price: cartItem.price,
-        name: product?.name ?? cartItem.name,
-        image: product?.images?.[0] || cartItem.image || ''
+
+      // Reduce inventory only for items that were actually purchased.
+      for (const [index, { catalogItem, variant, quantity }] of resolvedItems.entries()) {
+        let allocations
+        try {
+          allocations = await recordSale(catalogItem, quantity, {
+            variant,
+            notExpiringBefore: deliveryCutoff,
+            reference,
+            actor,
+            session
+          })
+        } catch (saleError) {
+          if (saleError.name !== 'CatalogError') {
+            throw saleError
+          }
+          // Someone else bought the last units after the checks above
+          throw new CheckoutError(saleError.message, 'INSUFFICIENT_STOCK', {
+            ...(catalogItem.itemType === 'medicine' ? { medicineId: catalogItem.id } : { productId: catalogItem.id }),
+            variantId: variant?._id,
+            requested: quantity
+          })
+        }
+        // Record the batches actually taken, which can differ from the ones planned
+        order.items[index].batches = toBatchSnapshot(allocations)
+        if (catalogItem.stockProduct) {
+          const taken = { quantity, variant: order.items[index].variant, batches: order.items[index].batches }
+          onRollback(() => restockLine(catalogItem.stockProduct._id, taken, {
+            reason: 'cancellation',
+            reference,
+            actor,
+            note: 'Checkout failed'
+          }))
+        }
       }
-    })
 
-    const order = new Order({
-      user: req.user._id,
-      items: orderItems,
-      subtotal: totals.subtotal,
-      deliveryFee: totals.deliveryFee,
-      taxes: totals.taxes,
-      total: totals.total,
-      shippingAddress: normalizedAddress,
-      paymentMethod: paymentMethod?.toUpperCase?.() || 'COD',
-      paymentStatus: 'pending',
-      status: 'processing',
-      prescription: prescriptionId || undefined
+      if (order.isModified()) {
+        await order.save({ session })
+      }
+      return order
     })
 
-    await order.save()
-
     // Link prescription to order if provided
     if (prescriptionId) {
       try {
@@ -315,15 +555,6 @@ export const checkoutSelectedItems = async (req, res) => {
       }
     }
 
-    // Reduce inventory only for items that were actually purchased.
-    for (const { cartItem, product, quantity } of resolvedItems) {
-      if (cartItem.itemType === 'product' && product) {
-        product.reduceStock(quantity)
-        await product.save()
-      }
-      // Medicines: no stock mutation
-    }
-
     // Remove only the purchased items (or decrease their quantities) from the cart.
     await updateCartAfterCheckout(cart, resolvedItems)
 
@@ -455,33 +686,25 @@ export const cancelOrder = async (req, res) => {
       })
     }
 
-    const cancellableStatuses = ['processing', 'out for delivery']
-    if (!cancellableStatuses.includes(order.status)) {
+    // Claimed before it is restocked, so a reservation released at the same moment can't restock it too
+    const cancelled = await cancelAndRestockOrder(order._id, {
+      reason: req.body.reason,
+      actor: { kind: 'User', id: req.user._id },
+      filter: { user: req.user._id }
+    })
+    if (!cancelled) {
       return res.status(400).json({
         success: false,
         message: 'Order cannot be cancelled in its current status.'
       })
     }
 
-    await order.cancelOrder(req.body.reason, req.user._id)
-
-    for (const item of order.items) {
-      if (item.itemType !== 'product' || !item.product) continue
-      const productId = typeof item.product === 'object' ? item.product._id : item.product
-      if (!productId) continue
-      const product = await Product.findById(productId)
-      if (product) {
-        product.stock += item.quantity
-        await product.save()
-      }
-    }
-
-    await order.populate('items.product')
+    await cancelled.populate('items.product')
 
     res.json({
       success: true,
       message: 'Order cancelled successfully',
-      data: projectOrder(order)
+      data: projectOrder(cancelled)
     })
   } catch (error) {
     console.error('Cancel order error:', error)
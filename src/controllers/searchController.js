@@ -1,4 +1,5 @@
 import { searchCatalog } from '../services/searchService.js'
+import { recordSearchQuery } from '../services/searchQueryService.js'
 
 export const searchCombined = async (req, res) => {
   try {
@@ -14,12 +15,16 @@ export const searchCombined = async (req, res) => {
       })
     }
 
-    const results = await searchCatalog(trimmedSearch)
-
     // Optional: limit results for suggestions use-case
     const max = Number.isFinite(Number(limit)) ? Math.max(1, Math.min(50, Number(limit))) : undefined
+    // Best match first, each result with its relevance score
+    const results = await searchCatalog(trimmedSearch)
     const limited = max ? results.slice(0, max) : results
 
+    // Logged for popular searches and the zero-result report; never holds up the response
+    recordSearchQuery({ term: trimmedSearch, resultCount: results.length, user: req.user?._id })
+      .catch((err) => console.warn('Failed to record search query:', err.message))
+
     return res.json({
       success: true,
       count: limited.length,
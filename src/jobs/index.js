@@ -0,0 +1,51 @@
+import { scheduleJob } from './scheduler.js'
+import { sweepExpiredBatches } from '../services/expiryService.js'
+import { applyDuePriceChanges } from '../services/priceService.js'
+import { refreshSuggestIndex } from '../services/suggestService.js'
+import { refreshRecommendations } from '../services/recommendationService.js'
+import { releaseExpiredReservations } from '../services/stockReservationService.js'
+
+const minutes = (value, fallback) => {
+  const parsed = Number(value)
+  return (Number.isFinite(parsed) && parsed > 0 ? parsed : fallback) * 60 * 1000
+}
+
+/**
+ * Register all periodic background jobs
+ */
+export const startBackgroundJobs = () => {
+  scheduleJob(
+    'expiry-sweep',
+    minutes(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES, 60),
+    () => sweepExpiredBatches()
+  )
+
+  // Frees stock held by online orders whose payment never arrived
+  scheduleJob(
+    'stock-reservations',
+    minutes(process.env.STOCK_RESERVATION_SWEEP_INTERVAL_MINUTES, 1),
+    () => releaseExpiredReservations()
+  )
+
+  scheduleJob(
+    'price-changes',
+    minutes(process.env.PRICE_CHANGE_INTERVAL_MINUTES, 5),
+    () => applyDuePriceChanges()
+  )
+
+  // Catalog edits trigger their own rebuild; this keeps popular searches current
+  scheduleJob(
+    'suggest-index',
+    minutes(process.env.SUGGEST_INDEX_INTERVAL_MINUTES, 15),
+    () => refreshSuggestIndex()
+  )
+
+  // Aggregates every order and recent view, so it runs well apart from requests
+  scheduleJob(
+    'recommendations',
+    minutes(process.env.RECOMMENDATIONS_INTERVAL_MINUTES, 360),
+    () => refreshRecommendations()
+  )
+}
+
+export default startBackgroundJobs
@@ -0,0 +1,66 @@
+/**
+ * Background job scheduler
+ * Runs periodic maintenance tasks in long-lived server processes.
+ * Serverless deployments have no persistent process, so each job also has an admin trigger.
+ */
+
+import mongoose from 'mongoose'
+
+const jobs = new Map()
+
+const runJob = async (job) => {
+  if (job.running) {
+    return
+  }
+
+  // Skip ticks while the database is unavailable; the next tick will retry
+  if (mongoose.connection.readyState !== 1) {
+    return
+  }
+
+  job.running = true
+  try {
+    await job.task()
+    job.lastRunAt = new Date()
+  } catch (error) {
+    console.error(`❌ Background job "${job.name}" failed:`, error.message)
+  } finally {
+    job.running = false
+  }
+}
+
+/**
+ * Register a task to run every intervalMs
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function to run
+ */
+export const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    clearInterval(jobs.get(name).timer)
+  }
+
+  const job = { name, intervalMs, task, running: false, lastRunAt: null }
+  job.timer = setInterval(() => runJob(job), intervalMs)
+  // Don't keep the process alive just for background jobs
+  job.timer.unref?.()
+
+  jobs.set(name, job)
+  console.log(`⏱️  Background job "${name}" scheduled every ${Math.round(intervalMs / 60000)} min`)
+  return job
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+export const stopJobs = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer)
+  }
+  jobs.clear()
+}
+
+export default {
+  scheduleJob,
+  stopJobs
+}
@@ -0,0 +1,171 @@
+/**
+ * Idempotency middleware
+ * Customer writes sent with an Idempotency-Key header run once: the first response is stored
+ * per key and user for 24 hours and replayed to retries. Reusing a key for a different request
+ * is rejected with 422.
+ * Mount ahead of the customer routers; it identifies the user from the bearer token itself,
+ * since several routers only authenticate per route.
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import IdempotencyKey from '../../models/IdempotencyKey.js'
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000
+// A request still holding its key after this long is assumed to have died
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000
+const MAX_KEY_LENGTH = 255
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+
+const getUserId = (req) => {
+  const authHeader = req.header('Authorization')
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null
+  }
+  try {
+    return jwt.verify(authHeader.substring(7), process.env.JWT_SECRET).userId || null
+  } catch (error) {
+    // The route's own authentication rejects the request
+    return null
+  }
+}
+
+// JSON with object keys sorted, so the same body always fingerprints the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'null'
+}
+
+const fingerprint = (req) => {
+  // Multipart bodies are parsed later by the route, so they can only be compared by size
+  const body = req.is('multipart/form-data')
+    ? `multipart:${req.header('Content-Length') || 0}`
+    : stableStringify(req.body ?? {})
+
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${body}`)
+    .digest('hex')
+}
+
+const sendKeyError = (res, status, message, code) => res.status(status).json({
+  success: false,
+  message,
+  code
+})
+
+/**
+ * Claim the key for this request, or return the record of the request that already used it
+ * @returns {Promise<Object>} { claimed, record }
+ */
+const claimKey = async ({ key, userId, req, requestHash }) => {
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      user: userId,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    })
+    return { claimed: true, record }
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: userId, key })
+  if (!existing) {
+    // Expired between the insert and the lookup; treat it as in progress and let the client retry
+    return { claimed: false, record: { state: 'processing', requestHash } }
+  }
+
+  if (existing.state === 'processing' && existing.requestHash === requestHash &&
+      existing.lockedAt < new Date(Date.now() - LOCK_TIMEOUT_MS)) {
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, state: 'processing', lockedAt: existing.lockedAt },
+      { $set: { lockedAt: new Date() } },
+      { new: true }
+    )
+    if (takenOver) {
+      return { claimed: true, record: takenOver }
+    }
+  }
+
+  return { claimed: false, record: existing }
+}
+
+export const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key')
+  if (!key || !MUTATING_METHODS.includes(req.method)) {
+    return next()
+  }
+
+  const userId = getUserId(req)
+  if (!userId) {
+    return next()
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendKeyError(res, 400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, 'IDEMPOTENCY_KEY_INVALID')
+  }
+
+  try {
+    const requestHash = fingerprint(req)
+    const { claimed, record } = await claimKey({ key, userId, req, requestHash })
+
+    if (!claimed) {
+      if (record.requestHash !== requestHash) {
+        return sendKeyError(res, 422, 'This Idempotency-Key was already used for a different request', 'IDEMPOTENCY_KEY_REUSED')
+      }
+      if (record.state !== 'completed') {
+        return sendKeyError(res, 409, 'A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_IN_PROGRESS')
+      }
+
+      res.set('Idempotent-Replayed', 'true')
+      return res.status(record.responseStatus).json(record.responseBody)
+    }
+
+    // Capture the response so retries get exactly what this request got
+    let responseBody
+    const originalJson = res.json.bind(res)
+    res.json = (body) => {
+      responseBody = body
+      return originalJson(body)
+    }
+
+    let settled = false
+    const settle = () => {
+      if (settled) return
+      settled = true
+
+      const lock = { _id: record._id, state: 'processing', lockedAt: record.lockedAt }
+      // Server errors aren't stored, so the request can be retried with the same key
+      const update = res.writableFinished && responseBody !== undefined && res.statusCode < 500
+        ? IdempotencyKey.updateOne(lock, {
+            // Stored as sent, after documents have been turned into plain JSON
+            $set: { state: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(responseBody)) }
+          })
+        : IdempotencyKey.deleteOne(lock)
+
+      update.catch((err) => console.warn('Failed to store idempotent response:', err.message))
+    }
+    res.on('finish', settle)
+    res.on('close', settle)
+
+    next()
+  } catch (error) {
+    console.error('Idempotency check error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process request'
+    })
+  }
+}
+
+export default idempotency
@@ -0,0 +1,47 @@
+/**
+ * View tracking middleware
+ * Records a product or medicine page view, for recommendations and the viewer's
+ * recently viewed list, once the detail response is sent.
+ * Mount before cache() so views served from the cache are counted too.
+ */
+
+import { recordView } from '../services/recommendationService.js'
+import { addToHistory } from '../services/browsingHistoryService.js'
+
+// Guests identify themselves with a random ID kept by the client
+const ANONYMOUS_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/
+
+export const getAnonymousId = (req) => {
+  const anonymousId = req.header('X-Anonymous-Id')
+  return anonymousId && ANONYMOUS_ID_PATTERN.test(anonymousId) ? anonymousId : undefined
+}
+
+/**
+ * @param {string} itemType - 'product' or 'medicine'
+ * @param {Function} getItem - Picks the viewed item out of the response body
+ * @returns {Function} Express middleware
+ */
+export const trackView = (itemType, getItem) => {
+  return (req, res, next) => {
+    const originalJson = res.json.bind(res)
+
+    res.json = (body) => {
+      const item = res.statusCode === 200 ? getItem(body) : null
+      if (item?._id) {
+        const view = {
+          itemType,
+          id: item._id,
+          user: req.user?._id,
+          anonymousId: getAnonymousId(req)
+        }
+        recordView(view).catch((err) => console.warn('Failed to record view:', err.message))
+        addToHistory(view).catch((err) => console.warn('Failed to update browsing history:', err.message))
+      }
+      return originalJson(body)
+    }
+
+    next()
+  }
+}
+
+export default trackView
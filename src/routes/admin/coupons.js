@@ -0,0 +1,306 @@
+import express from 'express'
+import { body, query, validationResult } from 'express-validator'
+import { verifyAdminToken } from '../../middleware/adminAuth.js'
+import Coupon, { couponDiscountTypes } from '../../../models/Coupon.js'
+import Order from '../../../models/Order.js'
+import { escapeRegex } from '../../utils/escapeRegex.js'
+
+const router = express.Router()
+
+const couponFields = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minCartValue',
+  'eligibility',
+  'firstOrderOnly',
+  'usageLimit',
+  'perUserLimit',
+  'startsAt',
+  'endsAt',
+  'isActive'
+]
+
+const pickCouponFields = (source = {}) => {
+  return couponFields.reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      // null clears an optional limit or date
+      acc[field] = source[field] === null ? undefined : source[field]
+    }
+    return acc
+  }, {})
+}
+
+const couponValidators = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain)
+  const optionalNumber = (field) => body(field).optional({ values: 'null' })
+  return [
+    required(body('code')).isString().trim().notEmpty().withMessage('Coupon code is required')
+      .matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Coupon code must be 3-30 letters, digits, dashes or underscores'),
+    body('description').optional().isString().trim(),
+    required(body('discountType')).isIn(couponDiscountTypes).withMessage(`Discount type must be one of: ${couponDiscountTypes.join(', ')}`),
+    required(body('discountValue')).isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+    optionalNumber('maxDiscount').isFloat({ gt: 0 }).withMessage('Maximum discount must be greater than 0'),
+    body('minCartValue').optional().isFloat({ min: 0 }).withMessage('Minimum cart value must be a non-negative number'),
+    body('eligibility').optional().isObject().withMessage('Eligibility must be an object'),
+    body('eligibility.categories').optional().isArray().withMessage('Eligible categories must be an array'),
+    body('eligibility.products').optional().isArray().withMessage('Eligible products must be an array'),
+    body('eligibility.products.*').optional().isMongoId().withMessage('Invalid product ID'),
+    body('eligibility.medicines').optional().isArray().withMessage('Eligible medicines must be an array'),
+    body('eligibility.medicines.*').optional().isMongoId().withMessage('Invalid medicine ID'),
+    body('firstOrderOnly').optional().isBoolean().withMessage('firstOrderOnly must be a boolean'),
+    optionalNumber('usageLimit').isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-customer limit must be at least 1'),
+    optionalNumber('startsAt').isISO8601().withMessage('Start must be a valid date'),
+    optionalNumber('endsAt').isISO8601().withMessage('End must be a valid date'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ]
+}
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) {
+    return false
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  })
+  return true
+}
+
+const sendSaveError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A coupon with this code already exists'
+    })
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  })
+}
+
+/**
+ * GET /admin/coupons
+ * List coupons (?status=live|scheduled|expired, ?isActive=true|false, ?search=code)
+ * Status codes: 200 (success), 400 (invalid query), 403 (not admin), 500 (error)
+ */
+router.get('/', verifyAdminToken, [
+  query('status').optional().isIn(['live', 'scheduled', 'expired']).withMessage('Status must be live, scheduled or expired'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return
+    }
+
+    const filter = {}
+    const now = new Date()
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true'
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i')
+      filter.$or = [{ code: pattern }, { description: pattern }]
+    }
+
+    if (req.query.status === 'live') {
+      filter.isActive = true
+      filter.$and = [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+      ]
+    } else if (req.query.status === 'scheduled') {
+      filter.startsAt = { $gt: now }
+    } else if (req.query.status === 'expired') {
+      filter.endsAt = { $lte: now }
+    }
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean()
+
+    res.json({
+      success: true,
+      data: coupons
+    })
+  } catch (error) {
+    console.error('Get coupons error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons'
+    })
+  }
+})
+
+/**
+ * POST /admin/coupons
+ * Create a coupon
+ * Status codes: 201 (success), 400 (validation error or duplicate code), 403 (not admin), 500 (error)
+ */
+router.post('/', verifyAdminToken, couponValidators(), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return
+    }
+
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.admin._id
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    })
+  } catch (error) {
+    console.error('Create coupon error:', error)
+    sendSaveError(res, error, 'Failed to create coupon')
+  }
+})
+
+/**
+ * GET /admin/coupons/:id
+ * Get a coupon with its usage: orders placed with it and the discount given
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.get('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).lean()
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      })
+    }
+
+    const [usage] = await Order.aggregate([
+      { $match: { 'discounts.coupon': coupon._id, status: { $ne: 'cancelled' } } },
+      { $unwind: '$discounts' },
+      { $match: { 'discounts.coupon': coupon._id } },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          customers: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discounts.amount' },
+          orderValue: { $sum: '$total' }
+        }
+      }
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        ...coupon,
+        usage: {
+          orders: usage?.orders || 0,
+          customers: usage?.customers.length || 0,
+          totalDiscount: usage?.totalDiscount || 0,
+          orderValue: usage?.orderValue || 0
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get coupon error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon'
+    })
+  }
+})
+
+/**
+ * PUT /admin/coupons/:id
+ * Update a coupon; orders already placed keep the discount they got
+ * Status codes: 200 (success), 400 (validation error or duplicate code), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.put('/:id', verifyAdminToken, couponValidators(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return
+    }
+
+    const coupon = await Coupon.findById(req.params.id)
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      })
+    }
+
+    // Saved through the document so the discount and dates are validated together
+    coupon.set({ ...pickCouponFields(req.body), updatedBy: req.admin._id })
+    await coupon.save()
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    })
+  } catch (error) {
+    console.error('Update coupon error:', error)
+    sendSaveError(res, error, 'Failed to update coupon')
+  }
+})
+
+/**
+ * DELETE /admin/coupons/:id
+ * Delete an unused coupon; coupons orders were placed with are deactivated instead
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.delete('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      })
+    }
+
+    if (await Order.exists({ 'discounts.coupon': coupon._id })) {
+      coupon.isActive = false
+      coupon.updatedBy = req.admin._id
+      await coupon.save()
+
+      return res.json({
+        success: true,
+        message: 'Coupon has been used on orders, so it was deactivated instead',
+        data: coupon
+      })
+    }
+
+    await coupon.deleteOne()
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete coupon error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete coupon'
+    })
+  }
+})
+
+export default router
@@ -3,6 +3,7 @@ import { verifyAdminToken } from '../../middleware/adminAuth.js'
 import Order from '../../../models/Order.js'
 import Product from '../../../models/Product.js'
 import User from '../../../models/User.js'
+import { countLowStockProducts } from '../../services/reorderService.js'
 
 const router = express.Router()
 
@@ -15,7 +16,8 @@ router.get('/stats', verifyAdminToken, async (req, res) => {
       revenueByStatus,
       revenueByPaymentStatus,
       recentOrders,
-      topProducts
+      topProducts,
+      lowStockCount
     ] = await Promise.all([
       Product.countDocuments(),
       User.countDocuments(),
@@ -81,7 +83,8 @@ router.get('/stats', verifyAdminToken, async (req, res) => {
             revenue: 1
           }
         }
-      ])
+      ]),
+      countLowStockProducts()
     ])
 
     const totals = {
@@ -149,7 +152,11 @@ router.get('/stats', verifyAdminToken, async (req, res) => {
             image: Array.isArray(product.image) ? product.image[0] : product.image,
             quantity: product.quantity,
             revenue: product.revenue
-          }))
+          })),
+        lowStock: {
+          count: lowStockCount,
+          link: '/api/admin/products/low-stock'
+        }
       }
     })
   } catch (error) {
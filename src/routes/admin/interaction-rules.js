@@ -0,0 +1,205 @@
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+import { verifyAdminToken } from '../../middleware/adminAuth.js'
+import InteractionRule, { interactionSeverities } from '../../../models/InteractionRule.js'
+import { escapeRegex } from '../../utils/escapeRegex.js'
+
+const router = express.Router()
+
+const ruleValidators = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain)
+  return [
+    required(body('ingredientA')).trim().notEmpty().withMessage('First ingredient is required'),
+    required(body('ingredientB')).trim().notEmpty().withMessage('Second ingredient is required'),
+    required(body('severity')).isIn(interactionSeverities).withMessage(`Severity must be one of: ${interactionSeverities.join(', ')}`),
+    required(body('advisory')).trim().notEmpty().withMessage('Advisory text is required'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ]
+}
+
+const pickRuleFields = (source = {}) => {
+  return ['ingredientA', 'ingredientB', 'severity', 'advisory', 'isActive'].reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      acc[field] = source[field]
+    }
+    return acc
+  }, {})
+}
+
+/**
+ * GET /admin/interaction-rules
+ * List interaction rules, optionally filtered by ingredient, severity or active flag
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/', verifyAdminToken, async (req, res) => {
+  try {
+    const filter = {}
+
+    if (req.query.severity) {
+      filter.severity = req.query.severity
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true'
+    }
+
+    if (req.query.ingredient) {
+      const pattern = new RegExp(escapeRegex(req.query.ingredient.trim()), 'i')
+      filter.$or = [{ ingredientA: pattern }, { ingredientB: pattern }]
+    }
+
+    const rules = await InteractionRule.find(filter)
+      .sort({ ingredientA: 1, ingredientB: 1 })
+      .lean()
+
+    res.json({
+      success: true,
+      data: rules
+    })
+  } catch (error) {
+    console.error('Get interaction rules error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch interaction rules'
+    })
+  }
+})
+
+/**
+ * POST /admin/interaction-rules
+ * Create an interaction rule for an ingredient pair
+ * Status codes: 201 (success), 400 (validation error or duplicate pair), 403 (not admin), 500 (error)
+ */
+router.post('/', verifyAdminToken, ruleValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const rule = await InteractionRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.admin._id
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Interaction rule created successfully',
+      data: rule
+    })
+  } catch (error) {
+    console.error('Create interaction rule error:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule for this ingredient pair already exists'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create interaction rule'
+    })
+  }
+})
+
+/**
+ * PUT /admin/interaction-rules/:id
+ * Update an interaction rule
+ * Status codes: 200 (success), 400 (validation error), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.put('/:id', verifyAdminToken, ruleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const rule = await InteractionRule.findById(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interaction rule not found'
+      })
+    }
+
+    // Saved through the document so the pair is re-ordered and validated
+    rule.set({ ...pickRuleFields(req.body), updatedBy: req.admin._id })
+    await rule.save()
+
+    res.json({
+      success: true,
+      message: 'Interaction rule updated successfully',
+      data: rule
+    })
+  } catch (error) {
+    console.error('Update interaction rule error:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule for this ingredient pair already exists'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update interaction rule'
+    })
+  }
+})
+
+/**
+ * DELETE /admin/interaction-rules/:id
+ * Delete an interaction rule (orders keep their own copy of past warnings)
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.delete('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const rule = await InteractionRule.findByIdAndDelete(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interaction rule not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Interaction rule deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete interaction rule error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete interaction rule'
+    })
+  }
+})
+
+export default router
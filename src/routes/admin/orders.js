@@ -4,6 +4,8 @@ import { verifyAdminToken } from '../../middleware/adminAuth.js'
 import Order from '../../../models/Order.js'
 import Prescription from '../../../models/Prescription.js'
 import DeliveryBoy from '../../../models/DeliveryBoy.js'
+import { cancelOrder } from '../../services/orderCancellationService.js'
+import { recordPayment, releaseExpiredReservations } from '../../services/stockReservationService.js'
 
 const router = express.Router()
 
@@ -16,11 +18,14 @@ const orderStatuses = [
   'cancelled'
 ]
 
+// Statuses that hand the order over for delivery
+const dispatchStatuses = ['out for delivery', 'delivered']
+
+// Cancelling gives the prescription back for reuse instead (see orderCancellationService)
 const orderToPrescriptionStatusMap = {
   'processing': 'ordered',
   'out for delivery': 'fulfilled',
-  'delivered': 'delivered',
-  'cancelled': 'cancelled'
+  'delivered': 'delivered'
 }
 
 router.get('/', verifyAdminToken, async (req, res) => {
@@ -43,6 +48,17 @@ router.get('/', verifyAdminToken, async (req, res) => {
       filter.source = req.query.source
     }
 
+    if (req.query.signOff) {
+      filter['pharmacistSignOff.status'] = req.query.signOff
+    }
+
+    // Orders carrying drug interaction warnings, optionally of one severity
+    if (req.query.interactionSeverity) {
+      filter['interactionWarnings.severity'] = req.query.interactionSeverity
+    } else if (req.query.hasInteractionWarnings === 'true') {
+      filter['interactionWarnings.0'] = { $exists: true }
+    }
+
     // Filter by delivery boy assignment status
     if (req.query.needAssignment === 'true') {
       // Orders that need delivery boy assignment (processing status without delivery boy)
@@ -122,7 +138,29 @@ router.patch('/:id/status', verifyAdminToken, [
       })
     }
 
-    await order.updateStatus(status, { changedBy: req.admin._id, note })
+    if (dispatchStatuses.includes(status) && order.stockReservation?.status === 'held') {
+      return res.status(400).json({
+        success: false,
+        message: 'This order is waiting for its online payment and cannot be dispatched yet',
+        code: 'PAYMENT_PENDING'
+      })
+    }
+
+    if (status === 'cancelled') {
+      const cancelled = await cancelOrder(order._id, {
+        reason: note || 'Cancelled by the shop',
+        actor: { kind: 'Admin', id: req.admin._id }
+      })
+      if (!cancelled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Order cannot be cancelled in its current status.',
+          code: 'ORDER_NOT_CANCELLABLE'
+        })
+      }
+    } else {
+      await order.updateStatus(status, { changedBy: req.admin._id, note })
+    }
 
     if (order.prescription) {
       const prescription = await Prescription.findById(order.prescription)
@@ -151,9 +189,172 @@ router.patch('/:id/status', verifyAdminToken, [
     })
   } catch (error) {
     console.error('Update order status error:', error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Failed to update order status',
+      code: error.code
+    })
+  }
+})
+
+/**
+ * PATCH /admin/orders/:id/pharmacist-sign-off
+ * Pharmacist sign-off for orders with Schedule X items. Rejecting cancels the order and restocks it.
+ * Status codes: 200 (success), 400 (validation error or no sign-off pending), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.patch('/:id/pharmacist-sign-off', verifyAdminToken, [
+  body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  body('note').if(body('decision').equals('rejected')).trim().notEmpty().withMessage('A note is required when rejecting'),
+  body('note').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const { decision, note } = req.body
+
+    const order = await Order.findById(req.params.id)
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      })
+    }
+
+    if (order.pharmacistSignOff?.status !== 'pending' || order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This order has no pharmacist sign-off pending',
+        code: 'SIGNOFF_NOT_PENDING'
+      })
+    }
+
+    const signOff = {
+      status: decision,
+      signedBy: req.admin._id,
+      signedAt: new Date(),
+      note
+    }
+
+    if (decision === 'rejected') {
+      const cancelled = await cancelOrder(order._id, {
+        reason: `Pharmacist sign-off rejected: ${note}`,
+        actor: { kind: 'Admin', id: req.admin._id },
+        filter: { 'pharmacistSignOff.status': 'pending' },
+        prepare: (claimed) => {
+          claimed.pharmacistSignOff = signOff
+        }
+      })
+      if (!cancelled) {
+        return res.status(400).json({
+          success: false,
+          message: 'This order has no pharmacist sign-off pending',
+          code: 'SIGNOFF_NOT_PENDING'
+        })
+      }
+    } else {
+      order.pharmacistSignOff = signOff
+      await order.save()
+    }
+
+    const updatedOrder = await Order.findById(order._id)
+      .populate('user', 'name phone email')
+      .populate('items.product', 'name brand images')
+      .populate('prescription', 'status order timeline')
+      .populate('deliveryBoy', 'name phone vehicleNumber vehicleType')
+
+    res.json({
+      success: true,
+      message: decision === 'approved' ? 'Order signed off for dispatch' : 'Order rejected and cancelled',
+      order: updatedOrder
+    })
+  } catch (error) {
+    console.error('Pharmacist sign-off error:', error)
     res.status(500).json({
       success: false,
-      message: error.message || 'Failed to update order status'
+      message: error.message || 'Failed to record pharmacist sign-off'
+    })
+  }
+})
+
+/**
+ * PATCH /admin/orders/:id/payment
+ * Record whether an order's payment went through. A paid online order keeps its reserved stock;
+ * a failed one is cancelled and its stock released.
+ * Status codes: 200 (success), 400 (validation error or reservation already released), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.patch('/:id/payment', verifyAdminToken, [
+  body('status').isIn(['paid', 'failed']).withMessage('Payment status must be paid or failed')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const order = await recordPayment(req.params.id, {
+      status: req.body.status,
+      actor: { kind: 'Admin', id: req.admin._id }
+    })
+
+    const updatedOrder = await Order.findById(order._id)
+      .populate('user', 'name phone email')
+      .populate('items.product', 'name brand images')
+      .populate('prescription', 'status order timeline')
+      .populate('deliveryBoy', 'name phone vehicleNumber vehicleType')
+
+    res.json({
+      success: true,
+      message: req.body.status === 'paid' ? 'Payment recorded' : 'Payment failed; order cancelled and stock released',
+      order: updatedOrder
+    })
+  } catch (error) {
+    if (error.name === 'ReservationError') {
+      return res.status(error.code === 'ORDER_NOT_FOUND' ? 404 : error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      })
+    }
+
+    console.error('Record payment error:', error)
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to record payment'
+    })
+  }
+})
+
+/**
+ * POST /admin/orders/reservations/release
+ * Release stock held by online orders whose payment window has passed (this also runs on a schedule)
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.post('/reservations/release', verifyAdminToken, async (req, res) => {
+  try {
+    const result = await releaseExpiredReservations()
+
+    res.json({
+      success: true,
+      message: `Stock released from ${result.released} unpaid order(s)`,
+      data: result
+    })
+  } catch (error) {
+    console.error('Release reservations error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release stock reservations'
     })
   }
 })
@@ -234,9 +435,10 @@ router.patch('/:id/assign-delivery-boy', verifyAdminToken, [
     })
   } catch (error) {
     console.error('Assign delivery boy error:', error)
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: error.message || 'Failed to assign delivery boy'
+      message: error.message || 'Failed to assign delivery boy',
+      code: error.code
     })
   }
 })
@@ -170,7 +170,20 @@ router.put('/:id/status', verifyAdminToken, [
     .custom((value) => !!normalizeStatus(value))
     .withMessage('Invalid status'),
   body('note').optional().isString().trim(),
-  body('pharmacistNotes').optional().isString().trim()
+  body('pharmacistNotes').optional().isString().trim(),
+  body('validUntil').optional({ nullable: true }).isISO8601().withMessage('validUntil must be a valid date'),
+  body('approvedItems').optional().isArray().withMessage('approvedItems must be an array'),
+  body('approvedItems.*.itemType').optional().isIn(['product', 'medicine']).withMessage('Invalid item type'),
+  body('approvedItems.*.productId').optional().isMongoId().withMessage('Invalid product ID'),
+  body('approvedItems.*.medicineId').optional().isMongoId().withMessage('Invalid medicine ID'),
+  body('approvedItems.*.name').optional().isString().trim(),
+  body('approvedItems.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('approvedItems.*').custom((item) => {
+    if (!item?.productId && !item?.medicineId && !item?.name) {
+      throw new Error('Each approved item needs a productId, medicineId or name')
+    }
+    return true
+  })
 ], async (req, res) => {
   try {
     const errors = validationResult(req)
@@ -178,7 +191,7 @@ router.put('/:id/status', verifyAdminToken, [
       return validationErrorResponse(errors, res)
     }
 
-    const { status, note, pharmacistNotes } = req.body
+    const { status, note, pharmacistNotes, validUntil, approvedItems } = req.body
     const normalizedStatus = normalizeStatus(status)
 
     const prescription = await Prescription.findById(req.params.id)
@@ -196,8 +209,26 @@ router.put('/:id/status', verifyAdminToken, [
       note
     })
 
+    // Items and validity checked at checkout for Schedule H/H1/X medicines
+    if (approvedItems !== undefined) {
+      prescription.approvedItems = approvedItems.map((item) => ({
+        itemType: item.itemType || (item.medicineId ? 'medicine' : 'product'),
+        product: item.productId,
+        medicine: item.medicineId,
+        name: item.name,
+        quantity: item.quantity
+      }))
+    }
+
+    if (validUntil !== undefined) {
+      prescription.validUntil = validUntil || undefined
+    }
+
     if (pharmacistNotes !== undefined) {
       prescription.pharmacistNotes = pharmacistNotes
+    }
+
+    if (pharmacistNotes !== undefined || approvedItems !== undefined || validUntil !== undefined) {
       await prescription.save()
     }
 
@@ -1,11 +1,101 @@
 import express from 'express'
+import multer from 'multer'
 import { body, validationResult } from 'express-validator'
 import { verifyAdminToken } from '../../middleware/adminAuth.js'
 import Product from '../../../models/Product.js'
 import { clearCache } from '../../middleware/cache.js'
+import { getExpiryReport, sweepExpiredBatches } from '../../services/expiryService.js'
+import { refreshRecommendations } from '../../services/recommendationService.js'
+import {
+  InventoryError,
+  receiveStock,
+  recordStockMovement,
+  reconcileProductStock
+} from '../../services/inventoryService.js'
+import StockMovement from '../../../models/StockMovement.js'
+import { dosageForms, drugSchedules } from '../../../models/composition.js'
+import { getReorderSuggestions } from '../../services/reorderService.js'
+import {
+  PriceChangeError,
+  applyDuePriceChanges,
+  getPriceHistory,
+  recordPriceChanges,
+  schedulePriceChange,
+  snapshotPrices
+} from '../../services/priceService.js'
+import PriceChange from '../../../models/PriceChange.js'
+import { notifyIfBackInStock } from '../../services/stockAlertService.js'
+import {
+  catalogFormats,
+  commitCatalogImport,
+  describeImportPlan,
+  detectCatalogFormat,
+  exportCatalog,
+  planCatalogImport,
+  readCatalogFile
+} from '../../services/catalogTransferService.js'
 
 const router = express.Router()
 
+// Catalog spreadsheets are parsed in memory
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit for catalog files
+  },
+  fileFilter: (req, file, cb) => {
+    if (detectCatalogFormat(file)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'))
+    }
+  }
+})
+
+const batchValidators = (prefix) => [
+  body(`${prefix}batchNumber`).trim().notEmpty().withMessage('Batch number is required'),
+  body(`${prefix}expiryDate`).isISO8601().withMessage('Expiry date must be a valid date'),
+  body(`${prefix}manufactureDate`).optional().isISO8601().withMessage('Manufacture date must be a valid date'),
+  body(`${prefix}quantity`).isInt({ min: 0 }).withMessage('Batch quantity must be a non-negative integer'),
+  body(`${prefix}purchaseCost`).optional().isFloat({ min: 0 }).withMessage('Purchase cost must be a positive number')
+]
+
+const compositionValidators = [
+  body('composition').optional({ nullable: true }).isObject().withMessage('Composition must be an object'),
+  body('composition.ingredients').optional().isArray({ min: 1 }).withMessage('Composition needs at least one ingredient'),
+  body('composition.ingredients.*.name').trim().notEmpty().withMessage('Ingredient name is required'),
+  body('composition.ingredients.*.strength').optional().isFloat({ min: 0 }).withMessage('Ingredient strength must be a positive number'),
+  body('composition.ingredients.*.unit').optional().isString().trim(),
+  body('composition.dosageForm').optional().isIn(dosageForms).withMessage('Invalid dosage form'),
+  body('unitsPerPack').optional().isInt({ min: 1 }).withMessage('Units per pack must be at least 1'),
+  body('drugSchedule').optional().isIn(drugSchedules).withMessage(`Drug schedule must be one of: ${drugSchedules.join(', ')}`)
+]
+
+const variantValidators = [
+  body('variants').optional().isArray().withMessage('Variants must be an array'),
+  body('variants.*.sku').trim().notEmpty().withMessage('Variant SKU is required').isUppercase().withMessage('Variant SKU must be uppercase'),
+  body('variants.*.packSize').isInt({ min: 1 }).withMessage('Pack size must be at least 1'),
+  body('variants.*.unit').trim().notEmpty().withMessage('Pack unit is required'),
+  body('variants.*.label').optional().isString().trim(),
+  body('variants.*.price').isFloat({ min: 0 }).withMessage('Variant price must be a positive number'),
+  body('variants.*.mrp').isFloat({ min: 0 }).withMessage('Variant MRP must be a positive number'),
+  body('variants.*.stock').optional().isInt({ min: 0 }).withMessage('Variant stock must be a non-negative integer'),
+  body('variants.*.isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('variants.*.isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+]
+
+const findDuplicateBatchNumber = (batches = []) => {
+  const seen = new Set()
+  for (const batch of batches) {
+    const batchNumber = String(batch.batchNumber || '').trim().toUpperCase()
+    if (seen.has(batchNumber)) {
+      return batchNumber
+    }
+    seen.add(batchNumber)
+  }
+  return null
+}
+
 /**
  * GET /admin/products
  * Get all products with pagination
@@ -29,6 +119,11 @@ router.get('/', verifyAdminToken, async (req, res) => {
       filter.category = req.query.category
     }
 
+    // Products flagged by the expiry sweep
+    if (req.query.expired === 'true') {
+      filter.hasExpiredStock = true
+    }
+
     const products = await Product.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
@@ -57,6 +152,234 @@ router.get('/', verifyAdminToken, async (req, res) => {
   }
 })
 
+/**
+ * GET /admin/products/export
+ * Stream the full catalog as CSV (default) or XLSX in the same layout the import accepts
+ * Status codes: 200 (success), 400 (invalid format), 403 (not admin), 500 (error)
+ */
+router.get('/export', verifyAdminToken, async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase()
+
+  if (!catalogFormats.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${catalogFormats.join(', ')}`
+    })
+  }
+
+  try {
+    const fileName = `catalog-${new Date().toISOString().slice(0, 10)}.${format}`
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+
+    await exportCatalog(res, format)
+  } catch (error) {
+    console.error('Export catalog error:', error)
+    // Headers are already sent once streaming has started
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export catalog'
+      })
+    }
+    res.end()
+  }
+})
+
+/**
+ * POST /admin/products/import
+ * Import a CSV or XLSX catalog file (field "file"). Runs as a dry run unless dryRun=false,
+ * returning per-row errors and what would change. Committing upserts by SKU and is refused while any row has errors.
+ * Status codes: 200 (preview or committed), 400 (bad file or row errors), 403 (not admin), 500 (error)
+ */
+router.post('/import', verifyAdminToken, (req, res, next) => {
+  catalogUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'Failed to upload catalog file'
+      })
+    }
+    next()
+  })
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Catalog file is required'
+      })
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? 'true').toLowerCase() !== 'false'
+
+    let rows
+    try {
+      rows = await readCatalogFile(req.file.buffer, detectCatalogFormat(req.file))
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read catalog file: ${parseError.message}`
+      })
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Catalog file has no product rows'
+      })
+    }
+
+    const plan = await planCatalogImport(rows)
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Dry run complete. Nothing was saved.',
+        data: { dryRun: true, ...describeImportPlan(plan) }
+      })
+    }
+
+    if (plan.summary.errorCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${plan.summary.errorCount} row(s) have errors. Fix them and import again.`,
+        code: 'IMPORT_ROWS_INVALID',
+        data: describeImportPlan(plan)
+      })
+    }
+
+    const summary = await commitCatalogImport(plan, { actor: { kind: 'Admin', id: req.admin._id } })
+
+    res.json({
+      success: true,
+      message: `Catalog imported: ${summary.toCreate} created, ${summary.toUpdate} updated`,
+      data: { dryRun: false, ...describeImportPlan(plan) }
+    })
+  } catch (error) {
+    console.error('Import catalog error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import catalog'
+    })
+  }
+})
+
+/**
+ * GET /admin/products/low-stock
+ * Products at or below their reorder level with 30-day sales velocity and suggested reorder quantities per supplier
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/low-stock', verifyAdminToken, async (req, res) => {
+  try {
+    const report = await getReorderSuggestions()
+
+    res.json({
+      success: true,
+      data: report
+    })
+  } catch (error) {
+    console.error('Get low stock report error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build low stock report'
+    })
+  }
+})
+
+/**
+ * GET /admin/products/expiring
+ * Near-expiry and expired stock grouped into 30/60/90-day windows, valued at cost and MRP
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/expiring', verifyAdminToken, async (req, res) => {
+  try {
+    const report = await getExpiryReport()
+
+    res.json({
+      success: true,
+      data: report
+    })
+  } catch (error) {
+    console.error('Get expiring stock report error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build expiring stock report'
+    })
+  }
+})
+
+/**
+ * POST /admin/products/expiring/sweep
+ * Run the expired-batch sweep now (it also runs on a schedule)
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.post('/expiring/sweep', verifyAdminToken, async (req, res) => {
+  try {
+    const result = await sweepExpiredBatches()
+
+    res.json({
+      success: true,
+      message: `Expired stock removed from sale for ${result.productCount} product(s)`,
+      data: result
+    })
+  } catch (error) {
+    console.error('Expiry sweep error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sweep expired stock'
+    })
+  }
+})
+
+/**
+ * POST /admin/products/recommendations/refresh
+ * Recompute bought-together, also-viewed and regulars recommendations now (they also refresh on a schedule)
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.post('/recommendations/refresh', verifyAdminToken, async (req, res) => {
+  try {
+    const result = await refreshRecommendations()
+
+    res.json({
+      success: true,
+      message: `Recommendations refreshed for ${result.items} item(s) and ${result.users} customer(s)`,
+      data: result
+    })
+  } catch (error) {
+    console.error('Recommendations refresh error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh recommendations'
+    })
+  }
+})
+
+/**
+ * POST /admin/products/price-changes/apply
+ * Apply scheduled price changes that have become due now (they are also applied on a schedule)
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.post('/price-changes/apply', verifyAdminToken, async (req, res) => {
+  try {
+    const result = await applyDuePriceChanges()
+
+    res.json({
+      success: true,
+      message: `Applied ${result.applied} scheduled price change(s)`,
+      data: result
+    })
+  } catch (error) {
+    console.error('Apply price changes error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply scheduled price changes'
+    })
+  }
+})
+
 /**
  * POST /admin/products
  * Create new product
@@ -68,7 +391,14 @@ router.post('/', verifyAdminToken, [
   body('sku').trim().notEmpty().withMessage('SKU is required').isUppercase().withMessage('SKU must be uppercase'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('mrp').isFloat({ min: 0 }).withMessage('MRP must be a positive number'),
-  body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('stock').if(body('batches').not().exists()).if(body('variants').not().exists()).isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('batches').optional().isArray().withMessage('Batches must be an array'),
+  ...batchValidators('batches.*.'),
+  body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+  body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
+  body('preferredSupplier').optional({ nullable: true }).isMongoId().withMessage('Preferred supplier must be a valid ID'),
+  ...compositionValidators,
+  ...variantValidators,
   body('description').trim().notEmpty().withMessage('Description is required'),
   body('images').optional().isArray().withMessage('Images must be an array'),
   body('images.*').optional().isString().withMessage('Each image must be a string URL'),
@@ -103,6 +433,14 @@ router.post('/', verifyAdminToken, [
       })
     }
 
+    const duplicateBatch = findDuplicateBatchNumber(req.body.batches)
+    if (duplicateBatch) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch ${duplicateBatch} is listed more than once`
+      })
+    }
+
     // Ensure isActive is set to true for new products
     const productData = {
       ...req.body,
@@ -156,6 +494,14 @@ router.post('/', verifyAdminToken, [
       category: verifiedProduct.category
     })
 
+    await recordStockMovement(product, {
+      reason: 'opening_balance',
+      quantity: product.stock,
+      batches: product.batches,
+      reference: { kind: 'Product', id: product._id, number: product.sku },
+      actor: { kind: 'Admin', id: req.admin._id }
+    })
+
     // Clear products cache so new product appears immediately
     await clearCache('cache:/api/products*').catch(err => {
       console.warn('Failed to clear cache:', err.message)
@@ -222,6 +568,11 @@ router.put('/:id', verifyAdminToken, [
   body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('mrp').optional().isFloat({ min: 0 }).withMessage('MRP must be a positive number'),
   body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+  body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
+  body('preferredSupplier').optional({ nullable: true }).isMongoId().withMessage('Preferred supplier must be a valid ID'),
+  ...compositionValidators,
+  ...variantValidators,
   body('images').optional().isArray().withMessage('Images must be an array'),
   body('images.*').optional().isString().withMessage('Each image must be a string URL')
 ], async (req, res) => {
@@ -235,11 +586,11 @@ router.put('/:id', verifyAdminToken, [
       })
     }
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
+    // Batches are managed through the /:id/batches endpoints.
+    // Variants are replaced as a list; send each existing variant's _id to keep it (carts refer to it).
+    const { batches, stockNote, priceNote, ...updates } = req.body
+
+    const product = await Product.findById(req.params.id)
 
     if (!product) {
       return res.status(404).json({
@@ -248,6 +599,48 @@ router.put('/:id', verifyAdminToken, [
       })
     }
 
+    if (updates.stock !== undefined && product.isBatchTracked()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock for this product is tracked per batch. Update its batches instead.',
+        code: 'STOCK_MANAGED_BY_BATCHES'
+      })
+    }
+
+    if (updates.stock !== undefined && (product.hasVariants() || updates.variants?.length)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock for this product is held per variant. Update its variants instead.',
+        code: 'STOCK_MANAGED_BY_VARIANTS'
+      })
+    }
+
+    const previousStock = product.stock
+    const previousPrices = snapshotPrices(product)
+    product.set(updates)
+    await product.save()
+
+    await recordPriceChanges(product, previousPrices, {
+      actor: { kind: 'Admin', id: req.admin._id },
+      source: 'admin_update',
+      note: req.body.priceNote
+    })
+
+    if (product.stock !== previousStock) {
+      await recordStockMovement(product, {
+        reason: 'manual_adjustment',
+        quantity: product.stock - previousStock,
+        reference: { kind: 'Product', id: product._id, number: product.sku },
+        actor: { kind: 'Admin', id: req.admin._id },
+        note: stockNote
+      })
+    }
+
+    // Sent in the background so the update isn't held up by email and SMS
+    notifyIfBackInStock(product, previousStock).catch(err => {
+      console.warn('Failed to send back-in-stock alerts:', err.message)
+    })
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -255,6 +648,21 @@ router.put('/:id', verifyAdminToken, [
     })
   } catch (error) {
     console.error('Update product error:', error)
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'SKU is already used by another product or variant'
+      })
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update product'
@@ -262,6 +670,404 @@ router.put('/:id', verifyAdminToken, [
   }
 })
 
+/**
+ * GET /admin/products/:id/batches
+ * List a product's stock batches, earliest expiry first
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.get('/:id/batches', verifyAdminToken, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku stock batches')
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      })
+    }
+
+    const batches = [...product.batches].sort((a, b) => a.expiryDate - b.expiryDate)
+
+    res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        name: product.name,
+        sku: product.sku,
+        stock: product.stock,
+        sellableStock: product.getSellableStock(),
+        batches
+      }
+    })
+  } catch (error) {
+    console.error('Get product batches error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product batches'
+    })
+  }
+})
+
+/**
+ * POST /admin/products/:id/batches
+ * Receive stock into a batch (tops up an existing batch number)
+ * Status codes: 201 (success), 400 (validation error), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.post('/:id/batches', verifyAdminToken, [
+  ...batchValidators(''),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const product = await Product.findById(req.params.id)
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      })
+    }
+
+    const { batchNumber, manufactureDate, expiryDate, purchaseCost } = req.body
+    const { batch } = await receiveStock(product, {
+      quantity: Number(req.body.quantity),
+      batch: { batchNumber, manufactureDate, expiryDate, purchaseCost },
+      reference: { kind: 'Product', id: product._id, number: product.sku },
+      actor: { kind: 'Admin', id: req.admin._id },
+      note: req.body.note
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock received into batch',
+      data: {
+        batch,
+        stock: product.stock
+      }
+    })
+  } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      })
+    }
+
+    console.error('Add product batch error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add batch'
+    })
+  }
+})
+
+/**
+ * PUT /admin/products/:id/batches
+ * Replace the full batch list, e.g. after a stock take
+ * Status codes: 200 (success), 400 (validation error), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.put('/:id/batches', verifyAdminToken, [
+  body('batches').isArray().withMessage('Batches must be an array'),
+  ...batchValidators('batches.*.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const duplicateBatch = findDuplicateBatchNumber(req.body.batches)
+    if (duplicateBatch) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch ${duplicateBatch} is listed more than once`
+      })
+    }
+
+    const product = await Product.findById(req.params.id)
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      })
+    }
+
+    const previousStock = product.stock
+    product.batches = req.body.batches.map(({ batchNumber, manufactureDate, expiryDate, quantity, purchaseCost }) => ({
+      batchNumber,
+      manufactureDate,
+      expiryDate,
+      quantity,
+      purchaseCost
+    }))
+    product.syncStockFromBatches()
+    await product.save()
+
+    await recordStockMovement(product, {
+      reason: 'manual_adjustment',
+      quantity: product.stock - previousStock,
+      reference: { kind: 'Product', id: product._id, number: product.sku },
+      actor: { kind: 'Admin', id: req.admin._id },
+      note: req.body.note || 'Batch list replaced'
+    })
+
+    // Sent in the background so the update isn't held up by email and SMS
+    notifyIfBackInStock(product, previousStock).catch(err => {
+      console.warn('Failed to send back-in-stock alerts:', err.message)
+    })
+
+    await clearCache('cache:/api/products*').catch(err => {
+      console.warn('Failed to clear cache:', err.message)
+    })
+
+    res.json({
+      success: true,
+      message: 'Product batches updated successfully',
+      data: {
+        batches: product.batches,
+        stock: product.stock
+      }
+    })
+  } catch (error) {
+    console.error('Replace product batches error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update product batches'
+    })
+  }
+})
+
+/**
+ * GET /admin/products/:id/stock-ledger
+ * Stock movement history for a product, reconciled against its current stock
+ * (?reason=, ?needsReview=true for restocks an admin should check)
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.get('/:id/stock-ledger', verifyAdminToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+    const skip = (page - 1) * limit
+
+    const product = await Product.findById(req.params.id).select('name sku stock batches')
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      })
+    }
+
+    const filter = { product: product._id }
+    if (req.query.reason) {
+      filter.reason = req.query.reason
+    }
+    if (req.query.needsReview === 'true') {
+      filter.needsReview = true
+    }
+
+    const [movements, total, reconciliation] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      StockMovement.countDocuments(filter),
+      reconcileProductStock(product)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          id: product._id,
+          name: product.name,
+          sku: product.sku,
+          stock: product.stock
+        },
+        reconciliation,
+        movements,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get stock ledger error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock ledger'
+    })
+  }
+})
+
+/**
+ * GET /admin/products/:id/price-history
+ * Price and MRP changes of a product and its variants, newest first, including scheduled ones
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.get('/:id/price-history', verifyAdminToken, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku price mrp variants')
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      })
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500)
+    const history = await getPriceHistory(product._id, {
+      variantId: req.query.variantId,
+      status: req.query.status,
+      limit
+    })
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          id: product._id,
+          name: product.name,
+          sku: product.sku,
+          price: product.price,
+          mrp: product.mrp
+        },
+        history
+      }
+    })
+  } catch (error) {
+    console.error('Get price history error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch price history'
+    })
+  }
+})
+
+/**
+ * POST /admin/products/:id/price-changes
+ * Schedule a price and/or MRP change, applied by the price-changes job once effectiveAt passes
+ * Status codes: 201 (success), 400 (validation error), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.post('/:id/price-changes', verifyAdminToken, [
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('mrp').optional().isFloat({ min: 0 }).withMessage('MRP must be a positive number'),
+  body('variantId').optional().isMongoId().withMessage('Variant ID must be valid'),
+  body('effectiveAt').isISO8601().withMessage('Effective date must be a valid date'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const product = await Product.findById(req.params.id)
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      })
+    }
+
+    const change = await schedulePriceChange(product, {
+      price: req.body.price !== undefined ? Number(req.body.price) : undefined,
+      mrp: req.body.mrp !== undefined ? Number(req.body.mrp) : undefined,
+      variantId: req.body.variantId,
+      effectiveAt: req.body.effectiveAt,
+      actor: { kind: 'Admin', id: req.admin._id },
+      note: req.body.note
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Price change scheduled successfully',
+      data: change
+    })
+  } catch (error) {
+    if (error instanceof PriceChangeError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        meta: error.meta
+      })
+    }
+
+    console.error('Schedule price change error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule price change'
+    })
+  }
+})
+
+/**
+ * DELETE /admin/products/:id/price-changes/:changeId
+ * Cancel a scheduled price change that has not been applied yet
+ * Status codes: 200 (success), 400 (already applied or cancelled), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.delete('/:id/price-changes/:changeId', verifyAdminToken, async (req, res) => {
+  try {
+    const change = await PriceChange.findOne({ _id: req.params.changeId, product: req.params.id })
+
+    if (!change) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price change not found'
+      })
+    }
+
+    if (change.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: `Only scheduled price changes can be cancelled (this one is ${change.status})`,
+        code: 'PRICE_CHANGE_NOT_SCHEDULED'
+      })
+    }
+
+    change.status = 'cancelled'
+    change.cancelledAt = new Date()
+    await change.save()
+
+    res.json({
+      success: true,
+      message: 'Price change cancelled successfully',
+      data: change
+    })
+  } catch (error) {
+    console.error('Cancel price change error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel price change'
+    })
+  }
+})
+
 /**
  * DELETE /admin/products/:id
  * Delete (soft delete) product
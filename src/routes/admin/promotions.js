@@ -0,0 +1,341 @@
+import express from 'express'
+import { body, query, validationResult } from 'express-validator'
+import { verifyAdminToken } from '../../middleware/adminAuth.js'
+import Promotion, { promotionTypes } from '../../../models/Promotion.js'
+import Order from '../../../models/Order.js'
+import { PromotionError, describeOfferItems } from '../../services/promotionService.js'
+import { escapeRegex } from '../../utils/escapeRegex.js'
+
+const router = express.Router()
+
+const promotionFields = [
+  'name',
+  'description',
+  'type',
+  'buyQuantity',
+  'getQuantity',
+  'percentOff',
+  'minCartValue',
+  'eligibility',
+  'bundlePrice',
+  'priority',
+  'startsAt',
+  'endsAt',
+  'isActive'
+]
+
+const pickPromotionFields = (source = {}) => {
+  return promotionFields.reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      // null clears an optional date
+      acc[field] = source[field] === null ? undefined : source[field]
+    }
+    return acc
+  }, {})
+}
+
+// Free and bundled items are looked up so customers see their names
+const pickOfferItems = async (source = {}) => {
+  const items = {}
+  if (source.freeItem !== undefined) {
+    items.freeItem = source.freeItem ? (await describeOfferItems([source.freeItem]))[0] : undefined
+  }
+  if (source.bundleItems !== undefined) {
+    items.bundleItems = source.bundleItems ? await describeOfferItems(source.bundleItems) : undefined
+  }
+  return items
+}
+
+const offerItemValidators = (path) => [
+  body(`${path}.itemType`).optional().isIn(['product', 'medicine']).withMessage('Item type must be product or medicine'),
+  body(`${path}.product`).optional().isMongoId().withMessage('Invalid product ID'),
+  body(`${path}.medicine`).optional().isMongoId().withMessage('Invalid medicine ID'),
+  body(`${path}.quantity`).optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+]
+
+const promotionValidators = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain)
+  const optionalValue = (field) => body(field).optional({ values: 'null' })
+  return [
+    required(body('name')).isString().trim().notEmpty().withMessage('Promotion name is required'),
+    body('description').optional().isString().trim(),
+    required(body('type')).isIn(promotionTypes).withMessage(`Type must be one of: ${promotionTypes.join(', ')}`),
+    body('buyQuantity').optional().isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+    body('getQuantity').optional().isInt({ min: 1 }).withMessage('Free quantity must be at least 1'),
+    body('percentOff').optional().isFloat({ gt: 0, max: 100 }).withMessage('Percentage off must be between 0 and 100'),
+    body('minCartValue').optional().isFloat({ min: 0 }).withMessage('Minimum cart value must be a non-negative number'),
+    body('bundlePrice').optional().isFloat({ min: 0 }).withMessage('Bundle price must be a non-negative number'),
+    body('eligibility').optional().isObject().withMessage('Eligibility must be an object'),
+    body('eligibility.categories').optional().isArray().withMessage('Eligible categories must be an array'),
+    body('eligibility.products').optional().isArray().withMessage('Eligible products must be an array'),
+    body('eligibility.products.*').optional().isMongoId().withMessage('Invalid product ID'),
+    body('eligibility.medicines').optional().isArray().withMessage('Eligible medicines must be an array'),
+    body('eligibility.medicines.*').optional().isMongoId().withMessage('Invalid medicine ID'),
+    optionalValue('freeItem').isObject().withMessage('Free item must be an object'),
+    ...offerItemValidators('freeItem'),
+    optionalValue('bundleItems').isArray().withMessage('Bundle items must be an array'),
+    ...offerItemValidators('bundleItems.*'),
+    body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+    optionalValue('startsAt').isISO8601().withMessage('Start must be a valid date'),
+    optionalValue('endsAt').isISO8601().withMessage('End must be a valid date'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ]
+}
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) {
+    return false
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  })
+  return true
+}
+
+const sendSaveError = (res, error, fallbackMessage) => {
+  if (error instanceof PromotionError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      meta: error.meta
+    })
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  })
+}
+
+/**
+ * GET /admin/promotions
+ * List promotions (?status=live|scheduled|expired, ?type=, ?isActive=true|false, ?search=name)
+ * Status codes: 200 (success), 400 (invalid query), 403 (not admin), 500 (error)
+ */
+router.get('/', verifyAdminToken, [
+  query('status').optional().isIn(['live', 'scheduled', 'expired']).withMessage('Status must be live, scheduled or expired'),
+  query('type').optional().isIn(promotionTypes).withMessage(`Type must be one of: ${promotionTypes.join(', ')}`),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return
+    }
+
+    const filter = {}
+    const now = new Date()
+
+    if (req.query.type) {
+      filter.type = req.query.type
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true'
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i')
+      filter.$or = [{ name: pattern }, { description: pattern }]
+    }
+
+    if (req.query.status === 'live') {
+      filter.isActive = true
+      filter.$and = [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+      ]
+    } else if (req.query.status === 'scheduled') {
+      filter.startsAt = { $gt: now }
+    } else if (req.query.status === 'expired') {
+      filter.endsAt = { $lte: now }
+    }
+
+    const promotions = await Promotion.find(filter).sort({ priority: -1, createdAt: -1 }).lean()
+
+    res.json({
+      success: true,
+      data: promotions
+    })
+  } catch (error) {
+    console.error('Get promotions error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions'
+    })
+  }
+})
+
+/**
+ * POST /admin/promotions
+ * Create a promotion; it applies to carts automatically while live
+ * Status codes: 201 (success), 400 (validation error or unknown item), 403 (not admin), 500 (error)
+ */
+router.post('/', verifyAdminToken, promotionValidators(), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return
+    }
+
+    const promotion = await Promotion.create({
+      ...pickPromotionFields(req.body),
+      ...(await pickOfferItems(req.body)),
+      createdBy: req.admin._id
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    })
+  } catch (error) {
+    console.error('Create promotion error:', error)
+    sendSaveError(res, error, 'Failed to create promotion')
+  }
+})
+
+/**
+ * GET /admin/promotions/:id
+ * Get a promotion with what it has given away: orders, savings and the value of those orders
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.get('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).lean()
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    const [usage] = await Order.aggregate([
+      { $match: { 'discounts.promotion': promotion._id, status: { $ne: 'cancelled' } } },
+      { $unwind: '$discounts' },
+      { $match: { 'discounts.promotion': promotion._id } },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          customers: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discounts.amount' },
+          orderValue: { $sum: '$total' }
+        }
+      }
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        ...promotion,
+        usage: {
+          orders: usage?.orders || 0,
+          customers: usage?.customers.length || 0,
+          totalDiscount: usage?.totalDiscount || 0,
+          orderValue: usage?.orderValue || 0
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get promotion error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotion'
+    })
+  }
+})
+
+/**
+ * PUT /admin/promotions/:id
+ * Update a promotion; orders already placed keep the savings they got
+ * Status codes: 200 (success), 400 (validation error or unknown item), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.put('/:id', verifyAdminToken, promotionValidators(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return
+    }
+
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    // Saved through the document so the fields each type needs are validated together
+    promotion.set({
+      ...pickPromotionFields(req.body),
+      ...(await pickOfferItems(req.body)),
+      updatedBy: req.admin._id
+    })
+    await promotion.save()
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    })
+  } catch (error) {
+    console.error('Update promotion error:', error)
+    sendSaveError(res, error, 'Failed to update promotion')
+  }
+})
+
+/**
+ * DELETE /admin/promotions/:id
+ * Delete a promotion no order used; promotions orders got savings from are deactivated instead
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.delete('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    if (await Order.exists({ 'discounts.promotion': promotion._id })) {
+      promotion.isActive = false
+      promotion.updatedBy = req.admin._id
+      await promotion.save()
+
+      return res.json({
+        success: true,
+        message: 'Promotion has been used on orders, so it was deactivated instead',
+        data: promotion
+      })
+    }
+
+    await promotion.deleteOne()
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete promotion error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion'
+    })
+  }
+})
+
+export default router
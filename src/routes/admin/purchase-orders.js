@@ -0,0 +1,564 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { body, validationResult } from 'express-validator'
+import { verifyAdminToken } from '../../middleware/adminAuth.js'
+import PurchaseOrder, { purchaseOrderStatuses } from '../../../models/PurchaseOrder.js'
+import Supplier from '../../../models/Supplier.js'
+import Product from '../../../models/Product.js'
+import { InventoryError, announceRestock, receiveStockLines } from '../../services/inventoryService.js'
+import { withTransaction } from '../../utils/transaction.js'
+
+const router = express.Router()
+
+const openStatuses = ['ordered', 'partially_received']
+
+const sendInventoryError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    ...(error.meta && Object.keys(error.meta).length ? { meta: error.meta } : {})
+  })
+}
+
+const parseDateRange = (query = {}) => {
+  const range = {}
+  if (query.startDate) {
+    range.$gte = new Date(query.startDate)
+  }
+  if (query.endDate) {
+    range.$lte = new Date(query.endDate)
+  }
+  return Object.keys(range).length ? range : null
+}
+
+/**
+ * GET /admin/purchase-orders
+ * List purchase orders with pagination
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/', verifyAdminToken, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    const skip = (page - 1) * limit
+
+    const filter = {}
+
+    if (req.query.status && purchaseOrderStatuses.includes(req.query.status)) {
+      filter.status = req.query.status
+    }
+
+    if (req.query.supplierId) {
+      filter.supplier = req.query.supplierId
+    }
+
+    if (req.query.invoiceNumber) {
+      filter['receipts.supplierInvoiceNumber'] = req.query.invoiceNumber
+    }
+
+    const [purchaseOrders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .populate('supplier', 'name code')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PurchaseOrder.countDocuments(filter)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        purchaseOrders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get purchase orders error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders'
+    })
+  }
+})
+
+/**
+ * GET /admin/purchase-orders/reports/pending
+ * Open purchase orders with the quantities and value still to be delivered
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/reports/pending', verifyAdminToken, async (req, res) => {
+  try {
+    const purchaseOrders = await PurchaseOrder.find({ status: { $in: openStatuses } })
+      .populate('supplier', 'name code')
+      .sort({ expectedDeliveryDate: 1, createdAt: 1 })
+
+    const now = new Date()
+    const pending = purchaseOrders.map((po) => {
+      const items = po.items
+        .map((item) => ({
+          product: item.product,
+          name: item.name,
+          sku: item.sku,
+          orderedQuantity: item.orderedQuantity,
+          receivedQuantity: item.receivedQuantity,
+          pendingQuantity: item.orderedQuantity - item.receivedQuantity,
+          pendingValue: (item.orderedQuantity - item.receivedQuantity) * item.unitCost
+        }))
+        .filter((item) => item.pendingQuantity > 0)
+
+      return {
+        id: po._id,
+        poNumber: po.poNumber,
+        status: po.status,
+        supplier: po.supplier,
+        createdAt: po.createdAt,
+        expectedDeliveryDate: po.expectedDeliveryDate,
+        isOverdue: Boolean(po.expectedDeliveryDate && po.expectedDeliveryDate < now),
+        pendingQuantity: items.reduce((sum, item) => sum + item.pendingQuantity, 0),
+        pendingValue: items.reduce((sum, item) => sum + item.pendingValue, 0),
+        items
+      }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        purchaseOrders: pending,
+        totals: {
+          count: pending.length,
+          overdue: pending.filter((po) => po.isOverdue).length,
+          pendingValue: pending.reduce((sum, po) => sum + po.pendingValue, 0)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Pending purchase orders report error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build pending purchase orders report'
+    })
+  }
+})
+
+/**
+ * GET /admin/purchase-orders/reports/supplier-purchases
+ * Ordered and received purchase value per supplier, optionally within a date range
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/reports/supplier-purchases', verifyAdminToken, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query)
+
+    const [ordered, received] = await Promise.all([
+      PurchaseOrder.aggregate([
+        { $match: { status: { $ne: 'cancelled' }, ...(range ? { createdAt: range } : {}) } },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: '$supplier',
+            orderedValue: { $sum: { $multiply: ['$items.orderedQuantity', '$items.unitCost'] } },
+            purchaseOrders: { $addToSet: '$_id' }
+          }
+        }
+      ]),
+      PurchaseOrder.aggregate([
+        { $unwind: '$receipts' },
+        ...(range ? [{ $match: { 'receipts.receivedAt': range } }] : []),
+        { $unwind: '$receipts.items' },
+        {
+          $group: {
+            _id: '$supplier',
+            receivedValue: { $sum: { $multiply: ['$receipts.items.quantity', '$receipts.items.unitCost'] } },
+            receivedQuantity: { $sum: '$receipts.items.quantity' },
+            invoices: { $addToSet: '$receipts.supplierInvoiceNumber' }
+          }
+        }
+      ])
+    ])
+
+    const supplierIds = [...new Set([...ordered, ...received].map((entry) => entry._id.toString()))]
+    const suppliers = await Supplier.find({ _id: { $in: supplierIds } }).select('name code').lean()
+    const supplierMap = new Map(suppliers.map((supplier) => [supplier._id.toString(), supplier]))
+    const receivedMap = new Map(received.map((entry) => [entry._id.toString(), entry]))
+    const orderedMap = new Map(ordered.map((entry) => [entry._id.toString(), entry]))
+
+    const rows = supplierIds
+      .map((id) => ({
+        supplier: supplierMap.get(id) || { _id: id },
+        purchaseOrderCount: orderedMap.get(id)?.purchaseOrders.length || 0,
+        orderedValue: orderedMap.get(id)?.orderedValue || 0,
+        receivedValue: receivedMap.get(id)?.receivedValue || 0,
+        receivedQuantity: receivedMap.get(id)?.receivedQuantity || 0,
+        invoiceCount: receivedMap.get(id)?.invoices.length || 0
+      }))
+      .sort((a, b) => b.receivedValue - a.receivedValue)
+
+    res.json({
+      success: true,
+      data: {
+        suppliers: rows,
+        totals: {
+          orderedValue: rows.reduce((sum, row) => sum + row.orderedValue, 0),
+          receivedValue: rows.reduce((sum, row) => sum + row.receivedValue, 0)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Supplier purchases report error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build supplier purchases report'
+    })
+  }
+})
+
+/**
+ * POST /admin/purchase-orders
+ * Raise a purchase order with a supplier
+ * Status codes: 201 (success), 400 (validation error), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.post('/', verifyAdminToken, [
+  body('supplierId').isMongoId().withMessage('Valid supplier ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+  body('expectedDeliveryDate').optional().isISO8601().withMessage('Expected delivery date must be a valid date'),
+  body('notes').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const { supplierId, items, expectedDeliveryDate, notes } = req.body
+
+    const supplier = await Supplier.findById(supplierId)
+    if (!supplier || !supplier.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found or inactive'
+      })
+    }
+
+    const productIds = items.map((item) => item.productId)
+    if (new Set(productIds).size !== productIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each product can appear only once on a purchase order'
+      })
+    }
+
+    const products = await Product.find({ _id: { $in: productIds } }).select('name sku')
+    const productMap = new Map(products.map((product) => [product._id.toString(), product]))
+
+    const missing = productIds.filter((id) => !productMap.has(id))
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more products were not found',
+        meta: { productIds: missing }
+      })
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+      supplier: supplier._id,
+      items: items.map((item) => {
+        const product = productMap.get(item.productId)
+        return {
+          product: product._id,
+          name: product.name,
+          sku: product.sku,
+          orderedQuantity: Number(item.quantity),
+          unitCost: Number(item.unitCost)
+        }
+      }),
+      expectedDeliveryDate,
+      notes,
+      createdBy: req.admin._id
+    })
+
+    await purchaseOrder.populate('supplier', 'name code')
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order raised successfully',
+      data: purchaseOrder
+    })
+  } catch (error) {
+    console.error('Create purchase order error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create purchase order'
+    })
+  }
+})
+
+/**
+ * GET /admin/purchase-orders/:id
+ * Get a single purchase order with its receipts
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.get('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier')
+      .populate('items.product', 'name sku stock')
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: purchaseOrder
+    })
+  } catch (error) {
+    console.error('Get purchase order error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order'
+    })
+  }
+})
+
+/**
+ * POST /admin/purchase-orders/:id/receive
+ * Receive a purchase order fully or partly against a supplier invoice.
+ * Stock is added through the inventory service so every unit lands in the stock ledger; the
+ * stock and the purchase order are saved in one transaction.
+ * Status codes: 200 (success), 400 (validation error, or changed by another receipt), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.post('/:id/receive', verifyAdminToken, [
+  body('supplierInvoiceNumber').trim().notEmpty().withMessage('Supplier invoice number is required'),
+  body('supplierInvoiceDate').optional().isISO8601().withMessage('Supplier invoice date must be a valid date'),
+  body('items').isArray({ min: 1 }).withMessage('At least one received item is required'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+  body('items.*.variantId').optional().isMongoId().withMessage('Variant ID must be valid'),
+  body('items.*.batchNumber').optional().trim().notEmpty().withMessage('Batch number cannot be empty'),
+  body('items.*.expiryDate').optional().isISO8601().withMessage('Expiry date must be a valid date'),
+  body('items.*.manufactureDate').optional().isISO8601().withMessage('Manufacture date must be a valid date'),
+  body('note').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    let purchaseOrder = await PurchaseOrder.findById(req.params.id)
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      })
+    }
+
+    if (!openStatuses.includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot receive against a ${purchaseOrder.status} purchase order`
+      })
+    }
+
+    const { supplierInvoiceNumber, supplierInvoiceDate, items, note } = req.body
+
+    purchaseOrder = await withTransaction(async (session, { onRollback, afterCommit }) => {
+      // Loaded again in the transaction so a retry starts from what is stored
+      const current = await PurchaseOrder.findById(purchaseOrder._id).session(session)
+      if (!current || !openStatuses.includes(current.status)) {
+        throw new InventoryError('This purchase order is no longer open for receiving', 'PO_NOT_OPEN')
+      }
+
+      const requestedByProduct = new Map()
+      for (const item of items) {
+        const key = item.productId.toString()
+        requestedByProduct.set(key, (requestedByProduct.get(key) || 0) + Number(item.quantity))
+      }
+
+      for (const [productId, quantity] of requestedByProduct) {
+        const poItem = current.items.find((entry) => entry.product.toString() === productId)
+        if (!poItem) {
+          throw new InventoryError('Product is not on this purchase order', 'ITEM_NOT_ON_PO', { productId })
+        }
+        const outstanding = current.getOutstandingQuantity(productId)
+        if (quantity > outstanding) {
+          throw new InventoryError(
+            `Received quantity for ${poItem.name} exceeds the outstanding ${outstanding}`,
+            'QUANTITY_EXCEEDS_PO',
+            { productId, requested: quantity, outstanding }
+          )
+        }
+      }
+
+      const products = await Product.find({ _id: { $in: [...requestedByProduct.keys()] } }).session(session)
+      const productMap = new Map(products.map((product) => [product._id.toString(), product]))
+
+      const lines = items.map((item) => {
+        const product = productMap.get(item.productId.toString())
+        if (!product) {
+          throw new InventoryError('Product not found', 'PRODUCT_NOT_FOUND', { productId: item.productId })
+        }
+
+        const poItem = current.items.find((entry) => entry.product.toString() === item.productId.toString())
+        const unitCost = item.unitCost !== undefined ? Number(item.unitCost) : poItem.unitCost
+        return {
+          product,
+          poItem,
+          unitCost,
+          quantity: Number(item.quantity),
+          variantId: item.variantId,
+          batch: item.batchNumber
+            ? {
+                batchNumber: item.batchNumber,
+                manufactureDate: item.manufactureDate,
+                expiryDate: item.expiryDate,
+                purchaseCost: unitCost
+              }
+            : undefined
+        }
+      })
+
+      // Every line is checked against the lines before it before any stock is saved
+      const received = await receiveStockLines(lines, {
+        reference: { kind: 'PurchaseOrder', id: current._id, number: current.poNumber },
+        actor: { kind: 'Admin', id: req.admin._id },
+        note: `Supplier invoice ${supplierInvoiceNumber}`,
+        session,
+        onRollback
+      })
+
+      const receiptItems = lines.map(({ product, poItem, unitCost, quantity, variantId }, index) => {
+        poItem.receivedQuantity += quantity
+        const receivedBatch = received[index].batch
+        return {
+          product: product._id,
+          quantity,
+          unitCost,
+          variantSku: product.getVariant(variantId)?.sku,
+          batchNumber: receivedBatch?.batchNumber,
+          manufactureDate: receivedBatch?.manufactureDate,
+          expiryDate: receivedBatch?.expiryDate
+        }
+      })
+
+      current.receipts.push({
+        supplierInvoiceNumber,
+        supplierInvoiceDate,
+        receivedBy: req.admin._id,
+        items: receiptItems,
+        note
+      })
+      current.refreshReceiptStatus()
+
+      // Saved only if no other receipt changed the order since it was loaded, so two receipts
+      // racing each other can't both take the same outstanding quantity
+      current.$where = { __v: current.__v }
+      current.increment()
+      await current.save({ session })
+
+      // Once per product, against its stock from before the receipt
+      const restocked = new Map(received.map((line) => [line.product, line.previousStock]))
+      for (const [product, previousStock] of restocked) {
+        afterCommit(() => announceRestock(product, previousStock))
+      }
+      return current
+    }).catch((error) => {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        throw new InventoryError(
+          'This purchase order was changed by another receipt; reload it and try again',
+          'PO_CHANGED',
+          { purchaseOrderId: purchaseOrder._id }
+        )
+      }
+      throw error
+    })
+
+    await purchaseOrder.populate('supplier', 'name code')
+
+    res.json({
+      success: true,
+      message: purchaseOrder.status === 'received'
+        ? 'Purchase order fully received'
+        : 'Purchase order partially received',
+      data: purchaseOrder
+    })
+  } catch (error) {
+    if (error instanceof InventoryError) {
+      return sendInventoryError(res, error)
+    }
+
+    console.error('Receive purchase order error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive purchase order'
+    })
+  }
+})
+
+/**
+ * POST /admin/purchase-orders/:id/cancel
+ * Cancel a purchase order that has not been received yet
+ * Status codes: 200 (success), 400 (invalid status), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.post('/:id/cancel', verifyAdminToken, [
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      })
+    }
+
+    if (purchaseOrder.status !== 'ordered') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only purchase orders with nothing received can be cancelled'
+      })
+    }
+
+    purchaseOrder.status = 'cancelled'
+    purchaseOrder.cancelledAt = new Date()
+    purchaseOrder.cancellationReason = req.body.reason
+    await purchaseOrder.save()
+
+    res.json({
+      success: true,
+      message: 'Purchase order cancelled',
+      data: purchaseOrder
+    })
+  } catch (error) {
+    console.error('Cancel purchase order error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel purchase order'
+    })
+  }
+})
+
+export default router
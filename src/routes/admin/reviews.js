@@ -0,0 +1,154 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { body, validationResult } from 'express-validator'
+import { verifyAdminToken } from '../../middleware/adminAuth.js'
+import Review, { reviewStatuses } from '../../../models/Review.js'
+import { getReviewItem, moderateReview, refreshItemRating } from '../../services/reviewService.js'
+import { removeReviewPhoto } from '../../utils/reviewStorage.js'
+
+const router = express.Router()
+
+/**
+ * GET /admin/reviews
+ * Reviews for moderation, pending first by default; filter by status, item, rating or verified purchase
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/', verifyAdminToken, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+
+    const filter = {}
+
+    const status = req.query.status || 'pending'
+    if (reviewStatuses.includes(status)) {
+      filter.status = status
+    }
+
+    if (req.query.itemId && mongoose.Types.ObjectId.isValid(req.query.itemId)) {
+      filter[req.query.itemType === 'medicine' ? 'medicine' : 'product'] = req.query.itemId
+    }
+
+    if (req.query.rating) {
+      filter.rating = parseInt(req.query.rating)
+    }
+
+    if (req.query.verified !== undefined) {
+      filter.verifiedPurchase = req.query.verified === 'true'
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name email phone')
+        .populate('product', 'name images')
+        .populate('medicine', 'name image images')
+        .populate('moderatedBy', 'name email')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v')
+        .lean(),
+      Review.countDocuments(filter)
+    ])
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (error) {
+    console.error('Get admin reviews error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews'
+    })
+  }
+})
+
+/**
+ * PATCH /admin/reviews/:id/moderate
+ * Approve or reject a review; the item's rating is updated straight away
+ * Status codes: 200 (success), 400 (validation error), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.patch('/:id/moderate', verifyAdminToken, [
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const review = await Review.findById(req.params.id)
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      })
+    }
+
+    await moderateReview(review, {
+      status: req.body.status,
+      note: req.body.note,
+      adminId: req.admin._id
+    })
+
+    res.json({
+      success: true,
+      message: `Review ${req.body.status}`,
+      data: review
+    })
+  } catch (error) {
+    console.error('Moderate review error:', error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to moderate review',
+      ...(error.code && { code: error.code })
+    })
+  }
+})
+
+/**
+ * DELETE /admin/reviews/:id
+ * Remove a review and its photos
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.delete('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const review = await Review.findByIdAndDelete(req.params.id)
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      })
+    }
+
+    await Promise.all(review.photos.map(removeReviewPhoto))
+    if (review.status === 'approved') {
+      await refreshItemRating(getReviewItem(review))
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete review error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete review'
+    })
+  }
+})
+
+export default router
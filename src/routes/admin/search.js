@@ -0,0 +1,336 @@
+import express from 'express'
+import { body, query, validationResult } from 'express-validator'
+import { verifyAdminToken } from '../../middleware/adminAuth.js'
+import SearchSynonym, { synonymKinds } from '../../../models/SearchSynonym.js'
+import { getZeroResultQueries, getPopularSearches, getTrendingSearches } from '../../services/searchQueryService.js'
+import { refreshSuggestIndex } from '../../services/suggestService.js'
+import { expandSearchTerm, reloadSynonyms } from '../../services/synonymService.js'
+import { escapeRegex } from '../../utils/escapeRegex.js'
+
+const router = express.Router()
+
+const synonymValidators = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain)
+  return [
+    required(body('term')).isString().trim().notEmpty().withMessage('Term is required'),
+    required(body('synonyms')).isArray({ min: 1 }).withMessage('Synonyms must be a non-empty array'),
+    body('synonyms.*').isString().trim().notEmpty().withMessage('Synonyms must be non-empty strings'),
+    body('kind').optional().isIn(synonymKinds).withMessage(`Kind must be one of: ${synonymKinds.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ]
+}
+
+const pickSynonymFields = (source = {}) => {
+  return ['term', 'synonyms', 'kind', 'isActive'].reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      acc[field] = source[field]
+    }
+    return acc
+  }, {})
+}
+
+const handleSynonymSaveError = (error, res, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'An entry for this term already exists'
+    })
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  })
+}
+
+/**
+ * GET /admin/search/zero-results
+ * Searches that found nothing over the last days, most frequent first
+ * Status codes: 200 (success), 400 (validation error), 403 (not admin), 500 (error)
+ */
+router.get('/zero-results', verifyAdminToken, [
+  query('days').optional().isInt({ min: 1, max: 90 }).toInt(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const days = req.query.days || 30
+    const page = req.query.page || 1
+    const limit = req.query.limit || 50
+    const { queries, total } = await getZeroResultQueries({ days, page, limit })
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        queries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Zero-result searches error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch zero-result searches'
+    })
+  }
+})
+
+/**
+ * GET /admin/search/popular
+ * Most frequent and trending searches
+ * Status codes: 200 (success), 400 (validation error), 403 (not admin), 500 (error)
+ */
+router.get('/popular', verifyAdminToken, [
+  query('days').optional().isInt({ min: 1, max: 90 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const limit = req.query.limit || 20
+    const [popular, trending] = await Promise.all([
+      getPopularSearches({ days: req.query.days || 30, limit }),
+      getTrendingSearches({ limit })
+    ])
+
+    res.json({
+      success: true,
+      data: { popular, trending }
+    })
+  } catch (error) {
+    console.error('Popular searches error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch popular searches'
+    })
+  }
+})
+
+/**
+ * POST /admin/search/suggest-index/rebuild
+ * Rebuild the autocomplete index now instead of waiting for the next scheduled refresh
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.post('/suggest-index/rebuild', verifyAdminToken, async (req, res) => {
+  try {
+    const { entries, keys, builtAt } = await refreshSuggestIndex()
+
+    res.json({
+      success: true,
+      message: 'Suggest index rebuilt',
+      data: { entries: entries.length, keys: keys.length, builtAt }
+    })
+  } catch (error) {
+    console.error('Rebuild suggest index error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rebuild suggest index'
+    })
+  }
+})
+
+/**
+ * GET /admin/search/synonyms
+ * List synonyms and brand aliases, optionally filtered by kind or a word they contain
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/synonyms', verifyAdminToken, async (req, res) => {
+  try {
+    const filter = {}
+
+    if (synonymKinds.includes(req.query.kind)) {
+      filter.kind = req.query.kind
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true'
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i')
+      filter.$or = [{ term: pattern }, { synonyms: pattern }]
+    }
+
+    const synonyms = await SearchSynonym.find(filter)
+      .sort({ term: 1 })
+      .lean()
+
+    res.json({
+      success: true,
+      data: synonyms
+    })
+  } catch (error) {
+    console.error('Get search synonyms error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch search synonyms'
+    })
+  }
+})
+
+/**
+ * GET /admin/search/synonyms/preview
+ * Show which alternative queries a search would also run
+ * Status codes: 200 (success), 400 (validation error), 403 (not admin), 500 (error)
+ */
+router.get('/synonyms/preview', verifyAdminToken, [
+  query('q').isString().trim().notEmpty().withMessage('Query is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await expandSearchTerm(req.query.q)
+    })
+  } catch (error) {
+    console.error('Preview search synonyms error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview search synonyms'
+    })
+  }
+})
+
+/**
+ * POST /admin/search/synonyms
+ * Add a synonym group or brand alias; searches use it straight away
+ * Status codes: 201 (success), 400 (validation error or duplicate term), 403 (not admin), 500 (error)
+ */
+router.post('/synonyms', verifyAdminToken, synonymValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const synonym = await SearchSynonym.create({
+      ...pickSynonymFields(req.body),
+      createdBy: req.admin._id
+    })
+    await reloadSynonyms()
+
+    res.status(201).json({
+      success: true,
+      message: 'Search synonym created successfully',
+      data: synonym
+    })
+  } catch (error) {
+    console.error('Create search synonym error:', error)
+    handleSynonymSaveError(error, res, 'Failed to create search synonym')
+  }
+})
+
+/**
+ * PUT /admin/search/synonyms/:id
+ * Update a synonym group or brand alias
+ * Status codes: 200 (success), 400 (validation error or duplicate term), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.put('/synonyms/:id', verifyAdminToken, synonymValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const synonym = await SearchSynonym.findById(req.params.id)
+
+    if (!synonym) {
+      return res.status(404).json({
+        success: false,
+        message: 'Search synonym not found'
+      })
+    }
+
+    // Saved through the document so the terms are normalized and validated
+    synonym.set({ ...pickSynonymFields(req.body), updatedBy: req.admin._id })
+    await synonym.save()
+    await reloadSynonyms()
+
+    res.json({
+      success: true,
+      message: 'Search synonym updated successfully',
+      data: synonym
+    })
+  } catch (error) {
+    console.error('Update search synonym error:', error)
+    handleSynonymSaveError(error, res, 'Failed to update search synonym')
+  }
+})
+
+/**
+ * DELETE /admin/search/synonyms/:id
+ * Delete a synonym group or brand alias
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.delete('/synonyms/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findByIdAndDelete(req.params.id)
+
+    if (!synonym) {
+      return res.status(404).json({
+        success: false,
+        message: 'Search synonym not found'
+      })
+    }
+
+    await reloadSynonyms()
+
+    res.json({
+      success: true,
+      message: 'Search synonym deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete search synonym error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete search synonym'
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,232 @@
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+import { verifyAdminToken } from '../../middleware/adminAuth.js'
+import Supplier from '../../../models/Supplier.js'
+import { escapeRegex } from '../../utils/escapeRegex.js'
+
+const router = express.Router()
+
+const supplierFields = [
+  'name',
+  'code',
+  'contactPerson',
+  'phone',
+  'email',
+  'gstin',
+  'drugLicenseNumber',
+  'address',
+  'paymentTermsDays',
+  'notes',
+  'isActive'
+]
+
+const pickSupplierFields = (source = {}) => {
+  return supplierFields.reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      acc[field] = source[field]
+    }
+    return acc
+  }, {})
+}
+
+const supplierValidators = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain)
+  return [
+    required(body('name')).trim().notEmpty().withMessage('Supplier name is required'),
+    required(body('code')).trim().notEmpty().withMessage('Supplier code is required'),
+    body('email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email is required'),
+    body('phone').optional({ checkFalsy: true }).isString().trim(),
+    body('paymentTermsDays').optional().isInt({ min: 0 }).withMessage('Payment terms must be a non-negative number of days'),
+    body('address').optional().isObject().withMessage('Address must be an object'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ]
+}
+
+/**
+ * GET /admin/suppliers
+ * List suppliers
+ * Status codes: 200 (success), 403 (not admin), 500 (error)
+ */
+router.get('/', verifyAdminToken, async (req, res) => {
+  try {
+    const filter = {}
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true'
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i')
+      filter.$or = [{ name: pattern }, { code: pattern }, { gstin: pattern }]
+    }
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 }).lean()
+
+    res.json({
+      success: true,
+      data: suppliers
+    })
+  } catch (error) {
+    console.error('Get suppliers error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppliers'
+    })
+  }
+})
+
+/**
+ * POST /admin/suppliers
+ * Create a supplier
+ * Status codes: 201 (success), 400 (validation error), 403 (not admin), 500 (error)
+ */
+router.post('/', verifyAdminToken, supplierValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const supplier = await Supplier.create(pickSupplierFields(req.body))
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier
+    })
+  } catch (error) {
+    console.error('Create supplier error:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create supplier'
+    })
+  }
+})
+
+/**
+ * GET /admin/suppliers/:id
+ * Get a single supplier
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.get('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id)
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: supplier
+    })
+  } catch (error) {
+    console.error('Get supplier error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch supplier'
+    })
+  }
+})
+
+/**
+ * PUT /admin/suppliers/:id
+ * Update a supplier
+ * Status codes: 200 (success), 400 (validation error), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.put('/:id', verifyAdminToken, supplierValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      pickSupplierFields(req.body),
+      { new: true, runValidators: true }
+    )
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier
+    })
+  } catch (error) {
+    console.error('Update supplier error:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier with this code already exists'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update supplier'
+    })
+  }
+})
+
+/**
+ * DELETE /admin/suppliers/:id
+ * Deactivate a supplier (purchase history keeps referencing it)
+ * Status codes: 200 (success), 403 (not admin), 404 (not found), 500 (error)
+ */
+router.delete('/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    )
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Supplier deactivated successfully',
+      data: supplier
+    })
+  } catch (error) {
+    console.error('Delete supplier error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate supplier'
+    })
+  }
+})
+
+export default router
@@ -6,9 +6,15 @@ import User from '../../models/User.js'
 import { auth } from '../middleware/auth.js'
 import { sendOtpSms } from '../services/otpProvider.js'
 import { generateOtp, verifyOtp, createUserAndTokens, refreshAccessToken, createTokens } from '../services/otpService.js'
+import { mergeGuestHistory } from '../services/browsingHistoryService.js'
+import { getAnonymousId } from '../middleware/viewTracking.js'
 
 const router = express.Router()
 
+// Carry over what the visitor browsed as a guest; never fails the login
+const mergeGuestBrowsing = (req, userId) => mergeGuestHistory(getAnonymousId(req), userId)
+  .catch((err) => console.warn('Failed to merge guest browsing history:', err.message))
+
 // In-memory rate limiting storage (simple implementation)
 // For production: Use express-rate-limit with Redis store
 const rateLimitStore = {
@@ -249,6 +255,7 @@ router.post('/verify-otp', checkRateLimit, [
     
     // Create user and generate tokens
     const authResult = await createUserAndTokens(phone)
+    await mergeGuestBrowsing(req, authResult.user._id)
     
     // Set refresh token as secure HttpOnly cookie (if FRONTEND_BASE_URL is set)
     if (process.env.FRONTEND_BASE_URL) {
@@ -384,6 +391,7 @@ router.post('/register', [
 
     // Generate tokens
     const tokens = createTokens(user)
+    await mergeGuestBrowsing(req, user._id)
 
     // Set refresh token as secure HttpOnly cookie (if FRONTEND_BASE_URL is set)
     if (process.env.FRONTEND_BASE_URL) {
@@ -501,6 +509,7 @@ router.post('/login-password', [
 
     // Generate tokens
     const tokens = createTokens(user)
+    await mergeGuestBrowsing(req, user._id)
 
     // Set refresh token as secure HttpOnly cookie (if FRONTEND_BASE_URL is set)
     if (process.env.FRONTEND_BASE_URL) {
@@ -1019,6 +1028,7 @@ router.post('/google', [
 
     // Generate tokens
     const tokens = createTokens(user)
+    await mergeGuestBrowsing(req, user._id)
 
     console.log(`✅ Google login successful for ${email}`)
 
@@ -1228,6 +1238,7 @@ router.post('/facebook', [
 
     // Generate tokens
     const tokens = createTokens(user)
+    await mergeGuestBrowsing(req, user._id)
 
     console.log(`✅ Facebook login successful for ${email}`)
 
@@ -2,14 +2,26 @@ import express from 'express'
 import { body, validationResult } from 'express-validator'
 import { auth } from '../middleware/auth.js'
 import Cart from '../../models/Cart.js'
-import Product from '../../models/Product.js'
-import AllMedicine from '../../models/AllMedicine.js'
+import { findSubstitutes, getUnavailableCartItems } from '../services/substituteService.js'
+import { checkInteractions } from '../services/interactionService.js'
+import { refreshCartPrices } from '../services/priceService.js'
+import { CouponError, applyCouponToCart, refreshCartCoupon, removeCouponFromCart } from '../services/couponService.js'
+import { loadCartPromotions } from '../services/promotionService.js'
+import {
+  checkAvailability,
+  getAvailableStock,
+  isCatalogItemActive,
+  loadCatalogItem,
+  requiresVariant,
+  selectVariant,
+  toCartLine
+} from '../services/catalogService.js'
 
 const router = express.Router()
 
 /**
  * GET /cart
- * Get user's cart
+ * Get user's cart, with prices refreshed from the catalog and an explanation of any price changes
  */
 router.get('/', auth, async (req, res) => {
   try {
@@ -20,12 +32,26 @@ router.get('/', auth, async (req, res) => {
       await cart.save()
     }
 
-    cart.calculateTotals()
+    const priceChanges = await refreshCartPrices(cart)
+    // Recalculate the totals: promotions first, then the coupon on what's left to pay
+    await loadCartPromotions(cart)
+    const couponProblem = await refreshCartCoupon(cart, req.user._id)
     await cart.save()
 
+    // Items that can't be bought right now, with same-composition alternatives
+    const unavailableItems = await getUnavailableCartItems(cart)
+    const interactionWarnings = await checkInteractions(cart.items)
+
     res.json({
       success: true,
-      data: cart
+      data: {
+        ...cart.toObject(),
+        unavailableItems,
+        interactionWarnings,
+        priceChanges,
+        couponProblem,
+        promotionHints: cart.$locals.promotionHints
+      }
     })
   } catch (error) {
     console.error('Get cart error:', error)
@@ -66,6 +92,7 @@ router.post('/items', auth, [
     }
     return true
   }),
+  body('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
   body().custom((value) => {
     const hasProduct = value.productId !== undefined && value.productId !== null && String(value.productId).trim() !== ''
@@ -93,92 +120,66 @@ router.post('/items', auth, [
     const { productId, medicineId } = req.body
     const quantity = Number(req.body.quantity)
     const itemType = req.body.itemType || (medicineId ? 'medicine' : 'product')
+    const ref = { itemType, id: itemType === 'medicine' ? medicineId : productId }
+    const label = itemType === 'medicine' ? 'Medicine' : 'Product'
 
-    let price = 0
-    let name = ''
-    let image = ''
-
-    if (itemType === 'medicine') {
-      const medicine = await AllMedicine.findById(medicineId).lean()
-      if (!medicine || medicine.isActive === false) {
-        return res.status(404).json({
-          success: false,
-          message: 'Medicine not found'
-        })
-      }
-
-      // Compute price with fallback and validate (support string fields like 'price(₹)')
-      const rawPrice = medicine.price ?? medicine.mrp ?? medicine['price(₹)'] ?? 0
-      let computedPrice = 0
-      if (typeof rawPrice === 'number') {
-        computedPrice = rawPrice
-      } else if (typeof rawPrice === 'string') {
-        const sanitized = rawPrice.replace(/[₹$,]/g, '').replace(/\s*(per|\/).*/i, '').trim()
-        computedPrice = Number(sanitized)
-      } else {
-        computedPrice = Number(rawPrice)
-      }
-
-      if (!Number.isFinite(computedPrice) || computedPrice <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'This medicine has no valid price set'
-        })
-      }
-
-      price = computedPrice
-      name = medicine.name || ''
-      image =
-        (Array.isArray(medicine.images) && medicine.images[0]) ||
-        medicine.image ||
-        'https://via.placeholder.com/200x200?text=Medicine'
-    } else {
-      // Check if product exists
-      const product = await Product.findById(productId)
-      if (!product || !product.isActive) {
-        return res.status(404).json({
-          success: false,
-          message: 'Product not found'
-        })
-      }
-
-      if (!product.isInStock()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Product is out of stock'
-        })
-      }
-
-      // Validate product price
-      const productPrice = Number(product.price) || 0
-      if (!Number.isFinite(productPrice) || productPrice <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'This product has no valid price set'
-        })
-      }
+    const item = await loadCatalogItem(ref)
+    if (!item || !isCatalogItemActive(item)) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      })
+    }
 
-      price = productPrice
-      name = product.name
-      image = product.images?.[0] || 'https://via.placeholder.com/200x200?text=Product'
+    // Items sold in pack sizes are added per variant, the default one unless chosen
+    const variant = selectVariant(item, req.body.variantId)
+    if (requiresVariant(item) && !variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Selected pack size is not available'
+      })
     }
 
+    const line = toCartLine(item, variant)
+
     // Get or create cart
     let cart = await Cart.findOne({ user: req.user._id })
     if (!cart) {
       cart = new Cart({ user: req.user._id })
     }
 
+    // Everything the cart would then hold of the item has to be in stock, not just one unit
+    const inCart = cart.getItemQuantity(line)
+    const availability = checkAvailability(item, { variant, quantity: inCart + quantity })
+    if (availability === 'insufficient_stock') {
+      const available = getAvailableStock(item, variant)
+      return res.status(400).json({
+        success: false,
+        message: `Only ${available} in stock${inCart ? `, and your cart already has ${inCart}` : ''}`,
+        code: 'INSUFFICIENT_STOCK',
+        meta: { available, inCart }
+      })
+    }
+    if (availability) {
+      return res.status(400).json({
+        success: false,
+        message: `${label} is out of stock`,
+        code: 'OUT_OF_STOCK',
+        substitutes: await findSubstitutes(ref, { quantity, limit: 3 })
+      })
+    }
+
+    if (!line.price) {
+      return res.status(400).json({
+        success: false,
+        message: `This ${label.toLowerCase()} has no valid price set`
+      })
+    }
+
     // Add item to cart
-    cart.addItem({
-      itemType,
-      productId,
-      medicineId,
-      quantity,
-      price,
-      name,
-      image
-    })
+    cart.addItem({ ...line, quantity })
+    await loadCartPromotions(cart)
+    await refreshCartCoupon(cart, req.user._id)
     await cart.save()
     await cart.populate('items.product')
 
@@ -198,11 +199,12 @@ router.post('/items', auth, [
 
 /**
  * DELETE /cart/items/:productId
- * Remove item from cart
+ * Remove item from cart (?itemType=medicine for medicines, ?variantId= for a pack size)
  */
 router.delete('/items/:productId', auth, async (req, res) => {
   try {
     const { productId } = req.params
+    const itemType = req.query.itemType === 'medicine' ? 'medicine' : 'product'
 
     const cart = await Cart.findOne({ user: req.user._id })
     if (!cart) {
@@ -212,7 +214,14 @@ router.delete('/items/:productId', auth, async (req, res) => {
       })
     }
 
-    cart.removeItem(productId)
+    cart.removeItem({
+      itemType,
+      productId: itemType === 'product' ? productId : undefined,
+      medicineId: itemType === 'medicine' ? productId : undefined,
+      variantId: req.query.variantId
+    })
+    await loadCartPromotions(cart)
+    await refreshCartCoupon(cart, req.user._id)
     await cart.save()
     await cart.populate('items.product')
 
@@ -261,5 +270,93 @@ router.delete('/', auth, async (req, res) => {
   }
 })
 
+/**
+ * POST /cart/apply-coupon
+ * Apply a coupon code to the cart, replacing any coupon already applied
+ * Status codes: 200 (success), 400 (invalid or inapplicable coupon), 404 (cart not found), 500 (error)
+ */
+router.post('/apply-coupon', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Coupon code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id })
+    if (!cart || cart.items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Your cart is empty'
+      })
+    }
+
+    await loadCartPromotions(cart)
+    await applyCouponToCart(cart, req.body.code, req.user._id)
+    await cart.save()
+    await cart.populate('items.product')
+
+    res.json({
+      success: true,
+      message: `Coupon ${cart.coupon.code} applied`,
+      data: cart
+    })
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        meta: error.meta
+      })
+    }
+
+    console.error('Apply coupon error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon'
+    })
+  }
+})
+
+/**
+ * POST /cart/remove-coupon
+ * Remove the coupon from the cart
+ * Status codes: 200 (success), 404 (cart not found), 500 (error)
+ */
+router.post('/remove-coupon', auth, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id })
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      })
+    }
+
+    await loadCartPromotions(cart)
+    removeCouponFromCart(cart)
+    await cart.save()
+    await cart.populate('items.product')
+
+    res.json({
+      success: true,
+      message: 'Coupon removed',
+      data: cart
+    })
+  } catch (error) {
+    console.error('Remove coupon error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove coupon'
+    })
+  }
+})
+
 export default router
 
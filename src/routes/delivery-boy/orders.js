@@ -2,6 +2,7 @@ import express from 'express'
 import { body, validationResult } from 'express-validator'
 import { verifyDeliveryBoyToken } from '../../middleware/deliveryBoyAuth.js'
 import Order from '../../../models/Order.js'
+import { cancelOrder } from '../../services/orderCancellationService.js'
 
 const router = express.Router()
 
@@ -104,12 +105,28 @@ router.patch('/:id/status', verifyDeliveryBoyToken, [
     }
 
     const { status, note } = req.body
+    let updatedOrder = order
 
-    // Update order status
-    await order.updateStatus(status, {
-      changedBy: req.deliveryBoyId,
-      note: note || `Status updated by delivery boy`
-    })
+    if (status === 'cancelled') {
+      updatedOrder = await cancelOrder(order._id, {
+        reason: note || 'Cancelled by delivery boy',
+        actor: { kind: 'DeliveryBoy', id: req.deliveryBoyId },
+        filter: { deliveryBoy: req.deliveryBoyId }
+      })
+      if (!updatedOrder) {
+        return res.status(400).json({
+          success: false,
+          message: 'Order cannot be cancelled in its current status.',
+          code: 'ORDER_NOT_CANCELLABLE'
+        })
+      }
+    } else {
+      // Update order status
+      await order.updateStatus(status, {
+        changedBy: req.deliveryBoyId,
+        note: note || `Status updated by delivery boy`
+      })
+    }
 
     // Update delivery boy stats
     if (status === 'delivered') {
@@ -124,13 +141,14 @@ router.patch('/:id/status', verifyDeliveryBoyToken, [
     res.json({
       success: true,
       message: 'Order status updated successfully',
-      data: order
+      data: updatedOrder
     })
   } catch (error) {
     console.error('Update order status error:', error)
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to update order status',
+      message: error.status ? error.message : 'Failed to update order status',
+      code: error.code,
       error: error.message
     })
   }
@@ -55,7 +55,9 @@ const checkoutValidators = [
     }
     return true
   }),
-  body('prescriptionId').optional().isMongoId().withMessage('prescriptionId must be a valid MongoDB ID')
+  body('prescriptionId').optional().isMongoId().withMessage('prescriptionId must be a valid MongoDB ID'),
+  body('acknowledgedInteractions').optional().isArray().withMessage('acknowledgedInteractions must be an array'),
+  body('acknowledgedInteractions.*').isMongoId().withMessage('Each acknowledged interaction must be a valid rule ID')
 ]
 
 /**
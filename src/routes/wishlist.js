@@ -0,0 +1,294 @@
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+import { auth } from '../middleware/auth.js'
+import Wishlist from '../../models/Wishlist.js'
+import StockAlert from '../../models/StockAlert.js'
+import { subscribeToStockAlert } from '../services/stockAlertService.js'
+import {
+  catalogItemTypes,
+  checkAvailability,
+  getCatalogImage,
+  getCatalogName,
+  getCatalogPrice,
+  loadCatalogItem,
+  selectVariant
+} from '../services/catalogService.js'
+
+const router = express.Router()
+
+const itemValidators = [
+  body('itemType').optional().isIn(catalogItemTypes).withMessage('Invalid item type'),
+  body('itemId').isMongoId().withMessage('Valid item ID is required')
+]
+
+const toRef = (source) => ({
+  itemType: source.itemType === 'medicine' ? 'medicine' : 'product',
+  id: source.itemId
+})
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    })
+    return true
+  }
+  return false
+}
+
+/**
+ * Wishlist items with their current name, price and availability.
+ * Items removed from the catalog are listed as unavailable.
+ */
+const describeWishlist = async (wishlist, userId) => {
+  const products = new Map()
+  const alerts = await StockAlert.find({ user: userId, status: 'active' }).select('itemType product medicine').lean()
+  const alertKeys = new Set(alerts.map((alert) => (
+    alert.itemType === 'medicine' ? `medicine:${alert.medicine}` : `product:${alert.product}`
+  )))
+
+  const items = []
+  for (const entry of wishlist?.items || []) {
+    const ref = { itemType: entry.itemType, id: entry.itemType === 'medicine' ? entry.medicine : entry.product }
+    const item = await loadCatalogItem(ref, { products })
+    const variant = item ? selectVariant(item) : null
+    const availability = item ? checkAvailability(item, { variant }) : 'unavailable'
+
+    items.push({
+      _id: entry._id,
+      itemType: ref.itemType,
+      itemId: ref.id,
+      name: item ? getCatalogName(item) : null,
+      image: item ? getCatalogImage(item) : null,
+      price: item ? getCatalogPrice(item, variant) : null,
+      mrp: item ? (variant?.mrp ?? item.listing.mrp ?? null) : null,
+      available: !availability,
+      availability: availability || 'in_stock',
+      stockAlert: alertKeys.has(`${ref.itemType}:${ref.id}`),
+      addedAt: entry.addedAt
+    })
+  }
+
+  return items
+}
+
+/**
+ * GET /wishlist
+ * Saved items with current prices, availability and whether a back-in-stock alert is set
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id })
+
+    res.json({
+      success: true,
+      data: {
+        items: await describeWishlist(wishlist, req.user._id)
+      }
+    })
+  } catch (error) {
+    console.error('Get wishlist error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wishlist'
+    })
+  }
+})
+
+/**
+ * POST /wishlist/items
+ * Save a product or medicine to the wishlist
+ * Status codes: 201 (added), 200 (already saved), 400 (validation error), 404 (item not found), 500 (error)
+ */
+router.post('/items', auth, itemValidators, async (req, res) => {
+  if (sendValidationErrors(req, res)) return
+
+  try {
+    const ref = toRef(req.body)
+    const item = await loadCatalogItem(ref)
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    let wishlist = await Wishlist.findOne({ user: req.user._id })
+    if (!wishlist) {
+      wishlist = new Wishlist({ user: req.user._id })
+    }
+
+    const added = wishlist.addItem({ itemType: item.itemType, id: item.id })
+    if (added) {
+      await wishlist.save()
+    }
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      message: added ? 'Item added to wishlist' : 'Item is already in your wishlist',
+      data: {
+        items: await describeWishlist(wishlist, req.user._id)
+      }
+    })
+  } catch (error) {
+    console.error('Add to wishlist error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add item to wishlist'
+    })
+  }
+})
+
+/**
+ * DELETE /wishlist/items/:itemId
+ * Remove an item from the wishlist (?itemType=medicine for medicines)
+ * Status codes: 200 (success), 404 (not in wishlist), 500 (error)
+ */
+router.delete('/items/:itemId', auth, async (req, res) => {
+  try {
+    const ref = toRef({ itemType: req.query.itemType, itemId: req.params.itemId })
+    const wishlist = await Wishlist.findOne({ user: req.user._id })
+
+    if (!wishlist || !wishlist.removeItem(ref)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in wishlist'
+      })
+    }
+
+    await wishlist.save()
+
+    res.json({
+      success: true,
+      message: 'Item removed from wishlist',
+      data: {
+        items: await describeWishlist(wishlist, req.user._id)
+      }
+    })
+  } catch (error) {
+    console.error('Remove from wishlist error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item from wishlist'
+    })
+  }
+})
+
+/**
+ * DELETE /wishlist
+ * Remove every item from the wishlist
+ */
+router.delete('/', auth, async (req, res) => {
+  try {
+    await Wishlist.updateOne({ user: req.user._id }, { $set: { items: [] } })
+
+    res.json({
+      success: true,
+      message: 'Wishlist cleared',
+      data: { items: [] }
+    })
+  } catch (error) {
+    console.error('Clear wishlist error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear wishlist'
+    })
+  }
+})
+
+/**
+ * GET /wishlist/alerts
+ * The user's back-in-stock alerts, waiting ones first
+ */
+router.get('/alerts', auth, async (req, res) => {
+  try {
+    const alerts = await StockAlert.find({ user: req.user._id, status: { $ne: 'cancelled' } })
+      .populate('product', 'name images stock')
+      .populate('medicine', 'name image images')
+      .sort({ status: 1, createdAt: -1 })
+      .select('-__v')
+      .lean()
+
+    res.json({
+      success: true,
+      data: alerts
+    })
+  } catch (error) {
+    console.error('Get stock alerts error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock alerts'
+    })
+  }
+})
+
+/**
+ * POST /wishlist/alerts
+ * Get notified when an out-of-stock item is back, on the channels enabled in notification preferences
+ * Status codes: 201 (subscribed), 400 (validation error or item in stock), 404 (item not found), 500 (error)
+ */
+router.post('/alerts', auth, itemValidators, async (req, res) => {
+  if (sendValidationErrors(req, res)) return
+
+  try {
+    const alert = await subscribeToStockAlert(req.user._id, toRef(req.body))
+
+    res.status(201).json({
+      success: true,
+      message: 'We will let you know when this item is back in stock',
+      data: alert
+    })
+  } catch (error) {
+    if (error.name === 'StockAlertError') {
+      return res.status(error.code === 'ITEM_NOT_FOUND' ? 404 : error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      })
+    }
+
+    console.error('Create stock alert error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create stock alert'
+    })
+  }
+})
+
+/**
+ * DELETE /wishlist/alerts/:id
+ * Cancel a back-in-stock alert
+ * Status codes: 200 (success), 404 (not found), 500 (error)
+ */
+router.delete('/alerts/:id', auth, async (req, res) => {
+  try {
+    const alert = await StockAlert.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, status: 'active' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    )
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock alert not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock alert cancelled'
+    })
+  } catch (error) {
+    console.error('Cancel stock alert error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel stock alert'
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,112 @@
+/**
+ * Browsing History Service
+ * Recently viewed products and medicines, newest first and capped per owner.
+ * Guests are tracked by their anonymous ID until they log in, when their
+ * history is merged into the account.
+ */
+
+import BrowsingHistory from '../../models/BrowsingHistory.js'
+import ViewEvent from '../../models/ViewEvent.js'
+import { describeItems } from './recommendationService.js'
+
+// Items kept per history
+export const HISTORY_LIMIT = 50
+
+const toOwner = ({ user, anonymousId }) => (user ? { user } : { anonymousId })
+
+const toEntryMatch = ({ itemType, id }) => (itemType === 'medicine'
+  ? { itemType: 'medicine', medicine: id }
+  : { itemType: 'product', product: id })
+
+const entryKey = (entry) => (entry.itemType === 'medicine'
+  ? `medicine:${entry.medicine}`
+  : `product:${entry.product}`)
+
+/**
+ * Move an item to the top of its viewer's history
+ * @param {Object} view - { itemType, id, user, anonymousId }
+ */
+export const addToHistory = async ({ itemType, id, user, anonymousId }) => {
+  if (!user && !anonymousId) {
+    return
+  }
+
+  const owner = toOwner({ user, anonymousId })
+  const entry = toEntryMatch({ itemType, id })
+
+  await BrowsingHistory.updateOne(owner, { $pull: { items: entry } })
+  await BrowsingHistory.updateOne(
+    owner,
+    { $push: { items: { $each: [{ ...entry, viewedAt: new Date() }], $position: 0, $slice: HISTORY_LIMIT } } },
+    { upsert: true }
+  )
+}
+
+/**
+ * A customer's recently viewed items with current catalog details, leaving out ones no longer sold
+ * @returns {Promise<Array>}
+ */
+export const getRecentlyViewed = async (userId, { limit = 20 } = {}) => {
+  const history = await BrowsingHistory.findOne({ user: userId }).select('items').lean()
+  const entries = (history?.items || []).slice(0, limit)
+
+  return describeItems(entries.map((entry) => ({
+    itemType: entry.itemType,
+    id: entry.itemType === 'medicine' ? entry.medicine : entry.product,
+    viewedAt: entry.viewedAt
+  })))
+}
+
+/**
+ * Forget a customer's browsing history, including the views behind their recommendations
+ */
+export const clearHistory = async (userId) => {
+  await Promise.all([
+    BrowsingHistory.updateOne({ user: userId }, { $set: { items: [] } }),
+    ViewEvent.deleteMany({ user: userId })
+  ])
+}
+
+/**
+ * Merge a guest's history into the account they have just logged in to.
+ * Items viewed in both keep the latest view; the guest history is removed.
+ * @returns {Promise<number>} Items taken over from the guest history
+ */
+export const mergeGuestHistory = async (anonymousId, userId) => {
+  if (!anonymousId || !userId) {
+    return 0
+  }
+
+  const guest = await BrowsingHistory.findOneAndDelete({ anonymousId }).lean()
+
+  // Views recorded while browsing as a guest count towards the customer's recommendations
+  await ViewEvent.updateMany({ anonymousId }, { $set: { user: userId }, $unset: { anonymousId: 1 } })
+
+  if (!guest?.items?.length) {
+    return 0
+  }
+
+  const existing = await BrowsingHistory.findOne({ user: userId }).select('items').lean()
+  const merged = new Map()
+  for (const entry of [...guest.items, ...(existing?.items || [])].sort((a, b) => b.viewedAt - a.viewedAt)) {
+    if (!merged.has(entryKey(entry))) {
+      merged.set(entryKey(entry), entry)
+    }
+  }
+
+  await BrowsingHistory.updateOne(
+    { user: userId },
+    { $set: { items: [...merged.values()].slice(0, HISTORY_LIMIT) } },
+    { upsert: true }
+  )
+
+  return guest.items.length
+}
+
+export default {
+  HISTORY_LIMIT,
+  addToHistory,
+  getRecentlyViewed,
+  clearHistory,
+  mergeGuestHistory
+}
@@ -0,0 +1,287 @@
+/**
+ * Catalog Service
+ * Resolves products and medicines to one sellable catalog item, so cart, checkout,
+ * claims and returns apply the same price, image, activity and stock rules.
+ *
+ * Stock always lives on a Product. A product sells its own stock; a medicine sells the
+ * stock of the product it is linked to through AllMedicine.productRef
+ * (see scripts/link-medicine-products.js). Medicines not linked yet have no stock
+ * record and count as out of stock until they are linked.
+ */
+
+import mongoose from 'mongoose'
+import Product from '../../models/Product.js'
+import AllMedicine from '../../models/AllMedicine.js'
+import { recordStockMovement, takeStock } from './inventoryService.js'
+
+export const catalogItemTypes = ['product', 'medicine']
+
+const PLACEHOLDER_IMAGES = {
+  product: 'https://via.placeholder.com/200x200?text=Product',
+  medicine: 'https://via.placeholder.com/200x200?text=Medicine'
+}
+
+export class CatalogError extends Error {
+  constructor(message, code = 'CATALOG_ITEM_UNAVAILABLE', meta = {}) {
+    super(message)
+    this.name = 'CatalogError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
+const toId = (value) => value?._id ?? value ?? null
+
+/**
+ * Identify the catalog item a cart, order, claim or return line refers to
+ * @returns {Object} { itemType, id }
+ */
+export const toCatalogRef = (line = {}) => {
+  const itemType = line.itemType || (line.medicine ? 'medicine' : 'product')
+  return {
+    itemType,
+    id: toId(itemType === 'medicine' ? line.medicine : line.product)
+  }
+}
+
+/**
+ * Read a selling price from a catalog document, accepting legacy string fields like 'price(₹)'
+ * @returns {number} 0 when no valid price is set
+ */
+export const parseCatalogPrice = (doc) => {
+  const rawPrice = doc?.price ?? doc?.mrp ?? doc?.['price(₹)'] ?? 0
+  let price = 0
+  if (typeof rawPrice === 'number') {
+    price = rawPrice
+  } else if (typeof rawPrice === 'string') {
+    const sanitized = rawPrice.replace(/[₹$,]/g, '').replace(/\s*(per|\/).*/i, '').trim()
+    price = Number(sanitized)
+  } else {
+    price = Number(rawPrice)
+  }
+  return Number.isFinite(price) && price > 0 ? price : 0
+}
+
+const loadProduct = async (id, products) => {
+  const key = id.toString()
+  if (!products.has(key)) {
+    products.set(key, await Product.findById(id))
+  }
+  return products.get(key)
+}
+
+/**
+ * Load a product or medicine as a sellable catalog item
+ * @param {Object} ref - { itemType, id }
+ * @param {Object} options - { products: Map of already loaded Product documents by id, shared so
+ *   lines selling the same stock see each other's changes }
+ * @returns {Promise<Object|null>} { itemType, id, listing, stockProduct }
+ */
+export const loadCatalogItem = async ({ itemType = 'product', id }, { products = new Map() } = {}) => {
+  if (!id || !mongoose.isValidObjectId(id)) {
+    return null
+  }
+
+  if (itemType === 'medicine') {
+    const medicine = await AllMedicine.findById(id).lean()
+    if (!medicine) {
+      return null
+    }
+    const stockProduct = medicine.productRef ? await loadProduct(medicine.productRef, products) : null
+    return { itemType, id: medicine._id, listing: medicine, stockProduct }
+  }
+
+  const product = await loadProduct(id, products)
+  return product ? { itemType, id: product._id, listing: product, stockProduct: product } : null
+}
+
+// Listed and, for linked medicines, backed by an active product
+export const isCatalogItemActive = (item) => {
+  return Boolean(item) && item.listing.isActive !== false && (!item.stockProduct || item.stockProduct.isActive)
+}
+
+export const requiresVariant = (item) => Boolean(item.stockProduct?.hasVariants())
+
+/**
+ * Pack size to sell: the requested one, or the default when none was requested
+ * @returns {Object|null} Active variant, or null when the item has no variants or the variant is unavailable
+ */
+export const selectVariant = (item, variantId) => {
+  if (!requiresVariant(item)) {
+    return null
+  }
+  const variant = variantId ? item.stockProduct.getVariant(variantId) : item.stockProduct.getDefaultVariant()
+  return variant?.isActive ? variant : null
+}
+
+export const getCatalogName = (item) => item.listing.name || ''
+
+export const getCatalogImage = (item) => {
+  return item.listing.images?.[0] ||
+    item.listing.image ||
+    item.stockProduct?.images?.[0] ||
+    PLACEHOLDER_IMAGES[item.itemType]
+}
+
+// Unit selling price; 0 when no valid price is set
+export const getCatalogPrice = (item, variant) => {
+  if (variant) {
+    return Number(variant.price) || 0
+  }
+  return parseCatalogPrice(item.listing)
+}
+
+/**
+ * Units that can be sold without expiring before a date.
+ * 0 for medicines without a stock record.
+ */
+export const getAvailableStock = (item, variant, notExpiringBefore = new Date()) => {
+  if (!item.stockProduct) {
+    return 0
+  }
+  if (variant) {
+    return variant.stock
+  }
+  return item.stockProduct.getSellableStock(notExpiringBefore)
+}
+
+/**
+ * Why an item can't be bought in a quantity right now
+ * @returns {string|null} 'unavailable', 'variant_unavailable', 'out_of_stock', 'insufficient_stock' or null
+ */
+export const checkAvailability = (item, { variant, quantity = 1, notExpiringBefore } = {}) => {
+  if (!isCatalogItemActive(item)) {
+    return 'unavailable'
+  }
+  if (requiresVariant(item) && !variant) {
+    return 'variant_unavailable'
+  }
+  const stock = getAvailableStock(item, variant, notExpiringBefore)
+  if (stock >= quantity) {
+    return null
+  }
+  return stock > 0 ? 'insufficient_stock' : 'out_of_stock'
+}
+
+/**
+ * Plan which stock a sale would use without changing it
+ * @returns {Array|null} Batch allocations (empty for untracked or variant stock), or null when stock is insufficient
+ */
+export const allocateStock = (item, quantity, { variant, notExpiringBefore } = {}) => {
+  const product = item.stockProduct
+  if (!product) {
+    return null
+  }
+  if (variant) {
+    return variant.stock >= quantity ? [] : null
+  }
+  if (product.isBatchTracked()) {
+    return product.allocateBatches(quantity, notExpiringBefore)
+  }
+  return product.stock >= quantity ? [] : null
+}
+
+/**
+ * Take sold units out of stock and record the sale in the ledger.
+ * Stock is re-read and decremented conditionally, so a concurrent sale can't oversell it.
+ * @param {Object} options - { variant, notExpiringBefore, reference, actor, session }
+ * @returns {Promise<Array>} Batch allocations used
+ */
+export const recordSale = async (item, quantity, { variant, notExpiringBefore, reference, actor, session } = {}) => {
+  const taken = item.stockProduct
+    ? await takeStock(item.stockProduct._id, quantity, {
+        variantId: variant?._id,
+        notExpiringBefore,
+        session
+      })
+    : null
+  if (!taken) {
+    throw new CatalogError(`Insufficient stock for ${getCatalogName(item)}`, 'INSUFFICIENT_STOCK', {
+      productId: item.stockProduct?._id,
+      requested: quantity
+    })
+  }
+
+  await recordStockMovement(taken.product, {
+    reason: 'sale',
+    quantity: -quantity,
+    batches: taken.allocations,
+    variantSku: variant?.sku,
+    reference,
+    actor,
+    session
+  })
+
+  return taken.allocations
+}
+
+// Snapshot of a variant kept on cart and order lines
+export const toVariantSnapshot = (variant) => {
+  if (!variant) {
+    return undefined
+  }
+  return {
+    id: variant._id,
+    sku: variant.sku,
+    label: variant.displayLabel,
+    packSize: variant.packSize,
+    unit: variant.unit,
+    mrp: variant.mrp
+  }
+}
+
+/**
+ * Fields identifying and describing an item on a cart line
+ */
+export const toCartLine = (item, variant) => ({
+  itemType: item.itemType,
+  productId: item.itemType === 'product' ? item.id : undefined,
+  medicineId: item.itemType === 'medicine' ? item.id : undefined,
+  variant: toVariantSnapshot(variant),
+  price: getCatalogPrice(item, variant),
+  name: getCatalogName(item),
+  image: getCatalogImage(item),
+  category: item.listing.category || undefined
+})
+
+/**
+ * Product and medicine ids to store on order, claim and return lines.
+ * Medicine lines also keep the product holding their stock so it can be restocked.
+ */
+export const toLineRefs = (item) => ({
+  itemType: item.itemType,
+  product: item.stockProduct?._id,
+  medicine: item.itemType === 'medicine' ? item.id : undefined
+})
+
+/**
+ * Product and medicine ids already stored on an order line, for the claims and returns raised against it
+ */
+export const getLineRefs = (line = {}) => ({
+  itemType: toCatalogRef(line).itemType,
+  product: toId(line.product) || undefined,
+  medicine: toId(line.medicine) || undefined
+})
+
+export default {
+  catalogItemTypes,
+  CatalogError,
+  toCatalogRef,
+  parseCatalogPrice,
+  loadCatalogItem,
+  isCatalogItemActive,
+  requiresVariant,
+  selectVariant,
+  getCatalogName,
+  getCatalogImage,
+  getCatalogPrice,
+  getAvailableStock,
+  checkAvailability,
+  allocateStock,
+  recordSale,
+  toVariantSnapshot,
+  toCartLine,
+  toLineRefs,
+  getLineRefs
+}
@@ -0,0 +1,329 @@
+/**
+ * Catalog Transfer Service
+ * Reads and writes the product catalog as CSV or XLSX so an export can be edited and imported back
+ */
+
+import { Readable } from 'stream'
+import ExcelJS from 'exceljs'
+import Product from '../../models/Product.js'
+import { recordStockMovement } from './inventoryService.js'
+import { snapshotPrices, recordPriceChanges } from './priceService.js'
+import { clearCache } from '../middleware/cache.js'
+
+export const catalogFormats = ['csv', 'xlsx']
+
+const LIST_SEPARATOR = '|'
+
+const formatIngredients = (composition) => {
+  return (composition?.ingredients || [])
+    .map((ingredient) => {
+      const strength = ingredient.strength !== undefined && ingredient.strength !== null
+        ? `=${ingredient.strength}${ingredient.unit || ''}`
+        : ''
+      return `${ingredient.name}${strength}`
+    })
+    .join(LIST_SEPARATOR)
+}
+
+// "paracetamol=500mg|caffeine=30mg"
+const parseIngredients = (value) => {
+  return value.split(LIST_SEPARATOR).map((part) => part.trim()).filter(Boolean).map((part) => {
+    const [name, amount] = part.split('=').map((piece) => piece.trim())
+    const match = amount ? amount.match(/^(\d+(?:\.\d+)?)\s*([a-zA-Z%]*)$/) : null
+    if (amount && !match) {
+      throw new Error(`Invalid ingredient strength "${amount}"`)
+    }
+    return {
+      name,
+      ...(match ? { strength: Number(match[1]), unit: match[2] || undefined } : {})
+    }
+  })
+}
+
+const parseNumber = (value) => {
+  const number = Number(value)
+  if (!Number.isFinite(number)) {
+    throw new Error(`"${value}" is not a number`)
+  }
+  return number
+}
+
+const parseBoolean = (value) => {
+  const normalized = value.toLowerCase()
+  if (['true', 'yes', '1'].includes(normalized)) return true
+  if (['false', 'no', '0'].includes(normalized)) return false
+  throw new Error(`"${value}" is not true or false`)
+}
+
+/**
+ * Columns in file order. `read` turns a product into a cell value,
+ * `apply` writes a non-empty cell back onto the product data.
+ */
+const columns = [
+  { header: 'sku', read: (p) => p.sku, apply: (data, v) => { data.sku = v.toUpperCase() } },
+  { header: 'name', read: (p) => p.name, apply: (data, v) => { data.name = v } },
+  { header: 'brand', read: (p) => p.brand, apply: (data, v) => { data.brand = v } },
+  { header: 'category', read: (p) => p.category, apply: (data, v) => { data.category = v } },
+  { header: 'description', read: (p) => p.description, apply: (data, v) => { data.description = v } },
+  { header: 'price', read: (p) => p.price, apply: (data, v) => { data.price = parseNumber(v) } },
+  { header: 'mrp', read: (p) => p.mrp, apply: (data, v) => { data.mrp = parseNumber(v) } },
+  { header: 'stock', read: (p) => p.stock, apply: (data, v) => { data.stock = parseNumber(v) } },
+  { header: 'reorderLevel', read: (p) => p.reorderLevel, apply: (data, v) => { data.reorderLevel = parseNumber(v) } },
+  { header: 'reorderQuantity', read: (p) => p.reorderQuantity, apply: (data, v) => { data.reorderQuantity = parseNumber(v) } },
+  { header: 'unitsPerPack', read: (p) => p.unitsPerPack, apply: (data, v) => { data.unitsPerPack = parseNumber(v) } },
+  { header: 'drugSchedule', read: (p) => p.drugSchedule, apply: (data, v) => { data.drugSchedule = v.toUpperCase() === 'NONE' ? 'none' : v.toUpperCase() } },
+  {
+    header: 'dosageForm',
+    read: (p) => p.composition?.dosageForm,
+    apply: (data, v) => { data.composition = { ...data.composition, dosageForm: v.toLowerCase() } }
+  },
+  {
+    header: 'ingredients',
+    read: (p) => formatIngredients(p.composition),
+    apply: (data, v) => { data.composition = { ...data.composition, ingredients: parseIngredients(v) } }
+  },
+  {
+    header: 'images',
+    read: (p) => (p.images || []).join(LIST_SEPARATOR),
+    apply: (data, v) => { data.images = v.split(LIST_SEPARATOR).map((url) => url.trim()).filter(Boolean) }
+  },
+  { header: 'isActive', read: (p) => p.isActive, apply: (data, v) => { data.isActive = parseBoolean(v) } }
+]
+
+export const catalogHeaders = columns.map((column) => column.header)
+
+const toRowValues = (product) => columns.map((column) => {
+  const value = column.read(product)
+  return value === undefined || value === null ? '' : value
+})
+
+const escapeCsvValue = (value) => {
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`
+
+/**
+ * Detect the file format from its name or mimetype
+ * @returns {'csv'|'xlsx'|null}
+ */
+export const detectCatalogFormat = (file) => {
+  const name = String(file?.originalname || '').toLowerCase()
+  if (name.endsWith('.csv') || file?.mimetype === 'text/csv') return 'csv'
+  if (name.endsWith('.xlsx') || file?.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx'
+  return null
+}
+
+/**
+ * Read an uploaded catalog file into plain rows keyed by header
+ * @returns {Promise<Array>} [{ rowNumber, values: { header: string } }]
+ */
+export const readCatalogFile = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook()
+  let worksheet
+
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer)
+    worksheet = workbook.worksheets[0]
+  } else {
+    // Keep every cell as text so SKUs like 00123 aren't turned into numbers
+    worksheet = await workbook.csv.read(Readable.from(buffer), { map: (value) => value })
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return []
+  }
+
+  const headerRow = worksheet.getRow(1)
+  const headers = []
+  headerRow.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+    headers[colNumber] = String(cell.text || '').trim()
+  })
+
+  const rows = []
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return
+    const values = {}
+    row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+      const header = headers[colNumber]
+      if (header) {
+        values[header] = String(cell.text ?? '').trim()
+      }
+    })
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ rowNumber, values })
+    }
+  })
+
+  return rows
+}
+
+/**
+ * Validate rows against the Product schema and work out what each row would change.
+ * Nothing is written.
+ * @returns {Promise<Object>} { summary, rows: [{ rowNumber, sku, action, changes, errors, data, product }] }
+ */
+export const planCatalogImport = async (rows) => {
+  const skus = rows.map(({ values }) => String(values.sku || '').trim().toUpperCase()).filter(Boolean)
+  const existingProducts = await Product.find({ sku: { $in: skus } })
+  const existingBySku = new Map(existingProducts.map((product) => [product.sku, product]))
+  const seenSkus = new Map()
+
+  const planned = rows.map(({ rowNumber, values }) => {
+    const errors = []
+    const data = {}
+
+    for (const column of columns) {
+      const raw = values[column.header]
+      if (raw === undefined || raw === '') continue
+      try {
+        column.apply(data, raw)
+      } catch (error) {
+        errors.push(`${column.header}: ${error.message}`)
+      }
+    }
+
+    const sku = data.sku
+    if (!sku) {
+      errors.push('sku: SKU is required')
+    } else if (seenSkus.has(sku)) {
+      errors.push(`sku: Duplicate of row ${seenSkus.get(sku)}`)
+    } else {
+      seenSkus.set(sku, rowNumber)
+    }
+
+    const existing = sku ? existingBySku.get(sku) : null
+    const product = existing || new Product({ isActive: true })
+    const previousStock = existing ? existing.stock : 0
+    const previousPrices = existing ? snapshotPrices(existing) : null
+
+    if (existing && existing.isBatchTracked() && data.stock !== undefined && data.stock !== existing.stock) {
+      errors.push('stock: Stock for this product is tracked per batch. Update its batches instead.')
+      delete data.stock
+    }
+
+    if (existing && existing.hasVariants() && data.stock !== undefined && data.stock !== existing.stock) {
+      errors.push('stock: Stock for this product is held per variant. Update its variants instead.')
+      delete data.stock
+    }
+
+    product.set(data)
+    const validationError = product.validateSync()
+    if (validationError) {
+      for (const [path, detail] of Object.entries(validationError.errors)) {
+        errors.push(`${path}: ${detail.message}`)
+      }
+    }
+
+    const changes = existing ? product.modifiedPaths().filter((path) => !path.includes('.')) : Object.keys(data)
+    const action = errors.length ? 'error' : (!existing ? 'create' : (changes.length ? 'update' : 'unchanged'))
+
+    return {
+      rowNumber,
+      sku: sku || null,
+      action,
+      changes,
+      errors,
+      product,
+      previousStock,
+      previousPrices
+    }
+  })
+
+  const count = (action) => planned.filter((row) => row.action === action).length
+
+  return {
+    summary: {
+      totalRows: planned.length,
+      toCreate: count('create'),
+      toUpdate: count('update'),
+      unchanged: count('unchanged'),
+      errorCount: count('error')
+    },
+    rows: planned
+  }
+}
+
+/**
+ * Apply a plan without errors: create new SKUs, update existing ones and
+ * record stock and price changes
+ */
+export const commitCatalogImport = async (plan, { actor } = {}) => {
+  for (const row of plan.rows) {
+    if (row.action !== 'create' && row.action !== 'update') continue
+
+    const { product, previousStock, previousPrices } = row
+    await product.save()
+
+    if (previousPrices) {
+      await recordPriceChanges(product, previousPrices, { actor, source: 'import', note: 'Catalog import' })
+    }
+
+    if (product.stock !== previousStock) {
+      await recordStockMovement(product, {
+        reason: row.action === 'create' ? 'opening_balance' : 'manual_adjustment',
+        quantity: product.stock - previousStock,
+        reference: { kind: 'Product', id: product._id, number: product.sku },
+        actor,
+        note: 'Catalog import'
+      })
+    }
+  }
+
+  await clearCache('cache:/api/products*').catch(err => {
+    console.warn('Failed to clear cache:', err.message)
+  })
+
+  return plan.summary
+}
+
+// Plan rows without the documents, for API responses
+export const describeImportPlan = (plan) => ({
+  summary: plan.summary,
+  rows: plan.rows.map(({ rowNumber, sku, action, changes, errors }) => ({
+    rowNumber,
+    sku,
+    action,
+    changes,
+    errors
+  }))
+})
+
+/**
+ * Stream the whole catalog to a writable stream in the import format
+ * @param {Object} stream - Writable (e.g. the HTTP response)
+ * @param {'csv'|'xlsx'} format
+ */
+export const exportCatalog = async (stream, format) => {
+  const cursor = Product.find({}).sort({ sku: 1 }).select('-batches').lean().cursor()
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false })
+    const worksheet = workbook.addWorksheet('Catalog')
+    worksheet.addRow(catalogHeaders).commit()
+    for await (const product of cursor) {
+      worksheet.addRow(toRowValues(product)).commit()
+    }
+    worksheet.commit()
+    await workbook.commit()
+    return
+  }
+
+  stream.write(toCsvLine(catalogHeaders))
+  for await (const product of cursor) {
+    stream.write(toCsvLine(toRowValues(product)))
+  }
+  stream.end()
+}
+
+export default {
+  catalogFormats,
+  catalogHeaders,
+  detectCatalogFormat,
+  readCatalogFile,
+  planCatalogImport,
+  commitCatalogImport,
+  describeImportPlan,
+  exportCatalog
+}
@@ -0,0 +1,284 @@
+/**
+ * Coupon Service
+ * Checks coupon codes against a cart or checkout and works out the discount: the whole amount
+ * and each line's share of it, so returns refund what the customer actually paid.
+ * A coupon stays on the cart while it stops applying (say the cart drops below its minimum),
+ * giving no discount until it applies again; checkout refuses it instead.
+ */
+
+import Coupon from '../../models/Coupon.js'
+import CouponRedemption from '../../models/CouponRedemption.js'
+import Order from '../../models/Order.js'
+import { matchesEligibility } from '../../models/eligibility.js'
+import { loadCatalogItem, toCatalogRef } from './catalogService.js'
+
+export class CouponError extends Error {
+  constructor(message, code = 'COUPON_INVALID', meta = {}) {
+    super(message)
+    this.name = 'CouponError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase()
+
+/**
+ * Find a coupon by the code a customer entered
+ * @throws {CouponError} COUPON_NOT_FOUND
+ */
+export const findCouponByCode = async (code) => {
+  const normalized = normalizeCouponCode(code)
+  const coupon = normalized ? await Coupon.findOne({ code: normalized }) : null
+  if (!coupon) {
+    throw new CouponError('This coupon code is not valid', 'COUPON_NOT_FOUND', { code: normalized })
+  }
+  return coupon
+}
+
+/**
+ * Coupon discount on a set of eligible value, before it is split across lines
+ */
+const computeCouponAmount = (coupon, eligibleSubtotal) => {
+  let amount = coupon.discountType === 'percentage'
+    ? Math.round(eligibleSubtotal * coupon.discountValue / 100)
+    : coupon.discountValue
+  if (coupon.maxDiscount != null) {
+    amount = Math.min(amount, coupon.maxDiscount)
+  }
+  return Math.max(0, Math.min(amount, eligibleSubtotal))
+}
+
+const userLimitError = (coupon) => new CouponError(
+  'You have already used this coupon',
+  'COUPON_USER_LIMIT_REACHED',
+  { code: coupon.code, perUserLimit: coupon.perUserLimit }
+)
+
+// Split the discount across lines by value; rounding leftovers go to the last eligible line
+const splitDiscount = (amount, lines, eligible) => {
+  const eligibleSubtotal = eligible.reduce((sum, isEligible, index) => sum + (isEligible ? lines[index].amount : 0), 0)
+  const lastEligible = eligible.lastIndexOf(true)
+  let remaining = amount
+
+  return lines.map((line, index) => {
+    if (!eligible[index]) {
+      return 0
+    }
+    if (index === lastEligible) {
+      return remaining
+    }
+    const share = Math.min(remaining, Math.round(amount * line.amount / eligibleSubtotal))
+    remaining -= share
+    return share
+  })
+}
+
+/**
+ * Check a coupon can be used by a customer on the given lines and work out its discount
+ * @param {Object} coupon - Coupon document
+ * @param {Object} options - { userId, lines: [{ itemType, id, category, amount }], now }
+ * @returns {Promise<Object>} { amount, eligibleSubtotal, lineDiscounts } with lineDiscounts in the order of lines
+ * @throws {CouponError} When the coupon can't be used
+ */
+export const validateCoupon = async (coupon, { userId, lines = [], now = new Date() }) => {
+  const meta = { code: coupon.code }
+
+  if (!coupon.isActive) {
+    throw new CouponError('This coupon is no longer available', 'COUPON_INACTIVE', meta)
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CouponError('This coupon is not active yet', 'COUPON_NOT_STARTED', { ...meta, startsAt: coupon.startsAt })
+  }
+  if (coupon.endsAt && coupon.endsAt <= now) {
+    throw new CouponError('This coupon has expired', 'COUPON_EXPIRED', { ...meta, endsAt: coupon.endsAt })
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError('This coupon has been fully redeemed', 'COUPON_USAGE_LIMIT_REACHED', meta)
+  }
+
+  // Cancelled orders don't count as uses
+  if (coupon.firstOrderOnly && await Order.exists({ user: userId, status: { $ne: 'cancelled' } })) {
+    throw new CouponError('This coupon is only valid on your first order', 'COUPON_FIRST_ORDER_ONLY', meta)
+  }
+  const timesUsed = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId })
+  if (timesUsed >= coupon.perUserLimit) {
+    throw userLimitError(coupon)
+  }
+
+  const eligible = lines.map((line) => matchesEligibility(coupon.eligibility, line))
+  const eligibleSubtotal = lines.reduce((sum, line, index) => sum + (eligible[index] ? line.amount : 0), 0)
+  if (eligibleSubtotal <= 0) {
+    throw new CouponError('This coupon does not apply to the items in your cart', 'COUPON_NOT_APPLICABLE', meta)
+  }
+  if (eligibleSubtotal < coupon.minCartValue) {
+    throw new CouponError(
+      `Add items worth ₹${coupon.minCartValue - eligibleSubtotal} more to use this coupon`,
+      'COUPON_MIN_CART_VALUE',
+      { ...meta, minCartValue: coupon.minCartValue, eligibleSubtotal }
+    )
+  }
+
+  const amount = computeCouponAmount(coupon, eligibleSubtotal)
+  return {
+    amount,
+    eligibleSubtotal,
+    lineDiscounts: splitDiscount(amount, lines, eligible)
+  }
+}
+
+/**
+ * Lines to check a coupon against, from the items in a cart; coupons apply after promotions
+ */
+const toCartCouponLines = async (cart) => {
+  const products = new Map()
+  const lines = []
+  for (const item of cart.items) {
+    const ref = toCatalogRef(item)
+    const catalogItem = await loadCatalogItem(ref, { products })
+    lines.push({
+      itemType: ref.itemType,
+      id: ref.id,
+      category: catalogItem?.listing.category,
+      amount: item.price * item.quantity - (item.promotionDiscount || 0)
+    })
+  }
+  return lines
+}
+
+/**
+ * Put a coupon on a cart and work out its discount. Unsaved.
+ * @throws {CouponError} When the coupon doesn't exist or can't be used on this cart
+ */
+export const applyCouponToCart = async (cart, code, userId) => {
+  const coupon = await findCouponByCode(code)
+  cart.calculateTotals()
+  const { amount } = await validateCoupon(coupon, { userId, lines: await toCartCouponLines(cart) })
+
+  cart.coupon = { coupon: coupon._id, code: coupon.code, description: coupon.description }
+  cart.couponDiscount = amount
+  cart.calculateTotals()
+  return coupon
+}
+
+export const removeCouponFromCart = (cart) => {
+  cart.coupon = undefined
+  cart.couponDiscount = 0
+  cart.calculateTotals()
+  return cart
+}
+
+/**
+ * Recalculate the discount of the coupon on a cart after its items or prices changed. Unsaved.
+ * @returns {Promise<Object|null>} { code, message } explaining why the coupon gives no discount right now
+ */
+export const refreshCartCoupon = async (cart, userId) => {
+  cart.couponDiscount = 0
+  cart.calculateTotals()
+  if (!cart.coupon?.coupon) {
+    return null
+  }
+
+  const coupon = await Coupon.findById(cart.coupon.coupon)
+  if (!coupon) {
+    removeCouponFromCart(cart)
+    return { code: 'COUPON_NOT_FOUND', message: 'The coupon on your cart is no longer available' }
+  }
+
+  try {
+    const { amount } = await validateCoupon(coupon, { userId, lines: await toCartCouponLines(cart) })
+    cart.couponDiscount = amount
+    return null
+  } catch (error) {
+    if (!(error instanceof CouponError)) {
+      throw error
+    }
+    return { code: error.code, message: error.message, meta: error.meta }
+  } finally {
+    cart.calculateTotals()
+  }
+}
+
+/**
+ * Count an order's use of a coupon, unless the coupon or the customer's uses of it ran out in
+ * the meantime. The customer's use is held by a CouponRedemption under a unique index, so
+ * concurrent checkouts can't both take the last one.
+ * @param {Object} coupon - Coupon document
+ * @param {Object} options - { userId, orderId, session }
+ * @throws {CouponError} COUPON_USER_LIMIT_REACHED, COUPON_USAGE_LIMIT_REACHED
+ */
+export const redeemCoupon = async (coupon, { userId, orderId, session } = {}) => {
+  const taken = await CouponRedemption.find({ coupon: coupon._id, user: userId })
+    .select('slot')
+    .session(session || null)
+    .lean()
+  const takenSlots = new Set(taken.map((redemption) => redemption.slot))
+  let slot = 1
+  while (takenSlots.has(slot)) {
+    slot++
+  }
+  if (slot > coupon.perUserLimit) {
+    throw userLimitError(coupon)
+  }
+
+  let redemption
+  try {
+    [redemption] = await CouponRedemption.create(
+      [{ coupon: coupon._id, user: userId, order: orderId, slot }],
+      { session: session || undefined }
+    )
+  } catch (error) {
+    // Another checkout by the same customer took this use first
+    if (error.code === 11000) {
+      throw userLimitError(coupon)
+    }
+    throw error
+  }
+
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { session: session || undefined }
+  )
+
+  if (result.modifiedCount === 0) {
+    await CouponRedemption.deleteOne({ _id: redemption._id }, { session: session || undefined })
+    throw new CouponError('This coupon has been fully redeemed', 'COUPON_USAGE_LIMIT_REACHED', { code: coupon.code })
+  }
+}
+
+/**
+ * Give back an order's use of a coupon, for an order that was cancelled or never went through
+ * @param {Object} options - { session }
+ */
+export const releaseCoupon = async (couponId, orderId, { session } = {}) => {
+  const released = await CouponRedemption.deleteOne({ coupon: couponId, order: orderId }, { session: session || undefined })
+  if (released.deletedCount === 0) {
+    return
+  }
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session: session || undefined }
+  )
+}
+
+export default {
+  CouponError,
+  normalizeCouponCode,
+  findCouponByCode,
+  validateCoupon,
+  applyCouponToCart,
+  removeCouponFromCart,
+  refreshCartCoupon,
+  redeemCoupon,
+  releaseCoupon
+}
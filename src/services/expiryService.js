@@ -0,0 +1,163 @@
+/**
+ * Expiry Service
+ * Near-expiry reporting and the sweep that pulls expired batches out of sellable stock
+ */
+
+import Product from '../../models/Product.js'
+import { clearCache } from '../middleware/cache.js'
+import { recordStockMovement } from './inventoryService.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const EXPIRY_WINDOWS = [30, 60, 90]
+
+const roundCurrency = (value) => Math.round(value * 100) / 100
+
+const createBucket = (key, label, from, to) => ({
+  key,
+  label,
+  from,
+  to,
+  batchCount: 0,
+  quantity: 0,
+  costValue: 0,
+  mrpValue: 0,
+  batches: []
+})
+
+/**
+ * Group batched stock into expired and 30/60/90-day expiry windows,
+ * valued at purchase cost and at MRP
+ */
+export const getExpiryReport = async ({ asOf = new Date() } = {}) => {
+  const horizonDays = EXPIRY_WINDOWS[EXPIRY_WINDOWS.length - 1]
+  const horizon = new Date(asOf.getTime() + horizonDays * DAY_MS)
+
+  const rows = await Product.aggregate([
+    { $match: { 'batches.expiryDate': { $lte: horizon } } },
+    { $unwind: '$batches' },
+    { $match: { 'batches.expiryDate': { $lte: horizon } } },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id',
+        name: 1,
+        sku: 1,
+        mrp: 1,
+        isActive: 1,
+        batchId: '$batches._id',
+        batchNumber: '$batches.batchNumber',
+        expiryDate: '$batches.expiryDate',
+        purchaseCost: { $ifNull: ['$batches.purchaseCost', 0] },
+        quantity: {
+          $add: ['$batches.quantity', { $ifNull: ['$batches.expiredQuantity', 0] }]
+        },
+        writtenOff: { $gt: [{ $ifNull: ['$batches.expiredQuantity', 0] }, 0] }
+      }
+    },
+    { $match: { quantity: { $gt: 0 } } },
+    { $sort: { expiryDate: 1 } }
+  ])
+
+  const buckets = [createBucket('expired', 'Expired', null, asOf)]
+  let windowStart = asOf
+  for (const days of EXPIRY_WINDOWS) {
+    const windowEnd = new Date(asOf.getTime() + days * DAY_MS)
+    buckets.push(createBucket(`${days}d`, `Expiring within ${days} days`, windowStart, windowEnd))
+    windowStart = windowEnd
+  }
+
+  for (const row of rows) {
+    const bucket = row.expiryDate <= asOf
+      ? buckets[0]
+      : buckets.slice(1).find((entry) => row.expiryDate <= entry.to)
+
+    if (!bucket) continue
+
+    const costValue = roundCurrency(row.quantity * row.purchaseCost)
+    const mrpValue = roundCurrency(row.quantity * (row.mrp || 0))
+
+    bucket.batchCount += 1
+    bucket.quantity += row.quantity
+    bucket.costValue = roundCurrency(bucket.costValue + costValue)
+    bucket.mrpValue = roundCurrency(bucket.mrpValue + mrpValue)
+    bucket.batches.push({
+      ...row,
+      daysToExpiry: Math.ceil((row.expiryDate - asOf) / DAY_MS),
+      costValue,
+      mrpValue
+    })
+  }
+
+  const totals = buckets.reduce((acc, bucket) => ({
+    quantity: acc.quantity + bucket.quantity,
+    costValue: roundCurrency(acc.costValue + bucket.costValue),
+    mrpValue: roundCurrency(acc.mrpValue + bucket.mrpValue)
+  }), { quantity: 0, costValue: 0, mrpValue: 0 })
+
+  return {
+    generatedAt: asOf,
+    windows: buckets,
+    totals
+  }
+}
+
+/**
+ * Write off every batch that has reached its expiry date so it can no longer be sold.
+ * Affected products are flagged with hasExpiredStock for the admin product list.
+ */
+export const sweepExpiredBatches = async ({ asOf = new Date() } = {}) => {
+  const products = await Product.find({
+    batches: {
+      $elemMatch: {
+        expiryDate: { $lte: asOf },
+        quantity: { $gt: 0 }
+      }
+    }
+  })
+
+  const affected = []
+
+  for (const product of products) {
+    const writtenOff = product.writeOffExpiredBatches(asOf)
+    if (!writtenOff.length) continue
+
+    await product.save()
+    await recordStockMovement(product, {
+      reason: 'expiry_writeoff',
+      quantity: -writtenOff.reduce((total, batch) => total + batch.quantity, 0),
+      batches: writtenOff,
+      reference: { kind: 'Product', id: product._id, number: product.sku },
+      note: 'Expired batches removed from sellable stock'
+    })
+    affected.push({
+      productId: product._id,
+      name: product.name,
+      sku: product.sku,
+      batches: writtenOff,
+      remainingStock: product.stock
+    })
+  }
+
+  if (affected.length) {
+    await clearCache('cache:/api/products*').catch(err => {
+      console.warn('Failed to clear cache:', err.message)
+    })
+    console.log(`🗓️  Expiry sweep wrote off batches for ${affected.length} product(s)`)
+  }
+
+  return {
+    sweptAt: asOf,
+    productCount: affected.length,
+    quantity: affected.reduce(
+      (sum, entry) => sum + entry.batches.reduce((total, batch) => total + batch.quantity, 0),
+      0
+    ),
+    products: affected
+  }
+}
+
+export default {
+  getExpiryReport,
+  sweepExpiredBatches
+}
@@ -0,0 +1,252 @@
+/**
+ * Facet Service
+ * Listing queries that return one page of results together with filter counts for a sidebar.
+ * Values selected within a facet are alternatives (OR), different facets narrow each other (AND),
+ * and each facet is counted with every filter applied except its own, so picking a second
+ * brand never hides the first one.
+ */
+
+import { dosageForms, restrictedDrugSchedules } from '../../models/composition.js'
+import { escapeRegex } from '../utils/escapeRegex.js'
+
+export const priceBands = [
+  { value: '0-100', label: 'Under ₹100', min: 0, max: 100 },
+  { value: '100-250', label: '₹100 - ₹250', min: 100, max: 250 },
+  { value: '250-500', label: '₹250 - ₹500', min: 250, max: 500 },
+  { value: '500-1000', label: '₹500 - ₹1000', min: 500, max: 1000 },
+  { value: '1000-', label: '₹1000 and above', min: 1000 }
+]
+
+export const discountRanges = [
+  { value: '0-10', label: 'Up to 10%', min: 0, max: 10 },
+  { value: '10-25', label: '10% - 25%', min: 10, max: 25 },
+  { value: '25-50', label: '25% - 50%', min: 25, max: 50 },
+  { value: '50-', label: '50% and above', min: 50 }
+]
+
+export const facetNames = ['category', 'brand', 'price', 'discount', 'dosageForm', 'rx', 'inStock']
+
+// Most brands listed in the brand facet
+const MAX_BRAND_VALUES = 50
+
+const bandSwitch = (input, bands) => ({
+  $switch: {
+    branches: bands
+      .filter((band) => band.max !== undefined)
+      .map((band) => ({ case: { $lt: [input, band.max] }, then: band.value })),
+    default: bands[bands.length - 1].value
+  }
+})
+
+const discountExpression = {
+  $cond: [
+    { $gt: [{ $ifNull: ['$mrp', 0] }, '$price'] },
+    { $multiply: [{ $divide: [{ $subtract: ['$mrp', '$price'] }, '$mrp'] }, 100] },
+    0
+  ]
+}
+
+// Same rule as getDrugSchedule: an explicit schedule wins, otherwise the category decides
+const rxRequiredExpression = {
+  $cond: [
+    { $ifNull: ['$drugSchedule', false] },
+    { $in: ['$drugSchedule', restrictedDrugSchedules] },
+    { $eq: ['$category', 'Prescription Medicines'] }
+  ]
+}
+
+/**
+ * Pipeline stages adding the value of every facet under `_facet`.
+ * Medicines sell their linked product's stock; unlinked medicines are out of stock.
+ */
+const facetValueStages = (itemType) => {
+  const stages = []
+  let inStock = { $gt: ['$stock', 0] }
+  let brand = '$brand'
+
+  if (itemType === 'medicine') {
+    stages.push({
+      $lookup: {
+        from: 'products',
+        localField: 'productRef',
+        foreignField: '_id',
+        as: '_stockProduct'
+      }
+    })
+    inStock = {
+      $cond: [
+        { $ifNull: ['$productRef', false] },
+        {
+          $let: {
+            vars: { linked: { $arrayElemAt: ['$_stockProduct', 0] } },
+            in: {
+              $and: [
+                { $ne: ['$$linked.isActive', false] },
+                { $gt: [{ $ifNull: ['$$linked.stock', 0] }, 0] }
+              ]
+            }
+          }
+        },
+        false
+      ]
+    }
+    brand = { $ifNull: ['$brand', '$manufacturer'] }
+  }
+
+  stages.push({
+    $addFields: {
+      _facet: {
+        category: '$category',
+        brand,
+        price: bandSwitch('$price', priceBands),
+        discount: bandSwitch(discountExpression, discountRanges),
+        dosageForm: '$composition.dosageForm',
+        rx: rxRequiredExpression,
+        inStock
+      }
+    }
+  })
+
+  return stages
+}
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return []
+  }
+  const values = Array.isArray(value) ? value : String(value).split(',')
+  return [...new Set(values.map((item) => String(item).trim()).filter(Boolean))]
+}
+
+const toBooleans = (value) => toList(value)
+  .filter((item) => item === 'true' || item === 'false')
+  .map((item) => item === 'true')
+
+/**
+ * Read facet selections from a query string; several values may be given comma-separated
+ * or by repeating the parameter. Unknown band values are ignored.
+ * @returns {Object} { category, brand, price, discount, dosageForm, rx, inStock } as arrays
+ */
+export const parseFacetFilters = (query = {}) => {
+  const knownPrices = priceBands.map((band) => band.value)
+  const knownDiscounts = discountRanges.map((range) => range.value)
+
+  return {
+    category: toList(query.category),
+    brand: toList(query.brand),
+    price: toList(query.price).filter((value) => knownPrices.includes(value)),
+    discount: toList(query.discount).filter((value) => knownDiscounts.includes(value)),
+    dosageForm: toList(query.dosageForm).map((value) => value.toLowerCase()).filter((value) => dosageForms.includes(value)),
+    rx: toBooleans(query.rx),
+    inStock: toBooleans(query.inStock)
+  }
+}
+
+const facetCondition = (name, values) => {
+  if (name === 'brand') {
+    // Brands are matched whole but ignoring case
+    return { '_facet.brand': { $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i')) } }
+  }
+  return { [`_facet.${name}`]: { $in: values } }
+}
+
+const buildFacetMatch = (filters, except) => {
+  const conditions = facetNames
+    .filter((name) => name !== except && filters[name]?.length)
+    .map((name) => facetCondition(name, filters[name]))
+  return conditions.length ? { $and: conditions } : {}
+}
+
+const countStages = (filters, name) => {
+  const stages = [
+    { $match: buildFacetMatch(filters, name) },
+    { $group: { _id: `$_facet.${name}`, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]
+  if (name === 'brand') {
+    stages.push({ $limit: MAX_BRAND_VALUES })
+  }
+  return stages
+}
+
+/**
+ * Turn grouped counts into facet values, keeping selected values even when nothing matches them.
+ * Bands keep their own order and labels.
+ */
+const formatFacet = (name, rows, filters) => {
+  const counts = new Map(rows.map((row) => [row._id, row.count]))
+  const selected = filters[name] || []
+  const bands = { price: priceBands, discount: discountRanges }[name]
+
+  if (bands) {
+    return bands.map((band) => ({
+      value: band.value,
+      label: band.label,
+      count: counts.get(band.value) || 0,
+      selected: selected.includes(band.value)
+    }))
+  }
+
+  if (name === 'rx' || name === 'inStock') {
+    return [true, false].map((value) => ({
+      value,
+      count: counts.get(value) || 0,
+      selected: selected.includes(value)
+    }))
+  }
+
+  const values = rows.map((row) => ({ value: row._id, count: row.count, selected: false }))
+  for (const value of selected) {
+    const existing = values.find((item) => String(item.value).toLowerCase() === value.toLowerCase())
+    if (existing) {
+      existing.selected = true
+    } else {
+      values.push({ value, count: 0, selected: true })
+    }
+  }
+  return values
+}
+
+/**
+ * One page of a listing plus facet counts, in a single aggregation
+ * @param {Model} Model - Product or AllMedicine
+ * @param {Object} options - { itemType, match, filters, sort, skip, limit, project }
+ *   match: conditions that are not facets (active flag, search text)
+ *   filters: from parseFacetFilters
+ *   project: fields to hide from results
+ * @returns {Promise<Object>} { items, total, facets }
+ */
+export const findWithFacets = async (Model, { itemType, match = {}, filters = {}, sort = { createdAt: -1 }, skip = 0, limit = 20, project = {} }) => {
+  const [result] = await Model.aggregate([
+    { $match: match },
+    ...facetValueStages(itemType),
+    {
+      $facet: {
+        items: [
+          { $match: buildFacetMatch(filters) },
+          { $sort: { ...sort, _id: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { ...project, _facet: 0, _stockProduct: 0, searchGrams: 0 } }
+        ],
+        total: [{ $match: buildFacetMatch(filters) }, { $count: 'count' }],
+        ...Object.fromEntries(facetNames.map((name) => [name, countStages(filters, name)]))
+      }
+    }
+  ])
+
+  return {
+    items: result?.items || [],
+    total: result?.total?.[0]?.count || 0,
+    facets: Object.fromEntries(facetNames.map((name) => [name, formatFacet(name, result?.[name] || [], filters)]))
+  }
+}
+
+export default {
+  priceBands,
+  discountRanges,
+  facetNames,
+  parseFacetFilters,
+  findWithFacets
+}
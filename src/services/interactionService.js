@@ -0,0 +1,135 @@
+/**
+ * Interaction Service
+ * Checks cart and order items against the admin-managed drug interaction rules
+ */
+
+import Product from '../../models/Product.js'
+import AllMedicine from '../../models/AllMedicine.js'
+import InteractionRule from '../../models/InteractionRule.js'
+import { toCatalogRef } from './catalogService.js'
+
+const severityRank = { minor: 1, moderate: 2, severe: 3 }
+
+const getIngredientNames = (composition) => {
+  return new Set((composition?.ingredients || [])
+    .map((ingredient) => String(ingredient?.name || '').trim().toLowerCase())
+    .filter(Boolean))
+}
+
+const getItemId = (item) => toCatalogRef(item).id
+
+/**
+ * Load the composition of each cart or order item.
+ * Populated products are used as-is; medicines fall back to their linked product.
+ * @returns {Promise<Array>} [{ itemType, id, name, ingredients }]
+ */
+const resolveItemIngredients = async (items = []) => {
+  const productIds = []
+  const medicineIds = []
+
+  for (const item of items) {
+    const id = getItemId(item)
+    if (!id) continue
+    if (item.itemType === 'medicine') {
+      medicineIds.push(id)
+    } else if (!item.product?.composition) {
+      productIds.push(id)
+    }
+  }
+
+  const medicines = medicineIds.length
+    ? await AllMedicine.find({ _id: { $in: medicineIds } }).select('composition productRef').lean()
+    : []
+  const medicineMap = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]))
+
+  for (const medicine of medicines) {
+    if (!medicine.composition?.ingredients?.length && medicine.productRef) {
+      productIds.push(medicine.productRef)
+    }
+  }
+
+  const products = productIds.length
+    ? await Product.find({ _id: { $in: productIds } }).select('composition').lean()
+    : []
+  const productMap = new Map(products.map((product) => [product._id.toString(), product]))
+
+  return items.map((item) => {
+    const id = getItemId(item)
+    let composition
+
+    if (item.itemType === 'medicine') {
+      const medicine = id ? medicineMap.get(id.toString()) : null
+      composition = medicine?.composition?.ingredients?.length
+        ? medicine.composition
+        : productMap.get(medicine?.productRef?.toString())?.composition
+    } else {
+      composition = item.product?.composition || (id ? productMap.get(id.toString())?.composition : undefined)
+    }
+
+    return {
+      itemType: item.itemType || 'product',
+      id,
+      name: item.name || item.product?.name,
+      ingredients: getIngredientNames(composition)
+    }
+  })
+}
+
+/**
+ * Find interactions between items (not within a single combination product)
+ * @param {Array} items - Cart items or order items
+ * @returns {Promise<Array>} Warnings, most severe first:
+ *   [{ rule, ingredients, severity, advisory, items: [{ itemType, id, name }, ...] }]
+ */
+export const checkInteractions = async (items = []) => {
+  const resolved = (await resolveItemIngredients(items)).filter((item) => item.ingredients.size > 0)
+  if (resolved.length < 2) {
+    return []
+  }
+
+  const allIngredients = [...new Set(resolved.flatMap((item) => [...item.ingredients]))]
+  const rules = await InteractionRule.find({
+    isActive: true,
+    ingredientA: { $in: allIngredients },
+    ingredientB: { $in: allIngredients }
+  }).lean()
+
+  const warnings = []
+
+  for (const rule of rules) {
+    for (let i = 0; i < resolved.length; i++) {
+      for (let j = i + 1; j < resolved.length; j++) {
+        const first = resolved[i]
+        const second = resolved[j]
+        const matches =
+          (first.ingredients.has(rule.ingredientA) && second.ingredients.has(rule.ingredientB)) ||
+          (first.ingredients.has(rule.ingredientB) && second.ingredients.has(rule.ingredientA))
+
+        if (!matches) continue
+
+        warnings.push({
+          rule: rule._id,
+          ingredients: [rule.ingredientA, rule.ingredientB],
+          severity: rule.severity,
+          advisory: rule.advisory,
+          items: [first, second].map(({ itemType, id, name }) => ({ itemType, id, name }))
+        })
+      }
+    }
+  }
+
+  return warnings.sort((a, b) => severityRank[b.severity] - severityRank[a.severity])
+}
+
+/**
+ * Severe warnings whose rule ids are not in the acknowledged list
+ */
+export const getUnacknowledgedSevereWarnings = (warnings = [], acknowledgedRuleIds = []) => {
+  const acknowledged = new Set(acknowledgedRuleIds.map((id) => id.toString()))
+  return warnings.filter((warning) => warning.severity === 'severe' && !acknowledged.has(warning.rule.toString()))
+}
+
+export default {
+  checkInteractions,
+  getUnacknowledgedSevereWarnings
+}
@@ -0,0 +1,521 @@
+/**
+ * Inventory Service
+ * Records every stock change in the StockMovement ledger and reconciles it against Product.stock
+ */
+
+import mongoose from 'mongoose'
+import StockMovement from '../../models/StockMovement.js'
+import Product from '../../models/Product.js'
+import { clearCache } from '../middleware/cache.js'
+import { notifyIfBackInStock } from './stockAlertService.js'
+
+export class InventoryError extends Error {
+  constructor(message, code = 'INVENTORY_VALIDATION', meta = {}) {
+    super(message)
+    this.name = 'InventoryError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
+const toBatchEntries = (batches = [], sign = 1) => {
+  if (!Array.isArray(batches) || batches.length === 0) {
+    return undefined
+  }
+
+  return batches.map(({ batchNumber, expiryDate, quantity }) => ({
+    batchNumber,
+    expiryDate,
+    quantity: sign * Math.abs(quantity)
+  }))
+}
+
+/**
+ * Append a ledger entry for a stock change that has already been saved on the product
+ * @param {Object} product - Product document after the change
+ * @param {Object} movement - { reason, quantity, batches, variantSku, reference, actor, note, needsReview, session }
+ */
+export const recordStockMovement = async (product, {
+  reason,
+  quantity,
+  batches,
+  variantSku,
+  reference,
+  actor,
+  note,
+  needsReview,
+  session
+}) => {
+  if (!quantity) {
+    return null
+  }
+
+  const [movement] = await StockMovement.create([{
+    product: product._id,
+    reason,
+    quantity,
+    balanceAfter: product.stock,
+    batches: toBatchEntries(batches, Math.sign(quantity)),
+    variantSku,
+    reference,
+    actor: actor || { kind: 'System' },
+    note,
+    needsReview: needsReview || undefined
+  }], { session })
+  return movement
+}
+
+/**
+ * Take units out of a product's stock with a single conditional update, so concurrent sales
+ * can never take more than is there. Batch-tracked products are allocated first-expiry-first-out.
+ * @param {ObjectId} productId
+ * @param {number} quantity
+ * @param {Object} options - { variantId, notExpiringBefore, session }
+ * @returns {Promise<Object|null>} { product, allocations } with the product as updated,
+ *   or null when the stock (or the batches planned) no longer cover the quantity
+ */
+export const takeStock = async (productId, quantity, { variantId, notExpiringBefore, session } = {}) => {
+  const product = await Product.findById(productId).session(session || null)
+  if (!product) {
+    return null
+  }
+
+  const filter = { _id: product._id }
+  const increments = { stock: -quantity, salesCount: quantity }
+  const arrayFilters = []
+  let allocations = []
+
+  if (product.hasVariants()) {
+    const variant = product.getVariant(variantId)
+    if (!variant) {
+      return null
+    }
+    filter.variants = { $elemMatch: { _id: variant._id, stock: { $gte: quantity } } }
+    increments['variants.$.stock'] = -quantity
+  } else if (product.isBatchTracked()) {
+    allocations = product.allocateBatches(quantity, notExpiringBefore)
+    if (!allocations) {
+      return null
+    }
+    filter.batches = {
+      $all: allocations.map(({ batchId, quantity: taken }) => ({
+        $elemMatch: { _id: batchId, quantity: { $gte: taken } }
+      }))
+    }
+    allocations.forEach(({ batchId, quantity: taken }, index) => {
+      increments[`batches.$[batch${index}].quantity`] = -taken
+      arrayFilters.push({ [`batch${index}._id`]: batchId })
+    })
+  } else {
+    filter.stock = { $gte: quantity }
+  }
+
+  const result = await Product.updateOne(filter, { $inc: increments }, {
+    session: session || undefined,
+    ...(arrayFilters.length ? { arrayFilters } : {})
+  })
+  if (!result.modifiedCount) {
+    return null
+  }
+
+  // Mirror the update on the loaded document so callers see the new balance
+  product.reduceStock(quantity, { notExpiringBefore, variantId })
+  product.salesCount = (product.salesCount || 0) + quantity
+
+  return { product, allocations: allocations.map(({ batchId, ...allocation }) => allocation) }
+}
+
+/**
+ * Check that a stock receipt can be applied to a product, without changing it.
+ * Throws an InventoryError describing the first problem found.
+ */
+export const validateStockReceipt = (product, { quantity, batch, variantId }) => {
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new InventoryError('Received quantity must be a positive integer', 'INVALID_QUANTITY', { quantity })
+  }
+
+  if (product.hasVariants()) {
+    if (!product.getVariant(variantId)) {
+      throw new InventoryError(`${product.name} is sold in variants; choose the variant received`, 'VARIANT_REQUIRED', {
+        productId: product._id,
+        variantId
+      })
+    }
+    if (batch?.batchNumber) {
+      throw new InventoryError(`${product.name} is sold in variants and is not tracked per batch`, 'BATCH_NOT_SUPPORTED', {
+        productId: product._id
+      })
+    }
+    return
+  }
+
+  const hasBatch = Boolean(batch?.batchNumber)
+
+  if (hasBatch && !batch.expiryDate && !product.batches.some(
+    (entry) => entry.batchNumber === String(batch.batchNumber).trim().toUpperCase()
+  )) {
+    throw new InventoryError('Expiry date is required for a new batch', 'EXPIRY_REQUIRED', {
+      productId: product._id,
+      batchNumber: batch.batchNumber
+    })
+  }
+
+  if (!hasBatch && product.isBatchTracked()) {
+    throw new InventoryError(`${product.name} is tracked per batch; batch details are required`, 'BATCH_REQUIRED', {
+      productId: product._id
+    })
+  }
+
+  if (hasBatch && !product.isBatchTracked() && product.stock > 0) {
+    throw new InventoryError(
+      `${product.name} has stock without batch details. Assign its current stock to batches first.`,
+      'UNTRACKED_STOCK',
+      { productId: product._id }
+    )
+  }
+}
+
+const normalizeBatchNumber = (batchNumber) => String(batchNumber || '').trim().toUpperCase()
+
+// Add units to the loaded product and build the update that adds them in the database.
+// The update adds with $inc, so a concurrent sale's decrement isn't overwritten, and only
+// applies while the variant or batch added to is still as the loaded product has it.
+const planStockAddition = (product, quantity, batchDetails, { variantId } = {}) => {
+  const variant = product.getVariant(variantId)
+  if (variant) {
+    product.addStock(quantity, undefined, { variantId })
+    return {
+      filter: { _id: product._id, 'variants._id': variant._id },
+      update: { $inc: { stock: quantity, 'variants.$[variant].stock': quantity } },
+      arrayFilters: [{ 'variant._id': variant._id }],
+      batch: null
+    }
+  }
+
+  if (!batchDetails) {
+    product.addStock(quantity)
+    return {
+      filter: { _id: product._id, 'batches.0': { $exists: false }, 'variants.0': { $exists: false } },
+      update: { $inc: { stock: quantity } },
+      batch: null
+    }
+  }
+
+  const batchNumber = normalizeBatchNumber(batchDetails.batchNumber)
+  const wasBatchTracked = product.isBatchTracked()
+  const isNewBatch = !product.batches.some((entry) => entry.batchNumber === batchNumber)
+  const batch = product.addStock(quantity, batchDetails)
+
+  if (isNewBatch) {
+    return {
+      // Untracked stock must still be empty before its first batch is added
+      filter: { _id: product._id, 'batches.batchNumber': { $ne: batchNumber }, ...(wasBatchTracked ? {} : { stock: 0 }) },
+      update: { $inc: { stock: quantity }, $push: { batches: batch.toObject() } },
+      batch
+    }
+  }
+  return {
+    filter: { _id: product._id, 'batches.batchNumber': batchNumber },
+    update: { $inc: { stock: quantity, 'batches.$[batch].quantity': quantity } },
+    arrayFilters: [{ 'batch.batchNumber': batchNumber }],
+    batch
+  }
+}
+
+const applyStockAddition = async (product, { filter, update, arrayFilters }, session) => {
+  const result = await Product.updateOne(filter, update, {
+    session: session || undefined,
+    ...(arrayFilters ? { arrayFilters } : {})
+  })
+  if (!result.modifiedCount) {
+    throw new InventoryError(`${product.name} changed while its stock was being updated; try again`, 'STOCK_CHANGED', {
+      productId: product._id
+    })
+  }
+}
+
+/**
+ * Clear cached listings after stock went up and tell customers waiting for the product.
+ * Call it only once the change is committed; alerts go out in the background.
+ * @param {Object} product - Product document after the change
+ * @param {number} previousStock - Its stock before the change
+ */
+export const announceRestock = async (product, previousStock) => {
+  await clearCache('cache:/api/products*').catch(err => {
+    console.warn('Failed to clear cache:', err.message)
+  })
+
+  notifyIfBackInStock(product, previousStock).catch(err => {
+    console.warn('Failed to send back-in-stock alerts:', err.message)
+  })
+}
+
+// Take saved receipt lines of a product back out of stock, for work that failed without a
+// transaction. The ledger is append-only, so movements already recorded are reversed, not removed.
+const undoStockReceipt = async (product, lines) => {
+  for (const { quantity, batch, variantId } of lines) {
+    const increments = { stock: -quantity }
+    const arrayFilters = []
+    const variant = product.getVariant(variantId)
+    if (variant) {
+      increments['variants.$[variant].stock'] = -quantity
+      arrayFilters.push({ 'variant._id': variant._id })
+    } else if (batch) {
+      increments['batches.$[batch].quantity'] = -quantity
+      arrayFilters.push({ 'batch.batchNumber': batch.batchNumber })
+    }
+    await Product.updateOne({ _id: product._id }, { $inc: increments }, arrayFilters.length ? { arrayFilters } : {})
+  }
+
+  const recorded = lines.filter((line) => line.movement)
+  if (!recorded.length) {
+    return
+  }
+  const current = await Product.findById(product._id)
+  for (const { quantity, batch, variantId, movement } of recorded) {
+    await recordStockMovement(current, {
+      reason: 'manual_adjustment',
+      quantity: -quantity,
+      batches: batch ? [{ batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity }] : undefined,
+      variantSku: current.getVariant(variantId)?.sku,
+      reference: movement.reference,
+      actor: movement.actor,
+      note: 'Receipt undone after it failed to save'
+    })
+  }
+}
+
+/**
+ * Receive several lines of purchased stock together, e.g. one supplier invoice.
+ * Each line is checked against the stock the lines before it leave, so a problem with any line
+ * is found before anything is saved. Adds each line to the stored stock with a conditional update
+ * and records a purchase_receipt movement per line; announcing the new stock is left to the
+ * caller (see announceRestock).
+ * @param {Array} lines - [{ product, quantity, batch, variantId }] with product documents
+ * @param {Object} options - { reference, actor, note, session, onRollback } as given by withTransaction
+ * @returns {Promise<Array>} Per line { product, batch, movement, previousStock }
+ * @throws {InventoryError} When a line can't be received
+ */
+export const receiveStockLines = async (lines, { reference, actor, note, session, onRollback = () => {} } = {}) => {
+  const previousStock = new Map()
+  const received = lines.map(({ product, quantity, batch, variantId }) => {
+    validateStockReceipt(product, { quantity, batch, variantId })
+    if (!previousStock.has(product)) {
+      previousStock.set(product, product.stock)
+    }
+    const hasBatch = Boolean(batch?.batchNumber)
+    const addition = planStockAddition(product, quantity, hasBatch ? batch : undefined, { variantId })
+    return { product, quantity, variantId, batch: addition.batch, addition }
+  })
+
+  for (const line of received) {
+    await applyStockAddition(line.product, line.addition, session)
+    onRollback(() => undoStockReceipt(line.product, [line]))
+  }
+
+  for (const line of received) {
+    const { product, quantity, variantId, batch } = line
+    line.movement = await recordStockMovement(product, {
+      reason: 'purchase_receipt',
+      quantity,
+      batches: batch ? [{ batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity }] : undefined,
+      variantSku: product.getVariant(variantId)?.sku,
+      reference,
+      actor,
+      note,
+      session
+    })
+  }
+
+  return received.map(({ product, batch, movement }) => ({
+    product,
+    batch,
+    movement,
+    previousStock: previousStock.get(product)
+  }))
+}
+
+/**
+ * Receive purchased stock into a product.
+ * This and receiveStockLines are the only paths that add purchased stock: they update the batch
+ * (or untracked stock), save the product and record a purchase_receipt movement.
+ * @param {Object} product - Product document
+ * @param {Object} receipt - { quantity, batch, variantId, reference, actor, note }
+ * @returns {Promise<Object>} { product, batch, movement }
+ */
+export const receiveStock = async (product, { quantity, batch, variantId, reference, actor, note }) => {
+  const [received] = await receiveStockLines([{ product, quantity, batch, variantId }], { reference, actor, note })
+  await announceRestock(product, received.previousStock)
+  return { product, batch: received.batch, movement: received.movement }
+}
+
+/**
+ * Put units of an order item back on the shelf, into the batches they were sold from.
+ * Mutates the loaded product; the caller applies the returned additions and records the movement.
+ * Returns { batches, additions } with the batches restocked (empty for untracked stock),
+ * or null when nothing could be restored.
+ */
+export const restockOrderItem = (product, orderItem, quantity = orderItem.quantity) => {
+  if (orderItem.variant?.id || product.hasVariants()) {
+    if (!product.getVariant(orderItem.variant?.id)) {
+      return null
+    }
+    return { batches: [], additions: [planStockAddition(product, quantity, undefined, { variantId: orderItem.variant.id })] }
+  }
+
+  if (!orderItem.batches?.length) {
+    if (product.isBatchTracked()) {
+      return null
+    }
+    return { batches: [], additions: [planStockAddition(product, quantity)] }
+  }
+
+  const restocked = { batches: [], additions: [] }
+  let remaining = quantity
+
+  // Return the latest-expiring units first so the shortest-dated stock isn't resold
+  const snapshot = [...orderItem.batches].sort((a, b) => b.expiryDate - a.expiryDate)
+  for (const batch of snapshot) {
+    if (remaining <= 0) break
+    const units = Math.min(batch.quantity, remaining)
+    restocked.additions.push(planStockAddition(product, units, batch))
+    restocked.batches.push({
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      quantity: units
+    })
+    remaining -= units
+  }
+
+  return restocked
+}
+
+// Put units whose batch isn't known into the latest-expiring batch, so they are sold last
+const restockIntoLatestBatch = (product, quantity) => {
+  const [latest] = [...product.batches].sort((a, b) => b.expiryDate - a.expiryDate)
+  return {
+    batches: [{ batchNumber: latest.batchNumber, expiryDate: latest.expiryDate, quantity }],
+    additions: [planStockAddition(product, quantity, latest)]
+  }
+}
+
+/**
+ * Put the units of one order line back on the shelf and record the movement.
+ * Lines sold before batches were recorded on orders go into the product's latest-expiring batch,
+ * with the movement flagged for an admin to check the batch.
+ * Customers waiting for the product are told once it is back in stock; inside a transaction,
+ * pass afterCommit from withTransaction so they are told only once it commits.
+ * @param {ObjectId} productId - Product holding the line's stock
+ * @param {Object} line - Order line, or any { quantity, variant, batches } taken from stock
+ * @param {Object} movement - { reason, reference, actor, note, session, afterCommit }
+ * @returns {Promise<Object|null>} The restocked product, or null when nothing could be restored
+ */
+export const restockLine = async (productId, line, { reason, reference, actor, note, session, afterCommit } = {}) => {
+  const product = await Product.findById(productId).session(session || null)
+  if (!product) {
+    return null
+  }
+  const previousStock = product.stock
+
+  // Put units back into the batches they were sold from
+  let restocked = restockOrderItem(product, line)
+  const needsReview = !restocked && product.isBatchTracked() && !line.batches?.length
+  if (needsReview) {
+    restocked = restockIntoLatestBatch(product, line.quantity)
+  }
+  if (!restocked) {
+    console.warn(`${reference?.kind || 'Line'} ${reference?.number || ''}: the variant sold is no longer on ${product.sku}; stock not restored`)
+    return null
+  }
+
+  for (const addition of restocked.additions) {
+    await applyStockAddition(product, addition, session)
+  }
+  await recordStockMovement(product, {
+    reason,
+    quantity: line.quantity,
+    batches: restocked.batches,
+    variantSku: line.variant?.sku,
+    reference,
+    actor,
+    note: needsReview ? [note, 'No batch recorded for the sale; restocked into the latest-expiring batch'].filter(Boolean).join('. ') : note,
+    needsReview,
+    session
+  })
+
+  const announce = () => announceRestock(product, previousStock)
+  if (afterCommit) {
+    afterCommit(announce)
+  } else {
+    await announce()
+  }
+  return product
+}
+
+/**
+ * Put every item of a cancelled order back on the shelf and record the movements.
+ * Medicine lines carry the product holding their stock; lines without one had no stock taken.
+ * @param {Object} order - Order document that has just been cancelled
+ * @param {Object} actor - { kind, id } who cancelled it
+ * @param {Object} options - { session, afterCommit } to restock as part of a transaction
+ */
+export const restockCancelledOrder = async (order, actor, { session, afterCommit } = {}) => {
+  for (const item of order.items) {
+    const productId = item.product?._id ?? item.product
+    if (!productId) continue
+    await restockLine(productId, item, {
+      reason: 'cancellation',
+      reference: { kind: 'Order', id: order._id, number: order.orderNumber },
+      actor,
+      note: order.cancellation?.reason,
+      session,
+      afterCommit
+    })
+  }
+}
+
+/**
+ * Compare the ledger with the product's current stock value
+ */
+export const reconcileProductStock = async (product) => {
+  const [summary] = await StockMovement.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(product._id) } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$product',
+        ledgerBalance: { $sum: '$quantity' },
+        movementCount: { $sum: 1 },
+        lastBalance: { $last: '$balanceAfter' },
+        lastMovementAt: { $last: '$createdAt' }
+      }
+    }
+  ])
+
+  const ledgerBalance = summary?.ledgerBalance || 0
+
+  return {
+    currentStock: product.stock,
+    ledgerBalance,
+    lastRecordedBalance: summary?.lastBalance ?? null,
+    lastMovementAt: summary?.lastMovementAt || null,
+    movementCount: summary?.movementCount || 0,
+    difference: product.stock - ledgerBalance,
+    inSync: product.stock === ledgerBalance
+  }
+}
+
+export default {
+  InventoryError,
+  recordStockMovement,
+  validateStockReceipt,
+  takeStock,
+  announceRestock,
+  receiveStockLines,
+  receiveStock,
+  restockOrderItem,
+  restockLine,
+  restockCancelledOrder,
+  reconcileProductStock
+}
@@ -176,11 +176,54 @@ export const notifyAccountCreated = async (user, password) => {
   return notifications
 }
 
+/**
+ * Tell a user that an item they asked about is back in stock,
+ * on the channels enabled in their notification preferences
+ * @param {Object} user - { name, email, phone, notifications }
+ * @param {Object} item - { name, url }
+ */
+export const notifyBackInStock = async (user, item) => {
+  const notifications = []
+  const preferences = user.notifications || {}
+
+  const emailSubject = `${item.name} is back in stock - HealthPlus`
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Back in Stock</h2>
+      <p>Dear ${user.name || 'Customer'},</p>
+      <p>Good news! <strong>${item.name}</strong>, which you asked us to watch, is available again.</p>
+      ${item.url ? `<p><a href="${item.url}" style="color: #2563eb;">Order it now</a> before it runs out.</p>` : ''}
+      <p>Best regards,<br>HealthPlus Team</p>
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+      <p style="color: #6b7280; font-size: 12px;">You received this because you subscribed to a back-in-stock alert.</p>
+    </div>
+  `
+
+  if (user.email && preferences.email !== false) {
+    const emailResult = await sendEmail(
+      user.email,
+      emailSubject,
+      emailHtml,
+      emailHtml.replace(/<[^>]*>/g, '')
+    )
+    notifications.push({ type: 'email', ...emailResult })
+  }
+
+  if (user.phone && preferences.sms !== false) {
+    const smsMessage = `HealthPlus: ${item.name} is back in stock.${item.url ? ` Order now: ${item.url}` : ''}`
+    const smsResult = await sendSms(user.phone, smsMessage)
+    notifications.push({ type: 'sms', ...smsResult })
+  }
+
+  return notifications
+}
+
 export default {
   sendEmail,
   sendSms,
   notifyContactReply,
-  notifyAccountCreated
+  notifyAccountCreated,
+  notifyBackInStock
 }
 
 
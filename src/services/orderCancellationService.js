@@ -0,0 +1,79 @@
+/**
+ * Order Cancellation Service
+ * Every cancellation, whoever makes it, goes through cancelOrder here: the order is claimed,
+ * marked cancelled, its stock put back and its coupon uses and prescription given back, exactly once.
+ */
+
+import Order from '../../models/Order.js'
+import Prescription from '../../models/Prescription.js'
+import { restockCancelledOrder } from './inventoryService.js'
+import { releaseCoupon } from './couponService.js'
+import { withTransaction } from '../utils/transaction.js'
+
+// Orders still in the shop's hands; delivered orders are returned instead
+export const cancellableStatuses = ['processing', 'out for delivery']
+
+// Prescription statuses set while an order using it is under way
+const prescriptionInUseStatuses = ['ordered', 'fulfilled']
+
+// Make the order's prescription usable again, unless another order has taken it since
+const releasePrescription = async (order, session) => {
+  if (!order.prescription) {
+    return
+  }
+  const prescription = await Prescription.findById(order.prescription).session(session || null)
+  if (!prescription || prescription.order?.toString() !== order._id.toString() ||
+    !prescriptionInUseStatuses.includes(prescription.status)) {
+    return
+  }
+  prescription.order = undefined
+  await prescription.recordStatusChange({
+    status: 'approved',
+    note: `Order ${order.orderNumber} was cancelled; the prescription can be used again`
+  })
+}
+
+/**
+ * Cancel an order, put its stock back and give back its coupon uses and prescription.
+ * The order is claimed with a conditional update first, so of two cancellations racing each
+ * other (a customer cancelling as the payment window closes, say) only one restocks it.
+ * @param {ObjectId} orderId
+ * @param {Object} options - { reason, actor, filter, prepare }
+ *   filter narrows the orders that may be claimed, e.g. { user } or a held reservation;
+ *   prepare(order) changes the claimed order before it is saved as cancelled
+ * @returns {Promise<Object|null>} The cancelled order, or null when it was no longer cancellable
+ */
+export const cancelOrder = async (orderId, { reason, actor = { kind: 'System' }, filter = {}, prepare } = {}) => {
+  return withTransaction(async (session, { afterCommit }) => {
+    // Returns the order as it was before the claim, which cancelOrder then completes
+    const order = await Order.findOneAndUpdate(
+      { ...filter, _id: orderId, status: { $in: cancellableStatuses } },
+      { $set: { status: 'cancelled' } },
+      { session: session || undefined }
+    )
+    if (!order) {
+      return null
+    }
+
+    if (prepare) {
+      prepare(order)
+    }
+    await order.cancelOrder(reason, actor.kind === 'User' ? actor.id : undefined)
+    await restockCancelledOrder(order, actor, { session: session || undefined, afterCommit })
+
+    // Give coupon uses back so the coupon, and the customer's use of it, can be used again
+    for (const { coupon } of order.discounts || []) {
+      if (coupon) {
+        await releaseCoupon(coupon, order._id, { session: session || undefined })
+      }
+    }
+    await releasePrescription(order, session)
+
+    return order
+  })
+}
+
+export default {
+  cancellableStatuses,
+  cancelOrder
+}
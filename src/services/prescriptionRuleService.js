@@ -0,0 +1,140 @@
+/**
+ * Prescription Rule Service
+ * Decides which items need a prescription and whether a prescription covers them
+ */
+
+import { restrictedDrugSchedules } from '../../models/composition.js'
+
+// Prescriptions without an explicit validUntil can be used for this long after they were written
+export const PRESCRIPTION_VALIDITY_DAYS = 180
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Effective drug schedule of a product or medicine.
+ * Items without a classification in the Prescription Medicines category are treated as Schedule H.
+ */
+export const getDrugSchedule = (item) => {
+  if (item?.drugSchedule) {
+    return item.drugSchedule
+  }
+  return item?.category === 'Prescription Medicines' ? 'H' : 'none'
+}
+
+export const isRestrictedSchedule = (schedule) => restrictedDrugSchedules.includes(schedule)
+
+/**
+ * Last moment a prescription can be used
+ */
+export const getPrescriptionExpiry = (prescription) => {
+  if (prescription.validUntil) {
+    return prescription.validUntil
+  }
+  const writtenAt = prescription.prescriptionDate || prescription.createdAt
+  return writtenAt ? new Date(new Date(writtenAt).getTime() + PRESCRIPTION_VALIDITY_DAYS * DAY_MS) : null
+}
+
+/**
+ * Attach the effective drug schedule to resolved checkout items
+ * @param {Array} resolvedItems - [{ cartItem, catalogItem, product, quantity }]
+ * @returns {Array} Same items with drugSchedule set
+ */
+export const classifyCheckoutItems = (resolvedItems = []) => {
+  return resolvedItems.map((entry) => ({
+    ...entry,
+    drugSchedule: getDrugSchedule(entry.catalogItem?.listing ?? entry.product)
+  }))
+}
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase()
+
+const isCoveredBy = (prescription, { cartItem, product, quantity }) => {
+  const itemId = (cartItem.itemType === 'medicine' ? cartItem.medicine : (product?._id ?? cartItem.product))?.toString()
+  const itemName = normalizeName(product?.name ?? cartItem.name)
+
+  const approved = (prescription.approvedItems || []).find((entry) => {
+    const entryId = (entry.itemType === 'medicine' ? entry.medicine : entry.product)?.toString()
+    return (entryId && entryId === itemId) || (entry.name && normalizeName(entry.name) === itemName)
+  })
+
+  if (approved) {
+    return !approved.quantity || quantity <= approved.quantity
+  }
+
+  // Medicines the pharmacist transcribed from the prescription, matched by name
+  return (prescription.extractedMedicines || []).some((medicine) => normalizeName(medicine.name) === itemName)
+}
+
+const describeItem = ({ cartItem, product, quantity, drugSchedule }) => ({
+  itemType: cartItem.itemType,
+  id: cartItem.itemType === 'medicine' ? cartItem.medicine : (product?._id ?? cartItem.product),
+  name: product?.name ?? cartItem.name,
+  quantity,
+  drugSchedule
+})
+
+/**
+ * Check that restricted items are covered by an approved, unexpired prescription of the user.
+ * @param {Object} params - { items: classified checkout items, prescription, userId, now }
+ * @returns {Object|null} { code, message, meta } describing the first problem, or null when allowed
+ */
+export const checkPrescriptionRequirements = ({ items = [], prescription, userId, now = new Date() }) => {
+  const restricted = items.filter((item) => isRestrictedSchedule(item.drugSchedule))
+
+  if (restricted.length === 0) {
+    return null
+  }
+
+  if (!prescription) {
+    return {
+      code: 'PRESCRIPTION_REQUIRED',
+      message: 'A valid prescription is required for some items in your order',
+      meta: { restrictedItems: restricted.map(describeItem) }
+    }
+  }
+
+  if (prescription.user.toString() !== userId.toString()) {
+    return {
+      code: 'PRESCRIPTION_UNAUTHORIZED',
+      message: 'Prescription does not belong to user',
+      meta: {}
+    }
+  }
+
+  if (prescription.status !== 'approved' || prescription.isActive === false) {
+    return {
+      code: 'PRESCRIPTION_NOT_APPROVED',
+      message: 'Your prescription has not been approved by our pharmacist yet',
+      meta: { prescriptionId: prescription._id, status: prescription.status }
+    }
+  }
+
+  const expiresAt = getPrescriptionExpiry(prescription)
+  if (expiresAt && expiresAt < now) {
+    return {
+      code: 'PRESCRIPTION_EXPIRED',
+      message: 'Your prescription has expired. Please upload a new one.',
+      meta: { prescriptionId: prescription._id, validUntil: expiresAt }
+    }
+  }
+
+  const uncovered = restricted.filter((item) => !isCoveredBy(prescription, item))
+  if (uncovered.length > 0) {
+    return {
+      code: 'PRESCRIPTION_DOES_NOT_COVER_ITEMS',
+      message: 'Your prescription does not cover every prescription-only item in your order',
+      meta: { prescriptionId: prescription._id, uncoveredItems: uncovered.map(describeItem) }
+    }
+  }
+
+  return null
+}
+
+export default {
+  PRESCRIPTION_VALIDITY_DAYS,
+  getDrugSchedule,
+  isRestrictedSchedule,
+  getPrescriptionExpiry,
+  classifyCheckoutItems,
+  checkPrescriptionRequirements
+}
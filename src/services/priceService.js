@@ -0,0 +1,277 @@
+/**
+ * Price Service
+ * Keeps the price/MRP history of products, applies scheduled price changes
+ * and explains price differences between adding to cart and checking out
+ */
+
+import Product from '../../models/Product.js'
+import PriceChange from '../../models/PriceChange.js'
+import { clearCache } from '../middleware/cache.js'
+import { getCatalogPrice, loadCatalogItem, selectVariant, toCatalogRef } from './catalogService.js'
+
+export class PriceChangeError extends Error {
+  constructor(message, code = 'PRICE_CHANGE_VALIDATION', meta = {}) {
+    super(message)
+    this.name = 'PriceChangeError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
+/**
+ * Capture current prices of a product and its variants before an update
+ */
+export const snapshotPrices = (product) => ({
+  price: product.price,
+  mrp: product.mrp,
+  variants: new Map((product.variants || []).map((variant) => [
+    variant._id.toString(),
+    { price: variant.price, mrp: variant.mrp }
+  ]))
+})
+
+/**
+ * Record applied price/MRP changes between a snapshot and the saved product
+ * @param {Object} product - Product after saving
+ * @param {Object} before - Result of snapshotPrices taken before the change
+ * @param {Object} options - { actor, source, note }
+ */
+export const recordPriceChanges = async (product, before, { actor, source = 'admin_update', note } = {}) => {
+  const now = new Date()
+  const entries = []
+
+  if (before.price !== product.price || before.mrp !== product.mrp) {
+    entries.push({
+      product: product._id,
+      oldPrice: before.price,
+      newPrice: product.price,
+      oldMrp: before.mrp,
+      newMrp: product.mrp
+    })
+  }
+
+  for (const variant of product.variants || []) {
+    const previous = before.variants.get(variant._id.toString())
+    if (previous && (previous.price !== variant.price || previous.mrp !== variant.mrp)) {
+      entries.push({
+        product: product._id,
+        variant: variant._id,
+        variantSku: variant.sku,
+        oldPrice: previous.price,
+        newPrice: variant.price,
+        oldMrp: previous.mrp,
+        newMrp: variant.mrp
+      })
+    }
+  }
+
+  if (entries.length === 0) {
+    return []
+  }
+
+  return PriceChange.insertMany(entries.map((entry) => ({
+    ...entry,
+    effectiveAt: now,
+    appliedAt: now,
+    status: 'applied',
+    source,
+    actor: actor || { kind: 'System' },
+    note
+  })))
+}
+
+/**
+ * Schedule a price and/or MRP change for a future date
+ * @param {Object} product - Product document
+ * @param {Object} change - { price, mrp, variantId, effectiveAt, actor, note }
+ */
+export const schedulePriceChange = async (product, { price, mrp, variantId, effectiveAt, actor, note }) => {
+  const when = new Date(effectiveAt)
+  if (Number.isNaN(when.getTime()) || when <= new Date()) {
+    throw new PriceChangeError('Scheduled price changes must take effect in the future', 'EFFECTIVE_DATE_IN_PAST', { effectiveAt })
+  }
+
+  if (price === undefined && mrp === undefined) {
+    throw new PriceChangeError('Provide a new price or MRP', 'PRICE_REQUIRED')
+  }
+
+  const target = variantId ? product.getVariant(variantId) : product
+  if (!target) {
+    throw new PriceChangeError('Variant not found', 'VARIANT_NOT_FOUND', { variantId })
+  }
+
+  const nextPrice = price ?? target.price
+  const nextMrp = mrp ?? target.mrp
+  if (nextPrice > nextMrp) {
+    throw new PriceChangeError('Price cannot be higher than MRP', 'PRICE_ABOVE_MRP', { price: nextPrice, mrp: nextMrp })
+  }
+
+  return PriceChange.create({
+    product: product._id,
+    variant: variantId ? target._id : undefined,
+    variantSku: variantId ? target.sku : undefined,
+    newPrice: price,
+    newMrp: mrp,
+    effectiveAt: when,
+    status: 'scheduled',
+    source: 'scheduled',
+    actor,
+    note
+  })
+}
+
+/**
+ * Apply every scheduled change that has become due, oldest first.
+ * Old values are captured when the change is applied.
+ */
+export const applyDuePriceChanges = async ({ asOf = new Date() } = {}) => {
+  const due = await PriceChange.find({ status: 'scheduled', effectiveAt: { $lte: asOf } })
+    .sort({ effectiveAt: 1 })
+
+  let applied = 0
+  const failed = []
+
+  for (const change of due) {
+    try {
+      const product = await Product.findById(change.product)
+      const target = change.variant ? product?.getVariant(change.variant) : product
+
+      if (!target) {
+        change.status = 'cancelled'
+        change.cancelledAt = asOf
+        change.note = [change.note, 'Product or variant no longer exists'].filter(Boolean).join('. ')
+        await change.save()
+        failed.push({ id: change._id, reason: 'TARGET_NOT_FOUND' })
+        continue
+      }
+
+      change.oldPrice = target.price
+      change.oldMrp = target.mrp
+      if (change.newPrice !== undefined && change.newPrice !== null) target.price = change.newPrice
+      if (change.newMrp !== undefined && change.newMrp !== null) target.mrp = change.newMrp
+      await product.save()
+
+      change.status = 'applied'
+      change.appliedAt = new Date()
+      await change.save()
+      applied += 1
+    } catch (error) {
+      console.error(`Failed to apply price change ${change._id}:`, error.message)
+      failed.push({ id: change._id, reason: error.message })
+    }
+  }
+
+  if (applied > 0) {
+    await clearCache('cache:/api/products*').catch(err => {
+      console.warn('Failed to clear cache:', err.message)
+    })
+    console.log(`💲 Applied ${applied} scheduled price change(s)`)
+  }
+
+  return { applied, failed }
+}
+
+/**
+ * Describe the difference between the price when an item was added and the price charged now
+ * @returns {Object|null} { from, to, difference, direction, changedAt, message }
+ */
+export const describePriceChange = ({ priceWhenAdded, price }, changedAt) => {
+  if (priceWhenAdded === undefined || priceWhenAdded === null || priceWhenAdded === price) {
+    return null
+  }
+
+  const difference = Math.round((price - priceWhenAdded) * 100) / 100
+  const direction = difference > 0 ? 'increased' : 'decreased'
+
+  return {
+    from: priceWhenAdded,
+    to: price,
+    difference,
+    direction,
+    changedAt: changedAt || null,
+    message: `Price ${direction} from ₹${priceWhenAdded} to ₹${price} since you added this item to your cart`
+  }
+}
+
+/**
+ * Current unit price of a cart item from the catalog
+ * @returns {Promise<number|null>} null when the item is no longer priced
+ */
+const getCurrentItemPrice = async (line) => {
+  const item = await loadCatalogItem(toCatalogRef(line))
+  if (!item) {
+    return null
+  }
+  return getCatalogPrice(item, selectVariant(item, line.variant?.id)) || null
+}
+
+/**
+ * Bring cart item prices up to date and explain any changes since items were added.
+ * Mutates the cart; the caller recalculates totals and saves.
+ * @returns {Promise<Array>} [{ cartItemId, name, ...describePriceChange }]
+ */
+export const refreshCartPrices = async (cart) => {
+  for (const item of cart.items) {
+    const current = await getCurrentItemPrice(item)
+    if (current !== null && current !== item.price) {
+      if (item.priceWhenAdded === undefined || item.priceWhenAdded === null) {
+        item.priceWhenAdded = item.price
+      }
+      item.price = current
+    }
+  }
+
+  const changed = cart.items.filter((item) => describePriceChange(item))
+  if (changed.length === 0) {
+    return []
+  }
+
+  const productIds = changed
+    .filter((item) => item.itemType !== 'medicine')
+    .map((item) => item.product?._id ?? item.product)
+  const history = productIds.length
+    ? await PriceChange.find({ product: { $in: productIds }, status: 'applied' })
+      .sort({ effectiveAt: -1 })
+      .select('product variant effectiveAt')
+      .lean()
+    : []
+
+  return changed.map((item) => {
+    const productId = (item.product?._id ?? item.product)?.toString()
+    const lastChange = history.find((entry) =>
+      entry.product.toString() === productId &&
+      (entry.variant?.toString() || null) === (item.variant?.id?.toString() || null)
+    )
+    return {
+      cartItemId: item._id,
+      name: item.name,
+      ...describePriceChange(item, lastChange?.effectiveAt)
+    }
+  })
+}
+
+/**
+ * Price history of a product, newest first, including scheduled changes
+ */
+export const getPriceHistory = (productId, { variantId, status, limit = 100 } = {}) => {
+  const filter = { product: productId }
+  if (variantId) filter.variant = variantId
+  if (status) filter.status = status
+
+  return PriceChange.find(filter)
+    .sort({ effectiveAt: -1 })
+    .limit(limit)
+    .lean()
+}
+
+export default {
+  PriceChangeError,
+  snapshotPrices,
+  recordPriceChanges,
+  schedulePriceChange,
+  applyDuePriceChanges,
+  describePriceChange,
+  refreshCartPrices,
+  getPriceHistory
+}
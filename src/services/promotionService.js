@@ -0,0 +1,307 @@
+/**
+ * Promotion Service
+ * Works out what the promotions that apply automatically (no code needed) save on carts and
+ * checkouts. Carts get the live promotions from loadCartPromotions, which Cart.calculateTotals
+ * then applies whenever the cart changes.
+ */
+
+import Promotion from '../../models/Promotion.js'
+import { matchesEligibility } from '../../models/eligibility.js'
+import { getCatalogName, loadCatalogItem, toCatalogRef } from './catalogService.js'
+
+export class PromotionError extends Error {
+  constructor(message, code = 'PROMOTION_INVALID', meta = {}) {
+    super(message)
+    this.name = 'PromotionError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
+// Order promotions are applied in; a unit discounted by one promotion isn't discounted again
+const promotionTypeOrder = {
+  bundle: 0,
+  buy_x_get_y: 1,
+  free_item: 2,
+  category_sale: 3
+}
+
+export const isPromotionLive = (promotion, now = new Date()) => {
+  return promotion.isActive !== false &&
+    (!promotion.startsAt || promotion.startsAt <= now) &&
+    (!promotion.endsAt || promotion.endsAt > now)
+}
+
+const toId = (value) => value?._id ?? value ?? null
+
+const refersTo = (offerItem, line) => {
+  const itemType = offerItem.itemType || 'product'
+  const id = toId(itemType === 'medicine' ? offerItem.medicine : offerItem.product)
+  return itemType === line.itemType && Boolean(id) && id.toString() === line.id?.toString()
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+// Take units from lines in order, without marking them used
+const planUnits = (indexes, count, available) => {
+  const taken = []
+  let remaining = count
+  for (const index of indexes) {
+    if (remaining <= 0) break
+    const units = Math.min(available[index], remaining)
+    if (units > 0) {
+      taken.push({ index, units })
+      remaining -= units
+    }
+  }
+  return taken
+}
+
+// Split an amount across lines by value; rounding leftovers go to the last line
+const splitByValue = (amount, entries) => {
+  const total = sum(entries.map((entry) => entry.value))
+  let remaining = amount
+  return entries.map((entry, position) => {
+    const share = position === entries.length - 1
+      ? remaining
+      : Math.min(remaining, Math.round(amount * entry.value / total))
+    remaining -= share
+    return { index: entry.index, amount: share }
+  })
+}
+
+const evaluateBundle = (promotion, lines, available) => {
+  const parts = (promotion.bundleItems || []).map((offerItem) => ({
+    quantity: offerItem.quantity || 1,
+    indexes: lines.map((line, index) => index).filter((index) => refersTo(offerItem, lines[index]))
+  }))
+  const sets = parts.length
+    ? Math.min(...parts.map((part) => Math.floor(sum(part.indexes.map((index) => available[index])) / part.quantity)))
+    : 0
+  if (sets <= 0) {
+    return { savings: [] }
+  }
+
+  const taken = parts.flatMap((part) => planUnits(part.indexes, part.quantity * sets, available))
+  const entries = taken.map(({ index, units }) => ({ index, units, value: lines[index].price * units }))
+  const amount = sum(entries.map((entry) => entry.value)) - promotion.bundlePrice * sets
+  if (amount <= 0) {
+    return { savings: [] }
+  }
+  return { taken, savings: splitByValue(amount, entries) }
+}
+
+// Units free among the first n of a run of groups, where each group's last getQuantity units are free
+const freeUnitsIn = (n, { buyQuantity, getQuantity }) => {
+  const groupSize = buyQuantity + getQuantity
+  return Math.floor(n / groupSize) * getQuantity + Math.max(0, (n % groupSize) - buyQuantity)
+}
+
+const evaluateBuyXGetY = (promotion, lines, available) => {
+  const groupSize = promotion.buyQuantity + promotion.getQuantity
+  // Units lined up dearest first, so the cheapest units of each group are the free ones
+  const indexes = lines
+    .map((line, index) => index)
+    .filter((index) => available[index] > 0 && matchesEligibility(promotion.eligibility, lines[index]))
+    .sort((a, b) => lines[b].price - lines[a].price)
+  const total = sum(indexes.map((index) => available[index]))
+  const grouped = Math.floor(total / groupSize) * groupSize
+  if (grouped === 0) {
+    return { savings: [] }
+  }
+
+  // Each line covers a run of positions in that line-up; count the grouped and free units in it
+  const taken = []
+  const savings = []
+  let start = 0
+  for (const index of indexes) {
+    if (start >= grouped) break
+    const end = Math.min(start + available[index], grouped)
+    taken.push({ index, units: end - start })
+    const free = freeUnitsIn(end, promotion) - freeUnitsIn(start, promotion)
+    if (free > 0) {
+      savings.push({ index, amount: lines[index].price * free })
+    }
+    start = end
+  }
+  return { taken, savings }
+}
+
+const evaluateFreeItem = (promotion, lines, available) => {
+  const offerItem = promotion.freeItem
+  const indexes = lines.map((line, index) => index).filter((index) => refersTo(offerItem, lines[index]))
+  // The free item doesn't count towards the value needed to get it
+  const cartValue = sum(lines.map((line, index) => indexes.includes(index) ? 0 : line.price * line.quantity))
+  const itemName = offerItem.name || 'the free item'
+
+  if (cartValue < promotion.minCartValue) {
+    return {
+      savings: [],
+      hint: `Add items worth ₹${promotion.minCartValue - cartValue} more to get ${itemName} free`
+    }
+  }
+  if (indexes.length === 0) {
+    return { savings: [], hint: `Add ${itemName} to your cart to get it free` }
+  }
+
+  const taken = planUnits(indexes, offerItem.quantity || 1, available)
+  return {
+    taken,
+    savings: taken.map(({ index, units }) => ({ index, amount: lines[index].price * units }))
+  }
+}
+
+const evaluateCategorySale = (promotion, lines, available) => {
+  const taken = lines
+    .map((line, index) => ({ index, units: available[index] }))
+    .filter(({ index, units }) => units > 0 && matchesEligibility(promotion.eligibility, lines[index]))
+  return {
+    taken,
+    savings: taken.map(({ index, units }) => ({
+      index,
+      amount: Math.round(lines[index].price * units * promotion.percentOff / 100)
+    }))
+  }
+}
+
+const evaluators = {
+  bundle: evaluateBundle,
+  buy_x_get_y: evaluateBuyXGetY,
+  free_item: evaluateFreeItem,
+  category_sale: evaluateCategorySale
+}
+
+/**
+ * Work out what live promotions save on a set of cart or order lines.
+ * Each unit is discounted by one promotion at most: bundles first, then buy X get Y, free items
+ * and sales, by priority within a type.
+ * @param {Array} lines - [{ itemType, id, category, price, quantity }]
+ * @param {Array} promotions - Promotion documents or plain objects
+ * @returns {Object} { amount, lineSavings, applied, hints }
+ *   lineSavings: per line, in the order of lines, [{ promotion, name, amount }]
+ *   applied: [{ promotion, name, type, amount }]
+ *   hints: [{ promotion, name, message }] for free items the cart is close to or hasn't added yet
+ */
+export const applyPromotions = (lines = [], promotions = [], { now = new Date() } = {}) => {
+  const available = lines.map((line) => line.quantity)
+  const lineSavings = lines.map(() => [])
+  const applied = []
+  const hints = []
+
+  const ordered = promotions
+    .filter((promotion) => isPromotionLive(promotion, now) && evaluators[promotion.type])
+    .sort((a, b) => (promotionTypeOrder[a.type] - promotionTypeOrder[b.type]) || ((b.priority || 0) - (a.priority || 0)))
+
+  for (const promotion of ordered) {
+    const { taken = [], savings, hint } = evaluators[promotion.type](promotion, lines, available)
+    if (hint) {
+      hints.push({ promotion: promotion._id, name: promotion.name, message: hint })
+    }
+
+    const amount = sum(savings.map((saving) => saving.amount))
+    if (amount <= 0) {
+      continue
+    }
+
+    for (const { index, units } of taken) {
+      available[index] -= units
+    }
+    for (const saving of savings.filter((entry) => entry.amount > 0)) {
+      lineSavings[saving.index].push({ promotion: promotion._id, name: promotion.name, amount: saving.amount })
+    }
+    applied.push({ promotion: promotion._id, name: promotion.name, type: promotion.type, amount })
+  }
+
+  return {
+    amount: sum(applied.map((entry) => entry.amount)),
+    lineSavings,
+    applied,
+    hints
+  }
+}
+
+/**
+ * Promotions running right now
+ * @returns {Promise<Array>}
+ */
+export const getActivePromotions = (now = new Date()) => {
+  return Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+    ]
+  }).sort({ priority: -1 }).lean()
+}
+
+/**
+ * Load live promotions onto a cart so calculateTotals applies them, and fill in the category of
+ * items added before carts kept it. Recalculates the totals; unsaved.
+ * @returns {Promise<Array>} Hints about free items the cart can still get
+ */
+export const loadCartPromotions = async (cart) => {
+  const products = new Map()
+  for (const item of cart.items) {
+    if (item.category === undefined) {
+      const catalogItem = await loadCatalogItem(toCatalogRef(item), { products })
+      item.category = catalogItem?.listing.category || ''
+    }
+  }
+
+  const promotions = await getActivePromotions()
+  cart.$locals.applyPromotions = (lines) => applyPromotions(lines, promotions)
+  cart.calculateTotals()
+  return cart.$locals.promotionHints
+}
+
+/**
+ * Work out promotion savings on the items being checked out, at their checkout prices
+ * @param {Array} resolvedItems - [{ catalogItem, quantity, unitPrice }]
+ * @returns {Promise<Object>} See applyPromotions
+ */
+export const evaluateCheckoutPromotions = async (resolvedItems) => {
+  const lines = resolvedItems.map(({ catalogItem, quantity, unitPrice }) => ({
+    itemType: catalogItem.itemType,
+    id: catalogItem.id,
+    category: catalogItem.listing.category,
+    price: unitPrice,
+    quantity
+  }))
+  return applyPromotions(lines, await getActivePromotions())
+}
+
+/**
+ * Check the items a promotion gives away or bundles exist, and keep their names for customers
+ * @param {Array} offerItems - [{ itemType, product, medicine, quantity }]
+ * @throws {PromotionError} PROMOTION_ITEM_NOT_FOUND
+ */
+export const describeOfferItems = async (offerItems = []) => {
+  const described = []
+  for (const offerItem of offerItems) {
+    const itemType = offerItem.itemType || 'product'
+    const ref = toCatalogRef({ ...offerItem, itemType })
+    const catalogItem = await loadCatalogItem(ref)
+    if (!catalogItem) {
+      throw new PromotionError(`The ${itemType} in this promotion was not found`, 'PROMOTION_ITEM_NOT_FOUND', { itemType, id: ref.id })
+    }
+    described.push({
+      itemType,
+      product: itemType === 'product' ? catalogItem.id : undefined,
+      medicine: itemType === 'medicine' ? catalogItem.id : undefined,
+      quantity: offerItem.quantity || 1,
+      name: getCatalogName(catalogItem)
+    })
+  }
+  return described
+}
+
+export default {
+  PromotionError,
+  isPromotionLive,
+  applyPromotions,
+  getActivePromotions,
+  loadCartPromotions,
+  evaluateCheckoutPromotions,
+  describeOfferItems
+}
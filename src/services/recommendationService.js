@@ -0,0 +1,378 @@
+/**
+ * Recommendation Service
+ * Recommendations built only from our own data:
+ *  - frequently bought together: items sharing orders
+ *  - customers also viewed: items viewed by the same people
+ *  - reorder your regulars: items a customer buys again and again
+ * The recommendations job recomputes them into ItemRecommendation and UserRecommendation;
+ * requests only read and combine the stored lists.
+ */
+
+import Order from '../../models/Order.js'
+import Product from '../../models/Product.js'
+import AllMedicine from '../../models/AllMedicine.js'
+import ViewEvent from '../../models/ViewEvent.js'
+import BrowsingHistory from '../../models/BrowsingHistory.js'
+import ItemRecommendation from '../../models/ItemRecommendation.js'
+import UserRecommendation from '../../models/UserRecommendation.js'
+import { normalizeSearchResult } from '../utils/normalizeSearchResult.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// How far back orders and views are looked at
+const ORDER_WINDOW_DAYS = 180
+const VIEW_WINDOW_DAYS = 30
+// Pairs seen fewer times than this are treated as chance
+const MIN_PAIR_COUNT = 2
+// Related items stored per item, and regulars per customer
+const RELATED_LIMIT = 20
+const REGULARS_LIMIT = 20
+// Items per viewer considered for also-viewed, to keep heavy browsers from dominating
+const MAX_VIEWS_PER_VIEWER = 50
+const BULK_BATCH_SIZE = 500
+
+const itemKey = ({ itemType, id }) => `${itemType}:${id}`
+
+// Distinct { itemType, id } of an order's lines; medicine lines are the medicine, not its stock product
+const orderItemRefs = {
+  $setUnion: [
+    {
+      $filter: {
+        input: {
+          $map: {
+            input: '$items',
+            as: 'line',
+            in: {
+              $cond: [
+                { $and: [{ $eq: ['$$line.itemType', 'medicine'] }, { $gt: ['$$line.medicine', null] }] },
+                { itemType: 'medicine', id: '$$line.medicine' },
+                { itemType: 'product', id: '$$line.product' }
+              ]
+            }
+          }
+        },
+        cond: { $gt: ['$$this.id', null] }
+      }
+    },
+    []
+  ]
+}
+
+/**
+ * Stages turning documents with a `refs` array into, for each item, the items most often
+ * found alongside it: [{ _id: { itemType, id }, related: [{ itemType, id, count }] }]
+ */
+const coOccurrenceStages = () => [
+  { $match: { 'refs.1': { $exists: true } } },
+  { $project: { a: '$refs', b: '$refs' } },
+  { $unwind: '$a' },
+  { $unwind: '$b' },
+  { $match: { $expr: { $ne: ['$a', '$b'] } } },
+  { $group: { _id: { a: '$a', b: '$b' }, count: { $sum: 1 } } },
+  { $match: { count: { $gte: MIN_PAIR_COUNT } } },
+  { $sort: { count: -1 } },
+  {
+    $group: {
+      _id: '$_id.a',
+      related: { $push: { itemType: '$_id.b.itemType', id: '$_id.b.id', count: '$count' } }
+    }
+  },
+  { $project: { related: { $slice: ['$related', RELATED_LIMIT] } } }
+]
+
+export const computeBoughtTogether = async ({ since = new Date(Date.now() - ORDER_WINDOW_DAYS * DAY_MS) } = {}) => {
+  return Order.aggregate([
+    { $match: { status: { $ne: 'cancelled' }, createdAt: { $gte: since } } },
+    { $project: { refs: orderItemRefs } },
+    ...coOccurrenceStages()
+  ]).allowDiskUse(true)
+}
+
+export const computeAlsoViewed = async ({ since = new Date(Date.now() - VIEW_WINDOW_DAYS * DAY_MS) } = {}) => {
+  return ViewEvent.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { $ifNull: ['$user', '$anonymousId'] },
+        refs: {
+          $addToSet: {
+            itemType: '$itemType',
+            id: { $cond: [{ $eq: ['$itemType', 'medicine'] }, '$medicine', '$product'] }
+          }
+        }
+      }
+    },
+    { $match: { _id: { $ne: null } } },
+    { $project: { refs: { $slice: ['$refs', MAX_VIEWS_PER_VIEWER] } } },
+    ...coOccurrenceStages()
+  ]).allowDiskUse(true)
+}
+
+/**
+ * Items each customer has bought in at least two orders, with when the next purchase would be due
+ * @returns {Promise<Array>} [{ user, regulars: [{ itemType, id, orders, lastOrderedAt, intervalDays, dueAt }] }]
+ */
+export const computeRegulars = async () => {
+  const rows = await Order.aggregate([
+    { $match: { status: { $ne: 'cancelled' }, user: { $ne: null } } },
+    { $project: { user: 1, createdAt: 1, refs: orderItemRefs } },
+    { $unwind: '$refs' },
+    {
+      $group: {
+        _id: { user: '$user', ref: '$refs' },
+        orders: { $sum: 1 },
+        firstOrderedAt: { $min: '$createdAt' },
+        lastOrderedAt: { $max: '$createdAt' }
+      }
+    },
+    { $match: { orders: { $gte: 2 } } },
+    {
+      $group: {
+        _id: '$_id.user',
+        regulars: {
+          $push: {
+            itemType: '$_id.ref.itemType',
+            id: '$_id.ref.id',
+            orders: '$orders',
+            firstOrderedAt: '$firstOrderedAt',
+            lastOrderedAt: '$lastOrderedAt'
+          }
+        }
+      }
+    }
+  ]).allowDiskUse(true)
+
+  return rows.map(({ _id, regulars }) => ({
+    user: _id,
+    regulars: regulars
+      .map(({ firstOrderedAt, lastOrderedAt, ...regular }) => {
+        const intervalDays = Math.max(1, Math.round((lastOrderedAt - firstOrderedAt) / DAY_MS / (regular.orders - 1)))
+        return {
+          ...regular,
+          lastOrderedAt,
+          intervalDays,
+          dueAt: new Date(lastOrderedAt.getTime() + intervalDays * DAY_MS)
+        }
+      })
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .slice(0, REGULARS_LIMIT)
+  }))
+}
+
+const bulkWriteInBatches = async (Model, operations) => {
+  for (let i = 0; i < operations.length; i += BULK_BATCH_SIZE) {
+    await Model.bulkWrite(operations.slice(i, i + BULK_BATCH_SIZE), { ordered: false })
+  }
+}
+
+/**
+ * Recompute and store every recommendation list, replacing the previous run's
+ * @returns {Promise<Object>} { items, users }
+ */
+export const refreshRecommendations = async () => {
+  const computedAt = new Date()
+  const [boughtTogether, alsoViewed, regulars] = await Promise.all([
+    computeBoughtTogether(),
+    computeAlsoViewed(),
+    computeRegulars()
+  ])
+
+  const items = new Map()
+  const entryFor = (ref) => {
+    const key = itemKey(ref)
+    if (!items.has(key)) {
+      items.set(key, { itemType: ref.itemType, item: ref.id, boughtTogether: [], alsoViewed: [] })
+    }
+    return items.get(key)
+  }
+  boughtTogether.forEach(({ _id, related }) => { entryFor(_id).boughtTogether = related })
+  alsoViewed.forEach(({ _id, related }) => { entryFor(_id).alsoViewed = related })
+
+  await bulkWriteInBatches(ItemRecommendation, [...items.values()].map((entry) => ({
+    updateOne: {
+      filter: { item: entry.item, itemType: entry.itemType },
+      update: { $set: { ...entry, computedAt } },
+      upsert: true
+    }
+  })))
+  await ItemRecommendation.deleteMany({ computedAt: { $lt: computedAt } })
+
+  await bulkWriteInBatches(UserRecommendation, regulars.map((entry) => ({
+    updateOne: {
+      filter: { user: entry.user },
+      update: { $set: { regulars: entry.regulars, computedAt } },
+      upsert: true
+    }
+  })))
+  await UserRecommendation.deleteMany({ computedAt: { $lt: computedAt } })
+
+  return { items: items.size, users: regulars.length }
+}
+
+/**
+ * Record a product or medicine page view; anonymous views without a guest ID are not kept
+ */
+export const recordView = async ({ itemType, id, user, anonymousId }) => {
+  if (!user && !anonymousId) {
+    return null
+  }
+  return ViewEvent.create({
+    itemType,
+    product: itemType === 'product' ? id : undefined,
+    medicine: itemType === 'medicine' ? id : undefined,
+    user,
+    anonymousId: user ? undefined : anonymousId
+  })
+}
+
+const summaryFields = 'name price mrp images image category brand manufacturer variants stock productRef rating isActive'
+
+/**
+ * Current catalog details of recommended items, in the given order, leaving out inactive ones
+ * @param {Array} refs - [{ itemType, id, ...extra }]; extra fields are kept on the result
+ */
+export const describeItems = async (refs) => {
+  const productIds = refs.filter((ref) => ref.itemType === 'product').map((ref) => ref.id)
+  const medicineIds = refs.filter((ref) => ref.itemType === 'medicine').map((ref) => ref.id)
+
+  const [products, medicines] = await Promise.all([
+    productIds.length ? Product.find({ _id: { $in: productIds }, isActive: true }).select(summaryFields).lean() : [],
+    medicineIds.length ? AllMedicine.find({ _id: { $in: medicineIds }, isActive: { $ne: false } }).select(summaryFields).lean() : []
+  ])
+
+  // Medicines sell their linked product's stock
+  const linkedIds = medicines.filter((medicine) => medicine.productRef).map((medicine) => medicine.productRef)
+  const linked = linkedIds.length ? await Product.find({ _id: { $in: linkedIds } }).select('stock isActive').lean() : []
+  const linkedById = new Map(linked.map((product) => [product._id.toString(), product]))
+
+  const docs = new Map([
+    ...products.map((doc) => [itemKey({ itemType: 'product', id: doc._id }), { doc, stockProduct: doc }]),
+    ...medicines.map((doc) => [itemKey({ itemType: 'medicine', id: doc._id }), {
+      doc,
+      stockProduct: doc.productRef ? linkedById.get(doc.productRef.toString()) : null
+    }])
+  ])
+
+  return refs.flatMap(({ itemType, id, ...extra }) => {
+    const found = docs.get(itemKey({ itemType, id }))
+    if (!found) {
+      return []
+    }
+    const { doc, stockProduct } = found
+    const inStock = Boolean(stockProduct && stockProduct.isActive !== false && stockProduct.stock > 0)
+    return [{ ...normalizeSearchResult(doc, itemType), in_stock: inStock, ...extra }]
+  })
+}
+
+const toRefs = (entries = [], limit) => entries.slice(0, limit).map(({ itemType, id }) => ({ itemType, id }))
+
+/**
+ * Frequently bought together and also-viewed items for one product or medicine
+ * @returns {Promise<Object>} { boughtTogether, alsoViewed, computedAt }
+ */
+export const getRelatedItems = async ({ itemType, id }, { limit = 8 } = {}) => {
+  const stored = await ItemRecommendation.findOne({ item: id, itemType }).lean()
+  if (!stored) {
+    return { boughtTogether: [], alsoViewed: [], computedAt: null }
+  }
+
+  // Ask for a few extra so items gone from the catalog don't shorten the lists
+  const [boughtTogether, alsoViewed] = await Promise.all([
+    describeItems(toRefs(stored.boughtTogether, limit * 2)),
+    describeItems(toRefs(stored.alsoViewed, limit * 2))
+  ])
+
+  return {
+    boughtTogether: boughtTogether.slice(0, limit),
+    alsoViewed: alsoViewed.slice(0, limit),
+    computedAt: stored.computedAt
+  }
+}
+
+/**
+ * Add up the related lists of several items, best first, leaving out the items themselves
+ */
+const combineRelated = (stored, listName, exclude, limit) => {
+  const totals = new Map()
+  for (const entry of stored) {
+    for (const related of entry[listName] || []) {
+      const key = itemKey(related)
+      if (exclude.has(key)) continue
+      const total = totals.get(key) || { itemType: related.itemType, id: related.id, count: 0 }
+      total.count += related.count
+      totals.set(key, total)
+    }
+  }
+  return [...totals.values()].sort((a, b) => b.count - a.count).slice(0, limit)
+}
+
+const findStoredRecommendations = async (refs) => {
+  if (!refs.length) {
+    return []
+  }
+  return ItemRecommendation.find({
+    $or: refs.map(({ itemType, id }) => ({ item: id, itemType }))
+  }).lean()
+}
+
+/**
+ * A customer's regulars, plus items that go with what they recently bought and viewed
+ * @returns {Promise<Object>} { regulars, boughtTogether, basedOnViews, computedAt }
+ */
+export const getUserRecommendations = async (userId, { limit = 10 } = {}) => {
+  const [stored, recentOrders, history] = await Promise.all([
+    UserRecommendation.findOne({ user: userId }).lean(),
+    Order.find({ user: userId, status: { $ne: 'cancelled' } })
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .select('items.itemType items.product items.medicine')
+      .lean(),
+    BrowsingHistory.findOne({ user: userId }).select('items').lean()
+  ])
+  // Views the customer has cleared from their history aren't used
+  const recentViews = (history?.items || []).slice(0, 20)
+
+  const toRef = (line) => (line.itemType === 'medicine' && line.medicine
+    ? { itemType: 'medicine', id: line.medicine }
+    : { itemType: 'product', id: line.product })
+
+  const unique = (refs) => [...new Map(refs.filter((ref) => ref.id).map((ref) => [itemKey(ref), ref])).values()]
+  const boughtRefs = unique(recentOrders.flatMap((order) => order.items.map(toRef)))
+  const viewedRefs = unique(recentViews.map(toRef))
+
+  const regulars = stored?.regulars || []
+  const [boughtStored, viewedStored] = await Promise.all([
+    findStoredRecommendations(boughtRefs),
+    findStoredRecommendations(viewedRefs)
+  ])
+
+  // Suggest things the customer doesn't already buy or has just looked at
+  const known = new Set([...boughtRefs, ...viewedRefs, ...regulars].map(itemKey))
+
+  const [regularItems, boughtTogether, basedOnViews] = await Promise.all([
+    describeItems(regulars.slice(0, limit).map(({ itemType, id, orders, lastOrderedAt, intervalDays, dueAt }) => ({
+      itemType, id, orders, lastOrderedAt, intervalDays, dueAt
+    }))),
+    describeItems(toRefs(combineRelated(boughtStored, 'boughtTogether', known, limit * 2))),
+    describeItems(toRefs(combineRelated(viewedStored, 'alsoViewed', known, limit * 2)))
+  ])
+
+  return {
+    regulars: regularItems,
+    boughtTogether: boughtTogether.slice(0, limit),
+    basedOnViews: basedOnViews.slice(0, limit),
+    computedAt: stored?.computedAt || null
+  }
+}
+
+export default {
+  computeBoughtTogether,
+  computeAlsoViewed,
+  computeRegulars,
+  refreshRecommendations,
+  recordView,
+  describeItems,
+  getRelatedItems,
+  getUserRecommendations
+}
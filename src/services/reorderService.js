@@ -0,0 +1,171 @@
+/**
+ * Reorder Service
+ * Finds products at or below their reorder level and suggests purchase quantities per supplier
+ */
+
+import Product from '../../models/Product.js'
+import Order from '../../models/Order.js'
+import PurchaseOrder from '../../models/PurchaseOrder.js'
+import Supplier from '../../models/Supplier.js'
+
+export const SALES_WINDOW_DAYS = 30
+// Suggested orders aim to cover this many days of sales on top of the reorder level
+export const REORDER_COVER_DAYS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const lowStockFilter = {
+  isActive: true,
+  $expr: { $lte: ['$stock', { $ifNull: ['$reorderLevel', 0] }] }
+}
+
+/**
+ * Number of active products at or below their reorder level
+ */
+export const countLowStockProducts = () => Product.countDocuments(lowStockFilter)
+
+const getSalesByProduct = async (productIds, since) => {
+  const rows = await Order.aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $ne: 'cancelled' } } },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: productIds } } },
+    {
+      $group: {
+        _id: '$items.product',
+        quantity: { $sum: '$items.quantity' }
+      }
+    }
+  ])
+  return new Map(rows.map((row) => [row._id.toString(), row.quantity]))
+}
+
+// Quantities already ordered from suppliers but not yet received, plus the last supplier and cost used
+const getPurchaseHistoryByProduct = async (productIds) => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $ne: 'cancelled' }, 'items.product': { $in: productIds } } },
+    { $sort: { createdAt: -1 } },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: productIds } } },
+    {
+      $group: {
+        _id: '$items.product',
+        onOrder: {
+          $sum: {
+            $cond: [
+              { $in: ['$status', ['ordered', 'partially_received']] },
+              { $subtract: ['$items.orderedQuantity', '$items.receivedQuantity'] },
+              0
+            ]
+          }
+        },
+        lastSupplier: { $first: '$supplier' },
+        lastUnitCost: { $first: '$items.unitCost' }
+      }
+    }
+  ])
+  return new Map(rows.map((row) => [row._id.toString(), row]))
+}
+
+const suggestQuantity = ({ stock, reorderLevel, reorderQuantity, averageDailySales, onOrder }) => {
+  const coverDemand = Math.ceil(averageDailySales * REORDER_COVER_DAYS)
+  const shortfall = reorderLevel + coverDemand - stock - onOrder
+  return Math.max(reorderQuantity, shortfall, 0)
+}
+
+/**
+ * Products at or below their reorder level with recent sales velocity,
+ * and reorder suggestions grouped by supplier
+ */
+export const getReorderSuggestions = async ({ asOf = new Date() } = {}) => {
+  const products = await Product.find(lowStockFilter)
+    .select('name sku brand category stock reorderLevel reorderQuantity preferredSupplier batches.purchaseCost batches.receivedAt')
+    .lean()
+
+  if (products.length === 0) {
+    return { generatedAt: asOf, salesWindowDays: SALES_WINDOW_DAYS, items: [], suppliers: [] }
+  }
+
+  const productIds = products.map((product) => product._id)
+  const since = new Date(asOf.getTime() - SALES_WINDOW_DAYS * DAY_MS)
+
+  const [salesMap, purchaseMap] = await Promise.all([
+    getSalesByProduct(productIds, since),
+    getPurchaseHistoryByProduct(productIds)
+  ])
+
+  const items = products.map((product) => {
+    const key = product._id.toString()
+    const purchase = purchaseMap.get(key)
+    const soldLast30Days = salesMap.get(key) || 0
+    const averageDailySales = Math.round((soldLast30Days / SALES_WINDOW_DAYS) * 100) / 100
+    const onOrder = purchase?.onOrder || 0
+    const latestBatch = [...(product.batches || [])]
+      .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))[0]
+    const unitCost = purchase?.lastUnitCost ?? latestBatch?.purchaseCost ?? null
+    const suggestedQuantity = suggestQuantity({
+      stock: product.stock,
+      reorderLevel: product.reorderLevel || 0,
+      reorderQuantity: product.reorderQuantity || 0,
+      averageDailySales,
+      onOrder
+    })
+
+    return {
+      productId: product._id,
+      name: product.name,
+      sku: product.sku,
+      brand: product.brand,
+      category: product.category,
+      stock: product.stock,
+      reorderLevel: product.reorderLevel,
+      reorderQuantity: product.reorderQuantity,
+      soldLast30Days,
+      averageDailySales,
+      daysOfStockLeft: averageDailySales > 0 ? Math.floor(product.stock / averageDailySales) : null,
+      onOrder,
+      suggestedQuantity,
+      unitCost,
+      supplierId: product.preferredSupplier || purchase?.lastSupplier || null
+    }
+  }).sort((a, b) => (a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity))
+
+  const supplierIds = [...new Set(items.filter((item) => item.supplierId).map((item) => item.supplierId.toString()))]
+  const suppliers = await Supplier.find({ _id: { $in: supplierIds } }).select('name code').lean()
+  const supplierMap = new Map(suppliers.map((supplier) => [supplier._id.toString(), supplier]))
+
+  const groups = new Map()
+  for (const item of items) {
+    if (item.suggestedQuantity <= 0) continue
+    const key = item.supplierId ? item.supplierId.toString() : 'unassigned'
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier: item.supplierId ? (supplierMap.get(key) || { _id: item.supplierId }) : null,
+        items: [],
+        totalQuantity: 0,
+        estimatedCost: 0
+      })
+    }
+    const group = groups.get(key)
+    group.items.push({
+      productId: item.productId,
+      name: item.name,
+      sku: item.sku,
+      quantity: item.suggestedQuantity,
+      unitCost: item.unitCost
+    })
+    group.totalQuantity += item.suggestedQuantity
+    group.estimatedCost += item.suggestedQuantity * (item.unitCost || 0)
+  }
+
+  return {
+    generatedAt: asOf,
+    salesWindowDays: SALES_WINDOW_DAYS,
+    items,
+    suppliers: [...groups.values()]
+  }
+}
+
+export default {
+  countLowStockProducts,
+  getReorderSuggestions
+}
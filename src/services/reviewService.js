@@ -0,0 +1,134 @@
+/**
+ * Review Service
+ * Verified-purchase checks and the rating summaries kept on products and medicines
+ */
+
+import mongoose from 'mongoose'
+import Review from '../../models/Review.js'
+import Order from '../../models/Order.js'
+import Product from '../../models/Product.js'
+import AllMedicine from '../../models/AllMedicine.js'
+import { clearCache } from '../middleware/cache.js'
+
+export class ReviewError extends Error {
+  constructor(message, code = 'REVIEW_INVALID', meta = {}) {
+    super(message)
+    this.name = 'ReviewError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id))
+
+/**
+ * Review fields identifying the item, e.g. { itemType: 'medicine', medicine: id }
+ */
+export const toReviewTarget = ({ itemType, id }) => {
+  return itemType === 'medicine'
+    ? { itemType: 'medicine', medicine: id }
+    : { itemType: 'product', product: id }
+}
+
+/**
+ * The user's latest delivered order containing the item, if any.
+ * Medicine lines are matched on the medicine, since their product is the stock product.
+ * @returns {Promise<Object|null>} { _id } of the order
+ */
+export const findDeliveredPurchase = async (userId, { itemType, id }) => {
+  const line = itemType === 'medicine'
+    ? { medicine: id }
+    : { product: id, itemType: { $ne: 'medicine' } }
+
+  return Order.findOne({ user: userId, status: 'delivered', items: { $elemMatch: line } })
+    .sort({ createdAt: -1 })
+    .select('_id')
+    .lean()
+}
+
+/**
+ * Average, count and star distribution of an item's approved reviews
+ * @returns {Promise<Object>} { average, count, distribution: { 1..5 } }
+ */
+export const getRatingSummary = async ({ itemType, id }) => {
+  const field = itemType === 'medicine' ? 'medicine' : 'product'
+  const rows = await Review.aggregate([
+    { $match: { [field]: toObjectId(id), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ])
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+  let count = 0
+  let total = 0
+  for (const row of rows) {
+    distribution[row._id] = row.count
+    count += row.count
+    total += row._id * row.count
+  }
+
+  return {
+    average: count ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution
+  }
+}
+
+/**
+ * Recompute the rating shown on the item's listing after a review is approved, changed or removed
+ */
+export const refreshItemRating = async ({ itemType, id }) => {
+  const { average, count } = await getRatingSummary({ itemType, id })
+  const Model = itemType === 'medicine' ? AllMedicine : Product
+
+  await Model.updateOne({ _id: id }, { $set: { 'rating.average': average, 'rating.count': count } })
+
+  const listingCache = itemType === 'medicine' ? 'cache:/api/allmedecine*' : 'cache:/api/products*'
+  await clearCache(listingCache).catch(err => {
+    console.warn('Failed to clear cache:', err.message)
+  })
+
+  return { average, count }
+}
+
+/**
+ * The item a review is about
+ * @returns {Object} { itemType, id }
+ */
+export const getReviewItem = (review) => {
+  return review.itemType === 'medicine'
+    ? { itemType: 'medicine', id: review.medicine?._id ?? review.medicine }
+    : { itemType: 'product', id: review.product?._id ?? review.product }
+}
+
+/**
+ * Approve or reject a review and update the item's rating
+ */
+export const moderateReview = async (review, { status, note, adminId }) => {
+  if (!['approved', 'rejected'].includes(status)) {
+    throw new ReviewError('Reviews can only be approved or rejected', 'INVALID_MODERATION_STATUS')
+  }
+
+  const wasApproved = review.status === 'approved'
+  review.status = status
+  review.moderationNote = note
+  review.moderatedBy = adminId
+  review.moderatedAt = new Date()
+  await review.save()
+
+  if (wasApproved || status === 'approved') {
+    await refreshItemRating(getReviewItem(review))
+  }
+
+  return review
+}
+
+export default {
+  ReviewError,
+  toReviewTarget,
+  findDeliveredPurchase,
+  getRatingSummary,
+  refreshItemRating,
+  getReviewItem,
+  moderateReview
+}
@@ -0,0 +1,131 @@
+/**
+ * Search Query Service
+ * Logs what customers search for and reports popular, trending and zero-result queries
+ */
+
+import SearchQuery from '../../models/SearchQuery.js'
+import { tokenizeSearchText } from '../../models/searchable.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+
+// Trending compares the last day with the daily average of the week before it
+const TRENDING_BASELINE_DAYS = 7
+
+export const normalizeQuery = (term) => tokenizeSearchText(term).join(' ')
+
+/**
+ * Record one search
+ * @param {Object} search - { term, resultCount, user }
+ */
+export const recordSearchQuery = async ({ term, resultCount = 0, user }) => {
+  const query = normalizeQuery(term)
+  if (!query) {
+    return null
+  }
+  return SearchQuery.create({
+    query,
+    rawQuery: String(term).slice(0, 200),
+    resultCount,
+    user
+  })
+}
+
+/**
+ * Most searched queries that found something
+ * @returns {Promise<Array>} [{ query, count }]
+ */
+export const getPopularSearches = async ({ days = 30, limit = 10 } = {}) => {
+  const rows = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }, resultCount: { $gt: 0 } } },
+    { $group: { _id: '$query', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ])
+  return rows.map(({ _id, count }) => ({ query: _id, count }))
+}
+
+/**
+ * Queries searched much more in the last hours than usual
+ * @returns {Promise<Array>} [{ query, count, baseline }] where baseline is the usual count for the same period
+ */
+export const getTrendingSearches = async ({ hours = 24, limit = 10, minCount = 3 } = {}) => {
+  const now = Date.now()
+  const since = new Date(now - hours * HOUR_MS)
+  const baselineStart = new Date(since.getTime() - TRENDING_BASELINE_DAYS * DAY_MS)
+  const periodsInBaseline = (TRENDING_BASELINE_DAYS * 24) / hours
+
+  const rows = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: baselineStart }, resultCount: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$query',
+        count: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, 1, 0] } },
+        earlier: { $sum: { $cond: [{ $lt: ['$createdAt', since] }, 1, 0] } }
+      }
+    },
+    { $match: { count: { $gte: minCount } } },
+    { $addFields: { baseline: { $divide: ['$earlier', periodsInBaseline] } } },
+    { $addFields: { lift: { $divide: ['$count', { $add: ['$baseline', 1] }] } } },
+    { $sort: { lift: -1, count: -1 } },
+    { $limit: limit }
+  ])
+
+  return rows.map(({ _id, count, baseline }) => ({
+    query: _id,
+    count,
+    baseline: Math.round(baseline * 10) / 10
+  }))
+}
+
+/**
+ * Queries that found nothing, most frequent first, to find catalog gaps
+ * @returns {Promise<Object>} { queries: [{ query, count, users, lastSearchedAt, examples }], total }
+ */
+export const getZeroResultQueries = async ({ days = 30, page = 1, limit = 50 } = {}) => {
+  const [result] = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }, resultCount: 0 } },
+    {
+      $group: {
+        _id: '$query',
+        count: { $sum: 1 },
+        users: { $addToSet: '$user' },
+        lastSearchedAt: { $max: '$createdAt' },
+        examples: { $addToSet: '$rawQuery' }
+      }
+    },
+    { $sort: { count: -1, lastSearchedAt: -1 } },
+    {
+      $facet: {
+        queries: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              query: '$_id',
+              count: 1,
+              users: { $size: { $filter: { input: '$users', cond: { $ne: ['$$this', null] } } } },
+              lastSearchedAt: 1,
+              examples: { $slice: ['$examples', 5] }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ])
+
+  return {
+    queries: result?.queries || [],
+    total: result?.total?.[0]?.count || 0
+  }
+}
+
+export default {
+  normalizeQuery,
+  recordSearchQuery,
+  getPopularSearches,
+  getTrendingSearches,
+  getZeroResultQueries
+}
@@ -1,58 +1,253 @@
+/**
+ * Search Service
+ * Typo-tolerant catalog search over products and medicines on plain MongoDB.
+ * Candidates are found by shared trigrams (see models/searchable.js), then scored
+ * by how well each query word matches the name, brand or ingredients, with a
+ * boost for popular and in-stock items. Queries are also searched with their
+ * synonyms and brand aliases (see synonymService).
+ */
+
 import AllMedicine from '../../models/AllMedicine.js'
 import Product from '../../models/Product.js'
+import { buildTrigrams, tokenizeSearchText } from '../../models/searchable.js'
 import { normalizeSearchResult } from '../utils/normalizeSearchResult.js'
 import { ensureDatabaseConnection } from '../utils/ensureDatabaseConnection.js'
+import { escapeRegex } from '../utils/escapeRegex.js'
+import { expandSearchTerm } from './synonymService.js'
+
+// Most candidates read from each collection before scoring
+const CANDIDATE_LIMIT = 200
+// Results whose text match is weaker than this are dropped
+const MIN_TEXT_SCORE = 0.5
+// Matches through a synonym rank just below equally good matches of what was typed
+const SYNONYM_MATCH_FACTOR = 0.95
+
+// Share of the final score
+const WEIGHTS = {
+  text: 0.7,
+  exactness: 0.1,
+  popularity: 0.1,
+  stock: 0.1
+}
 
-export const searchCatalog = async (term) => {
-  if (!term || !term.trim()) {
-    return []
+// How much a match in each field counts compared to a name match
+const FIELD_WEIGHTS = {
+  name: 1,
+  brand: 0.8,
+  ingredient: 0.7
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of adjacent letters.
+ * Stops early and returns max + 1 once the distance exceeds max.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1
   }
 
-  await ensureDatabaseConnection()
+  let previousRow = null
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost)
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1)
+      }
+      nextRow.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > max) {
+      return max + 1
+    }
+    previousRow = row
+    row = nextRow
+  }
 
-  const searchRegex = new RegExp(term.trim(), 'i')
+  return row[b.length]
+}
 
-  const [medicines, products] = await Promise.all([
-    AllMedicine.find({
-      name: { $regex: searchRegex },
-      $or: [
-        { isActive: { $exists: false } },
-        { isActive: { $ne: false } }
-      ]
-    })
-      .select('name price image images category manufacturer brand pack_size packSize type')
-      .lean(),
-    Product.find({
-      isActive: true,
-      name: { $regex: searchRegex }
-    })
-      .select('name price images category brand sku')
-      .lean()
-  ])
+// Typos allowed in a query word: none for short words, more for longer ones
+const allowedTypos = (length) => {
+  if (length <= 3) return 0
+  if (length <= 5) return 1
+  return 2
+}
 
-  const normalizedMedicines = medicines.map((medicine) =>
-    normalizeSearchResult(medicine, 'medicine')
-  )
+/**
+ * How well a query word matches a word in the catalog, from 0 to 1
+ */
+const scoreWord = (queryWord, word) => {
+  if (queryWord === word) {
+    return 1
+  }
+  if (queryWord.length >= 2 && word.startsWith(queryWord)) {
+    return 0.9
+  }
 
-  const normalizedProducts = products.map((product) =>
-    normalizeSearchResult(product, 'product')
-  )
+  const max = allowedTypos(queryWord.length)
+  if (max === 0) {
+    return 0
+  }
 
-  const combined = [...normalizedMedicines, ...normalizedProducts]
+  // Compare against the word, and against its start for partly typed words
+  const candidates = [word, word.slice(0, queryWord.length)]
+  const distance = Math.min(...candidates.map((candidate) => editDistance(queryWord, candidate, max)))
+  if (distance > max) {
+    return 0
+  }
+  return 0.85 - (distance - 1) * 0.15
+}
 
-  combined.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+const bestWordScore = (queryWord, words) => {
+  return words.reduce((best, word) => Math.max(best, scoreWord(queryWord, word)), 0)
+}
 
-  return combined
+/**
+ * Score how well a catalog document matches the query words
+ * @returns {Object} { text, exactness } both between 0 and 1
+ */
+const scoreText = (queryWords, query, doc) => {
+  const nameWords = tokenizeSearchText(doc.name)
+  const brandWords = tokenizeSearchText([doc.brand, doc.manufacturer].filter(Boolean).join(' '))
+  const ingredientWords = tokenizeSearchText((doc.composition?.ingredients || []).map((ingredient) => ingredient.name).join(' '))
+
+  const total = queryWords.reduce((sum, queryWord) => {
+    return sum + Math.max(
+      bestWordScore(queryWord, nameWords) * FIELD_WEIGHTS.name,
+      bestWordScore(queryWord, brandWords) * FIELD_WEIGHTS.brand,
+      bestWordScore(queryWord, ingredientWords) * FIELD_WEIGHTS.ingredient
+    )
+  }, 0)
+
+  const name = nameWords.join(' ')
+  let exactness = 0
+  if (name === query) {
+    exactness = 1
+  } else if (name.startsWith(query)) {
+    exactness = 0.6
+  }
+
+  return { text: total / queryWords.length, exactness }
 }
 
-export default {
-  searchCatalog
+/**
+ * Find up to CANDIDATE_LIMIT documents sharing the most trigrams with the query.
+ * Documents not indexed yet are still found by a plain substring match on the name.
+ */
+const findCandidates = (Model, baseFilter, grams, queryWords, fields) => {
+  const namePatterns = queryWords.map((word) => ({ name: { $regex: escapeRegex(word), $options: 'i' } }))
+
+  return Model.aggregate([
+    {
+      $match: {
+        ...baseFilter,
+        $or: [{ searchGrams: { $in: grams } }, ...namePatterns]
+      }
+    },
+    {
+      $addFields: {
+        sharedGrams: { $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } }
+      }
+    },
+    { $sort: { sharedGrams: -1 } },
+    { $limit: CANDIDATE_LIMIT },
+    { $project: fields }
+  ])
 }
 
+const medicineFields = {
+  name: 1, price: 1, mrp: 1, image: 1, images: 1, category: 1, manufacturer: 1, brand: 1,
+  pack_size: 1, packSize: 1, type: 1, composition: 1, productRef: 1, rating: 1
+}
 
+const productFields = {
+  name: 1, price: 1, mrp: 1, images: 1, category: 1, brand: 1, sku: 1, variants: 1,
+  composition: 1, stock: 1, salesCount: 1, rating: 1
+}
 
+/**
+ * Search products and medicines, best match first
+ * @param {string} term - What the customer typed
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Normalized results, each with a score from 0 to 100
+ */
+export const searchCatalog = async (term, { limit } = {}) => {
+  if (!tokenizeSearchText(term).length) {
+    return []
+  }
 
+  await ensureDatabaseConnection()
 
+  const { query, alternatives } = await expandSearchTerm(term)
+  const searches = [query, ...alternatives].map((text, index) => ({
+    text,
+    words: [...new Set(text.split(' '))],
+    factor: index === 0 ? 1 : SYNONYM_MATCH_FACTOR
+  }))
+  const grams = [...new Set(searches.flatMap((search) => buildTrigrams(search.text)))]
+  const queryWords = [...new Set(searches.flatMap((search) => search.words))]
 
+  const [medicines, products] = await Promise.all([
+    findCandidates(AllMedicine, { isActive: { $ne: false } }, grams, queryWords, medicineFields),
+    findCandidates(Product, { isActive: true }, grams, queryWords, productFields)
+  ])
 
+  // Medicines sell the stock of their linked product and share its popularity
+  const linkedIds = medicines.filter((medicine) => medicine.productRef).map((medicine) => medicine.productRef)
+  const linkedProducts = linkedIds.length
+    ? await Product.find({ _id: { $in: linkedIds } }).select('stock salesCount isActive').lean()
+    : []
+  const linkedById = new Map(linkedProducts.map((product) => [product._id.toString(), product]))
+
+  const candidates = [
+    ...products.map((doc) => ({ doc, source: 'product', stockProduct: doc })),
+    ...medicines.map((doc) => ({
+      doc,
+      source: 'medicine',
+      stockProduct: doc.productRef ? linkedById.get(doc.productRef.toString()) : null
+    }))
+  ]
+
+  const maxSales = candidates.reduce((max, { stockProduct }) => Math.max(max, stockProduct?.salesCount || 0), 0)
+
+  const results = []
+  for (const { doc, source, stockProduct } of candidates) {
+    // Best of the query as typed and its synonyms
+    const { text, exactness } = searches.reduce((best, search) => {
+      const match = scoreText(search.words, search.text, doc)
+      const weighted = match.text * search.factor
+      return weighted > best.text ? { text: weighted, exactness: match.exactness } : best
+    }, { text: 0, exactness: 0 })
+    if (text < MIN_TEXT_SCORE) {
+      continue
+    }
+
+    // Unlinked medicines have no stock record and can't be sold until they are linked
+    const inStock = Boolean(stockProduct && stockProduct.isActive !== false && stockProduct.stock > 0)
+    const popularity = maxSales > 0 ? Math.log1p(stockProduct?.salesCount || 0) / Math.log1p(maxSales) : 0
+
+    const score = WEIGHTS.text * text +
+      WEIGHTS.exactness * exactness +
+      WEIGHTS.popularity * popularity +
+      WEIGHTS.stock * (inStock ? 1 : 0)
+
+    results.push({
+      ...normalizeSearchResult(doc, source),
+      in_stock: inStock,
+      score: Math.round(score * 1000) / 10
+    })
+  }
 
+  results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+
+  return limit ? results.slice(0, limit) : results
+}
+
+export default {
+  searchCatalog
+}
@@ -0,0 +1,122 @@
+/**
+ * Stock Alert Service
+ * Back-in-stock subscriptions: customers subscribe while an item is out of stock
+ * and are notified once when its stock goes from zero to positive.
+ */
+
+import StockAlert from '../../models/StockAlert.js'
+import { notifyBackInStock } from './notificationService.js'
+import { getCatalogName, isCatalogItemActive, loadCatalogItem } from './catalogService.js'
+
+export class StockAlertError extends Error {
+  constructor(message, code = 'STOCK_ALERT_INVALID', meta = {}) {
+    super(message)
+    this.name = 'StockAlertError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
+const getItemUrl = ({ itemType, id }) => {
+  const base = process.env.FRONTEND_URL
+  if (!base) {
+    return undefined
+  }
+  return `${base.replace(/\/$/, '')}/${itemType === 'medicine' ? 'medicines' : 'products'}/${id}`
+}
+
+/**
+ * Subscribe a user to a back-in-stock alert for an out-of-stock item
+ * @param {ObjectId} userId
+ * @param {Object} ref - { itemType, id }
+ * @returns {Promise<Object>} The active alert (an existing one is returned as-is)
+ */
+export const subscribeToStockAlert = async (userId, ref) => {
+  const item = await loadCatalogItem(ref)
+  if (!item || !isCatalogItemActive(item)) {
+    throw new StockAlertError('Item not found', 'ITEM_NOT_FOUND', ref)
+  }
+
+  // Medicines not linked to a product have no stock to watch until they are linked
+  if (!item.stockProduct) {
+    throw new StockAlertError(`${getCatalogName(item)} is not stocked yet`, 'ITEM_NOT_STOCKED', ref)
+  }
+  if (item.stockProduct.isInStock()) {
+    throw new StockAlertError(`${getCatalogName(item)} is in stock`, 'ALREADY_IN_STOCK', ref)
+  }
+
+  const target = {
+    user: userId,
+    itemType: item.itemType,
+    product: item.stockProduct._id,
+    medicine: item.itemType === 'medicine' ? item.id : undefined
+  }
+
+  const existing = await StockAlert.findOne({ ...target, status: 'active' })
+  if (existing) {
+    return existing
+  }
+
+  try {
+    return await StockAlert.create(target)
+  } catch (error) {
+    // A concurrent request subscribed first
+    if (error.code === 11000) {
+      return StockAlert.findOne({ ...target, status: 'active' })
+    }
+    throw error
+  }
+}
+
+/**
+ * Notify everyone waiting on a product that has just been restocked.
+ * Call after saving a stock change; does nothing unless stock went from zero to positive.
+ * @param {Object} product - Product document after the change
+ * @param {number} previousStock - Stock before the change
+ * @returns {Promise<number>} Alerts sent
+ */
+export const notifyIfBackInStock = async (product, previousStock) => {
+  if (previousStock > 0 || !product.isInStock()) {
+    return 0
+  }
+
+  const alerts = await StockAlert.find({ product: product._id, status: 'active' })
+    .populate('user', 'name email phone notifications')
+    .populate('medicine', 'name')
+
+  let sent = 0
+  for (const alert of alerts) {
+    // Claim the alert first so a second restock running at the same time doesn't notify twice
+    const claimed = await StockAlert.updateOne(
+      { _id: alert._id, status: 'active' },
+      { $set: { status: 'notified', notifiedAt: new Date() } }
+    )
+    if (!claimed.modifiedCount || !alert.user) {
+      continue
+    }
+
+    const isMedicine = alert.itemType === 'medicine' && alert.medicine
+    const item = {
+      name: isMedicine ? alert.medicine.name : product.name,
+      url: getItemUrl({ itemType: alert.itemType, id: isMedicine ? alert.medicine._id : product._id })
+    }
+
+    try {
+      const results = await notifyBackInStock(alert.user, item)
+      const notifiedVia = results.filter((result) => result.success).map((result) => result.type)
+      await StockAlert.updateOne({ _id: alert._id }, { $set: { notifiedVia } })
+      sent += 1
+    } catch (error) {
+      console.error(`Failed to send back-in-stock alert ${alert._id}:`, error.message)
+    }
+  }
+
+  return sent
+}
+
+export default {
+  StockAlertError,
+  subscribeToStockAlert,
+  notifyIfBackInStock
+}
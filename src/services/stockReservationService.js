@@ -0,0 +1,145 @@
+/**
+ * Stock Reservation Service
+ * Orders paid online take their stock at checkout and hold it while the payment is pending.
+ * Reservations not paid for in time are released: the order is cancelled and its stock put back.
+ */
+
+import Order from '../../models/Order.js'
+import { cancelOrder } from './orderCancellationService.js'
+
+const DEFAULT_RESERVATION_MINUTES = 15
+
+export class ReservationError extends Error {
+  constructor(message, code = 'RESERVATION_INVALID', meta = {}) {
+    super(message)
+    this.name = 'ReservationError'
+    this.code = code
+    this.meta = meta
+    this.status = 400
+  }
+}
+
+const getReservationMinutes = () => {
+  const parsed = Number(process.env.STOCK_RESERVATION_MINUTES)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_RESERVATION_MINUTES
+}
+
+/**
+ * The reservation to store on a new order; only online payments hold stock
+ * @param {string} paymentMethod - COD, ONLINE or WALLET
+ * @returns {Object|undefined} { status, expiresAt }
+ */
+export const createReservation = (paymentMethod, from = new Date()) => {
+  if (paymentMethod !== 'ONLINE') {
+    return undefined
+  }
+  return {
+    status: 'held',
+    expiresAt: new Date(from.getTime() + getReservationMinutes() * 60 * 1000)
+  }
+}
+
+/**
+ * Cancel an order whose payment didn't arrive and put its stock back
+ * @param {ObjectId} orderId
+ * @param {Object} options - { reason, actor }
+ * @returns {Promise<Object|null>} The cancelled order, or null when it no longer held a reservation
+ */
+export const releaseReservation = async (orderId, { reason = 'Payment not received in time', actor = { kind: 'System' } } = {}) => {
+  // Claiming the order cancels it, so a payment confirmed at the same moment can't also succeed
+  return cancelOrder(orderId, {
+    reason,
+    actor,
+    filter: { 'stockReservation.status': 'held' },
+    prepare: (order) => {
+      order.paymentStatus = 'failed'
+    }
+  })
+}
+
+/**
+ * Release every reservation whose payment window has passed
+ * @returns {Promise<Object>} { expired, released }
+ */
+export const releaseExpiredReservations = async (asOf = new Date()) => {
+  const expired = await Order.find({
+    'stockReservation.status': 'held',
+    'stockReservation.expiresAt': { $lte: asOf },
+    status: { $ne: 'cancelled' }
+  }).select('_id orderNumber').lean()
+
+  let released = 0
+  for (const order of expired) {
+    try {
+      if (await releaseReservation(order._id)) {
+        released += 1
+      }
+    } catch (error) {
+      console.error(`Failed to release stock reservation of order ${order.orderNumber}:`, error.message)
+    }
+  }
+
+  if (released) {
+    console.log(`⏳ Released stock held by ${released} unpaid order(s)`)
+  }
+
+  return { expired: expired.length, released }
+}
+
+/**
+ * Record the outcome of an order's payment.
+ * A successful payment confirms the reservation; a failed one releases it straight away.
+ * @param {ObjectId} orderId
+ * @param {Object} payment - { status: 'paid' | 'failed', actor }
+ * @returns {Promise<Object>} The updated order
+ */
+export const recordPayment = async (orderId, { status, actor }) => {
+  const order = await Order.findById(orderId)
+  if (!order) {
+    throw new ReservationError('Order not found', 'ORDER_NOT_FOUND', { orderId })
+  }
+
+  const reservation = order.stockReservation?.status
+  if (order.status === 'cancelled' || reservation === 'released') {
+    throw new ReservationError(
+      'This order was cancelled and its stock released; the payment needs to be refunded',
+      'RESERVATION_RELEASED',
+      { orderId, orderNumber: order.orderNumber }
+    )
+  }
+
+  if (status === 'failed') {
+    if (reservation === 'held') {
+      return (await releaseReservation(order._id, { reason: 'Payment failed', actor })) || Order.findById(order._id)
+    }
+    order.paymentStatus = 'failed'
+    return order.save()
+  }
+
+  if (reservation === 'held') {
+    const confirmed = await Order.findOneAndUpdate(
+      { _id: order._id, 'stockReservation.status': 'held', status: { $ne: 'cancelled' } },
+      { $set: { 'stockReservation.status': 'confirmed', paymentStatus: 'paid' } },
+      { new: true }
+    )
+    if (!confirmed) {
+      throw new ReservationError(
+        'The payment window closed and this order\'s stock was released',
+        'RESERVATION_RELEASED',
+        { orderId, orderNumber: order.orderNumber }
+      )
+    }
+    return confirmed
+  }
+
+  order.paymentStatus = 'paid'
+  return order.save()
+}
+
+export default {
+  ReservationError,
+  createReservation,
+  releaseReservation,
+  releaseExpiredReservations,
+  recordPayment
+}
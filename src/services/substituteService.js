@@ -0,0 +1,157 @@
+/**
+ * Substitute Service
+ * Finds in-stock products and medicines with the same composition as an item, cheapest per unit first
+ */
+
+import Product from '../../models/Product.js'
+import AllMedicine from '../../models/AllMedicine.js'
+import { getPricePerUnit } from '../../models/composition.js'
+import { checkAvailability, loadCatalogItem, selectVariant, toCatalogRef } from './catalogService.js'
+
+const DEFAULT_LIMIT = 10
+
+const toSubstitute = (item, itemType) => ({
+  id: item._id,
+  itemType,
+  name: item.name,
+  brand: item.brand || null,
+  price: item.price,
+  mrp: item.mrp ?? null,
+  image: item.images?.[0] || item.image || '',
+  unitsPerPack: item.unitsPerPack || 1,
+  pricePerUnit: getPricePerUnit(item),
+  composition: item.composition
+})
+
+/**
+ * Load the composition key for a catalog item.
+ * Medicines without their own composition fall back to their linked product.
+ */
+const getCompositionKey = async ({ itemType, id }) => {
+  if (itemType === 'medicine') {
+    const medicine = await AllMedicine.findById(id).select('compositionKey productRef').lean()
+    if (!medicine) {
+      return null
+    }
+    if (medicine.compositionKey || !medicine.productRef) {
+      return medicine.compositionKey || null
+    }
+    const linked = await Product.findById(medicine.productRef).select('compositionKey').lean()
+    return linked?.compositionKey || null
+  }
+
+  const product = await Product.findById(id).select('compositionKey').lean()
+  return product?.compositionKey || null
+}
+
+/**
+ * Find substitutes sharing a composition key
+ * @param {string} compositionKey
+ * @param {Object} options - { quantity, excludeIds, limit }
+ */
+export const findSubstitutesByComposition = async (compositionKey, {
+  quantity = 1,
+  excludeIds = [],
+  limit = DEFAULT_LIMIT
+} = {}) => {
+  if (!compositionKey) {
+    return []
+  }
+
+  const excluded = excludeIds.map((id) => id.toString())
+
+  const [products, medicines] = await Promise.all([
+    Product.find({
+      compositionKey,
+      isActive: true,
+      stock: { $gte: quantity },
+      _id: { $nin: excluded }
+    })
+      .select('name brand price mrp images unitsPerPack composition')
+      .lean(),
+    AllMedicine.find({
+      compositionKey,
+      isActive: { $ne: false },
+      _id: { $nin: excluded }
+    })
+      .select('name price mrp image images unitsPerPack composition productRef')
+      .lean()
+  ])
+
+  // Medicines are sellable only while the product they are linked to is in stock
+  const linkedIds = medicines.filter((medicine) => medicine.productRef).map((medicine) => medicine.productRef)
+  const linkedInStock = linkedIds.length
+    ? new Set((await Product.find({ _id: { $in: linkedIds }, isActive: true, stock: { $gte: quantity } })
+      .select('_id')
+      .lean()).map((product) => product._id.toString()))
+    : new Set()
+  const listedProducts = new Set(products.map((product) => product._id.toString()))
+
+  const availableMedicines = medicines.filter((medicine) => {
+    if (!medicine.productRef) {
+      return false
+    }
+    const ref = medicine.productRef.toString()
+    // Skip medicines whose product is already listed
+    return linkedInStock.has(ref) && !listedProducts.has(ref) && !excluded.includes(ref)
+  })
+
+  return [
+    ...products.map((product) => toSubstitute(product, 'product')),
+    ...availableMedicines.map((medicine) => toSubstitute(medicine, 'medicine'))
+  ]
+    .sort((a, b) => a.pricePerUnit - b.pricePerUnit)
+    .slice(0, limit)
+}
+
+/**
+ * Find substitutes for a product or medicine by id
+ * @param {Object} item - { itemType: 'product' | 'medicine', id }
+ * @param {Object} options - { quantity, limit }
+ */
+export const findSubstitutes = async ({ itemType = 'product', id }, options = {}) => {
+  const compositionKey = await getCompositionKey({ itemType, id })
+  return findSubstitutesByComposition(compositionKey, { ...options, excludeIds: [id] })
+}
+
+/**
+ * Suggest substitutes for cart items that can't currently be bought
+ * @param {Object} cart - Cart document
+ * @returns {Promise<Array>} [{ cartItemId, itemType, productId, medicineId, name, reason, substitutes }]
+ */
+export const getUnavailableCartItems = async (cart) => {
+  const unavailable = []
+  const products = new Map()
+
+  for (const line of cart.items) {
+    const ref = toCatalogRef(line)
+    const item = await loadCatalogItem(ref, { products })
+    const reason = item
+      ? checkAvailability(item, { variant: selectVariant(item, line.variant?.id), quantity: line.quantity })
+      : 'unavailable'
+
+    if (!reason) {
+      continue
+    }
+
+    unavailable.push({
+      cartItemId: line._id,
+      itemType: ref.itemType,
+      productId: ref.itemType === 'product' ? ref.id : undefined,
+      medicineId: ref.itemType === 'medicine' ? ref.id : undefined,
+      name: line.name,
+      reason,
+      substitutes: ref.id
+        ? await findSubstitutes(ref, { quantity: line.quantity, limit: 3 })
+        : []
+    })
+  }
+
+  return unavailable
+}
+
+export default {
+  findSubstitutesByComposition,
+  findSubstitutes,
+  getUnavailableCartItems
+}
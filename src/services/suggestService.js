@@ -0,0 +1,205 @@
+/**
+ * Suggest Service
+ * Prefix completions for the search box, answered from an in-memory index of product and
+ * medicine names, brands, categories, ingredients and popular searches.
+ * The index is rebuilt shortly after catalog changes and periodically by the suggest-index job,
+ * and lookups keep using the previous index while a rebuild runs.
+ */
+
+import Product from '../../models/Product.js'
+import AllMedicine from '../../models/AllMedicine.js'
+import { onSearchableChange, tokenizeSearchText } from '../../models/searchable.js'
+import { getPopularSearches, getTrendingSearches } from './searchQueryService.js'
+
+// Wait for a burst of catalog edits (e.g. an import) to finish before rebuilding
+const REBUILD_DELAY_MS = 2000
+// Most index keys looked at per lookup, so long prefixes of common words stay fast
+const MAX_SCANNED_KEYS = 500
+const POPULAR_QUERY_COUNT = 500
+
+export const suggestionTypes = ['product', 'medicine', 'brand', 'category', 'composition', 'query']
+
+// Shown first when scores tie
+const typeOrder = { query: 0, product: 1, medicine: 1, brand: 2, composition: 3, category: 4 }
+
+let index = null
+let building = null
+let rebuildTimer = null
+
+const toKey = (text) => tokenizeSearchText(text).join(' ')
+
+/**
+ * Load everything that can be suggested and build a sorted key list for prefix lookups
+ */
+export const buildSuggestIndex = async () => {
+  const [products, medicines, popular, trending] = await Promise.all([
+    Product.find({ isActive: true }).select('name brand category composition salesCount').lean(),
+    AllMedicine.find({ isActive: { $ne: false } }).select('name brand manufacturer category composition').lean(),
+    getPopularSearches({ limit: POPULAR_QUERY_COUNT }),
+    getTrendingSearches({ limit: 10 })
+  ])
+
+  const entries = new Map()
+  const addEntry = (type, text, weight = 1, id) => {
+    const key = toKey(text)
+    if (!key) return
+    // Named items stay separate; brands, categories and ingredients are merged by name
+    const mapKey = id ? `${type}:${id}` : `${type}:${key}`
+    const existing = entries.get(mapKey)
+    if (existing) {
+      existing.weight += weight
+      return
+    }
+    entries.set(mapKey, { type, text: String(text).trim(), key, weight, id })
+  }
+
+  const addIngredients = (item, weight) => {
+    for (const ingredient of item.composition?.ingredients || []) {
+      addEntry('composition', ingredient.name, weight)
+    }
+  }
+
+  for (const product of products) {
+    const weight = 1 + (product.salesCount || 0)
+    addEntry('product', product.name, weight, product._id.toString())
+    addEntry('brand', product.brand, weight)
+    addEntry('category', product.category, weight)
+    addIngredients(product, weight)
+  }
+
+  for (const medicine of medicines) {
+    addEntry('medicine', medicine.name, 1, medicine._id.toString())
+    addEntry('brand', medicine.brand || medicine.manufacturer, 1)
+    addEntry('category', medicine.category, 1)
+    addIngredients(medicine, 1)
+  }
+
+  for (const { query, count } of popular) {
+    addEntry('query', query, count)
+  }
+
+  // Every word start is a key, so "advance" finds "Crocin Advance"
+  const list = [...entries.values()]
+  const keys = []
+  list.forEach((entry, entryIndex) => {
+    const words = entry.key.split(' ')
+    words.forEach((_, wordIndex) => {
+      keys.push({ key: words.slice(wordIndex).join(' '), entryIndex, fromStart: wordIndex === 0 })
+    })
+  })
+  keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+
+  return {
+    entries: list,
+    keys,
+    popular: popular.slice(0, 10),
+    trending,
+    builtAt: new Date()
+  }
+}
+
+/**
+ * Rebuild the index now; concurrent callers share one rebuild
+ */
+export const refreshSuggestIndex = async () => {
+  if (!building) {
+    building = buildSuggestIndex()
+      .then((built) => {
+        index = built
+        return built
+      })
+      .finally(() => {
+        building = null
+      })
+  }
+  return building
+}
+
+const scheduleRebuild = () => {
+  if (rebuildTimer) {
+    return
+  }
+  rebuildTimer = setTimeout(() => {
+    rebuildTimer = null
+    refreshSuggestIndex().catch((err) => {
+      console.warn('Failed to rebuild suggest index:', err.message)
+    })
+  }, REBUILD_DELAY_MS)
+  rebuildTimer.unref?.()
+}
+
+onSearchableChange(scheduleRebuild)
+
+const getIndex = async () => index || refreshSuggestIndex()
+
+// First key not sorting before the prefix
+const lowerBound = (keys, prefix) => {
+  let low = 0
+  let high = keys.length
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (keys[mid].key < prefix) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
+
+/**
+ * Completions for what has been typed so far
+ * @param {string} prefix
+ * @param {Object} options - { limit, types }
+ * @returns {Promise<Array>} [{ text, type, id }]
+ */
+export const getSuggestions = async (prefix, { limit = 8, types } = {}) => {
+  const key = toKey(prefix)
+  if (!key) {
+    return []
+  }
+
+  const { keys, entries } = await getIndex()
+  const matches = new Map()
+
+  for (let i = lowerBound(keys, key), scanned = 0; i < keys.length && scanned < MAX_SCANNED_KEYS; i++, scanned++) {
+    const candidate = keys[i]
+    if (!candidate.key.startsWith(key)) break
+    const entry = entries[candidate.entryIndex]
+    if (types && !types.includes(entry.type)) continue
+    const previous = matches.get(candidate.entryIndex)
+    if (!previous || (candidate.fromStart && !previous.fromStart)) {
+      matches.set(candidate.entryIndex, { entry, fromStart: candidate.fromStart })
+    }
+  }
+
+  return [...matches.values()]
+    .sort((a, b) =>
+      Number(b.fromStart) - Number(a.fromStart) ||
+      b.entry.weight - a.entry.weight ||
+      typeOrder[a.entry.type] - typeOrder[b.entry.type] ||
+      a.entry.text.length - b.entry.text.length
+    )
+    .slice(0, limit)
+    .map(({ entry }) => ({
+      text: entry.text,
+      type: entry.type,
+      ...(entry.id ? { id: entry.id } : {})
+    }))
+}
+
+/**
+ * Popular and trending searches as of the last index build
+ */
+export const getSearchHighlights = async () => {
+  const { popular, trending, builtAt } = await getIndex()
+  return { popular, trending, updatedAt: builtAt }
+}
+
+export default {
+  suggestionTypes,
+  buildSuggestIndex,
+  refreshSuggestIndex,
+  getSuggestions,
+  getSearchHighlights
+}
@@ -0,0 +1,120 @@
+/**
+ * Synonym Service
+ * Expands search queries with the admin-managed synonyms and brand aliases.
+ * The dictionary is held in memory; admin changes reload it at once, and other
+ * server instances pick them up within SYNONYM_REFRESH_MS.
+ */
+
+import SearchSynonym from '../../models/SearchSynonym.js'
+import { tokenizeSearchText } from '../../models/searchable.js'
+import { clearCache } from '../middleware/cache.js'
+
+const SYNONYM_REFRESH_MS = 60 * 1000
+// Most alternative queries searched for one query
+const MAX_ALTERNATIVES = 5
+
+let dictionary = null
+let loadedAt = 0
+let loading = null
+
+/**
+ * Build a phrase -> alternatives map from the active entries
+ */
+const compileDictionary = (entries) => {
+  const phrases = new Map()
+  const addAlternatives = (phrase, alternatives) => {
+    if (!phrases.has(phrase)) {
+      phrases.set(phrase, new Set())
+    }
+    for (const alternative of alternatives) {
+      if (alternative !== phrase) {
+        phrases.get(phrase).add(alternative)
+      }
+    }
+  }
+
+  for (const entry of entries) {
+    if (entry.kind === 'brand_alias') {
+      addAlternatives(entry.term, entry.synonyms)
+      continue
+    }
+    const group = [entry.term, ...entry.synonyms]
+    for (const phrase of group) {
+      addAlternatives(phrase, group)
+    }
+  }
+
+  const longestPhrase = Math.max(0, ...[...phrases.keys()].map((phrase) => phrase.split(' ').length))
+  return { phrases, longestPhrase }
+}
+
+const loadDictionary = async () => {
+  if (!loading) {
+    loading = SearchSynonym.find({ isActive: true }).select('term synonyms kind').lean()
+      .then((entries) => {
+        dictionary = compileDictionary(entries)
+        loadedAt = Date.now()
+        return dictionary
+      })
+      .finally(() => {
+        loading = null
+      })
+  }
+  return loading
+}
+
+const getDictionary = async () => {
+  if (dictionary && Date.now() - loadedAt < SYNONYM_REFRESH_MS) {
+    return dictionary
+  }
+  return loadDictionary()
+}
+
+/**
+ * Reload the dictionary after an admin change and drop cached listings that searched with the old one
+ */
+export const reloadSynonyms = async () => {
+  dictionary = null
+  await loadDictionary()
+  await clearCache('cache:/api/products*').catch(err => {
+    console.warn('Failed to clear cache:', err.message)
+  })
+}
+
+/**
+ * Find the alternative queries for a search, replacing one known phrase at a time
+ * (longest phrase first), e.g. "crocin 500" -> ["paracetamol 500"]
+ * @param {string} term - What the customer typed
+ * @returns {Promise<Object>} { query, alternatives } with query normalized
+ */
+export const expandSearchTerm = async (term) => {
+  const tokens = tokenizeSearchText(term)
+  const query = tokens.join(' ')
+  if (!query) {
+    return { query, alternatives: [] }
+  }
+
+  const { phrases, longestPhrase } = await getDictionary()
+  const alternatives = new Set()
+
+  for (let start = 0; start < tokens.length && alternatives.size < MAX_ALTERNATIVES; start++) {
+    for (let length = Math.min(longestPhrase, tokens.length - start); length > 0; length--) {
+      const phrase = tokens.slice(start, start + length).join(' ')
+      const replacements = phrases.get(phrase)
+      if (!replacements) continue
+
+      for (const replacement of replacements) {
+        alternatives.add([...tokens.slice(0, start), replacement, ...tokens.slice(start + length)].join(' '))
+      }
+      start += length - 1
+      break
+    }
+  }
+
+  return { query, alternatives: [...alternatives].slice(0, MAX_ALTERNATIVES) }
+}
+
+export default {
+  reloadSynonyms,
+  expandSearchTerm
+}
@@ -0,0 +1,6 @@
+/**
+ * Escape user input so it can be embedded in a RegExp as a literal
+ */
+export const escapeRegex = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+export default escapeRegex
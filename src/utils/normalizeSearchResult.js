@@ -80,6 +80,31 @@ const firstNonEmpty = (doc, fields = []) => {
   return ''
 }
 
+const normalizeVariants = (doc) => {
+  if (!Array.isArray(doc.variants)) {
+    return []
+  }
+
+  return doc.variants
+    .filter((variant) => variant && variant.isActive !== false)
+    .map((variant) => {
+      const price = toSafeNumber(variant.price)
+      const packSize = Number(variant.packSize) || 0
+      return {
+        id: toSafeString(variant._id ? variant._id.toString() : ''),
+        sku: toSafeString(variant.sku),
+        label: toSafeString(variant.label) || (packSize ? `${packSize} ${toSafeString(variant.unit)}`.trim() : ''),
+        pack_size: packSize || '',
+        unit: toSafeString(variant.unit),
+        price,
+        mrp: toSafeNumber(variant.mrp),
+        price_per_unit: packSize && typeof price === 'number' ? Math.round((price / packSize) * 100) / 100 : '',
+        in_stock: Number(variant.stock) > 0,
+        is_default: Boolean(variant.isDefault)
+      }
+    })
+}
+
 export const normalizeSearchResult = (doc, source) => {
   if (!doc) {
     return {
@@ -90,7 +115,11 @@ export const normalizeSearchResult = (doc, source) => {
       category: '',
       manufacturer: '',
       pack_size: '',
-      type: ''
+      type: '',
+      variants: [],
+      variant: null,
+      rating: 0,
+      rating_count: 0
     }
   }
 
@@ -139,7 +168,11 @@ export const normalizeSearchResult = (doc, source) => {
     'packsize'
   ])
 
-  const price = toSafeNumber(
+  // Products sold in pack sizes show the default (or first) variant
+  const variants = normalizeVariants(doc)
+  const variant = variants.find((entry) => entry.is_default) || variants[0] || null
+
+  const price = variant ? variant.price : toSafeNumber(
     doc.price ??
     doc.mrp ??
     doc['price(₹)'] ??
@@ -161,8 +194,12 @@ export const normalizeSearchResult = (doc, source) => {
     image,
     category,
     manufacturer,
-    pack_size: packSize,
-    type
+    pack_size: variant ? variant.label : packSize,
+    type,
+    variants,
+    variant,
+    rating: Number(doc.rating?.average) || 0,
+    rating_count: Number(doc.rating?.count) || 0
   }
 }
 
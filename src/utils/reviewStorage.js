@@ -0,0 +1,122 @@
+import fs from 'fs'
+import path from 'path'
+import { uploadToCloudinary, deleteFromCloudinary, isCloudinaryConfigured } from './cloudinary.js'
+
+const runningOnVercel = Boolean(process.env.VERCEL)
+const uploadsDir = path.join(process.cwd(), 'uploads', 'reviews')
+
+const ensureLocalDirectory = () => {
+  if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true })
+  }
+}
+
+const getSafeFileName = (originalName = 'review') => {
+  const extension = path.extname(originalName) || '.jpg'
+  const sanitizedExtension = extension.replace(/[^.\w]/g, '')
+  return `review-${Date.now()}-${Math.round(Math.random() * 1e9)}${sanitizedExtension}`
+}
+
+export const storeReviewPhoto = async (file) => {
+  if (!file) {
+    throw new Error('No file provided for review photo upload')
+  }
+
+  // Validate file has buffer (required for multer memoryStorage)
+  if (!file.buffer) {
+    throw new Error('File buffer is missing. Ensure multer is configured with memoryStorage.')
+  }
+
+  // Validate file type (only images)
+  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp']
+  if (!allowedTypes.includes(file.mimetype)) {
+    throw new Error('Invalid file type. Only JPEG, PNG, JPG, and WEBP images are allowed.')
+  }
+
+  // Validate file size (max 5MB)
+  const maxSize = 5 * 1024 * 1024 // 5MB
+  if (file.size > maxSize) {
+    throw new Error('File size too large. Maximum size is 5MB.')
+  }
+
+  // Try Cloudinary if configured
+  if (isCloudinaryConfigured()) {
+    try {
+      const result = await uploadToCloudinary(file.buffer, {
+        folder: 'reviews',
+        resource_type: 'image',
+        public_id: `review_${Date.now()}_${Math.round(Math.random() * 1e9)}`,
+        transformation: [
+          { quality: 'auto', fetch_format: 'auto' }
+        ]
+      })
+
+      if (!result || !result.secure_url) {
+        throw new Error('Cloudinary upload succeeded but returned invalid result')
+      }
+
+      return {
+        storage: 'cloudinary',
+        url: result.secure_url || result.url,
+        filename: result.original_filename || result.public_id,
+        publicId: result.public_id
+      }
+    } catch (cloudinaryError) {
+      console.error('Cloudinary upload failed:', cloudinaryError)
+      const errorMessage = cloudinaryError.message || 
+                          cloudinaryError.error?.message || 
+                          cloudinaryError.error || 
+                          cloudinaryError.toString() || 
+                          'Unknown Cloudinary error'
+      
+      if (!runningOnVercel) {
+        console.warn('Cloudinary upload failed, falling back to local storage:', errorMessage)
+      } else {
+        throw new Error(`Cloudinary upload failed: ${errorMessage}`)
+      }
+    }
+  }
+
+  if (runningOnVercel) {
+    throw new Error('Cloud storage required for review photo upload in this environment')
+  }
+
+  // Fallback to local storage
+  try {
+    ensureLocalDirectory()
+    const fileName = getSafeFileName(file.originalname)
+    const targetPath = path.join(uploadsDir, fileName)
+
+    await fs.promises.writeFile(targetPath, file.buffer)
+
+    return {
+      storage: 'local',
+      url: `/uploads/reviews/${fileName}`,
+      filename: fileName
+    }
+  } catch (localError) {
+    console.error('Local file save failed:', localError)
+    throw new Error(`Failed to save file locally: ${localError.message}`)
+  }
+}
+
+/**
+ * Delete a stored review photo; failures are logged, since a leftover file does no harm
+ */
+export const removeReviewPhoto = async (photo) => {
+  try {
+    if (photo?.publicId) {
+      await deleteFromCloudinary(photo.publicId)
+    } else if (photo?.url?.startsWith('/uploads/reviews/')) {
+      await fs.promises.unlink(path.join(uploadsDir, path.basename(photo.url)))
+    }
+  } catch (error) {
+    console.warn('Failed to delete review photo:', error.message)
+  }
+}
+
+export default {
+  storeReviewPhoto,
+  removeReviewPhoto
+}
+
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose'
+import { supportsTransactions } from './transactionSupport.js'
+
+// Side effects outside the database, such as alerts, run only once the work is saved for good
+const runAfterCommit = async (steps) => {
+  for (const step of steps) {
+    try {
+      await step()
+    } catch (error) {
+      console.warn('Failed to run a step after saving:', error.message)
+    }
+  }
+}
+
+// Without a transaction, undo what the work already did, latest first, then report the failure
+const runWithUndo = async (work) => {
+  const undoSteps = []
+  const committedSteps = []
+  try {
+    const result = await work(null, {
+      onRollback: (step) => undoSteps.push(step),
+      afterCommit: (step) => committedSteps.push(step)
+    })
+    await runAfterCommit(committedSteps)
+    return result
+  } catch (error) {
+    for (const step of undoSteps.reverse()) {
+      try {
+        await step()
+      } catch (undoError) {
+        console.error('Failed to undo part of a failed operation:', undoError)
+      }
+    }
+    throw error
+  }
+}
+
+/**
+ * Run work inside a MongoDB transaction; it is retried on transient errors such as write conflicts,
+ * so it must not change anything outside the database before it resolves. Anything that must, such
+ * as telling customers, is registered with afterCommit and runs once the work is saved.
+ * Where the server has no transaction support the work runs once without a session. It then
+ * registers, after each write, how to undo it with onRollback; if the work fails, those steps run
+ * in reverse order. Inside a transaction onRollback does nothing, since aborting undoes everything.
+ * @param {Function} work - async (session, { onRollback, afterCommit }) => result; session is null without transaction support
+ * @returns {Promise<*>} What work resolved with
+ */
+export const withTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    return runWithUndo(work)
+  }
+
+  const session = await mongoose.startSession()
+  try {
+    let result
+    let committedSteps
+    await session.withTransaction(async () => {
+      // A retried attempt starts over, dropping what the failed one registered
+      committedSteps = []
+      result = await work(session, {
+        onRollback: () => {},
+        afterCommit: (step) => committedSteps.push(step)
+      })
+    })
+    await runAfterCommit(committedSteps)
+    return result
+  } finally {
+    await session.endSession()
+  }
+}
+
+export default withTransaction
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose'
+
+let transactionSupport = null
+
+/**
+ * Whether the server runs transactions. Only replica sets and sharded clusters do; standalone
+ * servers (typical for local development) reject them. Asked once, before any work, so nothing
+ * is ever written twice.
+ * @returns {Promise<boolean>}
+ */
+export const supportsTransactions = async () => {
+  if (transactionSupport === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 })
+    transactionSupport = Boolean(hello.setName) || hello.msg === 'isdbgrid'
+    if (!transactionSupport) {
+      console.warn('⚠️  MongoDB transactions are not supported by this server; failed work will be undone step by step')
+    }
+  }
+  return transactionSupport
+}
+
+export default supportsTransactions
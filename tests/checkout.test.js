@@ -0,0 +1,251 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Order from '../models/Order.js'
+import Prescription from '../models/Prescription.js'
+import StockAlert from '../models/StockAlert.js'
+import { addProduct, mockProductStore, mockStandaloneServer, movements, stockOf, storedProduct } from './helpers/productStore.js'
+
+// A standalone server: checkout runs without a transaction and undoes failed work itself
+mockStandaloneServer()
+const { recordSale } = await import('../src/services/catalogService.js')
+const { restockLine } = await import('../src/services/inventoryService.js')
+const { cancelOrder } = await import('../src/services/orderCancellationService.js')
+const { releaseExpiredReservations } = await import('../src/services/stockReservationService.js')
+const { withTransaction } = await import('../src/utils/transaction.js')
+
+const catalogItemFor = (id) => ({
+  itemType: 'product',
+  id,
+  listing: { name: storedProduct(id).name },
+  stockProduct: { _id: id }
+})
+
+beforeEach(() => {
+  mockProductStore()
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Checkout stock', () => {
+  it('sells the last unit to only one of two checkouts racing for it', async () => {
+    const productId = addProduct({ stock: 1 })._id
+    const item = catalogItemFor(productId)
+
+    const results = await Promise.allSettled([recordSale(item, 1), recordSale(item, 1)])
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1)
+    const [rejected] = results.filter((result) => result.status === 'rejected')
+    expect(rejected.reason.code).toBe('INSUFFICIENT_STOCK')
+    expect(stockOf(productId)).toBe(0)
+    expect(movements).toEqual([expect.objectContaining({ reason: 'sale', quantity: -1 })])
+  })
+
+  it('puts stock back when a reservation expires unpaid', async () => {
+    const productId = addProduct({ stock: 1 })._id
+    const order = new Order({
+      user: new mongoose.Types.ObjectId(),
+      orderNumber: 'ORD/2026-27/000001',
+      items: [{ product: productId, name: 'Paracetamol 500mg', price: 20, quantity: 2 }],
+      status: 'processing',
+      stockReservation: { status: 'held', expiresAt: new Date(Date.now() - 60 * 1000) }
+    })
+
+    jest.spyOn(Order, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: order._id, orderNumber: order.orderNumber }] })
+    })
+    const claim = jest.spyOn(Order, 'findOneAndUpdate')
+      .mockResolvedValueOnce(order)
+      .mockResolvedValueOnce(null)
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this
+    })
+
+    await expect(releaseExpiredReservations()).resolves.toEqual({ expired: 1, released: 1 })
+
+    expect(claim.mock.calls[0][0]).toMatchObject({ _id: order._id, 'stockReservation.status': 'held' })
+    expect(order.status).toBe('cancelled')
+    expect(stockOf(productId)).toBe(3)
+    expect(movements).toEqual([expect.objectContaining({ reason: 'cancellation', quantity: 2 })])
+
+    // Released once: a second run finds the reservation already claimed
+    await expect(releaseExpiredReservations()).resolves.toEqual({ expired: 1, released: 0 })
+    expect(stockOf(productId)).toBe(3)
+  })
+
+  it('restocks an order once when the customer cancels it as its reservation expires', async () => {
+    const productId = addProduct({ stock: 0 })._id
+    const userId = new mongoose.Types.ObjectId()
+    const order = new Order({
+      user: userId,
+      orderNumber: 'ORD/2026-27/000004',
+      items: [{ product: productId, name: 'Paracetamol 500mg', price: 20, quantity: 2 }],
+      status: 'processing',
+      stockReservation: { status: 'held', expiresAt: new Date(Date.now() - 60 * 1000) }
+    })
+
+    jest.spyOn(Order, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: order._id, orderNumber: order.orderNumber }] })
+    })
+    // The claim as MongoDB applies it: only an order still in a cancellable status is claimed
+    let storedStatus = order.status
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!filter.status.$in.includes(storedStatus)) {
+        return null
+      }
+      storedStatus = update.$set.status
+      return Order.hydrate(order.toObject())
+    })
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this
+    })
+
+    const [customer, expiry] = await Promise.all([
+      cancelOrder(order._id, { reason: 'Changed my mind', actor: { kind: 'User', id: userId }, filter: { user: userId } }),
+      releaseExpiredReservations()
+    ])
+
+    expect(Boolean(customer) + expiry.released).toBe(1)
+    expect(stockOf(productId)).toBe(2)
+    expect(movements).toEqual([expect.objectContaining({ reason: 'cancellation', quantity: 2 })])
+  })
+
+  it('tells customers waiting for a sold-out product when an expired reservation frees its stock', async () => {
+    const productId = addProduct({ stock: 0 })._id
+    const order = new Order({
+      user: new mongoose.Types.ObjectId(),
+      orderNumber: 'ORD/2026-27/000003',
+      items: [{ product: productId, name: 'Paracetamol 500mg', price: 20, quantity: 1 }],
+      status: 'processing',
+      stockReservation: { status: 'held', expiresAt: new Date(Date.now() - 60 * 1000) }
+    })
+
+    jest.spyOn(Order, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: order._id, orderNumber: order.orderNumber }] })
+    })
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order)
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this
+    })
+    const alerts = jest.spyOn(StockAlert, 'find').mockReturnValue({
+      populate: () => ({ populate: async () => [] })
+    })
+
+    await releaseExpiredReservations()
+    // Alerts go out in the background
+    await new Promise((resolve) => setImmediate(resolve))
+
+    expect(stockOf(productId)).toBe(1)
+    expect(alerts).toHaveBeenCalledWith({ product: productId, status: 'active' })
+  })
+
+  it('undoes the stock already taken when checkout fails without a transaction', async () => {
+    const inStock = addProduct({ stock: 5 })._id
+    const soldOut = addProduct({ stock: 0 })._id
+    const reference = { kind: 'Order', number: 'ORD/2026-27/000002' }
+
+    const checkout = withTransaction(async (session, { onRollback }) => {
+      expect(session).toBeNull()
+      for (const productId of [inStock, soldOut]) {
+        const batches = await recordSale(catalogItemFor(productId), 2, { reference, session })
+        onRollback(() => restockLine(productId, { quantity: 2, batches }, { reason: 'cancellation', reference }))
+      }
+    })
+
+    await expect(checkout).rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK' })
+    expect(stockOf(inStock)).toBe(5)
+    expect(stockOf(soldOut)).toBe(0)
+    expect(movements.map(({ reason, quantity }) => [reason, quantity])).toEqual([
+      ['sale', -2],
+      ['cancellation', 2]
+    ])
+  })
+})
+
+describe('Order cancellation', () => {
+  it('gives the prescription back so the customer can order with it again', async () => {
+    const productId = addProduct({ stock: 1 })._id
+    const userId = new mongoose.Types.ObjectId()
+    const order = new Order({
+      user: userId,
+      orderNumber: 'ORD/2026-27/000006',
+      items: [{ product: productId, name: 'Paracetamol 500mg', price: 20, quantity: 1 }],
+      status: 'processing'
+    })
+    const prescription = new Prescription({
+      user: userId,
+      fileName: 'rx.jpg',
+      originalName: 'rx.jpg',
+      fileUrl: '/uploads/rx.jpg',
+      fileType: 'image/jpeg',
+      fileSize: 1024,
+      status: 'ordered',
+      order: order._id
+    })
+    order.prescription = prescription._id
+
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order)
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this
+    })
+    jest.spyOn(Prescription, 'findById').mockReturnValue({ session: async () => prescription })
+    jest.spyOn(Prescription.prototype, 'save').mockImplementation(async function() {
+      return this
+    })
+
+    await cancelOrder(order._id, { reason: 'Changed my mind', actor: { kind: 'User', id: userId } })
+
+    expect(prescription.status).toBe('approved')
+    expect(prescription.order).toBeUndefined()
+    expect(stockOf(productId)).toBe(2)
+  })
+})
+
+describe('Order status', () => {
+  const makeOrder = (fields) => new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderNumber: 'ORD/2026-27/000005',
+    items: [{ product: new mongoose.Types.ObjectId(), name: 'Paracetamol 500mg', price: 20, quantity: 1 }],
+    subtotal: 20,
+    total: 20,
+    ...fields
+  })
+
+  beforeEach(() => {
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this
+    })
+  })
+
+  it('keeps a cancelled order cancelled, since its stock has gone back', async () => {
+    const order = makeOrder({ status: 'cancelled', cancellation: { reason: 'Changed my mind', cancelledAt: new Date() } })
+
+    await expect(order.updateStatus('processing')).rejects.toMatchObject({ status: 400, code: 'ORDER_CANCELLED' })
+    expect(order.status).toBe('cancelled')
+  })
+
+  it('holds back a Schedule X order from dispatch until a pharmacist signs it off', async () => {
+    const order = makeOrder({ status: 'processing', pharmacistSignOff: { status: 'pending' } })
+
+    for (const status of ['out for delivery', 'delivered']) {
+      await expect(order.updateStatus(status)).rejects.toMatchObject({ code: 'PHARMACIST_SIGNOFF_REQUIRED' })
+    }
+    order.pharmacistSignOff.status = 'rejected'
+    await expect(order.updateStatus('out for delivery')).rejects.toMatchObject({ code: 'PHARMACIST_SIGNOFF_REQUIRED' })
+
+    order.pharmacistSignOff.status = 'approved'
+    await order.updateStatus('out for delivery')
+    expect(order.status).toBe('out for delivery')
+  })
+
+  it('cancels only through cancelOrder, which records the cancellation', async () => {
+    const order = makeOrder({ status: 'processing' })
+
+    await expect(order.updateStatus('cancelled')).rejects.toMatchObject({ code: 'CANCEL_REQUIRED' })
+    await order.cancelOrder('Out of stock')
+    expect(order.status).toBe('cancelled')
+  })
+})
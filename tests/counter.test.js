@@ -0,0 +1,27 @@
+import { formatDocumentNumber, getFinancialYear } from '../models/Counter.js'
+
+describe('Document numbering', () => {
+  it('starts the financial year at midnight on 1 April in India', () => {
+    expect(getFinancialYear(new Date('2026-03-31T18:29:59Z'))).toBe('2025-26')
+    expect(getFinancialYear(new Date('2026-03-31T18:30:00Z'))).toBe('2026-27')
+  })
+
+  it('keeps January to March in the year that started the April before', () => {
+    expect(getFinancialYear(new Date('2027-01-15T06:00:00Z'))).toBe('2026-27')
+    expect(getFinancialYear(new Date('2027-02-28T12:00:00Z'))).toBe('2026-27')
+    expect(getFinancialYear(new Date('2027-03-31T18:29:59Z'))).toBe('2026-27')
+  })
+
+  it('counts the first minutes of 1 January in India, still 31 December in UTC, in the same year', () => {
+    // 00:15 IST on 1 January 2027
+    expect(getFinancialYear(new Date('2026-12-31T18:45:00Z'))).toBe('2026-27')
+  })
+
+  it('wraps the short year at a century', () => {
+    expect(getFinancialYear(new Date('2100-03-15T12:00:00Z'))).toBe('2099-00')
+  })
+
+  it('formats numbers with the series prefix and year', () => {
+    expect(formatDocumentNumber('purchaseOrder', '2026-27', 12)).toBe('PO/2026-27/000012')
+  })
+})
@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Cart from '../models/Cart.js'
+import Coupon from '../models/Coupon.js'
+import CouponRedemption from '../models/CouponRedemption.js'
+import { redeemCoupon, validateCoupon } from '../src/services/couponService.js'
+import { applyPromotions } from '../src/services/promotionService.js'
+
+const userId = new mongoose.Types.ObjectId()
+
+const makeCoupon = (fields) => new Coupon({ code: 'SAVE', discountType: 'flat', discountValue: 0, ...fields })
+
+const line = (amount, category = 'Health Supplements') => ({
+  itemType: 'product',
+  id: new mongoose.Types.ObjectId(),
+  category,
+  amount
+})
+
+const categorySale = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Supplement week',
+  type: 'category_sale',
+  percentOff: 10,
+  eligibility: { categories: ['Health Supplements'] }
+}
+
+beforeEach(() => {
+  // No earlier uses by this customer
+  jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(0)
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Coupon discount split across lines', () => {
+  it('gives the rounding leftover to the last line', async () => {
+    const coupon = makeCoupon({ discountType: 'percentage', discountValue: 10 })
+
+    const { amount, lineDiscounts } = await validateCoupon(coupon, { userId, lines: [line(333), line(333), line(333)] })
+
+    expect(amount).toBe(100)
+    expect(lineDiscounts).toEqual([33, 33, 34])
+  })
+
+  it('gives the leftover to the last eligible line and nothing to the others', async () => {
+    const coupon = makeCoupon({ discountValue: 25, eligibility: { categories: ['Health Supplements'] } })
+
+    const { lineDiscounts } = await validateCoupon(coupon, {
+      userId,
+      lines: [line(101), line(101), line(500, 'OTC Medicines')]
+    })
+
+    expect(lineDiscounts).toEqual([13, 12, 0])
+  })
+
+  it('never splits more than the capped discount', async () => {
+    const coupon = makeCoupon({ discountType: 'percentage', discountValue: 50, maxDiscount: 100 })
+
+    const { amount, lineDiscounts } = await validateCoupon(coupon, { userId, lines: [line(199), line(199), line(199)] })
+
+    expect(amount).toBe(100)
+    expect(lineDiscounts.reduce((sum, share) => sum + share, 0)).toBe(100)
+  })
+
+  it('refuses a customer who has used up their uses', async () => {
+    CouponRedemption.countDocuments.mockResolvedValue(2)
+    const coupon = makeCoupon({ discountValue: 50, perUserLimit: 2 })
+
+    await expect(validateCoupon(coupon, { userId, lines: [line(200)] }))
+      .rejects.toMatchObject({ code: 'COUPON_USER_LIMIT_REACHED' })
+  })
+})
+
+describe('Coupon redemption', () => {
+  const redemptionsTaken = (slots) => {
+    jest.spyOn(CouponRedemption, 'find').mockReturnValue({
+      select: () => ({ session: () => ({ lean: async () => slots.map((slot) => ({ slot })) }) })
+    })
+  }
+
+  it('takes the first free use of the customer', async () => {
+    redemptionsTaken([1])
+    const create = jest.spyOn(CouponRedemption, 'create').mockImplementation(async (entries) => entries)
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 })
+    const coupon = makeCoupon({ discountValue: 50, perUserLimit: 3 })
+
+    await redeemCoupon(coupon, { userId, orderId: new mongoose.Types.ObjectId() })
+
+    expect(create.mock.calls[0][0][0]).toMatchObject({ coupon: coupon._id, user: userId, slot: 2 })
+  })
+
+  it('refuses a checkout that lost the last use to a concurrent one', async () => {
+    redemptionsTaken([])
+    jest.spyOn(CouponRedemption, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+    const updateCoupon = jest.spyOn(Coupon, 'updateOne')
+    const coupon = makeCoupon({ discountValue: 50 })
+
+    await expect(redeemCoupon(coupon, { userId, orderId: new mongoose.Types.ObjectId() }))
+      .rejects.toMatchObject({ code: 'COUPON_USER_LIMIT_REACHED' })
+    expect(updateCoupon).not.toHaveBeenCalled()
+  })
+})
+
+describe('Coupons with promotions', () => {
+  it('takes the coupon off what is left after promotions', async () => {
+    const lines = [
+      { itemType: 'product', id: new mongoose.Types.ObjectId(), category: 'Health Supplements', price: 200, quantity: 2 },
+      { itemType: 'product', id: new mongoose.Types.ObjectId(), category: 'OTC Medicines', price: 100, quantity: 1 }
+    ]
+    const promotions = applyPromotions(lines, [categorySale])
+    const promotionDiscounts = promotions.lineSavings.map((savings) => savings.reduce((sum, saving) => sum + saving.amount, 0))
+
+    const coupon = makeCoupon({ discountType: 'percentage', discountValue: 20 })
+    const { amount, lineDiscounts } = await validateCoupon(coupon, {
+      userId,
+      lines: lines.map((entry, index) => ({ ...entry, amount: entry.price * entry.quantity - promotionDiscounts[index] }))
+    })
+
+    expect(promotionDiscounts).toEqual([40, 0])
+    expect(amount).toBe(92)
+    expect(lineDiscounts).toEqual([72, 20])
+  })
+
+  it('caps a flat coupon at the value promotions leave', async () => {
+    const freeUnit = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Buy 1 get 1',
+      type: 'buy_x_get_y',
+      buyQuantity: 1,
+      getQuantity: 1
+    }
+    const lines = [{ itemType: 'product', id: new mongoose.Types.ObjectId(), category: 'Health Supplements', price: 100, quantity: 2 }]
+    const promotions = applyPromotions(lines, [freeUnit])
+
+    const coupon = makeCoupon({ discountValue: 500 })
+    const { amount } = await validateCoupon(coupon, {
+      userId,
+      lines: [{ ...lines[0], amount: 200 - promotions.amount }]
+    })
+
+    expect(promotions.amount).toBe(100)
+    expect(amount).toBe(100)
+  })
+
+  it('adds both discounts to the cart totals', () => {
+    const cart = new Cart({
+      user: userId,
+      items: [
+        { product: new mongoose.Types.ObjectId(), category: 'Health Supplements', price: 200, quantity: 2 },
+        { product: new mongoose.Types.ObjectId(), category: 'OTC Medicines', price: 100, quantity: 1 }
+      ],
+      couponDiscount: 92
+    })
+    cart.$locals.applyPromotions = (lines) => applyPromotions(lines, [categorySale])
+
+    cart.calculateTotals()
+
+    expect(cart.subtotal).toBe(500)
+    expect(cart.promotionDiscount).toBe(40)
+    expect(cart.discount).toBe(132)
+    expect(cart.taxes).toBe(66)
+    expect(cart.total).toBe(434)
+  })
+
+  it('never lets the coupon take the cart below zero', () => {
+    const cart = new Cart({
+      user: userId,
+      items: [{ product: new mongoose.Types.ObjectId(), category: 'Health Supplements', price: 100, quantity: 1 }],
+      couponDiscount: 150
+    })
+    cart.$locals.applyPromotions = (lines) => applyPromotions(lines, [categorySale])
+
+    cart.calculateTotals()
+
+    expect(cart.couponDiscount).toBe(90)
+    expect(cart.discount).toBe(100)
+  })
+})
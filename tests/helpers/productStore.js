@@ -0,0 +1,130 @@
+/**
+ * Shared scaffolding for tests of stock changes.
+ * Products live in an in-memory store that the Product and StockMovement model methods read and
+ * write instead of MongoDB; conditional updates only apply while their filter still matches.
+ * No customer is waiting for stock, so restocks send no back-in-stock alerts.
+ */
+
+import { jest } from '@jest/globals'
+import Product from '../../models/Product.js'
+import StockAlert from '../../models/StockAlert.js'
+import StockMovement from '../../models/StockMovement.js'
+
+// Stored products, by id, and the ledger entries recorded
+export const products = new Map()
+export const movements = []
+
+/**
+ * Run work as on a standalone server: without a transaction, undoing failed work step by step.
+ * Call before importing the services under test, since it replaces the module they check with.
+ */
+export const mockStandaloneServer = () => {
+  jest.unstable_mockModule(new URL('../../src/utils/transactionSupport.js', import.meta.url).pathname, () => ({
+    supportsTransactions: async () => false,
+    default: async () => false
+  }))
+}
+
+/**
+ * Store a product
+ * @returns {Object} The product document
+ */
+export const addProduct = (fields) => {
+  const product = new Product({ name: 'Paracetamol 500mg', sku: `SKU${products.size + 1}`, price: 20, category: 'OTC Medicines', ...fields })
+  if (product.isBatchTracked()) {
+    product.syncStockFromBatches()
+  }
+  products.set(product._id.toString(), product.toObject({ virtuals: false }))
+  return product
+}
+
+export const storedProduct = (id) => products.get(id.toString())
+
+export const stockOf = (id) => storedProduct(id).stock
+
+const matchesValue = (actual, condition) => {
+  if (condition?.$ne !== undefined) {
+    return !actual.includes(condition.$ne)
+  }
+  if (condition?.$gte !== undefined) {
+    return actual >= condition.$gte
+  }
+  return Array.isArray(actual) ? actual.includes(condition) : actual === condition
+}
+
+// The filters stock updates use: stock levels, batch numbers and whether batches or variants exist
+const matchesFilter = (product, filter) => Object.entries(filter).every(([path, condition]) => {
+  switch (path) {
+    case '_id':
+      return true
+    case 'stock':
+      return matchesValue(product.stock, condition)
+    case 'batches.batchNumber':
+      return matchesValue(product.batches.map((entry) => entry.batchNumber), condition)
+    case 'batches.0':
+      return product.batches.length === 0
+    case 'variants.0':
+      return product.variants.length === 0
+    case 'variants._id':
+      return product.variants.some((entry) => entry._id.toString() === condition.toString())
+    default:
+      throw new Error(`The product store doesn't support filtering on ${path}`)
+  }
+})
+
+// Resolve 'batches.$[batch].quantity' to the entry the array filter picks and its field
+const resolvePath = (product, path, arrayFilters) => {
+  const positional = path.match(/^(\w+)\.\$\[(\w+)\]\.(\w+)$/)
+  if (!positional) {
+    return [product, path]
+  }
+  const [, array, name, field] = positional
+  const [key, value] = Object.entries(arrayFilters.find((entry) => Object.keys(entry)[0].startsWith(`${name}.`)))[0]
+  const matchField = key.slice(name.length + 1)
+  return [product[array].find((entry) => entry[matchField].toString() === value.toString()), field]
+}
+
+/**
+ * Replace the Product, StockMovement and StockAlert methods stock changes use with ones backed
+ * by the store. Call in beforeEach; jest.restoreAllMocks() puts the real ones back.
+ */
+export const mockProductStore = () => {
+  products.clear()
+  movements.length = 0
+
+  jest.spyOn(Product, 'findById').mockImplementation((id) => {
+    const stored = products.get(id.toString())
+    const query = Promise.resolve(stored ? Product.hydrate(JSON.parse(JSON.stringify(stored))) : null)
+    query.session = () => query
+    return query
+  })
+
+  jest.spyOn(Product, 'updateOne').mockImplementation(async (filter, update, { arrayFilters = [] } = {}) => {
+    const product = products.get(filter._id.toString())
+    if (!product || !matchesFilter(product, filter)) {
+      return { modifiedCount: 0 }
+    }
+    for (const [path, amount] of Object.entries(update.$inc || {})) {
+      const [target, field] = resolvePath(product, path, arrayFilters)
+      target[field] = (target[field] || 0) + amount
+    }
+    if (update.$push) {
+      product.batches.push(update.$push.batches)
+    }
+    return { modifiedCount: 1 }
+  })
+
+  jest.spyOn(Product.prototype, 'save').mockImplementation(async function() {
+    products.set(this._id.toString(), this.toObject({ virtuals: false }))
+    return this
+  })
+
+  jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => {
+    movements.push(...entries)
+    return entries
+  })
+
+  jest.spyOn(StockAlert, 'find').mockReturnValue({
+    populate: () => ({ populate: async () => [] })
+  })
+}
@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals'
+import express from 'express'
+import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
+import request from 'supertest'
+import IdempotencyKey from '../models/IdempotencyKey.js'
+import { idempotency } from '../src/middleware/idempotency.js'
+
+// Stored keys, by user and key; the model methods the middleware uses read and write these instead of MongoDB
+const keys = new Map()
+const storeId = (user, key) => `${user}:${key}`
+const findStored = (filter) => [...keys.values()].find((record) =>
+  Object.entries(filter).every(([path, value]) => record[path]?.toString() === value?.toString()))
+
+const token = jwt.sign({ userId: new mongoose.Types.ObjectId().toString() }, process.env.JWT_SECRET)
+
+// A route that counts the orders it places; a test can hold it open to keep its key in flight,
+// or have it fail once on the server
+let placed
+let holdOpen
+let failOnce
+const app = express()
+app.use(express.json())
+app.use(idempotency)
+app.post('/orders', async (req, res) => {
+  placed += 1
+  if (holdOpen) {
+    await holdOpen
+  }
+  if (failOnce) {
+    failOnce = false
+    return res.status(503).json({ success: false, message: 'Service unavailable' })
+  }
+  res.status(201).json({ success: true, orderNumber: `ORD/2026-27/${String(placed).padStart(6, '0')}` })
+})
+
+const placeOrder = (key, body) => request(app)
+  .post('/orders')
+  .set('Authorization', `Bearer ${token}`)
+  .set('Idempotency-Key', key)
+  .send(body)
+
+// The key is stored once the response has finished
+const settled = () => new Promise((resolve) => setImmediate(resolve))
+
+beforeEach(() => {
+  keys.clear()
+  placed = 0
+  holdOpen = null
+  failOnce = false
+
+  // Unique on user and key, as the index makes it
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (fields) => {
+    const id = storeId(fields.user, fields.key)
+    if (keys.has(id)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })
+    }
+    const record = { _id: id, state: 'processing', lockedAt: new Date(), ...fields }
+    keys.set(id, record)
+    return { ...record }
+  })
+
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async ({ user, key }) => {
+    const record = keys.get(storeId(user, key))
+    return record ? { ...record } : null
+  })
+
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, update) => {
+    const record = findStored(filter)
+    if (!record) {
+      return { modifiedCount: 0 }
+    }
+    Object.assign(record, update.$set)
+    return { modifiedCount: 1 }
+  })
+
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async (filter) => {
+    const record = findStored(filter)
+    if (record) {
+      keys.delete(record._id)
+    }
+    return { deletedCount: record ? 1 : 0 }
+  })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Idempotency keys', () => {
+  it('replays the first response to a retry with the same key', async () => {
+    const body = { items: [{ productId: 'p1', quantity: 2 }], paymentMethod: 'COD' }
+
+    const first = await placeOrder('order-1', body)
+    await settled()
+    // Same body with its keys in another order
+    const retry = await placeOrder('order-1', { paymentMethod: 'COD', items: [{ quantity: 2, productId: 'p1' }] })
+
+    expect(first.status).toBe(201)
+    expect(retry.status).toBe(201)
+    expect(retry.body).toEqual(first.body)
+    expect(retry.headers['idempotent-replayed']).toBe('true')
+    expect(placed).toBe(1)
+  })
+
+  it('rejects the same key sent with a different body', async () => {
+    await placeOrder('order-1', { paymentMethod: 'COD' })
+    await settled()
+
+    const response = await placeOrder('order-1', { paymentMethod: 'ONLINE' })
+
+    expect(response.status).toBe(422)
+    expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED')
+    expect(placed).toBe(1)
+  })
+
+  it('turns away a retry while the first request with the key is still running', async () => {
+    let finish
+    holdOpen = new Promise((resolve) => {
+      finish = resolve
+    })
+
+    const first = placeOrder('order-1', { paymentMethod: 'COD' }).then((response) => response)
+    while (placed === 0) {
+      await settled()
+    }
+    const retry = await placeOrder('order-1', { paymentMethod: 'COD' })
+
+    expect(retry.status).toBe(409)
+    expect(retry.body.code).toBe('IDEMPOTENCY_IN_PROGRESS')
+
+    finish()
+    expect((await first).status).toBe(201)
+    expect(placed).toBe(1)
+  })
+
+  it('lets a request that failed on the server be retried with the same key', async () => {
+    failOnce = true
+
+    expect((await placeOrder('order-1', { paymentMethod: 'COD' })).status).toBe(503)
+    await settled()
+    expect((await placeOrder('order-1', { paymentMethod: 'COD' })).status).toBe(201)
+    expect(placed).toBe(2)
+  })
+})
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals'
+import Product from '../models/Product.js'
+import { addProduct, mockProductStore, mockStandaloneServer, movements, storedProduct } from './helpers/productStore.js'
+
+// A standalone server: failed work is undone step by step
+mockStandaloneServer()
+const { receiveStockLines, restockLine } = await import('../src/services/inventoryService.js')
+const { withTransaction } = await import('../src/utils/transaction.js')
+
+const makeProduct = (fields) => addProduct({ name: 'Vitamin C 500mg', price: 120, category: 'Health Supplements', ...fields })
+
+const batch = (batchNumber) => ({ batchNumber, expiryDate: new Date('2030-01-31') })
+
+beforeEach(() => {
+  mockProductStore()
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Receiving stock', () => {
+  it('checks each line against the lines before it before saving anything', async () => {
+    const product = makeProduct({ stock: 0 })
+
+    await expect(receiveStockLines([
+      { product, quantity: 10, batch: batch('B1') },
+      { product, quantity: 5 }
+    ])).rejects.toMatchObject({ name: 'InventoryError', code: 'BATCH_REQUIRED' })
+
+    expect(Product.updateOne).not.toHaveBeenCalled()
+    expect(movements).toHaveLength(0)
+  })
+
+  it('takes received stock back out when a receipt fails without a transaction', async () => {
+    const vitamins = makeProduct({ stock: 0 })
+    const tablets = makeProduct({ stock: 4 })
+
+    const receipt = withTransaction(async (session, { onRollback }) => {
+      await receiveStockLines([
+        { product: vitamins, quantity: 10, batch: batch('B1') },
+        { product: tablets, quantity: 6 }
+      ], { reference: { kind: 'PurchaseOrder', number: 'PO/2026-27/000001' }, session, onRollback })
+      throw new Error('Purchase order save failed')
+    })
+
+    await expect(receipt).rejects.toThrow('Purchase order save failed')
+    expect(storedProduct(vitamins._id.toString())).toMatchObject({ stock: 0, batches: [expect.objectContaining({ quantity: 0 })] })
+    expect(storedProduct(tablets._id.toString()).stock).toBe(4)
+    expect(movements.map(({ reason, quantity }) => [reason, quantity])).toEqual([
+      ['purchase_receipt', 10],
+      ['purchase_receipt', 6],
+      ['manual_adjustment', -6],
+      ['manual_adjustment', -10]
+    ])
+  })
+})
+
+describe('Restocking sold units', () => {
+  it('puts units back into the batches they were sold from', async () => {
+    const product = makeProduct({ batches: [{ ...batch('B1'), quantity: 3 }, { ...batch('B2'), quantity: 0 }] })
+
+    await restockLine(product._id, { quantity: 2, batches: [{ ...batch('B2'), quantity: 2 }] }, { reason: 'cancellation' })
+
+    expect(storedProduct(product._id.toString()).batches.map((entry) => entry.quantity)).toEqual([3, 2])
+    expect(movements[0]).toMatchObject({ reason: 'cancellation', quantity: 2, needsReview: undefined })
+  })
+
+  it('keeps a sale made while the restock was in progress', async () => {
+    const product = makeProduct({ stock: 5 })
+    const read = Product.findById.getMockImplementation()
+    Product.findById.mockImplementationOnce((id) => {
+      const query = read(id)
+      // A checkout takes 2 units after the restock has read the product
+      storedProduct(id.toString()).stock -= 2
+      return query
+    })
+
+    await restockLine(product._id, { quantity: 1 }, { reason: 'cancellation' })
+
+    expect(storedProduct(product._id.toString()).stock).toBe(4)
+  })
+
+  it('refuses to restock into a batch removed since the product was read', async () => {
+    const product = makeProduct({ batches: [{ ...batch('B1'), quantity: 3 }] })
+    const read = Product.findById.getMockImplementation()
+    Product.findById.mockImplementationOnce((id) => {
+      const query = read(id)
+      storedProduct(id.toString()).batches = []
+      return query
+    })
+
+    await expect(restockLine(product._id, { quantity: 1, batches: [{ ...batch('B1'), quantity: 1 }] }, { reason: 'cancellation' }))
+      .rejects.toMatchObject({ code: 'STOCK_CHANGED' })
+    expect(movements).toHaveLength(0)
+  })
+
+  it('flags units sold without a batch record for review instead of dropping them', async () => {
+    const product = makeProduct({
+      batches: [
+        { batchNumber: 'EARLY', expiryDate: new Date('2027-06-30'), quantity: 1 },
+        { batchNumber: 'LATE', expiryDate: new Date('2028-06-30'), quantity: 1 }
+      ]
+    })
+
+    await restockLine(product._id, { quantity: 4 }, {
+      reason: 'return_restock',
+      reference: { kind: 'Return', number: 'RET/2026-27/000003' }
+    })
+
+    const saved = storedProduct(product._id.toString())
+    expect(saved.stock).toBe(6)
+    expect(saved.batches.map((entry) => entry.quantity)).toEqual([1, 5])
+    expect(movements[0]).toMatchObject({
+      reason: 'return_restock',
+      quantity: 4,
+      needsReview: true,
+      batches: [expect.objectContaining({ batchNumber: 'LATE', quantity: 4 })]
+    })
+  })
+})
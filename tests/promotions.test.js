@@ -0,0 +1,200 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Cart from '../models/Cart.js'
+import Coupon from '../models/Coupon.js'
+import CouponRedemption from '../models/CouponRedemption.js'
+import { validateCoupon } from '../src/services/couponService.js'
+import { applyPromotions } from '../src/services/promotionService.js'
+
+const line = (price, quantity, category = 'Health Supplements') => ({
+  itemType: 'product',
+  id: new mongoose.Types.ObjectId(),
+  category,
+  price,
+  quantity
+})
+
+const promotion = (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields })
+
+const buyTwoGetOne = promotion({ name: 'Buy 2 get 1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 })
+
+const supplementSale = promotion({
+  name: 'Supplement week',
+  type: 'category_sale',
+  percentOff: 10,
+  eligibility: { categories: ['Health Supplements'] }
+})
+
+const amountsOf = (lineSavings) => lineSavings.map((savings) => savings.map((saving) => saving.amount))
+
+describe('Buy X get Y', () => {
+  it('gives away the cheapest unit of each group', () => {
+    const { amount, lineSavings } = applyPromotions([line(300, 2), line(100, 1)], [buyTwoGetOne])
+
+    expect(amount).toBe(100)
+    expect(amountsOf(lineSavings)).toEqual([[], [100]])
+  })
+
+  it('counts only eligible units towards a group', () => {
+    const offer = { ...buyTwoGetOne, eligibility: { categories: ['Health Supplements'] } }
+
+    const { amount } = applyPromotions([line(100, 2), line(50, 1, 'OTC Medicines')], [offer])
+
+    expect(amount).toBe(0)
+  })
+
+  it('frees units from lines that straddle groups', () => {
+    const { lineSavings } = applyPromotions([line(100, 4), line(60, 2)], [buyTwoGetOne])
+
+    // Units line up 100 100 | 100 100 60 | 60: the third and sixth are free
+    expect(amountsOf(lineSavings)).toEqual([[100], [60]])
+  })
+
+  it('works out huge quantities without going unit by unit', () => {
+    const { amount } = applyPromotions([line(10, 3e9 - 1), line(5, 1)], [buyTwoGetOne])
+
+    // 3e9 units make 1e9 groups; the free unit of each is a ₹10 unit, bar the last group's ₹5 one
+    expect(amount).toBe((1e9 - 1) * 10 + 5)
+  })
+})
+
+describe('Free items', () => {
+  const gift = line(150, 1, 'Personal Care')
+  const freeGift = promotion({
+    name: 'Free sunscreen over ₹999',
+    type: 'free_item',
+    minCartValue: 999,
+    freeItem: { itemType: 'product', product: gift.id, name: 'Sunscreen', quantity: 1 }
+  })
+
+  it('gives the item away once the rest of the cart is worth enough', () => {
+    const { amount, lineSavings, hints } = applyPromotions([line(500, 2), gift], [freeGift])
+
+    expect(amount).toBe(150)
+    expect(amountsOf(lineSavings)).toEqual([[], [150]])
+    expect(hints).toEqual([])
+  })
+
+  it('says how much more to add, not counting the free item itself', () => {
+    const { amount, hints } = applyPromotions([line(400, 2), gift], [freeGift])
+
+    expect(amount).toBe(0)
+    expect(hints).toEqual([expect.objectContaining({ message: 'Add items worth ₹199 more to get Sunscreen free' })])
+  })
+
+  it('reminds the customer to add the item once they qualify', () => {
+    const { hints } = applyPromotions([line(500, 2)], [freeGift])
+
+    expect(hints).toEqual([expect.objectContaining({ message: 'Add Sunscreen to your cart to get it free' })])
+  })
+})
+
+describe('Bundles', () => {
+  const toothbrush = line(80, 3, 'Personal Care')
+  const toothpaste = line(120, 2, 'Personal Care')
+  const dentalKit = promotion({
+    name: 'Dental kit',
+    type: 'bundle',
+    bundlePrice: 150,
+    bundleItems: [
+      { itemType: 'product', product: toothbrush.id },
+      { itemType: 'product', product: toothpaste.id }
+    ]
+  })
+
+  it('charges the bundle price for each complete set and splits the saving by value', () => {
+    const { amount, lineSavings } = applyPromotions([toothbrush, toothpaste], [dentalKit])
+
+    // Two sets worth ₹200 each for ₹150
+    expect(amount).toBe(100)
+    expect(amountsOf(lineSavings)).toEqual([[40], [60]])
+  })
+
+  it('saves nothing without a complete set', () => {
+    expect(applyPromotions([toothbrush], [dentalKit]).amount).toBe(0)
+  })
+})
+
+describe('Category sales', () => {
+  it('takes the percentage off eligible lines only', () => {
+    const { amount, lineSavings } = applyPromotions([line(199, 3), line(100, 1, 'OTC Medicines')], [supplementSale])
+
+    expect(amount).toBe(60)
+    expect(amountsOf(lineSavings)).toEqual([[60], []])
+  })
+
+  it('leaves out promotions that have ended', () => {
+    const ended = { ...supplementSale, endsAt: new Date('2026-01-01T00:00:00Z') }
+
+    expect(applyPromotions([line(100, 1)], [ended]).amount).toBe(0)
+  })
+})
+
+describe('Promotions together', () => {
+  it('discounts a unit by one promotion at most, buy X get Y before sales', () => {
+    const { lineSavings, applied } = applyPromotions([line(100, 4)], [supplementSale, buyTwoGetOne])
+
+    // Three units go to buy 2 get 1; the sale only takes 10% off the fourth
+    expect(amountsOf(lineSavings)).toEqual([[100, 10]])
+    expect(applied.map((entry) => entry.type)).toEqual(['buy_x_get_y', 'category_sale'])
+  })
+
+  it('applies the higher priority promotion of a type first', () => {
+    const bigSale = { ...supplementSale, _id: new mongoose.Types.ObjectId(), name: 'Big sale', percentOff: 25, priority: 5 }
+
+    const { applied } = applyPromotions([line(100, 2)], [supplementSale, bigSale])
+
+    expect(applied).toEqual([expect.objectContaining({ name: 'Big sale', amount: 50 })])
+  })
+})
+
+describe('Promotions with coupons', () => {
+  const userId = new mongoose.Types.ObjectId()
+
+  beforeEach(() => {
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(0)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('takes the coupon off what buy X get Y and a sale leave', async () => {
+    const lines = [line(100, 3), line(200, 1, 'OTC Medicines')]
+    const { lineSavings } = applyPromotions(lines, [buyTwoGetOne, supplementSale])
+    const promotionDiscounts = lineSavings.map((savings) => savings.reduce((total, saving) => total + saving.amount, 0))
+
+    const coupon = new Coupon({ code: 'SAVE10', discountType: 'percentage', discountValue: 10 })
+    const { amount } = await validateCoupon(coupon, {
+      userId,
+      lines: lines.map((entry, index) => ({ ...entry, amount: entry.price * entry.quantity - promotionDiscounts[index] }))
+    })
+
+    // ₹200, ₹100 and ₹100 make a group with a ₹100 unit free; the sale takes 10% off the last unit
+    expect(promotionDiscounts).toEqual([110, 0])
+    expect(amount).toBe(39)
+  })
+
+  it('adds a bundle saving and the coupon to the cart totals', () => {
+    const toothbrush = { product: new mongoose.Types.ObjectId(), category: 'Personal Care', price: 80, quantity: 1 }
+    const toothpaste = { product: new mongoose.Types.ObjectId(), category: 'Personal Care', price: 120, quantity: 1 }
+    const dentalKit = promotion({
+      name: 'Dental kit',
+      type: 'bundle',
+      bundlePrice: 150,
+      bundleItems: [
+        { itemType: 'product', product: toothbrush.product },
+        { itemType: 'product', product: toothpaste.product }
+      ]
+    })
+    const cart = new Cart({ user: userId, items: [toothbrush, toothpaste], couponDiscount: 15 })
+    cart.$locals.applyPromotions = (lines) => applyPromotions(lines, [dentalKit])
+
+    cart.calculateTotals()
+
+    expect(cart.promotionDiscount).toBe(50)
+    expect(cart.items.map((item) => item.promotionDiscount)).toEqual([20, 30])
+    expect(cart.discount).toBe(65)
+    expect(cart.total).toBe(200 - 65 + 50 + Math.round(135 * 0.18))
+  })
+})
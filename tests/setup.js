@@ -1,6 +1,8 @@
 // Test setup file
 // This file runs before all tests
 
+import { jest } from '@jest/globals'
+
 // Mock environment variables
 process.env.JWT_SECRET = 'test-jwt-secret-key'
 process.env.NODE_ENV = 'development' // Set to development to get OTP in responses